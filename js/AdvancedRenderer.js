@@ -1,21 +1,28 @@
 // Advanced WebGL and Three.js features integration
 import * as THREE from 'three';
-import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
 import { FXAAShader } from 'three/examples/jsm/shaders/FXAAShader.js';
-import { SSAOPass } from 'three/examples/jsm/postprocessing/SSAOPass.js';
 import { SMAAPass } from 'three/examples/jsm/postprocessing/SMAAPass.js';
 import { OutlinePass } from 'three/examples/jsm/postprocessing/OutlinePass.js';
 import { BokehPass } from 'three/examples/jsm/postprocessing/BokehPass.js';
+import gsap from 'gsap';
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+import { PASS_IDS } from './PostProcessingPipeline.js';
+
+// Passes this renderer adds to the experience's pipeline
+const RENDERER_PASSES = [PASS_IDS.OUTLINE, PASS_IDS.BOKEH, PASS_IDS.FXAA, PASS_IDS.SMAA];
 
 class AdvancedRenderer {
   constructor(boxExperience) {
     this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
     this.scene = boxExperience.scene;
     this.renderer = boxExperience.renderer;
     this.camera = boxExperience.activeCamera;
+    this.config = boxExperience.config;
+    this.pipeline = boxExperience.postProcessing;
+    this.resources = new ResourceTracker();
     
     // Initialize features
     this.setupPostProcessing();
@@ -26,60 +33,77 @@ class AdvancedRenderer {
     this.setupEventListeners();
   }
   
-  // Setup advanced post-processing pipeline
+  // Remove this renderer's passes, restore the box materials and release
+  // everything this renderer created
+  dispose() {
+    this.resources.dispose();
+    
+    // Put the original box materials back
+    if (this.boxExperience.boxModel) {
+      this.boxExperience.boxModel.traverse((child) => {
+        if (child.isMesh && child.userData.originalMaterial) {
+          child.material.dispose();
+          child.material = child.userData.originalMaterial;
+          delete child.userData.originalMaterial;
+        }
+      });
+    }
+    
+    RENDERER_PASSES.forEach(id => this.pipeline.unregister(id));
+    this.pipeline.setParams(PASS_IDS.BLOOM, this.previousBloomParams);
+    
+    this.scene.remove(this.cubeCamera);
+    this.cubeRenderTarget.dispose();
+    this.reflectiveMaterial.dispose();
+    this.corrugatedMaterial.dispose();
+  }
+  
+  // Add outline, anti-aliasing and a stronger bloom to the experience's pipeline
   setupPostProcessing() {
-    // Create effect composer
-    this.composer = new EffectComposer(this.renderer);
-    
-    // Add render pass
-    this.renderPass = new RenderPass(this.scene, this.camera);
-    this.composer.addPass(this.renderPass);
-    
-    // Add SSAO pass for depth
-    this.ssaoPass = new SSAOPass(this.scene, this.camera, window.innerWidth, window.innerHeight);
-    this.ssaoPass.kernelRadius = 16;
-    this.ssaoPass.minDistance = 0.005;
-    this.ssaoPass.maxDistance = 0.1;
-    this.ssaoPass.output = SSAOPass.OUTPUT.Default;
-    this.composer.addPass(this.ssaoPass);
-    
-    // Add outline pass for highlighting interactive elements
-    this.outlinePass = new OutlinePass(
-      new THREE.Vector2(window.innerWidth, window.innerHeight),
-      this.scene,
-      this.camera
-    );
-    this.outlinePass.edgeStrength = 3;
-    this.outlinePass.edgeGlow = 0.5;
-    this.outlinePass.edgeThickness = 1;
-    this.outlinePass.pulsePeriod = 2;
-    this.outlinePass.visibleEdgeColor.set('#d2b48c');
-    this.outlinePass.hiddenEdgeColor.set('#190a05');
-    this.composer.addPass(this.outlinePass);
-    
-    // Add bloom pass for glow effects
-    this.bloomPass = new UnrealBloomPass(
-      new THREE.Vector2(window.innerWidth, window.innerHeight),
-      0.5,  // strength
-      0.4,  // radius
-      0.85  // threshold
-    );
-    this.composer.addPass(this.bloomPass);
-    
-    // Add FXAA pass for anti-aliasing
-    this.fxaaPass = new ShaderPass(FXAAShader);
-    this.fxaaPass.material.uniforms['resolution'].value.set(
-      1 / window.innerWidth,
-      1 / window.innerHeight
-    );
-    this.composer.addPass(this.fxaaPass);
-    
-    // Add SMAA pass for enhanced anti-aliasing
-    this.smaaPass = new SMAAPass(window.innerWidth, window.innerHeight);
-    this.composer.addPass(this.smaaPass);
-    
-    // Replace renderer's render method with composer
-    this.boxExperience.composer = this.composer;
+    const { brand } = this.config;
+    
+    // Outline pass for highlighting interactive elements
+    this.pipeline.register(PASS_IDS.OUTLINE, {
+      order: 200,
+      create: ({ scene, camera, width, height }) => new OutlinePass(
+        new THREE.Vector2(width, height),
+        scene,
+        camera
+      ),
+      setCamera: (pass, camera) => {
+        pass.renderCamera = camera;
+      },
+      params: {
+        edgeStrength: 3,
+        edgeGlow: 0.5,
+        edgeThickness: 1,
+        pulsePeriod: 2,
+        visibleEdgeColor: brand.primary,
+        hiddenEdgeColor: brand.outline
+      }
+    });
+    
+    // Brighter bloom for glow effects (restored on dispose)
+    this.previousBloomParams = this.pipeline.getParams(PASS_IDS.BLOOM);
+    this.pipeline.setParams(PASS_IDS.BLOOM, {
+      strength: 0.5,
+      radius: 0.4,
+      threshold: 0.85
+    });
+    
+    // Anti-aliasing: quality profiles pick FXAA or SMAA, never both
+    this.pipeline.register(PASS_IDS.FXAA, {
+      order: 900,
+      create: () => new ShaderPass(FXAAShader),
+      resize: (pass, width, height) => {
+        pass.material.uniforms['resolution'].value.set(1 / width, 1 / height);
+      }
+    });
+    
+    this.pipeline.register(PASS_IDS.SMAA, {
+      order: 900,
+      create: ({ width, height }) => new SMAAPass(width, height)
+    });
   }
   
   // Create custom shaders for special effects
@@ -87,7 +111,7 @@ class AdvancedRenderer {
     // Custom corrugated material shader
     this.corrugatedShader = {
       uniforms: {
-        diffuse: { value: new THREE.Color(0xd2b48c) },
+        diffuse: { value: new THREE.Color(this.config.brand.primary) },
         roughness: { value: 0.8 },
         time: { value: 0 },
         corrugationScale: { value: 20.0 },
@@ -224,7 +248,7 @@ class AdvancedRenderer {
     const particleMaterial = new THREE.ShaderMaterial({
       uniforms: {
         time: { value: 0 },
-        pointTexture: { value: new THREE.TextureLoader().load('/assets/textures/particle.png') }
+        pointTexture: { value: new THREE.TextureLoader().load(this.config.assets.particleTexture) }
       },
       vertexShader: `
         attribute vec3 velocity;
@@ -270,6 +294,12 @@ class AdvancedRenderer {
     // Create particle system
     this.particles = new THREE.Points(particleGeometry, particleMaterial);
     this.scene.add(this.particles);
+    this.resources.trackObject(this.particles);
+    
+    // Draw only as many particles as the quality tier allows
+    this.resources.subscribe(this.boxExperience.quality.onChange(settings => {
+      particleGeometry.setDrawRange(0, Math.round(particleCount * settings.particleDensity));
+    }));
     
     // Store initial time for animation
     this.particleTime = 0;
@@ -306,6 +336,7 @@ class AdvancedRenderer {
     // Create a group for reflective elements
     this.reflectiveElements = new THREE.Group();
     this.scene.add(this.reflectiveElements);
+    this.resources.trackObject(this.reflectiveElements);
     
     // Create small reflective spheres
     for (let i = 0; i < 5; i++) {
@@ -325,12 +356,19 @@ class AdvancedRenderer {
         Math.random() * 0.4,
         (Math.random() - 0.5) * 0.8
       );
+      // Height it floats up from
+      sphere.userData.baseY = sphere.position.y;
       
       this.reflectiveElements.add(sphere);
     }
     
-    // Add event listener to show/hide based on box state
-    document.addEventListener('boxOpened', () => {
+    // Delayed starts of the appearing animations
+    this.reflectiveTimeouts = [];
+    
+    // Show elements once the box is open
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.BOX_OPENED, () => {
+      // Start afresh if the box was opened before
+      this.stopReflectiveElements();
       this.reflectiveElements.visible = true;
       
       // Animate elements appearing
@@ -338,7 +376,7 @@ class AdvancedRenderer {
         element.scale.set(0.001, 0.001, 0.001);
         
         // Scale up with delay
-        setTimeout(() => {
+        this.reflectiveTimeouts[index] = this.resources.timeout(() => {
           gsap.to(element.scale, {
             x: 1, y: 1, z: 1,
             duration: 1,
@@ -355,79 +393,76 @@ class AdvancedRenderer {
           });
         }, 500 + index * 200);
       });
-    });
+    }));
+    
+    // Hide elements once the box starts closing
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.BOX_CLOSING, () => {
+      this.stopReflectiveElements();
+      this.reflectiveElements.visible = false;
+    }));
     
     // Initially hide
     this.reflectiveElements.visible = false;
   }
   
+  // Stop the reflective elements' animations and put them back in place
+  stopReflectiveElements() {
+    this.reflectiveTimeouts.forEach(id => this.resources.clearTimeout(id));
+    this.reflectiveTimeouts = [];
+    
+    this.reflectiveElements.children.forEach(element => {
+      gsap.killTweensOf([element.scale, element.position]);
+      element.position.y = element.userData.baseY;
+    });
+  }
+  
   // Setup depth of field effect
   setupDepthOfField() {
-    // Create bokeh pass for depth of field
-    this.bokehPass = new BokehPass(this.scene, this.camera, {
-      focus: 5.0,
-      aperture: 0.015,
-      maxblur: 0.01,
-      width: window.innerWidth,
-      height: window.innerHeight
+    // Bokeh pass for depth of field, disabled until a product is focused
+    this.pipeline.register(PASS_IDS.BOKEH, {
+      order: 400,
+      enabled: false,
+      recreateOnCameraChange: true,
+      create: ({ scene, camera, width, height }) => new BokehPass(scene, camera, {
+        focus: 5.0,
+        aperture: 0.015,
+        maxblur: 0.01,
+        width,
+        height
+      }),
+      resize: (pass, width, height) => {
+        pass.uniforms['aspect'].value = width / height;
+      }
     });
     
-    // Add to composer but disable initially
-    this.bokehPass.enabled = false;
-    this.composer.addPass(this.bokehPass);
-    
     // Enable depth of field when focusing on products
-    document.addEventListener('productFocus', (event) => {
-      if (event.detail && event.detail.position) {
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.PRODUCT_FOCUS, ({ position }) => {
+      if (position) {
         // Calculate distance to focused object
-        const distance = this.camera.position.distanceTo(event.detail.position);
+        const distance = this.camera.position.distanceTo(position);
         
         // Update bokeh pass parameters
-        this.bokehPass.uniforms["focus"].value = distance;
-        this.bokehPass.uniforms["aperture"].value = 0.015;
-        this.bokehPass.enabled = true;
+        this.pipeline.setParams(PASS_IDS.BOKEH, { focus: distance, aperture: 0.015 });
+        this.pipeline.setEnabled(PASS_IDS.BOKEH, true);
       }
-    });
+    }));
     
     // Disable depth of field when unfocusing
-    document.addEventListener('productUnfocus', () => {
-      this.bokehPass.enabled = false;
-    });
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.PRODUCT_UNFOCUS, () => {
+      this.pipeline.setEnabled(PASS_IDS.BOKEH, false);
+    }));
   }
   
   // Setup event listeners
   setupEventListeners() {
-    // Handle window resize
-    window.addEventListener('resize', () => {
-      // Update composer size
-      this.composer.setSize(window.innerWidth, window.innerHeight);
-      
-      // Update passes that need resolution updates
-      this.fxaaPass.material.uniforms['resolution'].value.set(
-        1 / window.innerWidth,
-        1 / window.innerHeight
-      );
-      
-      this.outlinePass.resolution.set(window.innerWidth, window.innerHeight);
-      
-      // Update bokeh pass
-      this.bokehPass.uniforms["aspect"].value = window.innerWidth / window.innerHeight;
-    });
-    
-    // Handle camera changes
-    document.addEventListener('cameraChange', (event) => {
-      if (event.detail && event.detail.camera) {
-        // Update camera reference in passes
-        this.renderPass.camera = event.detail.camera;
-        this.ssaoPass.camera = event.detail.camera;
-        this.outlinePass.renderCamera = event.detail.camera;
-        this.bokehPass.camera = event.detail.camera;
-      }
-    });
+    // Handle camera changes (the pipeline updates the passes itself)
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.CAMERA_CHANGE, ({ camera }) => {
+      this.camera = camera;
+    }));
   }
   
   // Update method called from main animation loop
-  update(time) {
+  update(delta, time) {
     // Update shader uniforms
     if (this.boxExperience.boxModel) {
       this.boxExperience.boxModel.traverse((child) => {
@@ -455,10 +490,11 @@ class AdvancedRenderer {
     }
     
     // Update outline pass for highlighting interactive elements
+    const outlinePass = this.pipeline.getPass(PASS_IDS.OUTLINE);
     if (this.boxExperience.focusedObject) {
-      this.outlinePass.selectedObjects = [this.boxExperience.focusedObject];
+      outlinePass.selectedObjects = [this.boxExperience.focusedObject];
     } else {
-      this.outlinePass.selectedObjects = [];
+      outlinePass.selectedObjects = [];
     }
   }
 }
@@ -0,0 +1,680 @@
+// Customer artwork printed on the 3D box
+// Visitors upload a logo or artwork (PNG, JPG or SVG, read in the browser
+// and never uploaded on its own), place, size and turn it on any face of
+// the box and choose how many ink colours it prints in. The artwork is
+// reduced to that many inks and printed the way flexo ink takes on
+// corrugated board: the board colour shows through, the edges spread a
+// little and the coverage is uneven. It is projected as decals onto the
+// panels it lands on, so it folds and opens with them, and goes with the
+// quote request from the contact form.
+import * as THREE from 'three';
+import { DecalGeometry } from 'three/examples/jsm/geometries/DecalGeometry.js';
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { ProceduralBox } from './ProceduralBox.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+
+const FILE_TYPES = { 'image/png': 'PNG', 'image/jpeg': 'JPG', 'image/svg+xml': 'SVG' };
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Longest side of the processed artwork in pixels; SVGs are drawn this big
+const ARTWORK_RESOLUTION = 1024;
+const PREVIEW_SIZE = 160;
+
+// Ink choices: spot colours, or 0 for full colour (CMYK)
+const PRINT_COLORS = [1, 2, 3, 4, 0];
+const DEFAULT_COLORS = 2;
+
+// Faces of the closed box: the outward normal and which way is up on it
+const BOX_FACES = {
+  front: { normal: [0, 0, 1], up: [0, 1, 0] },
+  back: { normal: [0, 0, -1], up: [0, 1, 0] },
+  left: { normal: [-1, 0, 0], up: [0, 1, 0] },
+  right: { normal: [1, 0, 0], up: [0, 1, 0] },
+  top: { normal: [0, 1, 0], up: [0, 0, -1] },
+  bottom: { normal: [0, -1, 0], up: [0, 0, 1] }
+};
+
+// x and y move the centre across and up the face (in face sizes from its
+// centre), scale 1 fits the artwork to the face and rotation is in degrees
+// anticlockwise
+const DEFAULT_PLACEMENT = { face: 'front', x: 0, y: 0, scale: 0.6, rotation: 0 };
+const PLACEMENT_LIMITS = { x: [-0.5, 0.5], y: [-0.5, 0.5], scale: [0.1, 1], rotation: [-180, 180] };
+
+// How the ink takes on the board: the share of the board colour showing
+// through it, how far it spreads into the fibres (in pixels) and how
+// uneven its coverage is
+const INK_ABSORPTION = 0.35;
+const INK_SPREAD = 1;
+const INK_MOTTLE = 0.2;
+
+// The projection reaches this many board thicknesses into the box, enough
+// for flaps lying over others. Only surfaces facing out and not covered
+// by another panel are printed; triangles part covered are split this many
+// times to find the edge.
+const DECAL_DEPTH = 3;
+const FACING_OUT = 0.5;
+const COVER_SPLITS = 4;
+
+// Decals stand this share of a board's thickness off the surface, so they
+// also show in viewers without polygon offset (see BoxExport.js)
+const DECAL_LIFT = 0.02;
+
+function colorDistance([r1, g1, b1], [r2, g2, b2]) {
+  return (r1 - r2) ** 2 + (g1 - g2) ** 2 + (b1 - b2) ** 2;
+}
+
+function nearestInk(color, palette) {
+  let nearest = 0;
+  palette.forEach((ink, index) => {
+    if (colorDistance(color, ink) < colorDistance(color, palette[nearest])) {
+      nearest = index;
+    }
+  });
+  return nearest;
+}
+
+function toHex(color) {
+  return '#' + color.map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+}
+
+// The count colours that best stand for the artwork's opaque pixels, as
+// [r, g, b]: k-means over a sample, seeded with the most distinct colours
+function getInkPalette(data, count) {
+  const pixelCount = data.length / 4;
+  const stride = Math.max(1, Math.floor(pixelCount / 4096));
+  const samples = [];
+  for (let pixel = 0; pixel < pixelCount; pixel += stride) {
+    const i = pixel * 4;
+    if (data[i + 3] >= 128) {
+      samples.push([data[i], data[i + 1], data[i + 2]]);
+    }
+  }
+
+  if (samples.length === 0) return [[0, 0, 0]];
+
+  const palette = [samples[0]];
+  while (palette.length < count) {
+    let furthest = null;
+    let furthestDistance = 0;
+    samples.forEach(sample => {
+      const distance = colorDistance(sample, palette[nearestInk(sample, palette)]);
+      if (distance > furthestDistance) {
+        furthest = sample;
+        furthestDistance = distance;
+      }
+    });
+
+    // Fewer distinct colours than inks
+    if (!furthest) break;
+    palette.push(furthest);
+  }
+
+  for (let iteration = 0; iteration < 8; iteration++) {
+    const sums = palette.map(() => [0, 0, 0, 0]);
+    samples.forEach(sample => {
+      const sum = sums[nearestInk(sample, palette)];
+      sample.forEach((value, channel) => { sum[channel] += value; });
+      sum[3]++;
+    });
+    sums.forEach(([r, g, b, n], index) => {
+      if (n > 0) {
+        palette[index] = [r / n, g / n, b / n];
+      }
+    });
+  }
+
+  return palette.map(ink => ink.map(Math.round));
+}
+
+function hash(x, y) {
+  const n = Math.sin(x * 127.1 + y * 311.7) * 43758.5453;
+  return n - Math.floor(n);
+}
+
+// Smooth noise between 0 and 1 varying over about size pixels
+function valueNoise(x, y, size) {
+  const gx = x / size;
+  const gy = y / size;
+  const x0 = Math.floor(gx);
+  const y0 = Math.floor(gy);
+  const sx = (gx - x0) * (gx - x0) * (3 - 2 * (gx - x0));
+  const sy = (gy - y0) * (gy - y0) * (3 - 2 * (gy - y0));
+  const top = THREE.MathUtils.lerp(hash(x0, y0), hash(x0 + 1, y0), sx);
+  const bottom = THREE.MathUtils.lerp(hash(x0, y0 + 1), hash(x0 + 1, y0 + 1), sx);
+  return THREE.MathUtils.lerp(top, bottom, sy);
+}
+
+// Read an image file into a canvas at most ARTWORK_RESOLUTION on its longest
+// side. Rejects files of the wrong type or size and ones that do not decode.
+function loadArtwork(file) {
+  if (!FILE_TYPES[file.type]) {
+    return Promise.reject(new Error('Artwork must be a PNG, JPG or SVG file'));
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    return Promise.reject(new Error(`Artwork must be smaller than ${MAX_FILE_SIZE / 1024 / 1024} MB`));
+  }
+
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.src = url;
+
+  return image.decode()
+    .then(() => {
+      // SVGs without a size of their own report 0
+      const width = image.naturalWidth || ARTWORK_RESOLUTION;
+      const height = image.naturalHeight || ARTWORK_RESOLUTION;
+      const fit = ARTWORK_RESOLUTION / Math.max(width, height);
+      const scale = file.type === 'image/svg+xml' ? fit : Math.min(1, fit);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(width * scale));
+      canvas.height = Math.max(1, Math.round(height * scale));
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      return canvas;
+    }, () => {
+      throw new Error(`${file.name} could not be read as an image`);
+    })
+    .finally(() => URL.revokeObjectURL(url));
+}
+
+// The artwork as printed on board of a colour ([r, g, b], 0-255): reduced
+// to colors spot inks (0 keeps full colour), darkened where the board shows
+// through, mottled and spread. Returns { canvas, inks } with the spot inks
+// as hex colours.
+function printArtwork(source, colors, board) {
+  const { width, height } = source;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.drawImage(source, 0, 0);
+
+  const image = context.getImageData(0, 0, width, height);
+  const { data } = image;
+  const palette = colors > 0 ? getInkPalette(data, colors) : null;
+  const absorbed = board.map(value => 1 - INK_ABSORPTION + INK_ABSORPTION * value / 255);
+
+  for (let i = 0; i < data.length; i += 4) {
+    let color = [data[i], data[i + 1], data[i + 2]];
+    let alpha = data[i + 3];
+
+    // Spot inks print solid or not at all
+    if (palette) {
+      color = palette[nearestInk(color, palette)];
+      alpha = alpha >= 128 ? 255 : 0;
+    }
+
+    const x = (i / 4) % width;
+    const y = Math.floor(i / 4 / width);
+    const mottle = valueNoise(x, y, 8) * 0.6 + hash(x, y) * 0.4;
+
+    data[i] = color[0] * absorbed[0];
+    data[i + 1] = color[1] * absorbed[1];
+    data[i + 2] = color[2] * absorbed[2];
+    data[i + 3] = alpha * (1 - INK_MOTTLE * mottle);
+  }
+  context.putImageData(image, 0, 0);
+
+  // Ink wicks into the fibres, softening its edges
+  const printed = document.createElement('canvas');
+  printed.width = width;
+  printed.height = height;
+  const printedContext = printed.getContext('2d');
+  printedContext.filter = `blur(${INK_SPREAD}px)`;
+  printedContext.drawImage(canvas, 0, 0);
+
+  return { canvas: printed, inks: palette ? palette.map(toHex) : [] };
+}
+
+// 'Full colour' or e.g. '2 colours'
+function describeColors(colors) {
+  if (colors === 0) return 'Full colour (CMYK)';
+  return colors === 1 ? '1 colour' : `${colors} colours`;
+}
+
+class ArtworkDecals {
+  constructor(boxExperience) {
+    this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
+    this.resources = new ResourceTracker();
+
+    // { file, source, printed, inks } once a file is chosen; source is the
+    // artwork as loaded, printed how it looks on the board
+    this.artwork = null;
+    this.placement = { ...DEFAULT_PLACEMENT };
+    this.colors = DEFAULT_COLORS;
+
+    // Decal meshes on the box on screen
+    this.decals = [];
+
+    this.material = this.resources.track(new THREE.MeshStandardMaterial({
+      transparent: true,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -4,
+      roughness: 0.9,
+      metalness: 0
+    }));
+    this.texture = null;
+    this.resources.add(() => this.texture && this.texture.dispose());
+
+    this.createPanel();
+    this.setupEventListeners();
+    this.fillForm();
+  }
+
+  // Load an artwork file and print it on the box. Returns a promise that
+  // rejects with a message for the visitor if the file cannot be used.
+  setArtwork(file) {
+    return loadArtwork(file).then(source => {
+      if (this.disposed) return;
+
+      this.artwork = { file, source, printed: null, inks: [] };
+      this.placement = { ...DEFAULT_PLACEMENT };
+      this.printArtwork();
+      this.update();
+    });
+  }
+
+  // Move, resize or turn the artwork (see DEFAULT_PLACEMENT)
+  setPlacement(changes) {
+    const placement = { ...this.placement, ...changes };
+    if (!BOX_FACES[placement.face]) {
+      throw new Error(`Unknown box face: ${placement.face}`);
+    }
+
+    Object.entries(PLACEMENT_LIMITS).forEach(([key, [min, max]]) => {
+      placement[key] = THREE.MathUtils.clamp(Number(placement[key]) || 0, min, max);
+    });
+
+    this.placement = placement;
+    this.update();
+  }
+
+  // Print in this many spot colours, or 0 for full colour
+  setPrintColors(colors) {
+    if (!PRINT_COLORS.includes(colors)) {
+      throw new Error(`Print colours must be one of ${PRINT_COLORS.join(', ')}`);
+    }
+
+    this.colors = colors;
+    if (this.artwork) {
+      this.printArtwork();
+    }
+    this.update();
+  }
+
+  removeArtwork() {
+    this.artwork = null;
+    this.update();
+  }
+
+  // What is printed where, or null without artwork
+  getArtwork() {
+    if (!this.artwork) return null;
+
+    const { file, inks } = this.artwork;
+    return {
+      name: file.name,
+      type: FILE_TYPES[file.type],
+      ...this.placement,
+      colors: this.colors,
+      inks: [...inks]
+    };
+  }
+
+  // e.g. "logo.png on the front, 2 colours, 60% of the face"
+  describeArtwork() {
+    const { name, face, scale, rotation } = this.getArtwork();
+    const turn = rotation !== 0 ? `, turned ${rotation}°` : '';
+    return `${name} on the ${face}, ${describeColors(this.colors).toLowerCase()}, ` +
+      `${Math.round(scale * 100)}% of the face${turn}`;
+  }
+
+  // Re-print the artwork in the chosen inks on the current board colour
+  printArtwork() {
+    const boardColor = this.boxExperience.boxMaterial.color;
+    const { canvas, inks } = printArtwork(this.artwork.source, this.colors, boardColor.toArray().map(value => value * 255));
+
+    this.artwork.printed = canvas;
+    this.artwork.inks = inks;
+    this.printedColor = boardColor.getHex();
+
+    if (this.texture) {
+      this.texture.dispose();
+    }
+    this.texture = new THREE.CanvasTexture(canvas);
+    this.texture.encoding = THREE.sRGBEncoding;
+    this.material.map = this.texture;
+    this.material.needsUpdate = true;
+  }
+
+  // Redraw the decals and pass the artwork on to the form and the quote
+  update() {
+    this.clearDecals();
+    this.decals = this.applyTo(this.boxExperience.proceduralBox);
+
+    this.fillForm();
+    this.updateInquiry();
+    this.events.emit(EXPERIENCE_EVENTS.ARTWORK_CHANGE, { artwork: this.getArtwork() });
+  }
+
+  clearDecals() {
+    this.decals.forEach(decal => {
+      decal.parent.remove(decal);
+      decal.geometry.dispose();
+    });
+    this.decals = [];
+  }
+
+  // Print the artwork onto a procedural box (e.g. the dieline view's): a
+  // decal on each panel it lands on, parented to the panel so it folds with
+  // it and goes when the box is disposed. Returns the decal meshes.
+  applyTo(box) {
+    if (!this.artwork) return [];
+
+    // Projected onto a closed copy, whatever pose the box is in
+    const projectionBox = new ProceduralBox({ material: this.boxExperience.boxMaterial, ...box.options });
+    projectionBox.group.updateMatrixWorld(true);
+
+    const panels = [];
+    projectionBox.group.traverse(child => {
+      if (child.isMesh) {
+        panels.push(child);
+      }
+    });
+
+    const projector = this.getProjector(projectionBox);
+    const decals = [];
+    panels.forEach(panel => {
+      const geometry = this.createDecalGeometry(panel, projector, panels);
+      if (!geometry) return;
+
+      const decal = new THREE.Mesh(geometry, this.material);
+      decal.name = 'artworkDecal';
+      decal.renderOrder = 1;
+      box.group.getObjectByName(panel.name).add(decal);
+      decals.push(decal);
+    });
+
+    projectionBox.dispose();
+    return decals;
+  }
+
+  // DecalGeometry projector for the placement on a closed box, in box
+  // space: { position, orientation, size, normal, thickness }
+  getProjector(box) {
+    const { face, x, y, scale, rotation } = this.placement;
+    const bounds = new THREE.Box3().setFromObject(box.group);
+    const size = bounds.getSize(new THREE.Vector3());
+    const normal = new THREE.Vector3().fromArray(BOX_FACES[face].normal);
+    const up = new THREE.Vector3().fromArray(BOX_FACES[face].up);
+    const right = new THREE.Vector3().crossVectors(up, normal);
+
+    const faceWidth = Math.abs(size.dot(right));
+    const faceHeight = Math.abs(size.dot(up));
+    const { thickness } = box;
+
+    // From DECAL_DEPTH thicknesses inside the face to one outside it
+    const position = bounds.getCenter(new THREE.Vector3())
+      .addScaledVector(normal, Math.abs(size.dot(normal)) / 2 + (1 - DECAL_DEPTH) * thickness / 2)
+      .addScaledVector(right, x * faceWidth)
+      .addScaledVector(up, y * faceHeight);
+
+    // Keeps its proportions; at scale 1 it just fits the face
+    const aspect = this.artwork.source.width / this.artwork.source.height;
+    const width = Math.min(faceWidth, faceHeight * aspect) * scale;
+
+    const turn = THREE.MathUtils.degToRad(rotation);
+    right.applyAxisAngle(normal, turn);
+    up.applyAxisAngle(normal, turn);
+
+    return {
+      position,
+      orientation: new THREE.Euler().setFromRotationMatrix(new THREE.Matrix4().makeBasis(right, up, normal)),
+      size: new THREE.Vector3(width, width / aspect, (DECAL_DEPTH + 1) * thickness),
+      normal,
+      thickness
+    };
+  }
+
+  // The decal on one panel, in the panel's space: the projection where it
+  // lands on a surface facing out that no other panel covers. Null if the
+  // artwork misses the panel.
+  createDecalGeometry(panel, { position, orientation, size, normal, thickness }, panels) {
+    const projected = new DecalGeometry(panel, position, orientation, size);
+    const attributes = ['position', 'normal', 'uv'].map(name => projected.attributes[name]);
+    const raycaster = new THREE.Raycaster();
+    const origin = new THREE.Vector3();
+    const faceNormal = new THREE.Vector3();
+    const direction = normal.clone().negate();
+    const kept = [];
+
+    // Vertices as [x, y, z, nx, ny, nz, u, v]
+    const getVertex = index => attributes.flatMap(attribute => Array.from(attribute.array.slice(
+      index * attribute.itemSize,
+      (index + 1) * attribute.itemSize
+    )));
+    const midpoint = (a, b) => a.map((value, index) => (value + b[index]) / 2);
+    // Seen from outside, is another panel in front of the vertex? Panels
+    // lying almost level (flaps tilted over others) count from a quarter of
+    // a board's thickness.
+    const others = panels.filter(other => other !== panel);
+    const reach = thickness * (DECAL_DEPTH + 1);
+    raycaster.far = reach - thickness * 0.25;
+    const isCovered = vertex => {
+      origin.fromArray(vertex).addScaledVector(normal, reach);
+      raycaster.set(origin, direction);
+      return raycaster.intersectObjects(others, false).length > 0;
+    };
+
+    const addTriangle = (triangle, splits) => {
+      const covered = triangle.map(isCovered);
+      if (covered.every(Boolean)) return;
+      if (covered.some(Boolean) && splits > 0) {
+        const [a, b, c] = triangle;
+        const [ab, bc, ca] = [midpoint(a, b), midpoint(b, c), midpoint(c, a)];
+        [[a, ab, ca], [ab, b, bc], [ca, bc, c], [ab, bc, ca]].forEach(part => addTriangle(part, splits - 1));
+        return;
+      }
+      kept.push(...triangle);
+    };
+
+    for (let i = 0; i < attributes[0].count; i += 3) {
+      const triangle = [getVertex(i), getVertex(i + 1), getVertex(i + 2)];
+      faceNormal.set(0, 0, 0);
+      triangle.forEach(([, , , nx, ny, nz]) => faceNormal.add(origin.set(nx, ny, nz)));
+
+      if (faceNormal.normalize().dot(normal) >= FACING_OUT) {
+        addTriangle(triangle, COVER_SPLITS);
+      }
+    }
+    projected.dispose();
+
+    if (kept.length === 0) return null;
+
+    const lift = thickness * DECAL_LIFT;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(kept.flatMap(([x, y, z, nx, ny, nz]) => [
+      x + nx * lift,
+      y + ny * lift,
+      z + nz * lift
+    ]), 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(kept.flatMap(vertex => vertex.slice(3, 6)), 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(kept.flatMap(vertex => vertex.slice(6)), 2));
+    geometry.applyMatrix4(panel.matrixWorld.clone().invert());
+    return geometry;
+  }
+
+  // Keep the artwork with the quote request, or take it off
+  updateInquiry() {
+    const showcase = this.boxExperience.getComponent('businessShowcase');
+    if (!showcase) return;
+
+    if (!this.artwork) {
+      showcase.setInquiryAttachment('artwork', null);
+      return;
+    }
+
+    const { file, printed } = this.artwork;
+    const preview = document.createElement('canvas');
+    const fit = PREVIEW_SIZE / Math.max(printed.width, printed.height);
+    preview.width = Math.max(1, Math.round(printed.width * fit));
+    preview.height = Math.max(1, Math.round(printed.height * fit));
+    preview.getContext('2d').drawImage(printed, 0, 0, preview.width, preview.height);
+
+    showcase.setInquiryAttachment('artwork', {
+      label: 'Artwork',
+      description: this.describeArtwork(),
+      preview: preview.toDataURL('image/png'),
+      file,
+      details: this.getArtwork()
+    });
+  }
+
+  createPanel() {
+    const overlayRoot = this.boxExperience.overlayRoot;
+
+    this.toggleButton = document.createElement('button');
+    this.toggleButton.className = 'artwork-toggle';
+    this.toggleButton.textContent = 'Add artwork';
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+    overlayRoot.appendChild(this.toggleButton);
+    this.resources.element(this.toggleButton);
+
+    const faceOptions = Object.keys(BOX_FACES)
+      .map(face => `<option value="${face}">${face[0].toUpperCase()}${face.slice(1)}</option>`)
+      .join('');
+    const colorOptions = PRINT_COLORS
+      .map(colors => `<option value="${colors}">${describeColors(colors)}</option>`)
+      .join('');
+
+    this.panel = document.createElement('form');
+    this.panel.className = 'box-configurator artwork-panel';
+    this.panel.hidden = true;
+    this.panel.setAttribute('aria-label', 'Artwork');
+    this.panel.innerHTML = `
+      <h2>Print your artwork</h2>
+      <label>File <input type="file" name="file" accept="${Object.keys(FILE_TYPES).join(',')}"></label>
+      <p class="configurator-summary">PNG, JPG or SVG up to ${MAX_FILE_SIZE / 1024 / 1024} MB. It stays on your device until you send a quote request.</p>
+      <fieldset class="artwork-placement">
+        <label>Face <select name="face">${faceOptions}</select></label>
+        <label>Across <input type="range" name="x" min="${PLACEMENT_LIMITS.x[0]}" max="${PLACEMENT_LIMITS.x[1]}" step="0.01"></label>
+        <label>Up <input type="range" name="y" min="${PLACEMENT_LIMITS.y[0]}" max="${PLACEMENT_LIMITS.y[1]}" step="0.01"></label>
+        <label>Size <input type="range" name="scale" min="${PLACEMENT_LIMITS.scale[0]}" max="${PLACEMENT_LIMITS.scale[1]}" step="0.01"></label>
+        <label>Rotation <input type="range" name="rotation" min="${PLACEMENT_LIMITS.rotation[0]}" max="${PLACEMENT_LIMITS.rotation[1]}" step="1"></label>
+        <label>Print <select name="colors">${colorOptions}</select></label>
+        <ul class="artwork-inks" aria-label="Inks"></ul>
+      </fieldset>
+      <p class="configurator-summary artwork-summary" aria-live="polite"></p>
+      <p class="configurator-error" role="alert"></p>
+      <button type="button" class="configurator-reset artwork-remove">Remove artwork</button>
+    `;
+    overlayRoot.appendChild(this.panel);
+    this.resources.element(this.panel);
+
+    this.resources.listen(this.toggleButton, 'click', () => this.togglePanel());
+    this.resources.listen(this.panel, 'change', (event) => this.handleFile(event));
+    this.resources.listen(this.panel, 'input', (event) => this.handleInput(event));
+    this.resources.listen(this.panel, 'submit', (event) => event.preventDefault());
+    this.resources.listen(this.panel.querySelector('.artwork-remove'), 'click', () => {
+      this.panel.elements.file.value = '';
+      this.removeArtwork();
+    });
+  }
+
+  // Shares its corner with the configurator, so only one is open at a time
+  togglePanel(open = this.panel.hidden) {
+    this.panel.hidden = !open;
+    this.toggleButton.setAttribute('aria-expanded', String(open));
+
+    const configurator = this.boxExperience.getComponent('boxConfigurator');
+    if (open && configurator) {
+      configurator.togglePanel(false);
+    }
+  }
+
+  handleFile(event) {
+    if (event.target.name !== 'file' || event.target.files.length === 0) return;
+
+    const error = this.panel.querySelector('.configurator-error');
+    error.textContent = '';
+    this.setArtwork(event.target.files[0]).catch(loadError => {
+      error.textContent = loadError.message;
+    });
+  }
+
+  handleInput(event) {
+    const form = this.panel.elements;
+    if (event.target.name === 'file') return;
+
+    if (event.target.name === 'colors') {
+      this.setPrintColors(parseInt(form.colors.value, 10));
+      return;
+    }
+
+    this.setPlacement({
+      face: form.face.value,
+      x: parseFloat(form.x.value),
+      y: parseFloat(form.y.value),
+      scale: parseFloat(form.scale.value),
+      rotation: parseFloat(form.rotation.value)
+    });
+  }
+
+  // Show the placement and inks in the form
+  fillForm() {
+    const form = this.panel.elements;
+    ['face', 'x', 'y', 'scale', 'rotation'].forEach(key => {
+      form[key].value = this.placement[key];
+    });
+    form.colors.value = String(this.colors);
+
+    this.panel.querySelector('.artwork-placement').disabled = !this.artwork;
+    this.panel.querySelector('.artwork-remove').hidden = !this.artwork;
+
+    const inkList = this.panel.querySelector('.artwork-inks');
+    inkList.innerHTML = '';
+    (this.artwork ? this.artwork.inks : []).forEach(ink => {
+      const swatch = document.createElement('li');
+      swatch.style.backgroundColor = ink;
+      swatch.title = ink;
+      inkList.appendChild(swatch);
+    });
+
+    let summary = '';
+    if (this.artwork) {
+      summary = this.decals.length > 0
+        ? this.describeArtwork()
+        : `This box has nothing to print on at the ${this.placement.face}`;
+    }
+    this.panel.querySelector('.artwork-summary').textContent = summary;
+    this.panel.querySelector('.configurator-error').textContent = '';
+  }
+
+  setupEventListeners() {
+    // The decals went with the old box's panels
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.BOX_REBUILT, () => {
+      this.decals = [];
+      if (this.artwork) {
+        this.update();
+      }
+    }));
+
+    // Ink looks different on another board colour
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.BOX_SPEC_CHANGE, () => {
+      if (this.artwork && this.boxExperience.boxMaterial.color.getHex() !== this.printedColor) {
+        this.printArtwork();
+        this.updateInquiry();
+      }
+    }));
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.clearDecals();
+    this.resources.dispose();
+  }
+}
+
+export { ArtworkDecals, BOX_FACES, PRINT_COLORS };
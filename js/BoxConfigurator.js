@@ -0,0 +1,225 @@
+// Box configurator panel for the 3D box experience
+// Lets visitors describe the carton they need: box style, internal length
+// x width x height in millimetres or inches, flute profile, ply and board
+// colour.
+// Every valid change rebuilds the procedural box straight away, so the
+// open and enter animations play on the box as configured.
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import {
+  UNITS,
+  FLUTE_PROFILES,
+  PLY_OPTIONS,
+  DIMENSION_LIMITS,
+  createBoxSpec,
+  getConfiguredBoxSpec,
+  getBoxSpecErrors,
+  convertSpecUnit,
+  getBoardFlutes,
+  getBoardThickness,
+  getSceneBoxOptions,
+  fromMillimetres,
+  roundLength
+} from './BoxSpec.js';
+import { BOX_STYLES } from './BoxStyles.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+
+// Board colours suggested by the colour picker
+const BOARD_COLORS = ['#d2b48c', '#f4f1ea', '#8b5a2b', '#2b2b2b'];
+
+const WALL_NAMES = { 3: 'single wall', 5: 'double wall', 7: 'triple wall' };
+
+// Form controls for each dimension; a control named "length" would be hidden
+// behind form.elements.length, the number of controls
+const DIMENSION_FIELDS = { length: 'boxLength', width: 'boxWidth', height: 'boxHeight' };
+
+class BoxConfigurator {
+  constructor(boxExperience) {
+    this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
+    this.resources = new ResourceTracker();
+
+    // Matches the configured carton until the visitor changes something
+    this.initialSpec = getConfiguredBoxSpec(boxExperience.config);
+    this.spec = this.initialSpec;
+
+    this.createPanel();
+    this.fillForm();
+  }
+
+  // Apply spec changes (see BoxSpec.js); throws if the result is invalid
+  setSpec(changes) {
+    this.spec = createBoxSpec(changes, this.spec);
+
+    this.boxExperience.setBoxOptions({
+      ...getSceneBoxOptions(this.spec),
+      color: this.spec.color
+    });
+
+    this.fillForm();
+    this.events.emit(EXPERIENCE_EVENTS.BOX_SPEC_CHANGE, { spec: { ...this.spec } });
+  }
+
+  getSpec() {
+    return { ...this.spec };
+  }
+
+  // Back to the configured carton
+  reset() {
+    this.setSpec(this.initialSpec);
+  }
+
+  createPanel() {
+    const overlayRoot = this.boxExperience.overlayRoot;
+
+    this.toggleButton = document.createElement('button');
+    this.toggleButton.className = 'configurator-toggle';
+    this.toggleButton.textContent = 'Customize box';
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+    overlayRoot.appendChild(this.toggleButton);
+    this.resources.element(this.toggleButton);
+
+    const styleOptions = Object.entries(BOX_STYLES)
+      .map(([code, { name }]) => `<option value="${code}">${name} (FEFCO ${code})</option>`)
+      .join('');
+    const fluteOptions = Object.entries(FLUTE_PROFILES)
+      .map(([id, { label }]) => `<option value="${id}">${label}</option>`)
+      .join('');
+    const plyOptions = PLY_OPTIONS
+      .map(ply => `<option value="${ply}">${ply}-ply (${WALL_NAMES[ply]})</option>`)
+      .join('');
+    const unitOptions = UNITS
+      .map(unit => `<label><input type="radio" name="unit" value="${unit}"> ${unit}</label>`)
+      .join('');
+    const colorOptions = BOARD_COLORS.map(color => `<option value="${color}"></option>`).join('');
+
+    this.panel = document.createElement('form');
+    this.panel.className = 'box-configurator';
+    this.panel.hidden = true;
+    this.panel.setAttribute('aria-label', 'Box configurator');
+    this.panel.innerHTML = `
+      <h2>Customize your box</h2>
+      <label>Style <select name="style">${styleOptions}</select></label>
+      <fieldset>
+        <legend>Internal size</legend>
+        <label>Length <input type="number" name="boxLength" step="any" required></label>
+        <label>Width <input type="number" name="boxWidth" step="any" required></label>
+        <label>Height <input type="number" name="boxHeight" step="any" required></label>
+        <div class="configurator-units">${unitOptions}</div>
+      </fieldset>
+      <label>Flute <select name="flute">${fluteOptions}</select></label>
+      <label>Ply <select name="ply">${plyOptions}</select></label>
+      <label>Board colour <input type="color" name="color" list="configurator-colors"></label>
+      <datalist id="configurator-colors">${colorOptions}</datalist>
+      <p class="configurator-summary" aria-live="polite"></p>
+      <p class="configurator-error" role="alert"></p>
+      <button type="button" class="configurator-reset">Reset</button>
+    `;
+    overlayRoot.appendChild(this.panel);
+    this.resources.element(this.panel);
+
+    this.resources.listen(this.toggleButton, 'click', () => this.togglePanel());
+    this.resources.listen(this.panel, 'input', (event) => this.handleInput(event));
+    this.resources.listen(this.panel, 'submit', (event) => event.preventDefault());
+    this.resources.listen(this.panel.querySelector('.configurator-reset'), 'click', () => this.reset());
+  }
+
+  togglePanel(open = this.panel.hidden) {
+    this.panel.hidden = !open;
+    this.toggleButton.setAttribute('aria-expanded', String(open));
+
+    // The artwork panel opens in the same corner
+    const artworkDecals = this.boxExperience.getComponent('artworkDecals');
+    if (open && artworkDecals) {
+      artworkDecals.togglePanel(false);
+    }
+  }
+
+  // Rebuild the box on every valid edit; invalid values are flagged and
+  // left in the form until they are fixed
+  handleInput(event) {
+    const form = this.panel.elements;
+
+    if (event.target.name === 'unit') {
+      this.setSpec(convertSpecUnit(this.spec, form.unit.value));
+      return;
+    }
+
+    const changes = {
+      style: form.style.value,
+      length: parseFloat(form.boxLength.value),
+      width: parseFloat(form.boxWidth.value),
+      height: parseFloat(form.boxHeight.value),
+      flute: form.flute.value,
+      ply: parseInt(form.ply.value, 10),
+      color: form.color.value
+    };
+
+    // Double-wall flutes need more plies; step up rather than reject
+    const fluteCount = FLUTE_PROFILES[changes.flute].flutes.length;
+    if (changes.ply < fluteCount * 2 + 1) {
+      changes.ply = fluteCount * 2 + 1;
+    }
+
+    const errors = getBoxSpecErrors({ ...this.spec, ...changes });
+    Object.entries(DIMENSION_FIELDS).forEach(([key, field]) => {
+      form[field].setAttribute('aria-invalid', String(errors.some(error => error.startsWith(key))));
+    });
+
+    if (errors.length > 0) {
+      this.panel.querySelector('.configurator-error').textContent = errors.join('. ');
+      return;
+    }
+
+    this.setSpec(changes);
+  }
+
+  // Show the current spec in the form
+  fillForm() {
+    const form = this.panel.elements;
+    const { spec } = this;
+
+    // Keep a field the visitor is typing in as typed (the root node is the
+    // shadow root when embedded)
+    const focused = this.panel.getRootNode().activeElement;
+    Object.entries(DIMENSION_FIELDS).forEach(([key, field]) => {
+      const input = form[field];
+      if (focused !== input) {
+        input.value = spec[key];
+      }
+      input.min = roundLength(fromMillimetres(DIMENSION_LIMITS.min, spec.unit), spec.unit);
+      input.max = roundLength(fromMillimetres(DIMENSION_LIMITS.max, spec.unit), spec.unit);
+      input.removeAttribute('aria-invalid');
+    });
+
+    form.style.value = spec.style;
+    form.unit.value = spec.unit;
+    form.flute.value = spec.flute;
+    form.ply.value = String(spec.ply);
+    form.color.value = spec.color;
+
+    // Plies too few for the chosen flute are not offered
+    const minPly = FLUTE_PROFILES[spec.flute].flutes.length * 2 + 1;
+    [...form.ply.options].forEach(option => {
+      option.disabled = Number(option.value) < minPly;
+    });
+
+    this.panel.querySelector('.configurator-summary').textContent = this.describeSpec();
+    this.panel.querySelector('.configurator-error').textContent = '';
+  }
+
+  // e.g. "Mailer box, 400 × 300 × 200 mm, 5-ply BC board (7.8 mm)"
+  describeSpec() {
+    const { style, length, width, height, unit, ply } = this.spec;
+    const flutes = getBoardFlutes(this.spec).join('');
+    const thickness = getBoardThickness(this.spec).toFixed(1);
+
+    return `${BOX_STYLES[style].name}, ${length} × ${width} × ${height} ${unit}, ` +
+      `${ply}-ply ${flutes} board (${thickness} mm)`;
+  }
+
+  dispose() {
+    this.resources.dispose();
+  }
+}
+
+export { BoxConfigurator };
@@ -3,28 +3,80 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
-import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { SSAOPass } from 'three/examples/jsm/postprocessing/SSAOPass.js';
 import * as CANNON from 'cannon-es';
 import gsap from 'gsap';
+import { ExperienceStateMachine, EXPERIENCE_STATES } from './ExperienceStateMachine.js';
+import { ExperienceEventBus, EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { ResourceTracker, disposeObject3D } from './utils/ResourceTracker.js';
+import { createConfig } from './ExperienceConfig.js';
+import { PostProcessingPipeline, PASS_IDS } from './PostProcessingPipeline.js';
+import { QualityController } from './QualityController.js';
+import { isDebugFlagEnabled } from './utils/debugFlags.js';
+import { ProceduralBox } from './ProceduralBox.js';
+import { escapeHtml } from './utils/escapeHtml.js';
+
+// Renderer shadow map type for each quality tier's shadowMapType
+const SHADOW_MAP_TYPES = {
+  basic: THREE.BasicShadowMap,
+  pcf: THREE.PCFShadowMap,
+  pcfSoft: THREE.PCFSoftShadowMap
+};
 
 // Main class for the 3D box experience
 class BoxExperience {
-  constructor(canvas) {
+  constructor(canvas, options = {}) {
     // Setup
     this.canvas = canvas;
-    this.sizes = {
-      width: window.innerWidth,
-      height: window.innerHeight
-    };
+    
+    // Content, assets and tuning (see ExperienceConfig.js); components read
+    // it through experience.config
+    this.config = options.config || createConfig();
+    
+    // Hosting: by default the experience fills the window and adds its UI to
+    // document.body. An embedding element passes the container to size
+    // against, where overlays go, what receives keyboard input and where
+    // experience events are dispatched.
+    this.container = options.container || null;
+    this.overlayRoot = options.overlayRoot || document.body;
+    this.keyboardTarget = options.keyboardTarget || window;
+    
+    this.sizes = this.getViewportSize();
     this.clock = new THREE.Clock();
     this.previousTime = 0;
     this.currentSection = 'intro';
-    this.isBoxOpen = false;
-    this.isInsideBox = false;
-    this.interactionEnabled = true;
+    this.animationFrameId = null;
+    this.disposed = false;
+    
+    // Listeners, timers and DOM nodes released by dispose()
+    this.resources = new ResourceTracker();
+    
+    // Registered components, kept sorted by priority (highest first)
+    this.components = [];
+    
+    // Event bus shared by all experience components (logs events with ?dev)
+    this.events = new ExperienceEventBus({
+      target: options.eventTarget || document,
+      debug: isDebugFlagEnabled('dev')
+    });
+    
+    // Single authority on rendering quality; modules subscribe to its tier
+    // (options.quality may set initialTier, maxTier and adaptive tuning)
+    this.quality = new QualityController(this.events, options.quality);
+    
+    // Experience flow (intro → opening → open → entering → inside → ...)
+    this.stateMachine = new ExperienceStateMachine(EXPERIENCE_STATES.INTRO);
+    this.stateMachine.subscribe((change) => {
+      this.updateUI();
+      this.emitStateEvents(change);
+      
+      // Apply box changes that arrived during a transition
+      if (this.boxRebuildPending && !this.stateMachine.isTransitioning()) {
+        this.rebuildProceduralBox();
+      }
+    });
     
     // Initialize components
     this.initThree();
@@ -33,41 +85,319 @@ class BoxExperience {
     this.setupEnvironment();
     this.loadModels();
     this.setupPostProcessing();
+    this.setupQuality();
     this.setupEventListeners();
     this.setupUserInterface();
     
     // Start animation loop
-    this.animate();
+    this.start();
+  }
+  
+  // Register a component that takes part in the experience lifecycle.
+  // Components may implement any of these hooks:
+  //   init(experience)        - called once on registration
+  //   update(delta, elapsed)  - called every frame before rendering
+  //   resize(width, height)   - called when the viewport size changes
+  //   dispose()               - called when unregistered
+  // Components with a higher priority are updated first.
+  registerComponent(name, component, { priority = 0 } = {}) {
+    if (this.getComponent(name)) {
+      throw new Error(`Component "${name}" is already registered`);
+    }
+    
+    if (typeof component.init === 'function') {
+      component.init(this);
+    }
+    
+    this.components.push({ name, component, priority });
+    this.components.sort((a, b) => b.priority - a.priority);
+    
+    return component;
+  }
+  
+  // Remove a registered component and dispose it
+  unregisterComponent(name) {
+    const entry = this.components.find(entry => entry.name === name);
+    if (!entry) return false;
+    
+    this.components = this.components.filter(e => e !== entry);
+    
+    if (typeof entry.component.dispose === 'function') {
+      entry.component.dispose();
+    }
+    
+    return true;
+  }
+  
+  // Look up a registered component by name
+  getComponent(name) {
+    const entry = this.components.find(entry => entry.name === name);
+    return entry ? entry.component : null;
+  }
+  
+  // Call a lifecycle hook on every component that implements it
+  invokeComponents(hook, ...args) {
+    this.components.forEach(({ name, component }) => {
+      if (typeof component[hook] !== 'function') return;
+      
+      try {
+        component[hook](...args);
+      } catch (error) {
+        console.error(`Component "${name}" failed in ${hook}():`, error);
+      }
+    });
+  }
+  
+  // Start the animation loop (no-op if already running)
+  start() {
+    if (this.animationFrameId !== null) return;
+    
+    this.animationFrameId = window.requestAnimationFrame(this.animate.bind(this));
+  }
+  
+  // Stop the animation loop
+  stop() {
+    if (this.animationFrameId === null) return;
+    
+    window.cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+  }
+  
+  // Release every GPU resource, listener, timer and DOM node owned by the
+  // experience and its components. The instance cannot be restarted;
+  // create a new BoxExperience to mount again.
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+    
+    this.stop();
+    
+    // Components are torn down in reverse update order
+    [...this.components].reverse().forEach(({ name }) => {
+      try {
+        this.unregisterComponent(name);
+      } catch (error) {
+        console.error(`Component "${name}" failed in dispose():`, error);
+      }
+    });
+    
+    // Stop running animations before their targets go away
+    this.stateMachine.dispose();
+    gsap.killTweensOf([this.externalCamera.position, this.getBoxObject().position]);
+    if (this.particles) {
+      gsap.killTweensOf([this.particles.position, this.particles.material]);
+    }
+    
+    this.resources.dispose();
+    this.events.clear();
+    
+    this.controls.dispose();
+    this.postProcessing.dispose();
+    
+    // The procedural carton is detached once a model loads, so dispose it explicitly
+    this.proceduralBox.dispose();
+    this.boxMaterial.dispose();
+    Object.values(this.boxTextures).forEach(texture => texture.dispose());
+    if (this.scene.environment) {
+      this.scene.environment.dispose();
+    }
+    
+    [...this.scene.children].forEach(child => disposeObject3D(child));
+    this.directionalLight.shadow.dispose();
+    
+    // Physics
+    [...this.world.bodies].forEach(body => this.world.removeBody(body));
+    this.physicsBodies = [];
+    
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+  }
+  
+  // Current experience state
+  get state() {
+    return this.stateMachine.state;
+  }
+  
+  // Whether the box has been opened (including while entering / inside)
+  get isBoxOpen() {
+    return this.state !== EXPERIENCE_STATES.INTRO &&
+           this.state !== EXPERIENCE_STATES.OPENING;
+  }
+  
+  // Whether the camera has settled inside the box
+  get isInsideBox() {
+    return this.state === EXPERIENCE_STATES.INSIDE;
+  }
+  
+  // Input is ignored while a transition animation plays
+  get interactionEnabled() {
+    return !this.stateMachine.isTransitioning();
+  }
+  
+  // Actions that can be performed from the current state
+  getAllowedActions() {
+    return this.stateMachine.getAllowedActions();
+  }
+  
+  // Request an experience action ('open', 'enter', 'exit' or 'close')
+  dispatchAction(action, options) {
+    return this.stateMachine.dispatch(action, options);
+  }
+  
+  // Perform the default action for the current state (click / tap / Space)
+  performPrimaryAction(options) {
+    const action = this.stateMachine.getPrimaryAction();
+    return action ? this.dispatchAction(action, options) : false;
+  }
+  
+  // Translate state machine changes into experience events
+  emitStateEvents({ state, previousState, action }) {
+    this.events.emit(EXPERIENCE_EVENTS.STATE_CHANGE, { state, previousState, action });
+    
+    switch (state) {
+      case EXPERIENCE_STATES.OPEN:
+        if (previousState === EXPERIENCE_STATES.OPENING) {
+          this.events.emit(EXPERIENCE_EVENTS.BOX_OPENED, { state });
+        }
+        break;
+      case EXPERIENCE_STATES.CLOSING:
+        this.events.emit(EXPERIENCE_EVENTS.BOX_CLOSING, { state });
+        break;
+      case EXPERIENCE_STATES.INTRO:
+        if (previousState === EXPERIENCE_STATES.CLOSING) {
+          this.events.emit(EXPERIENCE_EVENTS.BOX_CLOSED, { state });
+        }
+        break;
+      case EXPERIENCE_STATES.INSIDE:
+        this.events.emit(EXPERIENCE_EVENTS.ENTER_BOX, { state, camera: this.activeCamera });
+        break;
+      case EXPERIENCE_STATES.EXITING:
+        this.events.emit(EXPERIENCE_EVENTS.EXIT_BOX, { state, camera: this.activeCamera });
+        break;
+    }
+  }
+  
+  // Switch the camera used for rendering and raycasting
+  setActiveCamera(camera) {
+    if (camera === this.activeCamera) return;
+    
+    const previousCamera = this.activeCamera;
+    this.activeCamera = camera;
+    this.postProcessing.setCamera(camera);
+    this.events.emit(EXPERIENCE_EVENTS.CAMERA_CHANGE, { camera, previousCamera });
+  }
+  
+  // Jump straight to a settled state ('intro', 'open' or 'inside') without
+  // playing the transition animations, e.g. to start an embed already open
+  restoreState(state) {
+    if (state === EXPERIENCE_STATES.INTRO) {
+      this.proceduralBox.setOpen(false);
+      this.stateMachine.restore(state);
+      return;
+    }
+    
+    // Box contents appear as if the opening animation had just finished
+    this.proceduralBox.setOpen(true);
+    this.interiorLight.visible = true;
+    this.stateMachine.restore(EXPERIENCE_STATES.OPEN);
+    this.events.emit(EXPERIENCE_EVENTS.BOX_OPENED, { state: EXPERIENCE_STATES.OPEN });
+    
+    if (state === EXPERIENCE_STATES.INSIDE) {
+      this.getInsidePosition(this.externalCamera.position);
+      this.setActiveCamera(this.internalCamera);
+      this.setupInsideBoxControls();
+      this.stateMachine.restore(state);
+    } else if (state !== EXPERIENCE_STATES.OPEN) {
+      throw new Error(`Cannot start in state: ${state}`);
+    }
+  }
+  
+  // Size of the area the experience renders into
+  getViewportSize() {
+    if (this.container) {
+      return {
+        width: Math.max(1, this.container.clientWidth),
+        height: Math.max(1, this.container.clientHeight)
+      };
+    }
+    
+    return {
+      width: window.innerWidth,
+      height: window.innerHeight
+    };
+  }
+  
+  // Resize cameras, renderer and components to a new viewport size
+  setSize(width, height) {
+    // Ignore collapsed containers (e.g. display: none)
+    if (width < 1 || height < 1) return;
+    
+    // Update sizes
+    this.sizes.width = width;
+    this.sizes.height = height;
+    
+    // Update cameras
+    this.externalCamera.aspect = this.sizes.width / this.sizes.height;
+    this.externalCamera.updateProjectionMatrix();
+    
+    this.internalCamera.aspect = this.sizes.width / this.sizes.height;
+    this.internalCamera.updateProjectionMatrix();
+    
+    // Update renderer and composer
+    this.renderer.setSize(this.sizes.width, this.sizes.height);
+    this.renderer.setPixelRatio(this.getPixelRatio());
+    
+    this.postProcessing.setSize(this.sizes.width, this.sizes.height);
+    
+    // Let components react to the new size
+    this.invokeComponents('resize', this.sizes.width, this.sizes.height);
+  }
+  
+  // Convert a pointer position to normalized device coordinates on the canvas
+  getPointerNDC(clientX, clientY, target = new THREE.Vector2()) {
+    const rect = this.canvas.getBoundingClientRect();
+    
+    target.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    target.y = - ((clientY - rect.top) / rect.height) * 2 + 1;
+    
+    return target;
+  }
+  
+  // Object used for box interaction (loaded model, or the procedural carton)
+  getBoxObject() {
+    return this.boxModel || this.boxPlaceholder;
   }
   
   // Initialize Three.js scene, camera, and renderer
   initThree() {
+    const { camera } = this.config;
+    
     // Scene
     this.scene = new THREE.Scene();
     
     // Camera
     this.camera = new THREE.PerspectiveCamera(
-      35, 
+      camera.fov, 
       this.sizes.width / this.sizes.height,
       0.1,
       100
     );
-    this.camera.position.set(0, 1, 5);
+    this.camera.position.fromArray(camera.position);
     this.scene.add(this.camera);
     
     // External camera for orbiting around the box
     this.externalCamera = new THREE.PerspectiveCamera(
-      35, 
+      camera.fov, 
       this.sizes.width / this.sizes.height,
       0.1,
       100
     );
-    this.externalCamera.position.set(0, 1, 5);
+    this.externalCamera.position.fromArray(camera.position);
     this.scene.add(this.externalCamera);
     
     // Internal camera for inside-box experience
     this.internalCamera = new THREE.PerspectiveCamera(
-      75, 
+      camera.insideFov, 
       this.sizes.width / this.sizes.height,
       0.01,
       10
@@ -85,19 +415,19 @@ class BoxExperience {
       alpha: true
     });
     this.renderer.setSize(this.sizes.width, this.sizes.height);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    this.renderer.setPixelRatio(this.getPixelRatio());
     this.renderer.outputEncoding = THREE.sRGBEncoding;
     this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
     this.renderer.toneMappingExposure = 1.2;
     this.renderer.shadowMap.enabled = true;
-    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    this.renderer.shadowMap.type = SHADOW_MAP_TYPES[this.quality.settings.shadowMapType];
     
     // Controls
     this.controls = new OrbitControls(this.externalCamera, this.canvas);
     this.controls.enableDamping = true;
     this.controls.dampingFactor = 0.05;
-    this.controls.minDistance = 2;
-    this.controls.maxDistance = 10;
+    this.controls.minDistance = camera.minDistance;
+    this.controls.maxDistance = camera.maxDistance;
     this.controls.maxPolarAngle = Math.PI / 2;
     this.controls.enabled = true;
   }
@@ -126,13 +456,15 @@ class BoxExperience {
   
   // Setup lighting for the scene
   setupLighting() {
+    const { ambient, key, rim, interior } = this.config.lights;
+    
     // Ambient light
-    this.ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
+    this.ambientLight = new THREE.AmbientLight(ambient.color, ambient.intensity);
     this.scene.add(this.ambientLight);
     
     // Main directional light (sun)
-    this.directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-    this.directionalLight.position.set(5, 5, 5);
+    this.directionalLight = new THREE.DirectionalLight(key.color, key.intensity);
+    this.directionalLight.position.fromArray(key.position);
     this.directionalLight.castShadow = true;
     this.directionalLight.shadow.mapSize.width = 2048;
     this.directionalLight.shadow.mapSize.height = 2048;
@@ -142,25 +474,38 @@ class BoxExperience {
     this.scene.add(this.directionalLight);
     
     // Rim light to highlight edges
-    this.rimLight = new THREE.DirectionalLight(0xffffeb, 0.7);
-    this.rimLight.position.set(-5, 3, -5);
+    this.rimLight = new THREE.DirectionalLight(rim.color, rim.intensity);
+    this.rimLight.position.fromArray(rim.position);
     this.scene.add(this.rimLight);
     
     // Interior point light (will be activated when box opens)
-    this.interiorLight = new THREE.PointLight(0xffffeb, 0.8, 3);
-    this.interiorLight.position.set(0, 0.5, 0);
+    this.interiorLight = new THREE.PointLight(interior.color, interior.intensity, interior.distance);
+    this.interiorLight.position.fromArray(interior.position);
     this.interiorLight.visible = false;
     this.scene.add(this.interiorLight);
   }
   
   // Setup environment and background
   setupEnvironment() {
-    // HDRI environment for realistic reflections
-    const rgbeLoader = new RGBELoader();
-    rgbeLoader.load('/assets/environment.hdr', (texture) => {
+    // Environment map for realistic reflections: HDRI, or an ordinary image
+    const url = this.config.assets.environmentMap;
+    const isHdr = /\.hdr$/i.test(url.split(/[?#]/)[0]);
+    const loader = isHdr ? new RGBELoader() : new THREE.TextureLoader();
+    loader.load(url, (texture) => {
+      // Experience was torn down while loading
+      if (this.disposed) {
+        texture.dispose();
+        return;
+      }
+      
+      if (!isHdr) {
+        texture.encoding = THREE.sRGBEncoding;
+      }
       texture.mapping = THREE.EquirectangularReflectionMapping;
       this.scene.environment = texture;
-      this.scene.background = new THREE.Color(0xf5f5f5);
+      this.scene.background = new THREE.Color(this.config.brand.background);
+    }, undefined, (error) => {
+      console.warn(`Failed to load the environment map ${url}:`, error);
     });
     
     // Ground plane
@@ -195,55 +540,116 @@ class BoxExperience {
     this.textureLoader = new THREE.TextureLoader(this.loadingManager);
     
     // Load corrugated box textures
+    const { boxTextures } = this.config.assets;
     this.boxTextures = {
-      color: this.textureLoader.load('/assets/textures/corrugated_color.jpg'),
-      normal: this.textureLoader.load('/assets/textures/corrugated_normal.jpg'),
-      roughness: this.textureLoader.load('/assets/textures/corrugated_roughness.jpg'),
-      ao: this.textureLoader.load('/assets/textures/corrugated_ao.jpg')
+      color: this.textureLoader.load(boxTextures.color),
+      normal: this.textureLoader.load(boxTextures.normal),
+      roughness: this.textureLoader.load(boxTextures.roughness),
+      ao: this.textureLoader.load(boxTextures.ao)
     };
     
-    // Apply texture settings
+    // Apply texture settings (the procedural box's UVs count texture tiles)
     Object.values(this.boxTextures).forEach(texture => {
       texture.wrapS = THREE.RepeatWrapping;
       texture.wrapT = THREE.RepeatWrapping;
-      texture.repeat.set(4, 4);
     });
     
-    // Create box parts (will be replaced with actual models)
+    // Build the procedural carton (replaced if a box model loads)
     this.createBoxPlaceholder();
+    this.setupBoxAnimations();
+    
+    // Load the box model, if one is configured
+    if (!this.config.assets.boxModel) return;
     
-    // Load actual box model
     this.gltfLoader.load(
-      '/models/corrugated_box.glb',
+      this.config.assets.boxModel,
       (gltf) => {
+        // Experience was torn down while loading
+        if (this.disposed) {
+          disposeObject3D(gltf.scene);
+          return;
+        }
+        
         this.boxModel = gltf.scene;
         this.setupBoxPhysics();
-        this.setupBoxAnimations();
         
         // Replace placeholder with actual model
         this.scene.remove(this.boxPlaceholder);
         this.scene.add(this.boxModel);
+      },
+      undefined,
+      (error) => {
+        console.warn('Box model failed to load, keeping the procedural carton:', error);
       }
     );
   }
   
-  // Create placeholder box until model loads
+  // Create the procedural carton in the configured style
   createBoxPlaceholder() {
-    // Create a simple box as placeholder
-    const boxGeometry = new THREE.BoxGeometry(1, 1, 1);
-    const boxMaterial = new THREE.MeshStandardMaterial({
+    const { color, ...boxOptions } = this.config.box;
+    
+    // Shared by every panel and kept across rebuilds
+    this.boxMaterial = new THREE.MeshStandardMaterial({
       map: this.boxTextures.color,
       normalMap: this.boxTextures.normal,
       roughnessMap: this.boxTextures.roughness,
       aoMap: this.boxTextures.ao,
-      color: 0xd2b48c
+      color: color || this.config.brand.primary
     });
     
-    this.boxPlaceholder = new THREE.Mesh(boxGeometry, boxMaterial);
-    this.boxPlaceholder.castShadow = true;
-    this.boxPlaceholder.receiveShadow = true;
+    this.boxOptions = boxOptions;
+    this.buildProceduralBox();
+  }
+  
+  buildProceduralBox() {
+    this.proceduralBox = new ProceduralBox({ material: this.boxMaterial, ...this.boxOptions });
+    this.proceduralBox.setOpen(this.isBoxOpen);
+    
+    this.boxPlaceholder = this.proceduralBox.group;
     this.boxPlaceholder.position.y = 0;
-    this.scene.add(this.boxPlaceholder);
+    
+    // Stays out of the scene once a model has replaced it
+    if (!this.boxModel) {
+      this.scene.add(this.boxPlaceholder);
+    }
+    
+    this.boxRebuildPending = false;
+  }
+  
+  // Rebuild the procedural carton with new options (style, dimensions,
+  // thickness, textureSize, flaps; see the box config) and/or recolour the
+  // board. Geometry changes wait for a running transition to finish.
+  setBoxOptions({ color, ...options }) {
+    if (color) {
+      this.boxMaterial.color.set(color);
+    }
+    
+    if (Object.keys(options).length === 0) return;
+    
+    this.boxOptions = { ...this.boxOptions, ...options };
+    this.boxRebuildPending = true;
+    
+    if (!this.stateMachine.isTransitioning()) {
+      this.rebuildProceduralBox();
+    }
+  }
+  
+  rebuildProceduralBox() {
+    this.proceduralBox.dispose();
+    this.buildProceduralBox();
+    this.events.emit(EXPERIENCE_EVENTS.BOX_REBUILT, { box: this.proceduralBox });
+  }
+  
+  // Where the camera settles when entering: the configured inside position,
+  // scaled to the procedural carton's size
+  getInsidePosition(target = new THREE.Vector3()) {
+    target.fromArray(this.config.camera.insidePosition);
+    
+    if (!this.boxModel) {
+      target.multiply(new THREE.Vector3().fromArray(this.boxOptions.dimensions));
+    }
+    
+    return target;
   }
   
   // Setup physics for the box model
@@ -264,64 +670,73 @@ class BoxExperience {
     // Box lid and flaps will be added when the actual model is processed
   }
   
-  // Setup animations for box opening
+  // Setup animations for box opening, played by the state machine
   setupBoxAnimations() {
-    // These will be set up when the actual model is loaded
+    const { timing, camera } = this.config;
+    
     this.boxAnimations = {
       open: () => {
-        if (this.isBoxOpen) return;
-        
         // Animation sequence for opening the box
-        const timeline = gsap.timeline();
-        
-        // Animate lid opening
-        timeline.to(this.boxModel.position, {
-          duration: 1.5,
-          ease: "power2.out",
+        const timeline = gsap.timeline({
           onStart: () => {
-            this.interactionEnabled = false;
             this.controls.enabled = false;
           },
           onComplete: () => {
-            this.isBoxOpen = true;
             this.interiorLight.visible = true;
-            this.interactionEnabled = true;
+            this.controls.enabled = true;
             
             // Create particles for box opening effect
             this.createOpeningParticles();
           }
         });
         
+        // Fold the flaps back (or lift the lid off)
+        timeline.add(this.createFlapAnimation('open', timing.open));
+        
+        return timeline;
+      },
+      
+      close: () => {
+        // Animation sequence for closing the box
+        const timeline = gsap.timeline({
+          onStart: () => {
+            this.controls.enabled = false;
+            this.interiorLight.visible = false;
+          },
+          onComplete: () => {
+            this.controls.enabled = true;
+          }
+        });
+        
+        // Fold the flaps shut (or put the lid back)
+        timeline.add(this.createFlapAnimation('close', timing.close));
+        
         return timeline;
       },
       
       enterBox: () => {
-        if (this.isInsideBox) return;
-        
         // Animation sequence for entering the box
         const timeline = gsap.timeline();
         
         // Transition camera to inside box
+        const inside = this.getInsidePosition();
         timeline.to(this.externalCamera.position, {
-          duration: 2,
-          x: 0,
-          y: 0.2,
-          z: 0,
+          duration: timing.enter,
+          x: inside.x,
+          y: inside.y,
+          z: inside.z,
           ease: "power2.inOut",
           onStart: () => {
-            this.interactionEnabled = false;
             this.controls.enabled = false;
           },
           onUpdate: () => {
             // Gradually switch to internal camera perspective
             const progress = timeline.progress();
             if (progress > 0.5 && this.activeCamera !== this.internalCamera) {
-              this.activeCamera = this.internalCamera;
+              this.setActiveCamera(this.internalCamera);
             }
           },
           onComplete: () => {
-            this.isInsideBox = true;
-            this.interactionEnabled = true;
             this.setupInsideBoxControls();
           }
         });
@@ -330,43 +745,53 @@ class BoxExperience {
       },
       
       exitBox: () => {
-        if (!this.isInsideBox) return;
-        
         // Animation sequence for exiting the box
         const timeline = gsap.timeline();
         
         // Transition camera out of box
+        const [outsideX, outsideY, outsideZ] = camera.position;
         timeline.to(this.externalCamera.position, {
-          duration: 2,
-          x: 0,
-          y: 1,
-          z: 5,
+          duration: timing.exit,
+          x: outsideX,
+          y: outsideY,
+          z: outsideZ,
           ease: "power2.inOut",
-          onStart: () => {
-            this.interactionEnabled = false;
-          },
           onUpdate: () => {
             // Gradually switch back to external camera
             const progress = timeline.progress();
             if (progress > 0.5 && this.activeCamera !== this.externalCamera) {
-              this.activeCamera = this.externalCamera;
+              this.setActiveCamera(this.externalCamera);
               this.controls.enabled = true;
             }
-          },
-          onComplete: () => {
-            this.isInsideBox = false;
-            this.interactionEnabled = true;
           }
         });
         
         return timeline;
       }
     };
+    
+    // The state machine owns when each animation may play
+    this.stateMachine.setAnimation('open', this.boxAnimations.open);
+    this.stateMachine.setAnimation('close', this.boxAnimations.close);
+    this.stateMachine.setAnimation('enter', this.boxAnimations.enterBox);
+    this.stateMachine.setAnimation('exit', this.boxAnimations.exitBox);
+  }
+  
+  // Flap folding for the open / close animations. A loaded model has no
+  // flaps, so it just takes the same time.
+  createFlapAnimation(action, duration) {
+    if (this.boxModel) {
+      return gsap.to({}, { duration });
+    }
+    
+    return action === 'open'
+      ? this.proceduralBox.createOpenTimeline(duration)
+      : this.proceduralBox.createCloseTimeline(duration);
   }
   
   // Create particle effect for box opening
   createOpeningParticles() {
-    const particlesCount = 100;
+    const particlesCount = Math.max(1, Math.round(100 * this.quality.settings.particleDensity));
     const positions = new Float32Array(particlesCount * 3);
     
     for (let i = 0; i < particlesCount; i++) {
@@ -379,26 +804,30 @@ class BoxExperience {
     particleGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
     
     const particleMaterial = new THREE.PointsMaterial({
-      color: 0xd2b48c,
+      color: this.config.brand.primary,
       size: 0.01,
       transparent: true,
       opacity: 0.8
     });
     
-    this.particles = new THREE.Points(particleGeometry, particleMaterial);
-    this.particles.position.y = 0.5;
-    this.scene.add(this.particles);
+    // A burst from an earlier opening may still be fading; it clears itself up
+    const particles = new THREE.Points(particleGeometry, particleMaterial);
+    particles.position.y = 0.5;
+    this.scene.add(particles);
+    this.particles = particles;
     
     // Animate particles floating up
-    gsap.to(this.particles.position, {
+    gsap.to(particles.position, {
       y: 2,
       duration: 4,
       ease: "power1.out",
       onComplete: () => {
-        this.scene.remove(this.particles);
-        this.particles.geometry.dispose();
-        this.particles.material.dispose();
-        this.particles = null;
+        this.scene.remove(particles);
+        particleGeometry.dispose();
+        particleMaterial.dispose();
+        if (this.particles === particles) {
+          this.particles = null;
+        }
       }
     });
     
@@ -424,94 +853,110 @@ class BoxExperience {
     this.internalCamera.rotation.set(0, 0, 0);
   }
   
-  // Setup post-processing effects
+  // Setup post-processing effects. Components add their own passes to
+  // this.postProcessing by ID instead of creating another composer.
   setupPostProcessing() {
-    this.composer = new EffectComposer(this.renderer);
+    this.postProcessing = new PostProcessingPipeline({
+      renderer: this.renderer,
+      scene: this.scene,
+      camera: this.activeCamera,
+      width: this.sizes.width,
+      height: this.sizes.height
+    });
     
     // Render pass
-    const renderPass = new RenderPass(this.scene, this.activeCamera);
-    this.composer.addPass(renderPass);
-    
-    // Bloom pass for glow effects
-    const bloomPass = new UnrealBloomPass(
-      new THREE.Vector2(this.sizes.width, this.sizes.height),
-      0.2,  // strength
-      0.2,  // radius
-      0.9   // threshold
-    );
-    this.composer.addPass(bloomPass);
+    this.postProcessing.register(PASS_IDS.RENDER, {
+      order: 0,
+      create: ({ scene, camera }) => new RenderPass(scene, camera),
+      setCamera: (pass, camera) => {
+        pass.camera = camera;
+      }
+    });
     
     // SSAO pass for depth
-    const ssaoPass = new SSAOPass(
-      this.scene,
-      this.activeCamera,
-      this.sizes.width,
-      this.sizes.height
-    );
-    ssaoPass.kernelRadius = 16;
-    ssaoPass.minDistance = 0.005;
-    ssaoPass.maxDistance = 0.1;
-    this.composer.addPass(ssaoPass);
+    this.postProcessing.register(PASS_IDS.SSAO, {
+      order: 100,
+      create: ({ scene, camera, width, height }) => new SSAOPass(scene, camera, width, height),
+      recreateOnCameraChange: true,
+      params: {
+        kernelRadius: 16,
+        minDistance: 0.005,
+        maxDistance: 0.1
+      }
+    });
+    
+    // Bloom pass for glow effects
+    this.postProcessing.register(PASS_IDS.BLOOM, {
+      order: 300,
+      create: ({ width, height }) => new UnrealBloomPass(new THREE.Vector2(width, height)),
+      params: {
+        strength: 0.2,
+        radius: 0.2,
+        threshold: 0.9
+      }
+    });
+  }
+  
+  // Apply the quality tier's pixel ratio, shadows and post-processing profile
+  // now and whenever the tier changes
+  setupQuality() {
+    this.resources.subscribe(this.quality.onChange((settings) => {
+      const pixelRatio = this.getPixelRatio();
+      this.renderer.setPixelRatio(pixelRatio);
+      this.postProcessing.setPixelRatio(pixelRatio);
+      
+      this.renderer.shadowMap.type = SHADOW_MAP_TYPES[settings.shadowMapType];
+      this.postProcessing.applyProfile(settings.postProcessing);
+    }));
+  }
+  
+  // Device pixel ratio capped by the current quality tier
+  getPixelRatio() {
+    return Math.min(window.devicePixelRatio, this.quality.settings.pixelRatio);
   }
   
   // Setup event listeners for user interaction
   setupEventListeners() {
-    // Resize handler
-    window.addEventListener('resize', () => {
-      // Update sizes
-      this.sizes.width = window.innerWidth;
-      this.sizes.height = window.innerHeight;
-      
-      // Update cameras
-      this.externalCamera.aspect = this.sizes.width / this.sizes.height;
-      this.externalCamera.updateProjectionMatrix();
-      
-      this.internalCamera.aspect = this.sizes.width / this.sizes.height;
-      this.internalCamera.updateProjectionMatrix();
-      
-      // Update renderer and composer
-      this.renderer.setSize(this.sizes.width, this.sizes.height);
-      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-      
-      this.composer.setSize(this.sizes.width, this.sizes.height);
-    });
+    // Resize handler: follow the host container when embedded, else the window
+    if (this.container) {
+      const resizeObserver = new ResizeObserver(([entry]) => {
+        this.setSize(Math.round(entry.contentRect.width), Math.round(entry.contentRect.height));
+      });
+      resizeObserver.observe(this.container);
+      this.resources.add(() => resizeObserver.disconnect());
+    } else {
+      this.resources.listen(window, 'resize', () => {
+        this.setSize(window.innerWidth, window.innerHeight);
+      });
+    }
     
     // Click handler for box interaction
-    this.canvas.addEventListener('click', (event) => {
+    this.resources.listen(this.canvas, 'click', (event) => {
       if (!this.interactionEnabled) return;
       
       // Raycasting for interactive elements
       const raycaster = new THREE.Raycaster();
-      const mouse = new THREE.Vector2();
-      
-      mouse.x = (event.clientX / this.sizes.width) * 2 - 1;
-      mouse.y = - (event.clientY / this.sizes.height) * 2 + 1;
+      const mouse = this.getPointerNDC(event.clientX, event.clientY);
       
       raycaster.setFromCamera(mouse, this.activeCamera);
       
       // Check for intersections with the box
-      const intersects = raycaster.intersectObject(this.boxModel, true);
+      const intersects = raycaster.intersectObject(this.getBoxObject(), true);
       
-      if (intersects.length > 0) {
-        if (!this.isBoxOpen) {
-          // Open the box
-          this.boxAnimations.open();
-        } else if (!this.isInsideBox) {
-          // Enter the box
-          this.boxAnimations.enterBox();
-        }
-      } else if (this.isInsideBox) {
+      if (intersects.length > 0 && !this.isInsideBox) {
+        // Open the box, or enter it once open
+        this.performPrimaryAction({ queue: false });
+      } else if (intersects.length === 0 && this.isInsideBox) {
         // Exit the box when clicking outside (only when inside)
-        this.boxAnimations.exitBox();
+        this.dispatchAction('exit', { queue: false });
       }
     });
     
     // Mouse move handler for inside-box look control
-    window.addEventListener('mousemove', (event) => {
+    this.resources.listen(window, 'mousemove', (event) => {
       if (!this.isInsideBox) return;
       
-      this.lookVector.x = (event.clientX / this.sizes.width) * 2 - 1;
-      this.lookVector.y = - (event.clientY / this.sizes.height) * 2 + 1;
+      this.getPointerNDC(event.clientX, event.clientY, this.lookVector);
       
       // Update internal camera rotation based on mouse position
       this.lookEuler.setFromQuaternion(this.internalCamera.quaternion);
@@ -526,32 +971,66 @@ class BoxExperience {
     });
     
     // Touch events for mobile
-    this.canvas.addEventListener('touchstart', (event) => {
+    this.resources.listen(this.canvas, 'touchstart', (event) => {
       // Handle touch interactions
     });
     
     // Keyboard controls
-    window.addEventListener('keydown', (event) => {
+    this.resources.listen(this.keyboardTarget, 'keydown', (event) => {
+      // Leave keys alone while typing in a form or pressing a button
+      // (composedPath sees through the shadow root when embedded)
+      const origin = event.composedPath()[0];
+      if (origin.closest && origin.closest('input, textarea, select, button, [contenteditable]')) return;
+      
       switch(event.code) {
         case 'Space':
-          if (!this.isBoxOpen) {
-            this.boxAnimations.open();
-          } else if (!this.isInsideBox) {
-            this.boxAnimations.enterBox();
-          } else {
-            this.boxAnimations.exitBox();
-          }
+          // Don't scroll the page when embedded
+          event.preventDefault();
+          this.performPrimaryAction({ queue: false });
+          break;
+          
+        case 'KeyC':
+          this.dispatchAction('close', { queue: false });
           break;
       }
     });
   }
   
+  // Hand the brand colours to the stylesheet as custom properties on the
+  // overlay root (see the :root block in main.css), with the darker shades
+  // of the primary colour used for hover states and text
+  applyBrandStyles() {
+    const { brand } = this.config;
+    const primary = new THREE.Color(brand.primary);
+    const shade = (saturation, lightness) => `#${primary.clone().offsetHSL(0, saturation, lightness).getHexString()}`;
+    const properties = {
+      '--brand-primary': brand.primary,
+      '--brand-primary-rgb': primary.toArray().map(value => Math.round(value * 255)).join(', '),
+      '--brand-primary-hover': shade(-0.07, -0.075),
+      '--brand-primary-text': shade(-0.09, -0.28),
+      '--brand-outline': brand.outline,
+      '--brand-background': brand.background,
+      '--brand-panel': brand.panel,
+      '--brand-text': brand.text,
+      '--brand-muted-text': brand.mutedText
+    };
+    
+    const style = this.overlayRoot.style;
+    Object.entries(properties).forEach(([name, value]) => {
+      style.setProperty(name, value);
+      this.resources.add(() => style.removeProperty(name));
+    });
+  }
+  
   // Setup user interface elements
   setupUserInterface() {
+    this.applyBrandStyles();
+    
     // Create UI container
     this.uiContainer = document.createElement('div');
     this.uiContainer.className = 'ui-container';
-    document.body.appendChild(this.uiContainer);
+    this.overlayRoot.appendChild(this.uiContainer);
+    this.resources.element(this.uiContainer);
     
     // Create instruction text
     this.instructionText = document.createElement('div');
@@ -562,13 +1041,14 @@ class BoxExperience {
     // Create company info panel (initially hidden)
     this.companyInfo = document.createElement('div');
     this.companyInfo.className = 'company-info hidden';
+    const { company } = this.config;
     this.companyInfo.innerHTML = `
-      <h1>JJ Enterprises</h1>
-      <h2>Everything Printing & Packaging</h2>
+      <h1>${escapeHtml(company.name)}</h1>
+      <h2>${escapeHtml(company.tagline)}</h2>
       <div class="contact">
-        <p>Phone: +91 9819256432</p>
-        <p>Email: info@thejjenterprise.com</p>
-        <p>Address: ITT Bhatti, Dindoshipada, Goregaon</p>
+        <p>Phone: ${escapeHtml(company.phone)}</p>
+        <p>Email: ${escapeHtml(company.email)}</p>
+        <p>Address: ${escapeHtml(company.address)}</p>
       </div>
     `;
     this.uiContainer.appendChild(this.companyInfo);
@@ -583,25 +1063,48 @@ class BoxExperience {
     `;
     this.uiContainer.appendChild(this.navButtons);
     
+    // Create close box button (shown while the box is open)
+    this.closeBoxButton = document.createElement('button');
+    this.closeBoxButton.className = 'close-box-button hidden';
+    this.closeBoxButton.textContent = 'Close box';
+    this.closeBoxButton.addEventListener('click', () => {
+      this.dispatchAction('close', { queue: false });
+    });
+    this.uiContainer.appendChild(this.closeBoxButton);
+    
     // Update UI based on experience state
     this.updateUI();
   }
   
   // Update UI based on current state
   updateUI() {
-    if (!this.isBoxOpen) {
-      this.instructionText.textContent = 'Click on the box to open it';
-      this.companyInfo.classList.add('hidden');
-      this.navButtons.classList.add('hidden');
-    } else if (!this.isInsideBox) {
-      this.instructionText.textContent = 'Click on the box to step inside';
-      this.companyInfo.classList.remove('hidden');
-      this.navButtons.classList.add('hidden');
-    } else {
-      this.instructionText.textContent = 'Look around inside the box. Click outside to exit.';
-      this.companyInfo.classList.add('hidden');
-      this.navButtons.classList.remove('hidden');
+    switch (this.state) {
+      case EXPERIENCE_STATES.INTRO:
+        this.instructionText.textContent = 'Click on the box to open it';
+        break;
+      case EXPERIENCE_STATES.OPENING:
+        this.instructionText.textContent = 'Opening the box...';
+        break;
+      case EXPERIENCE_STATES.OPEN:
+        this.instructionText.textContent = 'Click on the box to step inside';
+        break;
+      case EXPERIENCE_STATES.ENTERING:
+        this.instructionText.textContent = 'Stepping inside...';
+        break;
+      case EXPERIENCE_STATES.INSIDE:
+        this.instructionText.textContent = 'Look around inside the box. Click outside to exit.';
+        break;
+      case EXPERIENCE_STATES.EXITING:
+        this.instructionText.textContent = 'Stepping outside...';
+        break;
+      case EXPERIENCE_STATES.CLOSING:
+        this.instructionText.textContent = 'Closing the box...';
+        break;
     }
+    
+    this.companyInfo.classList.toggle('hidden', this.state !== EXPERIENCE_STATES.OPEN);
+    this.navButtons.classList.toggle('hidden', this.state !== EXPERIENCE_STATES.INSIDE);
+    this.closeBoxButton.classList.toggle('hidden', !this.getAllowedActions().includes('close'));
   }
   
   // Animation loop
@@ -620,7 +1123,7 @@ class BoxExperience {
     }
     
     // Animate box rotation in intro state
-    if (!this.isBoxOpen && this.boxPlaceholder) {
+    if (this.state === EXPERIENCE_STATES.INTRO && this.boxPlaceholder) {
       this.boxPlaceholder.rotation.y = Math.sin(elapsedTime * 0.5) * 0.1 + elapsedTime * 0.1;
     }
     
@@ -642,14 +1145,17 @@ class BoxExperience {
       this.controls.update();
     }
     
-    // Update UI
-    this.updateUI();
+    // Let the quality controller sample the frame rate
+    this.quality.update(deltaTime);
+    
+    // Update registered components
+    this.invokeComponents('update', deltaTime, elapsedTime);
     
     // Render
-    this.composer.render();
+    this.postProcessing.render(deltaTime);
     
     // Call animate again on the next frame
-    window.requestAnimationFrame(this.animate.bind(this));
+    this.animationFrameId = window.requestAnimationFrame(this.animate.bind(this));
   }
 }
 
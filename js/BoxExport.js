@@ -0,0 +1,294 @@
+// Box export for the 3D box experience
+// Sales reps can send customers the exact box they configured: as a GLB
+// with its geometry, materials and printed artwork, or as a PNG render on a
+// transparent background. Renders use their own renderer at the requested
+// size, so they do not depend on the screen's pixel ratio or on the
+// post-processing of the current quality tier.
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { getCurrentBoxSpec } from './BoxSpec.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+
+// Camera angles for renders: 'current' is the view on screen, the others
+// look at the box from a direction and frame it
+const RENDER_VIEWS = {
+  current: { label: 'Current view' },
+  threeQuarter: { label: 'Three-quarter', direction: [1, 0.75, 1.3] },
+  front: { label: 'Front', direction: [0, 0.2, 1] },
+  side: { label: 'Side', direction: [1, 0.2, 0] },
+  top: { label: 'Top', direction: [0, 1, 0.01] }
+};
+
+const RENDER_SIZES = [
+  { label: '1920 × 1080', width: 1920, height: 1080 },
+  { label: '2048 × 2048', width: 2048, height: 2048 },
+  { label: '3840 × 2160 (4K)', width: 3840, height: 2160 },
+  { label: '4096 × 4096', width: 4096, height: 4096 }
+];
+
+// Room around the box in framed views, as a share of its size
+const VIEW_MARGIN = 1.15;
+
+// Largest texture side written to the GLB
+const GLB_TEXTURE_SIZE = 2048;
+
+const FORMAT_TYPES = { glb: 'model/gltf-binary', png: 'image/png' };
+
+class BoxExport {
+  constructor(boxExperience) {
+    this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
+    this.resources = new ResourceTracker();
+
+    // Only one export runs at a time
+    this.busy = false;
+
+    this.createPanel();
+  }
+
+  // The box as it is on screen (open or closed, with its artwork), without
+  // its place in the scene, and what it is in userData (glTF extras)
+  getExportObject() {
+    const box = this.boxExperience.getBoxObject().clone();
+    box.position.set(0, 0, 0);
+    box.quaternion.identity();
+    box.scale.set(1, 1, 1);
+    box.visible = true;
+
+    const artworkDecals = this.boxExperience.getComponent('artworkDecals');
+    box.userData = {
+      spec: getCurrentBoxSpec(this.boxExperience),
+      artwork: artworkDecals ? artworkDecals.getArtwork() : null
+    };
+
+    return box;
+  }
+
+  // GLB of the box as a Blob
+  exportGLB() {
+    const exporter = new GLTFExporter();
+    return exporter.parseAsync(this.getExportObject(), {
+      binary: true,
+      onlyVisible: true,
+      maxTextureSize: GLB_TEXTURE_SIZE
+    }).then(glb => new Blob([glb], { type: FORMAT_TYPES.glb }));
+  }
+
+  // PNG Blob of the box alone on a transparent background, width x height
+  // pixels, from a view in RENDER_VIEWS; shadow keeps its shadow on the ground
+  renderPNG({ width = 2048, height = 2048, view = 'threeQuarter', shadow = false } = {}) {
+    if (!RENDER_VIEWS[view]) {
+      return Promise.reject(new Error(`Unknown view: ${view}`));
+    }
+
+    const { renderer: screenRenderer, scene } = this.boxExperience;
+    const canvas = document.createElement('canvas');
+    const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true, preserveDrawingBuffer: true });
+
+    // Within what this GPU can draw, keeping the proportions
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const fit = Math.min(1, maxSize / Math.max(width, height));
+    const size = { width: Math.round(width * fit), height: Math.round(height * fit) };
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(size.width, size.height, false);
+    renderer.setClearColor(0x000000, 0);
+    renderer.outputEncoding = screenRenderer.outputEncoding;
+    renderer.toneMapping = screenRenderer.toneMapping;
+    renderer.toneMappingExposure = screenRenderer.toneMappingExposure;
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+    const camera = this.getRenderCamera(view, size.width / size.height);
+
+    // Only the box, the lights and (for its shadow) the ground
+    const boxObject = this.boxExperience.getBoxObject();
+    const shown = child => child === boxObject || child.isLight || (shadow && child === this.boxExperience.ground);
+    const hidden = scene.children.filter(child => child.visible && !shown(child));
+    const boxVisible = boxObject.visible;
+    const { background } = scene;
+
+    hidden.forEach(child => { child.visible = false; });
+    boxObject.visible = true;
+    scene.background = null;
+
+    try {
+      renderer.render(scene, camera);
+    } finally {
+      hidden.forEach(child => { child.visible = true; });
+      boxObject.visible = boxVisible;
+      scene.background = background;
+    }
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        renderer.dispose();
+        renderer.forceContextLoss();
+
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('The render could not be saved as a PNG'));
+        }
+      }, FORMAT_TYPES.png);
+    });
+  }
+
+  // Camera for a render view at an aspect ratio
+  getRenderCamera(view, aspect) {
+    const source = this.boxExperience.activeCamera;
+    const camera = new THREE.PerspectiveCamera(source.fov, aspect, source.near, source.far);
+
+    if (view === 'current') {
+      source.updateMatrixWorld();
+      camera.position.setFromMatrixPosition(source.matrixWorld);
+      camera.quaternion.setFromRotationMatrix(source.matrixWorld);
+      camera.updateProjectionMatrix();
+      return camera;
+    }
+
+    // Far enough back for the box's bounding sphere to fit both ways
+    const bounds = new THREE.Box3().setFromObject(this.boxExperience.getBoxObject());
+    const sphere = bounds.getBoundingSphere(new THREE.Sphere());
+    const verticalHalf = THREE.MathUtils.degToRad(camera.fov) / 2;
+    const horizontalHalf = Math.atan(Math.tan(verticalHalf) * aspect);
+    const distance = sphere.radius * VIEW_MARGIN / Math.sin(Math.min(verticalHalf, horizontalHalf));
+
+    const direction = new THREE.Vector3().fromArray(RENDER_VIEWS[view].direction).normalize();
+    camera.position.copy(sphere.center).addScaledVector(direction, distance);
+    camera.near = Math.max(0.01, distance - sphere.radius * 2);
+    camera.far = distance + sphere.radius * 2;
+    camera.lookAt(sphere.center);
+    camera.updateProjectionMatrix();
+    return camera;
+  }
+
+  // Export and save a file: format 'glb', or 'png' with renderPNG options
+  download(format, options = {}) {
+    if (!FORMAT_TYPES[format]) {
+      return Promise.reject(new Error(`Unknown export format: ${format}`));
+    }
+    if (this.busy) {
+      return Promise.reject(new Error('An export is already running'));
+    }
+
+    this.setBusy(true);
+    this.setStatus(format === 'glb' ? 'Preparing GLB…' : 'Rendering…');
+
+    return Promise.resolve()
+      .then(() => format === 'glb' ? this.exportGLB() : this.renderPNG(options))
+      .then(blob => {
+        const fileName = this.getFileName(format, options);
+        this.saveFile(blob, fileName);
+        this.setStatus(`Saved ${fileName}`);
+        this.events.emit(EXPERIENCE_EVENTS.BOX_EXPORT, { format, blob, fileName });
+        return blob;
+      })
+      .catch(error => {
+        this.setStatus(error.message, true);
+        throw error;
+      })
+      .finally(() => this.setBusy(false));
+  }
+
+  // e.g. box-0201-400x300x200mm.glb or box-0201-400x300x200mm-front-2048x2048.png
+  getFileName(format, { width = 2048, height = 2048, view = 'threeQuarter' } = {}) {
+    const { style, length, width: boxWidth, height: boxHeight, unit } = getCurrentBoxSpec(this.boxExperience);
+    const name = `box-${style}-${length}x${boxWidth}x${boxHeight}${unit}`;
+    return format === 'png' ? `${name}-${view}-${width}x${height}.png` : `${name}.${format}`;
+  }
+
+  saveFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    this.resources.timeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  createPanel() {
+    const overlayRoot = this.boxExperience.overlayRoot;
+
+    this.toggleButton = document.createElement('button');
+    this.toggleButton.className = 'export-toggle';
+    this.toggleButton.textContent = 'Export box';
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+    overlayRoot.appendChild(this.toggleButton);
+    this.resources.element(this.toggleButton);
+
+    const viewOptions = Object.entries(RENDER_VIEWS)
+      .map(([id, { label }]) => `<option value="${id}">${label}</option>`)
+      .join('');
+    const sizeOptions = RENDER_SIZES
+      .map(({ label }, index) => `<option value="${index}">${label}</option>`)
+      .join('');
+
+    this.panel = document.createElement('form');
+    this.panel.className = 'box-configurator box-export';
+    this.panel.hidden = true;
+    this.panel.setAttribute('aria-label', 'Export box');
+    this.panel.innerHTML = `
+      <h2>Export your box</h2>
+      <fieldset>
+        <legend>3D model</legend>
+        <button type="button" class="configurator-reset" data-format="glb">Download GLB</button>
+      </fieldset>
+      <fieldset>
+        <legend>Image</legend>
+        <label>View <select name="view">${viewOptions}</select></label>
+        <label>Size <select name="size">${sizeOptions}</select></label>
+        <label>Ground shadow <input type="checkbox" name="shadow"></label>
+        <button type="button" class="configurator-reset" data-format="png">Download PNG</button>
+      </fieldset>
+      <p class="configurator-summary export-status" aria-live="polite"></p>
+    `;
+    this.panel.elements.view.value = 'threeQuarter';
+    overlayRoot.appendChild(this.panel);
+    this.resources.element(this.panel);
+
+    this.resources.listen(this.toggleButton, 'click', () => this.togglePanel());
+    this.resources.listen(this.panel, 'submit', (event) => event.preventDefault());
+    this.panel.querySelectorAll('[data-format]').forEach(button => {
+      this.resources.listen(button, 'click', () => this.handleExport(button.dataset.format));
+    });
+  }
+
+  togglePanel(open = this.panel.hidden) {
+    this.panel.hidden = !open;
+    this.toggleButton.setAttribute('aria-expanded', String(open));
+  }
+
+  handleExport(format) {
+    const form = this.panel.elements;
+    const { width, height } = RENDER_SIZES[Number(form.size.value)];
+
+    // Failures are shown in the panel
+    this.download(format, {
+      width,
+      height,
+      view: form.view.value,
+      shadow: form.shadow.checked
+    }).catch(() => {});
+  }
+
+  setBusy(busy) {
+    this.busy = busy;
+    this.panel.querySelectorAll('[data-format]').forEach(button => {
+      button.disabled = busy;
+    });
+  }
+
+  setStatus(message, isError = false) {
+    const status = this.panel.querySelector('.export-status');
+    status.textContent = message;
+    status.classList.toggle('configurator-error', isError);
+  }
+
+  dispose() {
+    this.resources.dispose();
+  }
+}
+
+export { BoxExport, RENDER_VIEWS, RENDER_SIZES };
@@ -0,0 +1,210 @@
+// Box specifications for the configurator
+// A spec describes a carton the way customers order one: its style (a FEFCO
+// code from BoxStyles.js), internal length x width x height in millimetres
+// or inches, the flute profile and ply of the board, and the board colour.
+// These helpers validate specs, convert units, work out the board make-up
+// and map a spec onto the procedural box in the scene.
+import { BOX_STYLES } from './BoxStyles.js';
+
+const MM_PER_INCH = 25.4;
+
+const UNITS = ['mm', 'in'];
+
+// Flute profiles: flute height and pitch in mm. BC is a double-wall board
+// made of a B and a C flute, so it needs at least 5 plies.
+const FLUTE_PROFILES = {
+  A: { label: 'A flute', flutes: ['A'], height: 4.8, pitch: 8.7 },
+  B: { label: 'B flute', flutes: ['B'], height: 3.0, pitch: 6.5 },
+  C: { label: 'C flute', flutes: ['C'], height: 4.0, pitch: 7.9 },
+  E: { label: 'E flute', flutes: ['E'], height: 1.5, pitch: 3.5 },
+  BC: { label: 'BC double wall', flutes: ['B', 'C'] }
+};
+
+// 3-ply is single wall (two liners, one flute), 5-ply double and 7-ply triple
+const PLY_OPTIONS = [3, 5, 7];
+
+const LINER_THICKNESS = 0.25;
+
+// Accepted internal dimensions, in mm
+const DIMENSION_LIMITS = { min: 20, max: 2000 };
+
+// Size of board one tile of the corrugated texture shows for C flute; other
+// flutes scale it by their pitch so the flutes keep their real spacing
+const TEXTURE_TILE_MM = 100;
+
+const DEFAULT_BOX_SPEC = {
+  style: '0201',
+  length: 400,
+  width: 400,
+  height: 400,
+  unit: 'mm',
+  flute: 'C',
+  ply: 3,
+  color: '#d2b48c'
+};
+
+// Round a length for display in a unit (whole mm, tenths of an inch)
+function roundLength(value, unit) {
+  return unit === 'in' ? Math.round(value * 10) / 10 : Math.round(value);
+}
+
+function toMillimetres(value, unit) {
+  return unit === 'in' ? value * MM_PER_INCH : value;
+}
+
+function fromMillimetres(value, unit) {
+  return unit === 'in' ? value / MM_PER_INCH : value;
+}
+
+// Internal dimensions of a spec in mm: { length, width, height }
+function getDimensionsMm(spec) {
+  return {
+    length: toMillimetres(spec.length, spec.unit),
+    width: toMillimetres(spec.width, spec.unit),
+    height: toMillimetres(spec.height, spec.unit)
+  };
+}
+
+// The same spec measured in another unit
+function convertSpecUnit(spec, unit) {
+  if (unit === spec.unit) return { ...spec };
+
+  const convert = value => roundLength(fromMillimetres(toMillimetres(value, spec.unit), unit), unit);
+  return {
+    ...spec,
+    unit,
+    length: convert(spec.length),
+    width: convert(spec.width),
+    height: convert(spec.height)
+  };
+}
+
+// Problems with a spec, as messages (empty when valid)
+function getBoxSpecErrors(spec) {
+  const errors = [];
+
+  if (!BOX_STYLES[spec.style]) {
+    errors.push(`Style must be one of ${Object.keys(BOX_STYLES).join(', ')}`);
+  }
+
+  if (!UNITS.includes(spec.unit)) {
+    errors.push(`Unit must be one of ${UNITS.join(', ')}`);
+  } else {
+    ['length', 'width', 'height'].forEach(key => {
+      const value = spec[key];
+      const mm = toMillimetres(value, spec.unit);
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${key} must be a number`);
+      } else if (mm < DIMENSION_LIMITS.min || mm > DIMENSION_LIMITS.max) {
+        errors.push(`${key} must be between ${DIMENSION_LIMITS.min} and ${DIMENSION_LIMITS.max} mm`);
+      }
+    });
+  }
+
+  const profile = FLUTE_PROFILES[spec.flute];
+  if (!profile) {
+    errors.push(`Flute must be one of ${Object.keys(FLUTE_PROFILES).join(', ')}`);
+  }
+
+  if (!PLY_OPTIONS.includes(spec.ply)) {
+    errors.push(`Ply must be one of ${PLY_OPTIONS.join(', ')}`);
+  } else if (profile && profile.flutes.length > getFluteCount(spec.ply)) {
+    errors.push(`${profile.label} board needs at least ${profile.flutes.length * 2 + 1} plies`);
+  }
+
+  if (typeof spec.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(spec.color)) {
+    errors.push('Colour must be a #rrggbb string');
+  }
+
+  return errors;
+}
+
+// Merge changes into a spec and check the result; throws listing every problem
+function createBoxSpec(changes = {}, base = DEFAULT_BOX_SPEC) {
+  const spec = { ...base, ...changes };
+  const errors = getBoxSpecErrors(spec);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid box spec:\n  ${errors.join('\n  ')}`);
+  }
+
+  return spec;
+}
+
+// The carton the config describes: its box style in the box colour (else the
+// brand colour), at the default size
+function getConfiguredBoxSpec(config) {
+  const { box, brand } = config;
+  return createBoxSpec({ style: box.style, color: box.color || brand.primary });
+}
+
+// Spec of the box on screen: the configurator's, or the configured carton
+function getCurrentBoxSpec(boxExperience) {
+  const configurator = boxExperience.getComponent('boxConfigurator');
+  return configurator ? configurator.getSpec() : getConfiguredBoxSpec(boxExperience.config);
+}
+
+// Number of fluted layers in a board of this many plies
+function getFluteCount(ply) {
+  return (ply - 1) / 2;
+}
+
+// Flutes of each fluted layer from outside in, e.g. ['B', 'C'] for 5-ply BC.
+// Boards with more layers than the profile repeat it (7-ply BC is B, C, B).
+function getBoardFlutes(spec) {
+  const { flutes } = FLUTE_PROFILES[spec.flute];
+  return Array.from({ length: getFluteCount(spec.ply) }, (_, index) => flutes[index % flutes.length]);
+}
+
+// Caliper of the board in mm: the flutes plus one liner more than there are flutes
+function getBoardThickness(spec) {
+  const flutes = getBoardFlutes(spec);
+  const fluteHeight = flutes.reduce((total, flute) => total + FLUTE_PROFILES[flute].height, 0);
+  return fluteHeight + (flutes.length + 1) * LINER_THICKNESS;
+}
+
+// Scene units per mm when the carton's largest side is sceneSize units
+function getSceneScale(spec, sceneSize = 1) {
+  const { length, width, height } = getDimensionsMm(spec);
+  return sceneSize / Math.max(length, width, height);
+}
+
+// Options for the procedural box: the carton in its style, scaled so its
+// largest side is sceneSize units, with the board and texture scaled to match
+function getSceneBoxOptions(spec, sceneSize = 1) {
+  const { length, width, height } = getDimensionsMm(spec);
+  const scale = getSceneScale(spec, sceneSize);
+
+  // Texture spacing follows the outermost flute
+  const [outerFlute] = getBoardFlutes(spec);
+  const tileMm = TEXTURE_TILE_MM * FLUTE_PROFILES[outerFlute].pitch / FLUTE_PROFILES.C.pitch;
+
+  return {
+    style: spec.style,
+    dimensions: [length * scale, height * scale, width * scale],
+    thickness: getBoardThickness(spec) * scale,
+    textureSize: tileMm * scale,
+    mmScale: scale
+  };
+}
+
+export {
+  UNITS,
+  FLUTE_PROFILES,
+  PLY_OPTIONS,
+  DIMENSION_LIMITS,
+  DEFAULT_BOX_SPEC,
+  createBoxSpec,
+  getConfiguredBoxSpec,
+  getCurrentBoxSpec,
+  getBoxSpecErrors,
+  convertSpecUnit,
+  getDimensionsMm,
+  toMillimetres,
+  fromMillimetres,
+  getBoardFlutes,
+  getBoardThickness,
+  getSceneScale,
+  getSceneBoxOptions,
+  roundLength
+};
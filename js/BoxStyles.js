@@ -0,0 +1,355 @@
+// Box style library, keyed by FEFCO code
+// Each style lays out the flat blank its carton is cut from: the panels,
+// the crease (score) line each one hangs from its parent by, how far it
+// folds to close the box and, for the panels that move, how far it folds
+// when the box is open. Dieline.js draws the blank from this and
+// ProceduralBox.js folds it up in 3D, so the 3D box, its opening and the
+// exported dieline always describe the same carton.
+//
+// Layouts are built for a size { length, width, height, thickness, mm } in
+// any unit: the internal dimensions, the board thickness and how many units
+// make a millimetre (for parts with a fixed size, like the glue flap).
+// Coordinates have x to the right and y up, seen from the printed side.
+//
+// A layout is { panels, pieces, chains }:
+// - panels are { id, role, points, parent, hinge, fold, open }, parents
+//   first. Points go counter-clockwise and the hinge is the crease shared
+//   with the parent, in the direction that keeps the panel on its left.
+//   fold is in degrees inwards from flat; open is { fold, step } on panels
+//   that move when the box opens, step being the order they move in.
+// - pieces are the separate blanks (a telescope box has two): the root
+//   panel and its pose in the closed box, centred on the origin, plus an
+//   open pose (with a step) for pieces that come off when the box opens.
+//   A pose turns the blank rotationX degrees about x and then moves it by
+//   position, so the root's blank coordinates map straight into the box.
+// - chains are the x and y positions between which the dieline's panel
+//   dimensions are measured, as lists of runs.
+
+const WALL_SIDES = ['front', 'back', 'left', 'right'];
+
+// How the top flaps of slotted cartons open; the stagger, ease and
+// overshoot apply to every style (see the box section of ExperienceConfig.js)
+const DEFAULT_FLAPS = {
+  order: ['front', 'back', 'left', 'right'],
+  openAngle: 200,
+  stagger: 0.2,
+  ease: 'power2.out',
+  overshoot: 12
+};
+
+// Glue flap width and how far its ends are cut back, and the gap between
+// the pieces of a multi-piece blank, in mm
+const GLUE_FLAP_WIDTH = 35;
+const GLUE_FLAP_INSET = 10;
+const PIECE_GAP = 20;
+
+// Fold angles in degrees. Panels that tuck inside another fold a little
+// past square so they don't show through it, and liners roll right over
+// onto their wall. Flaps that close over others stop short (see getOverFold).
+const SQUARE_FOLD = 90;
+const TUCK_FOLD = 92;
+const ROLL_FOLD = 180;
+
+// Mailer lid: tuck flap depth as a share of the wall height, and how far
+// past upright the open lid leans back
+const TUCK_DEPTH = 0.75;
+const LID_OPEN_FOLD = -15;
+
+// Telescope lid lifted off: how far up (in box heights) and back (in box
+// widths), and how far it tips back in degrees
+const LID_LIFT = 0.9;
+const LID_BACK = 0.45;
+const LID_TILT = 20;
+
+function rectangle(x0, y0, x1, y1) {
+  return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+}
+
+// Panel hanging from the crease from -> to, depth deep on its left, with
+// its free corners cut back by taper along the crease
+function flap(from, to, depth, taper = 0) {
+  const [x1, y1] = from;
+  const [x2, y2] = to;
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  const [dx, dy] = [(x2 - x1) / length, (y2 - y1) / length];
+  const [nx, ny] = [-dy * depth, dx * depth];
+
+  return [
+    from,
+    to,
+    [x2 + nx - dx * taper, y2 + ny - dy * taper],
+    [x1 + nx + dx * taper, y1 + ny + dy * taper]
+  ];
+}
+
+// Edge index of a polygon as [from, to]; rectangles go bottom, right, top,
+// left, and flaps start with their crease
+function edge(points, index) {
+  return [points[index], points[(index + 1) % points.length]];
+}
+
+function rootPanel(id, role, points) {
+  return { id, role, points, parent: null, hinge: null, fold: 0 };
+}
+
+function hingedPanel(id, role, parent, points, fold, open) {
+  return { id, role, points, parent, hinge: edge(points, 0), fold, ...(open && { open }) };
+}
+
+// Pose that turns a blank rotationX degrees about x and lands the blank
+// point [x, y] (on its printed face) on the box point [x, y, z]
+function placePiece(rotationX, [blankX, blankY], [x, y, z]) {
+  const angle = rotationX * Math.PI / 180;
+  return {
+    rotationX,
+    position: [x - blankX, y - blankY * Math.cos(angle), z - blankY * Math.sin(angle)]
+  };
+}
+
+// Fold that leaves a flap's free edge layers boards above the flaps under it
+function getOverFold(layers, thickness, depth) {
+  return SQUARE_FOLD - Math.asin(Math.min(1, layers * thickness / depth)) * 180 / Math.PI;
+}
+
+// Score-to-score panel sizes: the internal dimensions plus one board thickness
+function getPanelSizes({ length, width, height, thickness }) {
+  return { length: length + thickness, width: width + thickness, height: height + thickness };
+}
+
+// Slotted cartons: front, right, back and left walls in a row with a glue
+// flap on the end, and a flap above and below each wall. On a regular
+// slotted carton the flaps are half the shorter side deep so the major
+// (front and back) flaps meet in the middle; with full overlap they are the
+// whole shorter side and the major flap that closes last lies on top. The
+// top flaps open one after another in flaps.order.
+function buildSlottedCarton(size, flaps, fullOverlap) {
+  const { order, openAngle } = { ...DEFAULT_FLAPS, ...flaps };
+  if (order.length !== WALL_SIDES.length || !WALL_SIDES.every(side => order.includes(side))) {
+    throw new Error(`Flap order must list each of ${WALL_SIDES.join(', ')} once, got: ${order.join(', ')}`);
+  }
+
+  const { thickness } = size;
+  const { length, width, height } = getPanelSizes(size);
+  const glueWidth = GLUE_FLAP_WIDTH * size.mm;
+  const flapDepth = fullOverlap ? Math.min(length, width) : Math.min(length, width) / 2;
+  const bodyBottom = flapDepth;
+  const bodyTop = flapDepth + height;
+
+  // Major flaps close over the minor ones; with full overlap the one opened
+  // first is the last to close, so it lies over the other as well
+  const upperFlap = order.find(side => side === 'front' || side === 'back');
+  const getFlapFold = (side) => {
+    if (side === 'left' || side === 'right') return SQUARE_FOLD;
+    return getOverFold(fullOverlap && side === upperFlap ? 2 : 1, thickness, flapDepth);
+  };
+
+  const walls = [
+    { side: 'front', size: length },
+    { side: 'right', size: width },
+    { side: 'back', size: length },
+    { side: 'left', size: width }
+  ];
+
+  const panels = [];
+  let x = 0;
+  walls.forEach(({ side, size: wallSize }, index) => {
+    if (index === 0) {
+      panels.push(rootPanel(side, 'wall', rectangle(x, bodyBottom, x + wallSize, bodyTop)));
+    } else {
+      const points = flap([x, bodyTop], [x, bodyBottom], wallSize);
+      panels.push(hingedPanel(side, 'wall', walls[index - 1].side, points, SQUARE_FOLD));
+    }
+
+    const fold = getFlapFold(side);
+    panels.push(hingedPanel(
+      `${side}TopFlap`, 'topFlap', side,
+      flap([x, bodyTop], [x + wallSize, bodyTop], flapDepth),
+      fold,
+      { fold: SQUARE_FOLD - openAngle, step: order.indexOf(side) }
+    ));
+    panels.push(hingedPanel(
+      `${side}BottomFlap`, 'bottomFlap', side,
+      flap([x + wallSize, bodyBottom], [x, bodyBottom], flapDepth),
+      fold
+    ));
+
+    x += wallSize;
+  });
+
+  panels.push(hingedPanel(
+    'glue', 'glue', 'left',
+    flap([x, bodyTop], [x, bodyBottom], glueWidth, GLUE_FLAP_INSET * size.mm),
+    TUCK_FOLD
+  ));
+
+  return {
+    panels,
+    pieces: [{ root: 'front', closed: placePiece(0, [length / 2, bodyBottom + height / 2], [0, 0, width / 2]) }],
+    chains: {
+      x: [[0, length, length + width, length * 2 + width, (length + width) * 2, (length + width) * 2 + glueWidth]],
+      y: [[0, bodyBottom, bodyTop, bodyTop + flapDepth]]
+    }
+  };
+}
+
+// Die-cut tray: a base with a wall on each side, the front and back walls
+// carrying ears that fold in behind the side walls. With liners the side
+// walls are double, each liner rolling over the top of its wall. The base's
+// bottom-left corner is at [x, y]; ids after the first get the prefix.
+function buildTrayPanels({ prefix = '', root, x, y, length, width, height, thickness, liners }) {
+  const id = name => prefix ? `${prefix}${name[0].toUpperCase()}${name.slice(1)}` : name;
+  const [x0, x1, y0, y1] = [x, x + length, y, y + width];
+  const ear = Math.min(width, height) / 2;
+  const earTaper = ear / 4;
+
+  const panels = [
+    rootPanel(id(root), root, rectangle(x0, y0, x1, y1)),
+    hingedPanel(id('front'), 'wall', id(root), flap([x0, y1], [x1, y1], height), SQUARE_FOLD),
+    hingedPanel(id('back'), 'wall', id(root), flap([x1, y0], [x0, y0], height), SQUARE_FOLD),
+    hingedPanel(id('left'), 'wall', id(root), flap([x0, y0], [x0, y1], height), SQUARE_FOLD),
+    hingedPanel(id('right'), 'wall', id(root), flap([x1, y1], [x1, y0], height), SQUARE_FOLD),
+    hingedPanel(id('frontLeftEar'), 'ear', id('front'), flap([x0, y1], [x0, y1 + height], ear, earTaper), TUCK_FOLD),
+    hingedPanel(id('frontRightEar'), 'ear', id('front'), flap([x1, y1 + height], [x1, y1], ear, earTaper), TUCK_FOLD),
+    hingedPanel(id('backLeftEar'), 'ear', id('back'), flap([x0, y0 - height], [x0, y0], ear, earTaper), TUCK_FOLD),
+    hingedPanel(id('backRightEar'), 'ear', id('back'), flap([x1, y0], [x1, y0 - height], ear, earTaper), TUCK_FOLD)
+  ];
+
+  if (liners) {
+    const linerDepth = height - thickness;
+    panels.push(
+      hingedPanel(id('leftLiner'), 'liner', id('left'), flap([x0 - height, y0], [x0 - height, y1], linerDepth), ROLL_FOLD),
+      hingedPanel(id('rightLiner'), 'liner', id('right'), flap([x1 + height, y1], [x1 + height, y0], linerDepth), ROLL_FOLD)
+    );
+  }
+
+  return panels;
+}
+
+// Die-cut tray with double side walls, open at the top
+function buildTray(size) {
+  const { thickness } = size;
+  const { length, width, height } = getPanelSizes(size);
+  const baseX = height * 2 - thickness;
+  const baseY = height;
+
+  return {
+    panels: buildTrayPanels({ root: 'base', x: baseX, y: baseY, length, width, height, thickness, liners: true }),
+    pieces: [{ root: 'base', closed: placePiece(90, [baseX + length / 2, baseY + width / 2], [0, -height / 2, 0]) }],
+    chains: {
+      x: [[0, baseX - height, baseX, baseX + length, baseX + length + height, baseX * 2 + length]],
+      y: [[0, baseY, baseY + width, baseY * 2 + width]]
+    }
+  };
+}
+
+// Mailer: the double-walled tray with a lid hinged to the back wall. The
+// lid's tuck flap goes down inside the front wall and its dust flaps inside
+// the side walls. Opening swings the lid back and lets the tuck flap fall
+// open.
+function buildMailer(size) {
+  const { thickness } = size;
+  const { length, width, height } = getPanelSizes(size);
+  const tuckDepth = height * TUCK_DEPTH;
+  const dustDepth = height - thickness;
+  const dustTaper = Math.min(dustDepth, width) / 3;
+  const baseX = height * 2 - thickness;
+  const baseY = tuckDepth + width + height;
+  const [x0, x1] = [baseX, baseX + length];
+  const lidTop = baseY - height;
+
+  const panels = buildTrayPanels({ root: 'base', x: baseX, y: baseY, length, width, height, thickness, liners: true });
+  panels.push(
+    hingedPanel('lid', 'lid', 'back', flap([x1, lidTop], [x0, lidTop], width), SQUARE_FOLD, { fold: LID_OPEN_FOLD, step: 0 }),
+    hingedPanel('tuckFlap', 'tuckFlap', 'lid', flap([x1, tuckDepth], [x0, tuckDepth], tuckDepth, Math.min(tuckDepth, length) / 3), TUCK_FOLD, { fold: 0, step: 1 }),
+    hingedPanel('lidLeftFlap', 'dustFlap', 'lid', flap([x0, tuckDepth], [x0, lidTop], dustDepth, dustTaper), TUCK_FOLD),
+    hingedPanel('lidRightFlap', 'dustFlap', 'lid', flap([x1, lidTop], [x1, tuckDepth], dustDepth, dustTaper), TUCK_FOLD)
+  );
+
+  return {
+    panels,
+    pieces: [{ root: 'base', closed: placePiece(90, [baseX + length / 2, baseY + width / 2], [0, -height / 2, 0]) }],
+    chains: {
+      x: [[0, baseX - height, baseX, baseX + length, baseX + length + height, baseX * 2 + length]],
+      y: [[0, tuckDepth, lidTop, baseY, baseY + width, baseY + width + height]]
+    }
+  };
+}
+
+// Telescope box: a tray and a lid tray one board bigger all round that
+// slides down over it, the full height of the box. Opening lifts the lid
+// off and tips it back.
+function buildTelescope(size) {
+  const { thickness } = size;
+  const { length, width, height } = getPanelSizes(size);
+  const lidLength = length + thickness * 2;
+  const lidWidth = width + thickness * 2;
+  const lidX = length + height * 3 + PIECE_GAP * size.mm;
+  const centre = [lidX + lidLength / 2, height + lidWidth / 2];
+  const lidTop = height / 2 + thickness;
+
+  return {
+    panels: [
+      ...buildTrayPanels({ root: 'base', x: height, y: height, length, width, height, thickness, liners: false }),
+      ...buildTrayPanels({ prefix: 'lid', root: 'top', x: lidX, y: height, length: lidLength, width: lidWidth, height, thickness, liners: false })
+    ],
+    pieces: [
+      { root: 'base', closed: placePiece(90, [height + length / 2, height + width / 2], [0, -height / 2, 0]) },
+      {
+        root: 'lidTop',
+        closed: placePiece(-90, centre, [0, lidTop, 0]),
+        open: {
+          ...placePiece(-90 - LID_TILT, centre, [0, lidTop + height * LID_LIFT, -width * LID_BACK]),
+          step: 0
+        }
+      }
+    ],
+    chains: {
+      x: [
+        [0, height, height + length, height * 2 + length],
+        [lidX - height, lidX, lidX + lidLength, lidX + lidLength + height]
+      ],
+      y: [[0, height, height + width, height * 2 + width]]
+    }
+  };
+}
+
+// The styles on offer. build(size, flaps) returns the layout.
+const BOX_STYLES = {
+  '0201': {
+    name: 'Regular slotted carton',
+    build: (size, flaps) => buildSlottedCarton(size, flaps, false)
+  },
+  '0203': {
+    name: 'Full overlap slotted carton',
+    build: (size, flaps) => buildSlottedCarton(size, flaps, true)
+  },
+  '0301': {
+    name: 'Telescope box with lid',
+    build: buildTelescope
+  },
+  '0422': {
+    name: 'Die-cut tray',
+    build: buildTray
+  },
+  '0427': {
+    name: 'Mailer box',
+    build: buildMailer
+  }
+};
+
+function getBoxStyle(code) {
+  const style = BOX_STYLES[code];
+  if (!style) {
+    throw new Error(`Unknown box style: ${code} (available: ${Object.keys(BOX_STYLES).join(', ')})`);
+  }
+  return style;
+}
+
+// Layout of a style for a size (see the top of this file), with the
+// style's code and name
+function createBoxLayout(code, size, flaps = {}) {
+  const style = getBoxStyle(code);
+  return { code, name: style.name, ...style.build(size, flaps) };
+}
+
+export { BOX_STYLES, DEFAULT_FLAPS, getBoxStyle, createBoxLayout, edge };
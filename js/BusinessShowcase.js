@@ -2,45 +2,91 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import gsap from 'gsap';
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { getInquiryErrors, createInquiry } from './Inquiry.js';
+import { InquirySubmitter } from './InquirySubmitter.js';
+import {
+  DEFAULT_CATALOG,
+  createCatalog,
+  loadCatalog,
+  createCatalogSource,
+  createJsonCatalogSource,
+  getProductSlug,
+  getProductCategory,
+  getProductMaterial,
+  getProductSpecRows,
+  formatPriceBand
+} from './ProductCatalog.js';
+import { CARD_LAYOUTS, CARD_WIDTH, CARD_HEIGHT, getCardSlots, getPageCount } from './CardLayouts.js';
+import { SdfFont } from './SdfFont.js';
+import { SdfText } from './SdfText.js';
+import { ResourceTracker, disposeObject3D } from './utils/ResourceTracker.js';
+import { escapeHtml } from './utils/escapeHtml.js';
+
+// Turn from one angle to another the short way round, in radians
+function getShortestTurn(from, to) {
+  return THREE.MathUtils.euclideanModulo(to - from + Math.PI, Math.PI * 2) - Math.PI;
+}
 
 class BusinessShowcase {
   constructor(boxExperience) {
     this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
     this.scene = boxExperience.scene;
     this.camera = boxExperience.activeCamera;
     this.textureLoader = new THREE.TextureLoader();
     this.gltfLoader = new GLTFLoader();
+    this.resources = new ResourceTracker();
+    
+    this.config = boxExperience.config;
     
-    // Business information
+    // Business information; products come from the catalog once loaded
     this.businessInfo = {
-      name: "JJ Enterprises",
-      tagline: "Everything Printing & Packaging",
-      phone: "+91 9819256432",
-      email: "info@thejjenterprise.com",
-      address: "ITT Bhatti, Dindoshipada, Goregaon",
-      products: [
-        {
-          name: "Premium Corrugated Boxes",
-          description: "High-quality corrugated boxes for shipping and packaging",
-          image: "/assets/textures/product_corrugated.jpg"
-        },
-        {
-          name: "Kraft Paper Bags",
-          description: "Eco-friendly kraft paper bags for retail and gifts",
-          image: "/assets/textures/product_kraft.jpg"
-        },
-        {
-          name: "Custom Packaging Solutions",
-          description: "Tailored packaging designs for your specific needs",
-          image: "/assets/textures/product_custom.jpg"
-        }
-      ]
+      ...this.config.company,
+      products: []
+    };
+    
+    // Product catalog being shown (see ProductCatalog.js), and the number of
+    // the latest load so an older one finishing late is ignored
+    this.catalog = null;
+    this.catalogRequest = 0;
+    this.catalogLoading = false;
+    
+    // Slugs of the products whose cards are on show, or null for all of
+    // them (see showProducts)
+    this.shownSlugs = null;
+    
+    // Whether the cards have been animated in since they were built
+    this.cardsAppeared = false;
+    
+    // Layout the visitor picked (null for the one configured for the device
+    // class), the layout and page size the cards are arranged for, and the
+    // page on show (see CardLayouts.js)
+    this.cardLayoutChoice = null;
+    this.cardLayout = null;
+    this.cardPageSize = null;
+    this.cardPage = 0;
+    
+    // Sent along with the quote request, by id (see setInquiryAttachment)
+    this.inquiryAttachments = new Map();
+    
+    // Sends contact form inquiries (see InquirySubmitter.js)
+    this.inquirySubmitter = new InquirySubmitter(this.events, this.config);
+    
+    // Faces for the text on the cards and info panel (see SdfFont.js)
+    const family = this.config.brand.font;
+    this.fonts = {
+      regular: this.resources.track(new SdfFont({ family })),
+      bold: this.resources.track(new SdfFont({ family, weight: 'bold' })),
+      italic: this.resources.track(new SdfFont({ family, style: 'italic' }))
     };
     
     // Initialize components
     this.initProductShowcase();
+    this.loadConfiguredCatalog();
     this.createBusinessInfoPanel();
     this.setupProductInteractions();
+    this.createInquiryQueueStatus();
   }
   
   // Initialize product showcase inside the box
@@ -50,32 +96,112 @@ class BusinessShowcase {
     this.productShowcase.position.set(0, 0.1, 0);
     this.productShowcase.visible = false; // Initially hidden until box is opened
     this.scene.add(this.productShowcase);
+    this.resources.trackObject(this.productShowcase);
+    
+    // Cards sit on a carousel, which turns to bring one to the front
+    this.cardCarousel = new THREE.Group();
+    this.productShowcase.add(this.cardCarousel);
     
     // Create product cards
     this.productCards = [];
+    this.buildProductCards();
+    
+    // Show products when box is opened
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.BOX_OPENED, () => {
+      this.productShowcase.visible = true;
+      this.animateProductCards();
+    }));
+    
+    // Hide products when the box starts closing
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.BOX_CLOSING, () => {
+      this.releaseFocusedProduct();
+      this.productShowcase.visible = false;
+    }));
+    
+    // Hide products when inside box
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.ENTER_BOX, () => {
+      this.productShowcase.visible = false;
+    }));
+    
+    // Show products when exiting box
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.EXIT_BOX, () => {
+      this.productShowcase.visible = true;
+    }));
+  }
+  
+  // Create a card for every product and arrange them
+  buildProductCards() {
     this.businessInfo.products.forEach((product, index) => {
       const card = this.createProductCard(product, index);
       this.productCards.push(card);
-      this.productShowcase.add(card);
+      this.cardCarousel.add(card);
     });
     
-    // Position cards in a circular arrangement
+    // Position cards in the layout for this device
     this.arrangeProductCards();
+    this.cardsAppeared = false;
+  }
+  
+  // Show a checked catalog's products (see ProductCatalog.createCatalog)
+  // and rebuild their cards
+  setCatalog(catalog) {
+    this.releaseFocusedProduct();
+    this.hideProductDetails();
     
-    // Add event listener to show products when box is opened
-    document.addEventListener('boxOpened', () => {
-      this.productShowcase.visible = true;
+    this.productCards.forEach(card => disposeObject3D(card));
+    this.productCards = [];
+    
+    this.catalog = catalog;
+    this.businessInfo.products = catalog.products;
+    this.buildProductCards();
+    
+    // Cards start scaled down, so animate them in if already on show
+    if (this.productShowcase.visible) {
       this.animateProductCards();
-    });
+    }
     
-    // Add event listener to hide products when inside box
-    document.addEventListener('enterBox', () => {
-      this.productShowcase.visible = false;
-    });
+    this.events.emit(EXPERIENCE_EVENTS.CATALOG_LOAD, { catalog });
+  }
+  
+  // Load a catalog from a source (see ProductCatalog.js), or the URL of a
+  // catalog file, and show its products. Rejects if it cannot be loaded or
+  // is invalid, leaving the current products on show.
+  loadCatalog(source) {
+    const catalogSource = typeof source === 'string' ? createJsonCatalogSource(source) : source;
+    return this.showCatalog(loadCatalog(catalogSource));
+  }
+  
+  // Load the catalog named in the config, or show the built-in one if it
+  // cannot be loaded
+  loadConfiguredCatalog() {
+    const loading = Promise.resolve()
+      .then(() => loadCatalog(createCatalogSource(this.config.catalog)))
+      .catch(error => {
+        console.warn('Failed to load the product catalog, using the built-in one:', error);
+        return createCatalog(DEFAULT_CATALOG);
+      });
     
-    // Add event listener to show products when exiting box
-    document.addEventListener('exitBox', () => {
-      this.productShowcase.visible = true;
+    return this.showCatalog(loading);
+  }
+  
+  // Show a catalog once it has loaded, unless another load has started since
+  showCatalog(loading) {
+    const request = ++this.catalogRequest;
+    this.catalogLoading = true;
+    
+    return loading.then(catalog => {
+      if (request === this.catalogRequest) {
+        this.catalogLoading = false;
+        if (this.productShowcase.parent) {
+          this.setCatalog(catalog);
+        }
+      }
+      return catalog;
+    }, error => {
+      if (request === this.catalogRequest) {
+        this.catalogLoading = false;
+      }
+      throw error;
     });
   }
   
@@ -90,14 +216,15 @@ class BusinessShowcase {
     });
     
     // Create card geometry
-    const cardGeometry = new THREE.BoxGeometry(0.8, 0.5, 0.05);
+    const cardGeometry = new THREE.BoxGeometry(CARD_WIDTH, CARD_HEIGHT, 0.05);
+    const { brand } = this.config;
     const cardMaterial = [
-      new THREE.MeshStandardMaterial({ color: 0xd2b48c }), // right
-      new THREE.MeshStandardMaterial({ color: 0xd2b48c }), // left
-      new THREE.MeshStandardMaterial({ color: 0xd2b48c }), // top
-      new THREE.MeshStandardMaterial({ color: 0xd2b48c }), // bottom
+      new THREE.MeshStandardMaterial({ color: brand.primary }), // right
+      new THREE.MeshStandardMaterial({ color: brand.primary }), // left
+      new THREE.MeshStandardMaterial({ color: brand.primary }), // top
+      new THREE.MeshStandardMaterial({ color: brand.primary }), // bottom
       new THREE.MeshStandardMaterial({ map: texture }), // front
-      new THREE.MeshStandardMaterial({ color: 0xd2b48c }) // back
+      new THREE.MeshStandardMaterial({ color: brand.primary }) // back
     ];
     
     const cardMesh = new THREE.Mesh(cardGeometry, cardMaterial);
@@ -105,29 +232,30 @@ class BusinessShowcase {
     cardMesh.receiveShadow = true;
     card.add(cardMesh);
     
-    // Add product name text
-    this.createTextTexture(product.name, 0.7, 0.1, 0x333333, (textTexture) => {
-      const textGeometry = new THREE.PlaneGeometry(0.7, 0.1);
-      const textMaterial = new THREE.MeshBasicMaterial({
-        map: textTexture,
-        transparent: true
-      });
-      const textMesh = new THREE.Mesh(textGeometry, textMaterial);
-      textMesh.position.set(0, 0.2, 0.03);
-      card.add(textMesh);
+    // Add product name text, on one line
+    const locale = this.catalog ? this.catalog.locale : undefined;
+    const nameText = new SdfText(this.fonts.bold, {
+      text: product.name,
+      fontSize: 0.05,
+      width: 0.7,
+      maxLines: 1,
+      color: brand.text,
+      locale
     });
+    nameText.position.set(0, 0.2, 0.03);
+    card.add(nameText);
     
-    // Add product description text
-    this.createTextTexture(product.description, 0.7, 0.15, 0x666666, (textTexture) => {
-      const textGeometry = new THREE.PlaneGeometry(0.7, 0.15);
-      const textMaterial = new THREE.MeshBasicMaterial({
-        map: textTexture,
-        transparent: true
-      });
-      const textMesh = new THREE.Mesh(textGeometry, textMaterial);
-      textMesh.position.set(0, -0.15, 0.03);
-      card.add(textMesh);
+    // Add product description text, cut short after three lines
+    const descriptionText = new SdfText(this.fonts.regular, {
+      text: product.description,
+      fontSize: 0.04,
+      width: 0.7,
+      maxLines: 3,
+      color: brand.mutedText,
+      locale
     });
+    descriptionText.position.set(0, -0.15, 0.03);
+    card.add(descriptionText);
     
     // Store product info in the card object for interaction
     card.userData = {
@@ -140,103 +268,301 @@ class BusinessShowcase {
     return card;
   }
   
-  // Create a texture with text
-  createTextTexture(text, width, height, color, callback) {
-    // Create canvas
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.width = 512;
-    canvas.height = 512 * (height / width);
-    
-    // Set background transparent
-    context.fillStyle = 'rgba(0, 0, 0, 0)';
-    context.fillRect(0, 0, canvas.width, canvas.height);
+  // Whether a card is on show rather than filtered out
+  isCardShown(card) {
+    return !this.shownSlugs || this.shownSlugs.includes(getProductSlug(card.userData.product));
+  }
+  
+  // Cards on show, in catalog order
+  getShownCards() {
+    return this.productCards.filter(card => this.isCardShown(card));
+  }
+  
+  // 'desktop', 'tablet' or 'mobile' (see ResponsiveHandler.js)
+  getDeviceType() {
+    const responsiveHandler = this.boxExperience.getComponent('responsiveHandler');
+    if (responsiveHandler) return responsiveHandler.getDeviceType();
     
-    // Draw text
-    context.font = 'bold 36px Arial';
-    context.textAlign = 'center';
-    context.textBaseline = 'middle';
-    context.fillStyle = `#${color.toString(16).padStart(6, '0')}`;
-    
-    // Wrap text if needed
-    const words = text.split(' ');
-    let line = '';
-    let lines = [];
-    const maxWidth = canvas.width * 0.8;
-    const lineHeight = 40;
-    
-    for (let i = 0; i < words.length; i++) {
-      const testLine = line + words[i] + ' ';
-      const metrics = context.measureText(testLine);
-      const testWidth = metrics.width;
-      
-      if (testWidth > maxWidth && i > 0) {
-        lines.push(line);
-        line = words[i] + ' ';
-      } else {
-        line = testLine;
-      }
+    const { width } = this.boxExperience.getViewportSize();
+    if (width < 768) return 'mobile';
+    return width < 1024 ? 'tablet' : 'desktop';
+  }
+  
+  // Layout for the cards (see CardLayouts.js): the visitor's pick, or the
+  // one configured for the device class
+  getCardLayout() {
+    return this.cardLayoutChoice || this.config.cards.layout[this.getDeviceType()];
+  }
+  
+  // Most cards on show at once
+  getPageSize() {
+    return this.config.cards.pageSize[this.getDeviceType()];
+  }
+  
+  getPageCount() {
+    return getPageCount(this.getShownCards().length, this.getPageSize());
+  }
+  
+  // Cards on the page being shown
+  getPageCards() {
+    const pageSize = this.getPageSize();
+    return this.getShownCards().slice(this.cardPage * pageSize, (this.cardPage + 1) * pageSize);
+  }
+  
+  // Lay the cards out in another layout, or for null the one configured for
+  // the device class
+  setCardLayout(layout) {
+    if (layout !== null && !CARD_LAYOUTS[layout]) {
+      throw new Error(`Unknown card layout: ${layout}`);
     }
-    lines.push(line);
     
-    // Draw lines
-    const totalHeight = lines.length * lineHeight;
-    const startY = (canvas.height - totalHeight) / 2 + lineHeight / 2;
+    this.cardLayoutChoice = layout;
+    this.updateCardLayout();
+  }
+  
+  // Lay the cards out again if the layout or page size has changed, e.g.
+  // after resizing into another device class. The first card on show stays
+  // on show.
+  updateCardLayout() {
+    const pageSize = this.getPageSize();
+    if (this.getCardLayout() === this.cardLayout && pageSize === this.cardPageSize) return;
     
-    lines.forEach((line, index) => {
-      context.fillText(line, canvas.width / 2, startY + index * lineHeight);
-    });
+    this.cardPage = Math.floor((this.cardPage * this.cardPageSize) / pageSize);
+    this.rearrangeProductCards();
+  }
+  
+  // Show a page of cards, counting from 0
+  showCardPage(page) {
+    const target = Math.min(Math.max(page, 0), this.getPageCount() - 1);
+    if (target === this.cardPage) return;
     
-    // Create texture
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.needsUpdate = true;
+    this.cardPage = target;
+    this.rearrangeProductCards();
+  }
+  
+  // Show the page a card is on, if it is on show
+  showCardPageOf(card) {
+    const index = this.getShownCards().indexOf(card);
+    if (index !== -1) {
+      this.showCardPage(Math.floor(index / this.getPageSize()));
+    }
+  }
+  
+  // Keep a card's slot (see CardLayouts.js): its resting place, which
+  // hovering and floating move it from, and the turn bringing it to the front
+  setCardSlot(card, slot) {
+    card.userData.originalPosition.set(slot.x, slot.y, slot.z);
+    card.userData.originalRotation.set(0, slot.rotationY, 0);
+    card.userData.front = slot.front;
+  }
+  
+  // Take up the current layout and page size, keeping the page in range;
+  // returns the cards on the page with their slots
+  layOutPage() {
+    this.cardLayout = this.getCardLayout();
+    this.cardPageSize = this.getPageSize();
+    this.cardPage = Math.min(this.cardPage, this.getPageCount() - 1);
     
-    callback(texture);
+    const pageCards = this.getPageCards();
+    const slots = getCardSlots(this.cardLayout, pageCards.length);
+    pageCards.forEach((card, index) => this.setCardSlot(card, slots[index]));
+    return pageCards;
   }
   
-  // Arrange product cards in a circular pattern
+  // Arrange the page of cards in the current layout, hiding the rest
   arrangeProductCards() {
-    const radius = 1.2;
-    const totalCards = this.productCards.length;
+    const pageCards = this.layOutPage();
+    this.turnCarousel({ rotationY: 0, y: 0 });
     
-    this.productCards.forEach((card, index) => {
-      const angle = (index / totalCards) * Math.PI * 2;
-      const x = Math.sin(angle) * radius;
-      const z = Math.cos(angle) * radius;
-      
-      card.position.set(x, 0, z);
-      card.rotation.y = -angle + Math.PI;
-      
-      // Store original position and rotation for animations
-      card.userData.originalPosition.copy(card.position);
-      card.userData.originalRotation.copy(card.rotation);
+    this.productCards.forEach(card => {
+      card.visible = pageCards.includes(card);
       
       // Initially scale down
       card.scale.set(0.001, 0.001, 0.001);
     });
+    
+    pageCards.forEach(card => {
+      card.position.copy(card.userData.originalPosition);
+      card.rotation.copy(card.userData.originalRotation);
+    });
+    
+    this.emitCardsArrange();
   }
   
   // Animate product cards appearing
   animateProductCards() {
-    this.productCards.forEach((card, index) => {
+    const { cardAppear, cardStagger } = this.config.timing;
+    this.cardsAppeared = true;
+    
+    this.getPageCards().forEach((card, index) => {
       gsap.to(card.scale, {
         x: 1,
         y: 1,
         z: 1,
-        duration: 1,
-        delay: 0.2 * index,
+        duration: cardAppear,
+        delay: cardStagger * index,
         ease: "elastic.out(1, 0.5)"
       });
       
-      // Add floating animation
-      gsap.to(card.position, {
-        y: card.position.y + 0.1,
-        duration: 1.5,
-        delay: 0.2 * index + 1,
-        yoyo: true,
-        repeat: -1,
-        ease: "sine.inOut"
+      this.floatProductCard(card, cardStagger * index + cardAppear);
+    });
+  }
+  
+  // Bob a card gently up and down from its resting place
+  floatProductCard(card, delay) {
+    gsap.to(card.position, {
+      y: card.userData.originalPosition.y + 0.1,
+      duration: 1.5,
+      delay,
+      yoyo: true,
+      repeat: -1,
+      ease: "sine.inOut"
+    });
+  }
+  
+  // Show only the cards of these products (all of them for null), from the
+  // first page
+  showProducts(products) {
+    this.shownSlugs = products ? products.map(getProductSlug) : null;
+    this.cardPage = 0;
+    this.rearrangeProductCards();
+  }
+  
+  // Move the cards to match the filter, page and layout: cards leaving the
+  // page shrink away, the ones staying move to their new places and new
+  // ones grow in theirs
+  rearrangeProductCards() {
+    this.releaseFocusedProduct();
+    
+    const pageCards = this.layOutPage();
+    this.turnCarousel({ rotationY: 0, y: 0 });
+    
+    // Out of sight, or not yet animated in: just move them
+    if (!this.productShowcase.visible || !this.cardsAppeared) {
+      this.productCards.forEach(card => {
+        card.visible = pageCards.includes(card);
+        if (this.cardsAppeared) {
+          gsap.killTweensOf(card.scale);
+          card.scale.setScalar(card.visible ? 1 : 0.001);
+        }
+      });
+      pageCards.forEach(card => {
+        gsap.killTweensOf(card.position);
+        gsap.killTweensOf(card.rotation);
+        card.position.copy(card.userData.originalPosition);
+        card.rotation.copy(card.userData.originalRotation);
+        if (this.cardsAppeared) this.floatProductCard(card, 0);
       });
+      this.emitCardsArrange();
+      return;
+    }
+    
+    const { cardAppear, cardMove } = this.config.timing;
+    
+    this.productCards
+      .filter(card => card.visible && !pageCards.includes(card))
+      .forEach(card => {
+        gsap.killTweensOf(card.scale);
+        gsap.to(card.scale, {
+          x: 0.001,
+          y: 0.001,
+          z: 0.001,
+          duration: cardMove / 2,
+          ease: "back.in(2)",
+          onComplete: () => {
+            // Unless it was brought back in the meantime
+            if (!this.getPageCards().includes(card)) card.visible = false;
+          }
+        });
+      });
+    
+    pageCards.forEach(card => {
+      const { originalPosition, originalRotation } = card.userData;
+      const entering = !card.visible;
+      
+      gsap.killTweensOf(card.position);
+      gsap.killTweensOf(card.rotation);
+      gsap.killTweensOf(card.scale);
+      
+      if (entering) {
+        // Grow in place once the others have made room
+        card.visible = true;
+        card.position.copy(originalPosition);
+        card.rotation.copy(originalRotation);
+        gsap.to(card.scale, {
+          x: 1,
+          y: 1,
+          z: 1,
+          duration: cardAppear,
+          delay: cardMove / 2,
+          ease: "elastic.out(1, 0.5)"
+        });
+      } else {
+        gsap.to(card.position, {
+          x: originalPosition.x,
+          y: originalPosition.y,
+          z: originalPosition.z,
+          duration: cardMove,
+          ease: "power2.inOut"
+        });
+        gsap.to(card.rotation, {
+          y: card.rotation.y + getShortestTurn(card.rotation.y, originalRotation.y),
+          duration: cardMove,
+          ease: "power2.inOut"
+        });
+        gsap.to(card.scale, {
+          x: 1,
+          y: 1,
+          z: 1,
+          duration: cardMove / 2,
+          ease: "power2.out"
+        });
+      }
+      
+      this.floatProductCard(card, cardMove);
+    });
+    
+    this.emitCardsArrange();
+  }
+  
+  // Turn a carousel layout to bring a card round to face the front; cards
+  // in other layouts face it already
+  turnCardToFront(card) {
+    if (card.userData.front) {
+      this.turnCarousel(card.userData.front);
+    }
+  }
+  
+  // Turn and raise the carousel the cards sit on ({ rotationY, y })
+  turnCarousel({ rotationY, y }) {
+    const carousel = this.cardCarousel;
+    gsap.killTweensOf(carousel.rotation);
+    gsap.killTweensOf(carousel.position);
+    
+    if (!this.productShowcase.visible) {
+      carousel.rotation.y = rotationY;
+      carousel.position.y = y;
+      return;
+    }
+    
+    const { cardMove } = this.config.timing;
+    gsap.to(carousel.rotation, {
+      y: carousel.rotation.y + getShortestTurn(carousel.rotation.y, rotationY),
+      duration: cardMove,
+      ease: "power2.inOut"
+    });
+    gsap.to(carousel.position, {
+      y,
+      duration: cardMove,
+      ease: "power2.inOut"
+    });
+  }
+  
+  emitCardsArrange() {
+    this.events.emit(EXPERIENCE_EVENTS.CARDS_ARRANGE, {
+      layout: this.cardLayout,
+      page: this.cardPage,
+      pageCount: this.getPageCount()
     });
   }
   
@@ -244,6 +570,7 @@ class BusinessShowcase {
   createBusinessInfoPanel() {
     // Create a panel for business information
     const panelGeometry = new THREE.PlaneGeometry(1.5, 1);
+    const { brand, timing } = this.config;
     
     // Create canvas for the panel
     const canvas = document.createElement('canvas');
@@ -252,55 +579,22 @@ class BusinessShowcase {
     canvas.height = 682;
     
     // Fill background
-    context.fillStyle = '#ffffff';
+    context.fillStyle = brand.panel;
     context.fillRect(0, 0, canvas.width, canvas.height);
     
     // Add border
-    context.strokeStyle = '#d2b48c';
+    context.strokeStyle = brand.primary;
     context.lineWidth = 20;
     context.strokeRect(10, 10, canvas.width - 20, canvas.height - 20);
     
-    // Add company name
-    context.font = 'bold 72px Arial';
-    context.textAlign = 'center';
-    context.fillStyle = '#333333';
-    context.fillText(this.businessInfo.name, canvas.width / 2, 120);
-    
-    // Add tagline
-    context.font = '36px Arial';
-    context.fillStyle = '#666666';
-    context.fillText(this.businessInfo.tagline, canvas.width / 2, 180);
-    
     // Add separator line
     context.beginPath();
     context.moveTo(canvas.width * 0.2, 220);
     context.lineTo(canvas.width * 0.8, 220);
-    context.strokeStyle = '#d2b48c';
+    context.strokeStyle = brand.primary;
     context.lineWidth = 4;
     context.stroke();
     
-    // Add contact information
-    context.font = '32px Arial';
-    context.textAlign = 'left';
-    context.fillStyle = '#333333';
-    
-    // Phone
-    context.fillText(`Phone: ${this.businessInfo.phone}`, canvas.width * 0.2, 300);
-    
-    // Email
-    context.fillText(`Email: ${this.businessInfo.email}`, canvas.width * 0.2, 350);
-    
-    // Address
-    context.fillText(`Address: ${this.businessInfo.address}`, canvas.width * 0.2, 400);
-    
-    // Add call to action
-    context.font = 'italic 36px Arial';
-    context.textAlign = 'center';
-    context.fillStyle = '#d2b48c';
-    context.fillText('Explore our premium packaging solutions', canvas.width / 2, 500);
-    context.font = 'bold 32px Arial';
-    context.fillText('Click on products to learn more', canvas.width / 2, 550);
-    
     // Create texture from canvas
     const texture = new THREE.CanvasTexture(canvas);
     texture.needsUpdate = true;
@@ -316,30 +610,63 @@ class BusinessShowcase {
     this.infoPanel.rotation.x = -0.2;
     this.infoPanel.visible = false;
     
+    // Add the text just in front of the panel
+    const { name, tagline, phone, email, address } = this.businessInfo;
+    const panelText = [
+      // Company name and tagline
+      { font: 'bold', text: name, fontSize: 0.1, color: brand.text, y: 0.36 },
+      { font: 'regular', text: tagline, fontSize: 0.053, color: brand.mutedText, y: 0.255 },
+      // Contact information, left-aligned; a long address may take two lines
+      {
+        font: 'regular',
+        text: `Phone: ${phone}\nEmail: ${email}\nAddress: ${address}`,
+        fontSize: 0.047,
+        lineHeight: 1.55,
+        align: 'left',
+        anchorY: 'top',
+        width: 1.1,
+        maxLines: 4,
+        x: 0.1,
+        y: 0.11,
+        color: brand.text
+      },
+      // Call to action
+      { font: 'italic', text: 'Explore our premium packaging solutions', fontSize: 0.053, color: brand.primary, y: -0.215 },
+      { font: 'bold', text: 'Click on products to learn more', fontSize: 0.047, color: brand.primary, y: -0.29 }
+    ];
+    panelText.forEach(({ font, x = 0, y, ...options }) => {
+      const text = new SdfText(this.fonts[font], { width: 1.3, maxLines: 1, ...options });
+      text.position.set(x, y, 0.001);
+      // Drawn after the panel, which is also transparent
+      text.renderOrder = 1;
+      this.infoPanel.add(text);
+    });
+    
     // Add to scene
     this.scene.add(this.infoPanel);
+    this.resources.trackObject(this.infoPanel);
     
     // Show panel when inside box
-    document.addEventListener('enterBox', () => {
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.ENTER_BOX, () => {
       this.infoPanel.visible = true;
       
       // Animate panel appearing
       gsap.fromTo(this.infoPanel.scale, 
         { x: 0.001, y: 0.001, z: 0.001 },
-        { x: 1, y: 1, z: 1, duration: 1, ease: "back.out(1.7)" }
+        { x: 1, y: 1, z: 1, duration: timing.cardAppear, ease: "back.out(1.7)" }
       );
-    });
+    }));
     
     // Hide panel when exiting box
-    document.addEventListener('exitBox', () => {
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.EXIT_BOX, () => {
       gsap.to(this.infoPanel.scale, {
         x: 0.001, y: 0.001, z: 0.001,
-        duration: 0.5,
+        duration: timing.focus,
         onComplete: () => {
           this.infoPanel.visible = false;
         }
       });
-    });
+    }));
   }
   
   // Setup interactions with product cards
@@ -351,11 +678,14 @@ class BusinessShowcase {
     // Track currently focused product
     this.focusedProduct = null;
     
+    // Product whose details modal is showing, and whether the contact form is
+    this.detailsProduct = null;
+    this.contactFormOpen = false;
+    
     // Add mouse move listener
-    window.addEventListener('mousemove', (event) => {
+    this.resources.listen(window, 'mousemove', (event) => {
       // Calculate mouse position in normalized device coordinates
-      this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-      this.mouse.y = - (event.clientY / window.innerHeight) * 2 + 1;
+      this.boxExperience.getPointerNDC(event.clientX, event.clientY, this.mouse);
       
       // Only check interactions when products are visible
       if (!this.productShowcase.visible || this.boxExperience.isInsideBox) return;
@@ -364,7 +694,7 @@ class BusinessShowcase {
       this.raycaster.setFromCamera(this.mouse, this.boxExperience.activeCamera);
       
       // Check for intersections with product cards
-      const intersects = this.raycaster.intersectObjects(this.productCards, true);
+      const intersects = this.raycaster.intersectObjects(this.getPageCards(), true);
       
       if (intersects.length > 0) {
         // Find the parent card
@@ -390,20 +720,16 @@ class BusinessShowcase {
           this.focusedProduct = card;
           
           // Change cursor to pointer
-          document.body.style.cursor = 'pointer';
+          this.boxExperience.canvas.style.cursor = 'pointer';
         }
       } else if (this.focusedProduct) {
         // Unfocus product when mouse leaves
-        this.unfocusProduct(this.focusedProduct);
-        this.focusedProduct = null;
-        
-        // Reset cursor
-        document.body.style.cursor = 'auto';
+        this.releaseFocusedProduct();
       }
     });
     
     // Add click listener for product selection
-    window.addEventListener('click', (event) => {
+    this.resources.listen(window, 'click', (event) => {
       // Only check interactions when products are visible
       if (!this.productShowcase.visible || this.boxExperience.isInsideBox) return;
       
@@ -411,7 +737,7 @@ class BusinessShowcase {
       this.raycaster.setFromCamera(this.mouse, this.boxExperience.activeCamera);
       
       // Check for intersections with product cards
-      const intersects = this.raycaster.intersectObjects(this.productCards, true);
+      const intersects = this.raycaster.intersectObjects(this.getPageCards(), true);
       
       if (intersects.length > 0) {
         // Find the parent card
@@ -426,18 +752,83 @@ class BusinessShowcase {
           }
         }
         
-        if (card) {
+        if (!card) return;
+        
+        // Modifier-clicks pick cards to compare instead
+        const comparisonView = this.boxExperience.getComponent('comparisonView');
+        if (comparisonView && (event.shiftKey || event.ctrlKey || event.metaKey)) {
+          comparisonView.toggle(card.userData.product);
+        } else {
+          this.turnCardToFront(card);
           this.showProductDetails(card.userData.product);
         }
       }
     });
   }
   
-  // Focus a product card (hover effect)
+  // Find a showcased product by its slug
+  findProduct(slug) {
+    return this.businessInfo.products.find(product => getProductSlug(product) === slug) || null;
+  }
+  
+  // Focus a product card by slug, as if hovered (e.g. when restoring a URL),
+  // showing its page and turning it to the front. Returns the product, or
+  // null if no card matches.
+  focusProductBySlug(slug) {
+    const card = this.productCards.find(card => getProductSlug(card.userData.product) === slug);
+    if (!card) return null;
+    
+    if (this.isCardShown(card)) {
+      this.showCardPageOf(card);
+      this.turnCardToFront(card);
+    }
+    
+    if (this.focusedProduct !== card) {
+      this.releaseFocusedProduct();
+      this.focusedProduct = card;
+      
+      // Let a card that is still appearing finish before lifting it
+      const { cardAppear, cardStagger } = this.config.timing;
+      const index = Math.max(this.getPageCards().indexOf(card), 0);
+      const delay = gsap.isTweening(card.scale) ? cardAppear + cardStagger * index : 0;
+      this.resources.timeout(() => {
+        if (this.focusedProduct === card) {
+          this.focusProduct(card);
+        }
+      }, delay * 1000);
+    }
+    
+    return card.userData.product;
+  }
+  
+  // Unfocus the currently focused card, if any
+  releaseFocusedProduct() {
+    if (!this.focusedProduct) return;
+    
+    this.unfocusProduct(this.focusedProduct);
+    this.focusedProduct = null;
+    
+    // Reset cursor
+    this.boxExperience.canvas.style.cursor = 'auto';
+  }
+  
+  // Focus a product card (hover effect): it grows and comes forward, the
+  // way it faces, in every layout
   focusProduct(card) {
+    this.boxExperience.focusedObject = card;
+    this.events.emit(EXPERIENCE_EVENTS.PRODUCT_FOCUS, {
+      object: card,
+      product: card.userData.product,
+      position: card.getWorldPosition(new THREE.Vector3())
+    });
+    
+    const { originalPosition, originalRotation } = card.userData;
+    gsap.killTweensOf(card.position);
     gsap.to(card.position, {
-      y: card.userData.originalPosition.y + 0.2,
-      duration: 0.5,
+      x: originalPosition.x + Math.sin(originalRotation.y) * 0.2,
+      y: originalPosition.y + 0.05,
+      z: originalPosition.z + Math.cos(originalRotation.y) * 0.2,
+      duration: this.config.timing.focus,
       ease: "power2.out"
     });
     
@@ -445,24 +836,42 @@ class BusinessShowcase {
       x: 1.2,
       y: 1.2,
       z: 1.2,
-      duration: 0.5,
+      duration: this.config.timing.focus,
       ease: "power2.out"
     });
   }
   
   // Unfocus a product card
   unfocusProduct(card) {
+    if (this.boxExperience.focusedObject === card) {
+      this.boxExperience.focusedObject = null;
+    }
+    this.events.emit(EXPERIENCE_EVENTS.PRODUCT_UNFOCUS, {
+      object: card,
+      product: card.userData.product
+    });
+    
+    // Back to its place, then floating again
+    const { originalPosition } = card.userData;
+    gsap.killTweensOf(card.position);
     gsap.to(card.position, {
-      y: card.userData.originalPosition.y,
-      duration: 0.5,
-      ease: "power2.out"
+      x: originalPosition.x,
+      y: originalPosition.y,
+      z: originalPosition.z,
+      duration: this.config.timing.focus,
+      ease: "power2.out",
+      onComplete: () => {
+        if (this.focusedProduct !== card) {
+          this.floatProductCard(card, 0);
+        }
+      }
     });
     
     gsap.to(card.scale, {
       x: 1,
       y: 1,
       z: 1,
-      duration: 0.5,
+      duration: this.config.timing.focus,
       ease: "power2.out"
     });
   }
@@ -470,145 +879,452 @@ class BusinessShowcase {
   // Show detailed product information
   showProductDetails(product) {
     // Create or update product detail modal in DOM
-    let modal = document.getElementById('product-modal');
+    let modal = this.boxExperience.overlayRoot.querySelector('#product-modal');
     
     if (!modal) {
       modal = document.createElement('div');
       modal.id = 'product-modal';
       modal.className = 'product-modal';
-      document.body.appendChild(modal);
+      this.boxExperience.overlayRoot.appendChild(modal);
+      this.resources.element(modal);
     }
     
-    // Update modal content
+    // Update modal content from the catalog
+    const category = this.catalog ? getProductCategory(this.catalog, product) : null;
+    const material = this.catalog ? getProductMaterial(this.catalog, product) : null;
+    const kind = [category, material].filter(Boolean).map(item => item.name).join(' · ');
+    const specRows = getProductSpecRows(product);
+    const priceBand = this.catalog ? formatPriceBand(this.catalog, product) : null;
+    const [mainImage] = product.images;
+    const comparisonView = this.boxExperience.getComponent('comparisonView');
     modal.innerHTML = `
       <div class="modal-content">
         <span class="close-button">&times;</span>
-        <h2>${product.name}</h2>
-        <div class="product-image" style="background-image: url(${product.image})"></div>
-        <p>${product.description}</p>
+        ${kind ? `<p class="product-category">${escapeHtml(kind)}</p>` : ''}
+        <h2>${escapeHtml(product.name)}</h2>
+        <p class="product-sku">SKU ${escapeHtml(product.sku)}</p>
+        <div class="product-image" role="img" aria-label="${escapeHtml(mainImage.alt)}"></div>
+        ${product.images.length > 1 ? `
+          <div class="product-thumbnails">
+            ${product.images.map((image, index) => `
+              <button type="button" class="product-thumbnail${index === 0 ? ' active' : ''}" data-index="${index}"
+                aria-label="Show ${escapeHtml(image.alt)}"></button>
+            `).join('')}
+          </div>
+        ` : ''}
+        <p>${escapeHtml(product.description)}</p>
+        ${specRows.length > 0 ? `
+          <table class="product-specs">
+            <caption>Specifications</caption>
+            ${specRows.map(row => `<tr><th scope="row">${row.label}</th><td>${row.value}</td></tr>`).join('')}
+          </table>
+        ` : ''}
         <div class="product-features">
           <h3>Features:</h3>
           <ul>
-            <li>Premium quality materials</li>
-            <li>Customizable designs</li>
-            <li>Eco-friendly options available</li>
-            <li>Bulk ordering discounts</li>
+            ${product.features.map(feature => `<li>${escapeHtml(feature)}</li>`).join('')}
           </ul>
         </div>
+        ${product.useCases.length > 0 ? `<p class="product-use-cases">Use cases: ${product.useCases.map(escapeHtml).join(', ')}</p>` : ''}
+        <p class="product-moq">
+          Minimum order: ${product.moq.toLocaleString()} ${escapeHtml(product.unit)}
+          ${priceBand ? `<span class="product-price">${escapeHtml(priceBand)}</span>` : ''}
+        </p>
+        ${comparisonView ? '<button class="compare-button"></button>' : ''}
+        ${product.artwork && this.boxExperience.getComponent('artworkDecals') ? '<button class="artwork-button">Add Your Artwork</button>' : ''}
         <button class="inquiry-button">Request Quote</button>
       </div>
     `;
     
+    // Images are set here rather than in the markup, so any URL is safe
+    const productImage = modal.querySelector('.product-image');
+    const showImage = (element, image) => {
+      element.style.backgroundImage = `url(${JSON.stringify(image.src)})`;
+    };
+    showImage(productImage, mainImage);
+    
+    // Switch the large image to a thumbnail's
+    modal.querySelectorAll('.product-thumbnail').forEach(thumbnail => {
+      const image = product.images[Number(thumbnail.dataset.index)];
+      showImage(thumbnail, image);
+      thumbnail.addEventListener('click', () => {
+        showImage(productImage, image);
+        productImage.setAttribute('aria-label', image.alt);
+        modal.querySelectorAll('.product-thumbnail').forEach(other => {
+          other.classList.toggle('active', other === thumbnail);
+        });
+      });
+    });
+    
     // Show modal with animation
     modal.style.display = 'flex';
-    setTimeout(() => {
+    this.resources.timeout(() => {
       modal.classList.add('active');
     }, 10);
     
     // Add close button functionality
     const closeButton = modal.querySelector('.close-button');
     closeButton.addEventListener('click', () => {
-      modal.classList.remove('active');
-      setTimeout(() => {
-        modal.style.display = 'none';
-      }, 300);
+      this.hideProductDetails();
     });
     
-    // Add inquiry button functionality
+    // Add inquiry button functionality: price the box first where the
+    // estimator is available
     const inquiryButton = modal.querySelector('.inquiry-button');
     inquiryButton.addEventListener('click', () => {
-      this.showContactForm();
-      modal.classList.remove('active');
-      setTimeout(() => {
-        modal.style.display = 'none';
-      }, 300);
+      this.hideProductDetails();
+      const quoteEstimator = this.boxExperience.getComponent('quoteEstimator');
+      if (quoteEstimator) {
+        quoteEstimator.show(product);
+      } else {
+        this.showContactForm();
+      }
     });
+    
+    // Pick the product to compare with others
+    const compareButton = modal.querySelector('.compare-button');
+    if (compareButton) {
+      const showPicked = (picked) => {
+        compareButton.textContent = picked ? 'Remove from Comparison' : 'Add to Comparison';
+        compareButton.setAttribute('aria-pressed', String(picked));
+      };
+      showPicked(comparisonView.isSelected(product));
+      compareButton.addEventListener('click', () => {
+        showPicked(comparisonView.toggle(product));
+      });
+    }
+    
+    // Try the visitor's own artwork on the box
+    const artworkButton = modal.querySelector('.artwork-button');
+    if (artworkButton) {
+      artworkButton.addEventListener('click', () => {
+        this.hideProductDetails();
+        this.boxExperience.getComponent('artworkDecals').togglePanel(true);
+      });
+    }
+    
+    this.detailsProduct = product;
+    this.events.emit(EXPERIENCE_EVENTS.OVERLAY_OPEN, { overlay: 'product', product });
+  }
+  
+  // Hide the product detail modal, if showing
+  hideProductDetails() {
+    if (!this.detailsProduct) return;
+    
+    const modal = this.boxExperience.overlayRoot.querySelector('#product-modal');
+    this.hideOverlay(modal);
+    
+    const product = this.detailsProduct;
+    this.detailsProduct = null;
+    this.events.emit(EXPERIENCE_EVENTS.OVERLAY_CLOSE, { overlay: 'product', product });
   }
   
   // Show contact form
   showContactForm() {
     // Create or update contact form in DOM
-    let contactForm = document.getElementById('contact-form');
+    let contactForm = this.boxExperience.overlayRoot.querySelector('#contact-form');
     
     if (!contactForm) {
       contactForm = document.createElement('div');
       contactForm.id = 'contact-form';
       contactForm.className = 'contact-form';
-      document.body.appendChild(contactForm);
+      this.boxExperience.overlayRoot.appendChild(contactForm);
+      this.resources.element(contactForm);
     }
     
     // Update form content
     contactForm.innerHTML = `
       <div class="form-content">
         <span class="close-button">&times;</span>
-        <h2>Contact JJ Enterprises</h2>
+        <h2>Contact ${escapeHtml(this.businessInfo.name)}</h2>
         <p>Fill out the form below to request a quote or inquire about our products.</p>
-        <form>
+        <form novalidate>
           <div class="form-group">
             <label for="name">Name</label>
-            <input type="text" id="name" name="name" required>
+            <input type="text" id="name" name="name" autocomplete="name" required aria-describedby="name-error">
+            <p class="form-error" id="name-error"></p>
           </div>
           <div class="form-group">
             <label for="email">Email</label>
-            <input type="email" id="email" name="email" required>
+            <input type="email" id="email" name="email" autocomplete="email" required aria-describedby="email-error">
+            <p class="form-error" id="email-error"></p>
           </div>
           <div class="form-group">
             <label for="phone">Phone</label>
-            <input type="tel" id="phone" name="phone">
+            <input type="tel" id="phone" name="phone" autocomplete="tel" aria-describedby="phone-error">
+            <p class="form-error" id="phone-error"></p>
           </div>
           <div class="form-group">
             <label for="message">Message</label>
-            <textarea id="message" name="message" rows="4" required></textarea>
+            <textarea id="message" name="message" rows="4" required aria-describedby="message-error"></textarea>
+            <p class="form-error" id="message-error"></p>
           </div>
+          <div class="inquiry-attachments"></div>
+          <p class="form-status" role="status"></p>
           <button type="submit" class="submit-button">Send Inquiry</button>
+          <button type="button" class="email-button" hidden>Email It Instead</button>
         </form>
       </div>
     `;
     
     // Show form with animation
     contactForm.style.display = 'flex';
-    setTimeout(() => {
+    this.resources.timeout(() => {
       contactForm.classList.add('active');
     }, 10);
     
+    this.renderInquiryAttachments(contactForm);
+    
     // Add close button functionality
     const closeButton = contactForm.querySelector('.close-button');
     closeButton.addEventListener('click', () => {
-      contactForm.classList.remove('active');
-      setTimeout(() => {
-        contactForm.style.display = 'none';
-      }, 300);
+      this.hideContactForm();
     });
     
     // Add form submission handler
     const form = contactForm.querySelector('form');
+    let inquiry = null;
     form.addEventListener('submit', (event) => {
       event.preventDefault();
+      if (form.getAttribute('aria-busy') === 'true') return;
       
-      // Show success message
-      contactForm.innerHTML = `
-        <div class="form-content">
-          <h2>Thank You!</h2>
-          <p>Your inquiry has been submitted successfully. We will contact you shortly.</p>
-          <button class="close-button">Close</button>
-        </div>
-      `;
+      const fields = this.getInquiryFields(form);
+      if (!this.showInquiryErrors(form, getInquiryErrors(fields))) return;
       
-      // Add close button functionality
-      const closeButton = contactForm.querySelector('.close-button');
-      closeButton.addEventListener('click', () => {
-        contactForm.classList.remove('active');
-        setTimeout(() => {
-          contactForm.style.display = 'none';
-        }, 300);
-      });
+      // Sending again after a failure or an edit keeps the inquiry's id
+      inquiry = createInquiry(fields, this.getInquiryAttachments(), inquiry ? inquiry.id : undefined);
+      this.sendInquiry(contactForm, form, inquiry, () => this.inquirySubmitter.submit(inquiry));
+    });
+    
+    // Fields flagged as invalid are checked again as they are corrected
+    form.addEventListener('input', (event) => {
+      if (event.target.getAttribute('aria-invalid') !== 'true') return;
+      
+      const errors = getInquiryErrors(this.getInquiryFields(form));
+      this.showInquiryError(form, event.target.name, errors[event.target.name]);
+    });
+    
+    // Once sending has failed, the visitor's mail app can take the inquiry
+    form.querySelector('.email-button').addEventListener('click', () => {
+      if (!inquiry) return;
+      this.sendInquiry(contactForm, form, inquiry, () => this.inquirySubmitter.sendByEmail(inquiry));
     });
+    
+    this.contactFormOpen = true;
+    this.events.emit(EXPERIENCE_EVENTS.OVERLAY_OPEN, { overlay: 'contact', product: null });
+  }
+  
+  // Attach something to the quote request, such as the visitor's artwork
+  // (see ArtworkDecals.js): { label, description, preview, file, details },
+  // preview being an image URL. null takes it off again.
+  setInquiryAttachment(id, attachment) {
+    if (attachment) {
+      this.inquiryAttachments.set(id, attachment);
+    } else {
+      this.inquiryAttachments.delete(id);
+    }
+    
+    const contactForm = this.boxExperience.overlayRoot.querySelector('#contact-form');
+    if (this.contactFormOpen && contactForm) {
+      this.renderInquiryAttachments(contactForm);
+    }
+  }
+  
+  getInquiryAttachments() {
+    return [...this.inquiryAttachments].map(([id, attachment]) => ({ id, ...attachment }));
+  }
+  
+  getInquiryFields(form) {
+    const { name, email, phone, message } = form.elements;
+    return { name: name.value, email: email.value, phone: phone.value, message: message.value };
+  }
+  
+  // Flag the invalid contact fields and focus the first; returns whether
+  // all of them are valid
+  showInquiryErrors(form, errors) {
+    const fields = ['name', 'email', 'phone', 'message'];
+    fields.forEach(field => this.showInquiryError(form, field, errors[field]));
+    
+    const firstInvalid = fields.find(field => errors[field]);
+    if (firstInvalid) {
+      form.elements[firstInvalid].focus();
+    }
+    
+    return !firstInvalid;
+  }
+  
+  showInquiryError(form, field, message) {
+    form.elements[field].setAttribute('aria-invalid', String(Boolean(message)));
+    form.querySelector(`#${field}-error`).textContent = message || '';
+  }
+  
+  // Send an inquiry with send(), showing progress and failures in the form
+  // and thanking the visitor once it is on its way
+  sendInquiry(contactForm, form, inquiry, send) {
+    this.setInquiryStatus(form, 'sending', 'Sending your inquiry…');
+    
+    const unsubscribe = this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.INQUIRY_RETRY, ({ inquiry: retried, delay }) => {
+      if (retried.id === inquiry.id) {
+        this.setInquiryStatus(form, 'sending', `Could not send yet, trying again in ${delay} s…`);
+      }
+    }));
+    
+    send()
+      .then(receipt => {
+        // Unless the form was closed and opened afresh in the meantime
+        if (form.isConnected) {
+          this.showInquiryThanks(contactForm, receipt);
+        }
+      }, error => {
+        this.setInquiryStatus(form, 'error', `Sorry, your inquiry could not be sent: ${error.message}.`);
+      })
+      .finally(unsubscribe);
+  }
+  
+  // Show whether the form is 'sending', has failed ('error') or is 'idle'
+  setInquiryStatus(form, state, message = '') {
+    const busy = state === 'sending';
+    const submitButton = form.querySelector('.submit-button');
+    form.setAttribute('aria-busy', String(busy));
+    submitButton.disabled = busy;
+    submitButton.textContent = busy ? 'Sending…' : (state === 'error' ? 'Try Again' : 'Send Inquiry');
+    
+    const status = form.querySelector('.form-status');
+    status.textContent = message;
+    status.classList.toggle('form-status-error', state === 'error');
+    
+    form.querySelector('.email-button').hidden = state !== 'error' || !this.inquirySubmitter.canSendByEmail;
+  }
+  
+  // Replace the form with a thank-you note
+  showInquiryThanks(contactForm, receipt) {
+    let message = 'Your inquiry has been submitted successfully. We will contact you shortly.';
+    if (receipt.handedOff) {
+      message = 'Your email app should now open with your inquiry. Send it from there and we will contact you shortly.';
+    } else if (receipt.queued) {
+      message = 'Your inquiry is saved on this device and will be sent automatically when you are back online. ' +
+        'You can close this page in the meantime.';
+    }
+    
+    contactForm.innerHTML = `
+      <div class="form-content">
+        <h2>Thank You!</h2>
+        <p>${message}</p>
+        <button class="close-button">Close</button>
+      </div>
+    `;
+    
+    // Add close button functionality
+    const closeButton = contactForm.querySelector('.close-button');
+    closeButton.addEventListener('click', () => {
+      this.hideContactForm();
+    });
+  }
+  
+  // List the attachments in the contact form
+  renderInquiryAttachments(contactForm) {
+    const container = contactForm.querySelector('.inquiry-attachments');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    if (this.inquiryAttachments.size === 0) return;
+    
+    const heading = document.createElement('h3');
+    heading.textContent = 'Included with your request';
+    const list = document.createElement('ul');
+    
+    // File names come from the visitor, so no innerHTML here
+    this.inquiryAttachments.forEach(({ label, description, preview }) => {
+      const item = document.createElement('li');
+      if (preview) {
+        const image = document.createElement('img');
+        image.src = preview;
+        image.alt = '';
+        item.appendChild(image);
+      }
+      
+      const text = document.createElement('span');
+      const title = document.createElement('strong');
+      title.textContent = label;
+      text.append(title, ` ${description}`);
+      item.appendChild(text);
+      list.appendChild(item);
+    });
+    
+    container.append(heading, list);
+  }
+  
+  // Badge showing how many inquiries are queued until the visitor is
+  // back online
+  createInquiryQueueStatus() {
+    this.inquiryQueueStatus = document.createElement('p');
+    this.inquiryQueueStatus.className = 'inquiry-queue-status';
+    this.inquiryQueueStatus.setAttribute('role', 'status');
+    this.inquiryQueueStatus.hidden = true;
+    this.boxExperience.overlayRoot.appendChild(this.inquiryQueueStatus);
+    this.resources.element(this.inquiryQueueStatus);
+    
+    const update = () => this.updateInquiryQueueStatus();
+    [EXPERIENCE_EVENTS.INQUIRY_QUEUE, EXPERIENCE_EVENTS.INQUIRY_SENT, EXPERIENCE_EVENTS.INQUIRY_FAIL].forEach(type => {
+      this.resources.subscribe(this.events.on(type, update));
+    });
+    this.resources.listen(window, 'online', update);
+    this.resources.listen(window, 'offline', update);
+    update();
+  }
+  
+  updateInquiryQueueStatus() {
+    this.inquirySubmitter.getQueuedCount().then(count => {
+      const status = this.inquiryQueueStatus;
+      status.hidden = count === 0;
+      if (count === 0) return;
+      
+      const inquiries = count === 1 ? '1 inquiry' : `${count} inquiries`;
+      status.textContent = this.inquirySubmitter.isOffline
+        ? `${inquiries} queued, will send when online`
+        : `${inquiries} waiting to send`;
+    });
+  }
+  
+  // Hide the contact form, if showing
+  hideContactForm() {
+    if (!this.contactFormOpen) return;
+    
+    const contactForm = this.boxExperience.overlayRoot.querySelector('#contact-form');
+    this.hideOverlay(contactForm);
+    
+    this.contactFormOpen = false;
+    this.events.emit(EXPERIENCE_EVENTS.OVERLAY_CLOSE, { overlay: 'contact', product: null });
+  }
+  
+  // Fade out a modal overlay, then take it out of the layout
+  hideOverlay(overlay) {
+    overlay.classList.remove('active');
+    this.resources.timeout(() => {
+      // Unless it was shown again in the meantime
+      if (!overlay.classList.contains('active')) {
+        overlay.style.display = 'none';
+      }
+    }, 300);
+  }
+  
+  // Remove the showcase meshes, DOM overlays and listeners
+  dispose() {
+    if (this.focusedProduct) {
+      this.focusedProduct = null;
+      this.boxExperience.focusedObject = null;
+      this.boxExperience.canvas.style.cursor = 'auto';
+    }
+    
+    this.inquirySubmitter.dispose();
+    this.resources.dispose();
+    this.productCards = [];
   }
   
   // Update method called from main animation loop
-  update() {
+  update(delta, elapsed) {
     // Add any continuous updates here
   }
 }
 
-export { BusinessShowcase };
+export { BusinessShowcase, getProductSlug };
@@ -0,0 +1,335 @@
+// Guided camera tours for the 3D box experience
+// Plays authored tours (config.tours) by flying the external camera through
+// keyframes of position, look target and FOV, showing a narration caption
+// for each keyframe. Tours can be paused, skipped or ended, and any pointer
+// input on the experience, or a key that moves the camera or the box, hands
+// control straight back to the visitor.
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+
+// Experience actions a keyframe may trigger on arrival
+const TOUR_ACTIONS = ['open', 'close'];
+
+// Keys that end a tour: the ones that move the camera or change the box's
+// state, and Escape. Tab, modifiers and the like leave it playing so the
+// caption's buttons can be reached from the keyboard.
+const INTERRUPT_KEYS = [
+  'Space', 'KeyC', 'Escape',
+  'KeyW', 'KeyA', 'KeyS', 'KeyD',
+  'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'
+];
+
+class CameraDirector {
+  constructor(boxExperience) {
+    this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
+    this.camera = boxExperience.externalCamera;
+    this.controls = boxExperience.controls;
+    this.resources = new ResourceTracker();
+
+    // Tours by id, in config order (the first one is the default)
+    this.tours = new Map();
+    boxExperience.config.tours.forEach(tour => this.addTour(tour));
+
+    // Playback state
+    this.tour = null;
+    this.timeline = null;
+    this.keyframeIndex = -1;
+    this.lookTarget = new THREE.Vector3();
+    this.startFov = this.camera.fov;
+
+    this.createTourButton();
+    this.setupEventListeners();
+  }
+
+  // Add (or replace) a tour; see config.tours for the keyframe format
+  addTour(tour) {
+    if (!tour.keyframes || tour.keyframes.length === 0) {
+      throw new Error(`Tour "${tour.id}" has no keyframes`);
+    }
+
+    tour.keyframes.forEach(keyframe => {
+      if (keyframe.action && !TOUR_ACTIONS.includes(keyframe.action)) {
+        throw new Error(`Tour "${tour.id}" uses unknown action: ${keyframe.action}`);
+      }
+    });
+
+    this.tours.set(tour.id, tour);
+  }
+
+  getTours() {
+    return [...this.tours.values()];
+  }
+
+  get isPlaying() {
+    return this.timeline !== null;
+  }
+
+  get isPaused() {
+    return this.isPlaying && this.timeline.paused();
+  }
+
+  // Start a tour by id (the default tour if omitted). Tours start from
+  // outside the box, so this returns false while inside or mid-transition.
+  play(tourId = this.getTours()[0]?.id) {
+    const tour = this.tours.get(tourId);
+    if (!tour) {
+      throw new Error(`Unknown tour: ${tourId}`);
+    }
+
+    if (this.boxExperience.isInsideBox || !this.boxExperience.interactionEnabled) {
+      return false;
+    }
+
+    this.stop();
+
+    this.tour = tour;
+    this.keyframeIndex = -1;
+    this.completedActions = new Set();
+    this.lookTarget.copy(this.controls.target);
+    this.startFov = this.camera.fov;
+    this.controls.enabled = false;
+
+    this.timeline = this.buildTimeline(tour);
+    this.createCaption();
+    this.tourButton.classList.add('hidden');
+
+    this.events.emit(EXPERIENCE_EVENTS.TOUR_START, { tour });
+    this.timeline.play();
+
+    return true;
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+
+    this.timeline.pause();
+    this.updateCaptionControls();
+  }
+
+  resume() {
+    if (!this.isPlaying) return;
+
+    this.timeline.resume();
+    this.updateCaptionControls();
+  }
+
+  togglePause() {
+    if (this.isPaused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  // Jump to the next keyframe, or end the tour from the last one
+  skip() {
+    if (!this.isPlaying) return;
+
+    const index = this.keyframeIndex;
+    const next = index + 1;
+
+    // Seeking skips callbacks, so run the action of the keyframe being skipped
+    this.runAction(index);
+
+    if (next >= this.tour.keyframes.length) {
+      this.stop({ completed: true });
+      return;
+    }
+
+    this.timeline.seek(`keyframe-${next}`, true);
+    this.showKeyframe(next);
+  }
+
+  // End the tour and give the camera back to the visitor where it is
+  stop({ completed = false } = {}) {
+    if (!this.isPlaying) return;
+
+    const tour = this.tour;
+    this.timeline.kill();
+    this.timeline = null;
+    this.tour = null;
+    this.keyframeIndex = -1;
+
+    // Orbit around whatever the tour was looking at, so the view doesn't jump
+    this.controls.target.copy(this.lookTarget);
+    this.controls.enabled = !this.boxExperience.isInsideBox;
+    this.controls.update();
+
+    gsap.to(this.camera, {
+      fov: this.startFov,
+      duration: 0.5,
+      ease: "power2.out",
+      onUpdate: () => this.camera.updateProjectionMatrix()
+    });
+
+    if (this.caption) {
+      this.caption.remove();
+      this.caption = null;
+    }
+    this.tourButton.classList.remove('hidden');
+
+    this.events.emit(EXPERIENCE_EVENTS.TOUR_END, { tour, completed });
+  }
+
+  // One label per keyframe: move, turn and zoom together, run the action on
+  // arrival, then hold for the dwell time
+  buildTimeline(tour) {
+    const timeline = gsap.timeline({
+      paused: true,
+      onComplete: () => this.stop({ completed: true })
+    });
+
+    tour.keyframes.forEach((keyframe, index) => {
+      const label = `keyframe-${index}`;
+      const [x, y, z] = keyframe.position;
+      const [targetX, targetY, targetZ] = keyframe.target;
+      const { duration } = keyframe;
+
+      timeline.addLabel(label);
+      timeline.call(() => this.showKeyframe(index), null, label);
+
+      timeline.to(this.camera.position, {
+        x, y, z,
+        duration,
+        ease: "power2.inOut"
+      }, label);
+
+      timeline.to(this.lookTarget, {
+        x: targetX,
+        y: targetY,
+        z: targetZ,
+        duration,
+        ease: "power2.inOut",
+        onUpdate: () => this.camera.lookAt(this.lookTarget)
+      }, label);
+
+      if (keyframe.fov) {
+        timeline.to(this.camera, {
+          fov: keyframe.fov,
+          duration,
+          ease: "power2.inOut",
+          onUpdate: () => this.camera.updateProjectionMatrix()
+        }, label);
+      }
+
+      timeline.call(() => this.runAction(index), null, `${label}+=${duration}`);
+
+      if (keyframe.dwell) {
+        timeline.to({}, { duration: keyframe.dwell });
+      }
+    });
+
+    return timeline;
+  }
+
+  // Dispatch a keyframe's action once
+  runAction(index) {
+    const keyframe = this.tour && this.tour.keyframes[index];
+    if (!keyframe || !keyframe.action || this.completedActions.has(index)) return;
+
+    this.completedActions.add(index);
+    this.boxExperience.dispatchAction(keyframe.action);
+  }
+
+  // Show a keyframe's caption and announce it
+  showKeyframe(index) {
+    if (index === this.keyframeIndex) return;
+    this.keyframeIndex = index;
+
+    const keyframe = this.tour.keyframes[index];
+    this.caption.querySelector('.tour-caption-text').textContent = keyframe.caption || '';
+    this.caption.querySelector('.tour-progress').textContent = `${index + 1} / ${this.tour.keyframes.length}`;
+
+    this.events.emit(EXPERIENCE_EVENTS.TOUR_KEYFRAME, { tour: this.tour, index, keyframe });
+  }
+
+  // Button that starts the default tour
+  createTourButton() {
+    this.tourButton = document.createElement('button');
+    this.tourButton.className = 'tour-button';
+    this.tourButton.textContent = this.getTours()[0]?.title || 'Guided tour';
+    this.tourButton.addEventListener('click', () => this.play());
+    this.boxExperience.overlayRoot.appendChild(this.tourButton);
+    this.resources.element(this.tourButton);
+
+    if (this.tours.size === 0) {
+      this.tourButton.classList.add('hidden');
+    }
+  }
+
+  // Caption bar with the narration and playback controls
+  createCaption() {
+    this.caption = document.createElement('div');
+    this.caption.className = 'tour-caption';
+    this.caption.setAttribute('role', 'region');
+    this.caption.setAttribute('aria-label', this.tour.title);
+    this.caption.innerHTML = `
+      <p class="tour-caption-text" aria-live="polite"></p>
+      <div class="tour-controls">
+        <span class="tour-progress"></span>
+        <button class="tour-pause">Pause</button>
+        <button class="tour-skip">Next</button>
+        <button class="tour-stop">Explore myself</button>
+      </div>
+    `;
+
+    this.caption.querySelector('.tour-pause').addEventListener('click', () => this.togglePause());
+    this.caption.querySelector('.tour-skip').addEventListener('click', () => this.skip());
+    this.caption.querySelector('.tour-stop').addEventListener('click', () => this.stop());
+
+    this.boxExperience.overlayRoot.appendChild(this.caption);
+    this.resources.element(this.caption);
+  }
+
+  updateCaptionControls() {
+    if (!this.caption) return;
+    this.caption.querySelector('.tour-pause').textContent = this.isPaused ? 'Resume' : 'Pause';
+  }
+
+  setupEventListeners() {
+    const canvas = this.boxExperience.canvas;
+
+    // Any direct interaction with the scene ends the tour
+    const interrupt = () => this.stop();
+    ['pointerdown', 'wheel', 'touchstart'].forEach(type => {
+      this.resources.listen(canvas, type, interrupt, { passive: true });
+    });
+
+    this.resources.listen(this.boxExperience.keyboardTarget, 'keydown', (event) => {
+      const origin = event.composedPath()[0];
+      if (origin.closest && origin.closest('input, textarea, select, button, [contenteditable], .tour-caption')) return;
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+      if (this.isPlaying) {
+        if (INTERRUPT_KEYS.includes(event.code)) {
+          this.stop();
+        }
+      } else if (event.code === 'KeyT') {
+        this.play();
+      }
+    });
+
+    // Box animations re-enable the orbit controls when they finish; keep
+    // them off while the tour is flying the camera
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.STATE_CHANGE, () => {
+      if (this.isPlaying) {
+        this.controls.enabled = false;
+      }
+    }));
+  }
+
+  dispose() {
+    if (this.timeline) {
+      this.timeline.kill();
+      this.timeline = null;
+    }
+    gsap.killTweensOf(this.camera);
+
+    this.resources.dispose();
+  }
+}
+
+export { CameraDirector };
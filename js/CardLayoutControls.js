@@ -0,0 +1,137 @@
+// Layout picker and pager for the product cards
+// While the box is open, a bar beside it picks how the cards are laid out
+// (see CardLayouts.js) and pages through them when there are more than fit
+// at once. Auto uses the layout configured for the device class, which is
+// checked again whenever the window is resized. Page Up and Page Down also
+// turn the pages.
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { EXPERIENCE_STATES } from './ExperienceStateMachine.js';
+import { CARD_LAYOUTS } from './CardLayouts.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+
+class CardLayoutControls {
+  constructor(boxExperience) {
+    this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
+    this.resources = new ResourceTracker();
+
+    this.createControls();
+    this.setupEventListeners();
+    this.updateVisibility(boxExperience.state);
+
+    // The cards may have been laid out already
+    const showcase = this.showcase;
+    if (showcase && showcase.cardLayout) {
+      this.render({ layout: showcase.cardLayout, page: showcase.cardPage, pageCount: showcase.getPageCount() });
+    }
+  }
+
+  get showcase() {
+    return this.boxExperience.getComponent('businessShowcase');
+  }
+
+  createControls() {
+    this.controls = document.createElement('div');
+    this.controls.className = 'card-controls';
+    this.controls.setAttribute('role', 'group');
+    this.controls.setAttribute('aria-label', 'Product cards');
+    this.controls.innerHTML = `
+      <label class="card-layout">
+        Layout
+        <select name="layout">
+          <option value="">Auto</option>
+          ${Object.keys(CARD_LAYOUTS).map(id => `<option value="${id}">${CARD_LAYOUTS[id].label}</option>`).join('')}
+        </select>
+      </label>
+      <div class="card-pager" hidden>
+        <button type="button" class="card-page-previous" aria-label="Previous page">&lsaquo;</button>
+        <span class="card-page-status" role="status"></span>
+        <button type="button" class="card-page-next" aria-label="Next page">&rsaquo;</button>
+      </div>
+    `;
+    this.boxExperience.overlayRoot.appendChild(this.controls);
+    this.resources.element(this.controls);
+
+    this.layoutSelect = this.controls.querySelector('select[name="layout"]');
+    this.resources.listen(this.layoutSelect, 'change', () => {
+      this.showcase.setCardLayout(this.layoutSelect.value || null);
+    });
+
+    this.resources.listen(this.controls, 'click', (event) => {
+      if (event.target.closest('.card-page-previous')) {
+        this.turnPage(-1);
+      } else if (event.target.closest('.card-page-next')) {
+        this.turnPage(1);
+      }
+    });
+  }
+
+  // Go forward (1) or back (-1) a page
+  turnPage(step) {
+    const showcase = this.showcase;
+    if (showcase) {
+      showcase.showCardPage(showcase.cardPage + step);
+    }
+  }
+
+  // Show the current layout and page
+  render({ layout, page, pageCount }) {
+    const showcase = this.showcase;
+
+    // Auto names the layout it picked
+    const auto = this.layoutSelect.querySelector('option[value=""]');
+    auto.textContent = `Auto (${CARD_LAYOUTS[layout].label})`;
+    this.layoutSelect.value = showcase && showcase.cardLayoutChoice ? showcase.cardLayoutChoice : '';
+
+    this.controls.querySelector('.card-pager').hidden = pageCount < 2;
+    this.controls.querySelector('.card-page-status').textContent = `Page ${page + 1} of ${pageCount}`;
+    this.controls.querySelector('.card-page-previous').disabled = page === 0;
+    this.controls.querySelector('.card-page-next').disabled = page === pageCount - 1;
+  }
+
+  // The controls show while the box is open and its cards are on show
+  updateVisibility(state) {
+    this.controls.hidden = state !== EXPERIENCE_STATES.OPEN;
+  }
+
+  setupEventListeners() {
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.CARDS_ARRANGE, (detail) => {
+      this.render(detail);
+    }));
+
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.STATE_CHANGE, ({ state }) => {
+      this.updateVisibility(state);
+    }));
+
+    this.resources.listen(this.boxExperience.keyboardTarget, 'keydown', (event) => {
+      if (this.controls.hidden) return;
+
+      // Leave keys alone while typing in a form
+      const origin = event.composedPath()[0];
+      if (origin.closest && origin.closest('input, textarea, select, [contenteditable]')) return;
+
+      if (event.code === 'PageDown') {
+        event.preventDefault();
+        this.turnPage(1);
+      } else if (event.code === 'PageUp') {
+        event.preventDefault();
+        this.turnPage(-1);
+      }
+    });
+  }
+
+  // The device class may change with the window size. Registered after the
+  // responsive handler, so it has already looked again.
+  resize() {
+    const showcase = this.showcase;
+    if (showcase) {
+      showcase.updateCardLayout();
+    }
+  }
+
+  dispose() {
+    this.resources.dispose();
+  }
+}
+
+export { CardLayoutControls };
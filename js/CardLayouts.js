@@ -0,0 +1,118 @@
+// Layouts for the product cards around the open box
+// A layout places one page of cards. getSlots(count) gives each card
+// { x, y, z, rotationY, front }: its place and turn, where a card with
+// rotationY 0 faces the camera, and front, the turn { rotationY, y } of the
+// whole arrangement that brings that card round to face the camera. Only the
+// carousels (ring and helix) turn; in the others every card already faces
+// the front. Layouts spread out as the count grows so cards never overlap.
+const CARD_WIDTH = 0.8;
+const CARD_HEIGHT = 0.5;
+
+// Space between neighbouring cards
+const CARD_GAP = 0.15;
+
+const NO_TURN = Object.freeze({ rotationY: 0, y: 0 });
+
+// Cards on a circle facing outwards, turned to bring one to the front
+function getRingSlots(count) {
+  // Wide enough that neighbours do not overlap
+  const radius = Math.max(1.2, (count * (CARD_WIDTH + CARD_GAP)) / (Math.PI * 2));
+
+  return Array.from({ length: count }, (_, index) => {
+    const angle = (index / count) * Math.PI * 2;
+    return {
+      x: Math.sin(angle) * radius,
+      y: 0,
+      z: Math.cos(angle) * radius,
+      rotationY: angle,
+      front: { rotationY: -angle, y: 0 }
+    };
+  });
+}
+
+// Rows and columns in front of the box, a part-filled last row centred
+function getGridSlots(count) {
+  // Wider than tall, like most screens
+  const columns = Math.max(1, Math.min(count, Math.round(Math.sqrt(count * 1.5))));
+  const rows = Math.ceil(count / columns);
+
+  return Array.from({ length: count }, (_, index) => {
+    const row = Math.floor(index / columns);
+    const inRow = row === rows - 1 ? count - row * columns : columns;
+    return {
+      x: (index % columns - (inRow - 1) / 2) * (CARD_WIDTH + CARD_GAP),
+      y: ((rows - 1) / 2 - row) * (CARD_HEIGHT + CARD_GAP),
+      z: 1,
+      rotationY: 0,
+      front: NO_TURN
+    };
+  });
+}
+
+// Tiers of up to four cards, each further back and higher than the one in
+// front, bowed slightly so the cards at the ends face the viewer
+function getShelfSlots(count) {
+  const shelves = Math.ceil(count / 4);
+  const perShelf = Math.ceil(count / shelves);
+
+  return Array.from({ length: count }, (_, index) => {
+    const shelf = Math.floor(index / perShelf);
+    const onShelf = shelf === shelves - 1 ? count - shelf * perShelf : perShelf;
+    const x = (index % perShelf - (onShelf - 1) / 2) * (CARD_WIDTH + CARD_GAP);
+    return {
+      x,
+      y: (shelf - (shelves - 1) / 2) * (CARD_HEIGHT + 0.1),
+      z: 1.3 - shelf * 0.3 - x * x * 0.1,
+      rotationY: -x * 0.3,
+      front: NO_TURN
+    };
+  });
+}
+
+// Cards spiralling up around the box, seven to a turn; turning and raising
+// the spiral brings one to the front
+function getHelixSlots(count) {
+  const perTurn = 7;
+  const radius = 1.3;
+  const rise = 0.12;
+
+  return Array.from({ length: count }, (_, index) => {
+    const angle = (index / perTurn) * Math.PI * 2;
+    const y = (index - (count - 1) / 2) * rise;
+    return {
+      x: Math.sin(angle) * radius,
+      y,
+      z: Math.cos(angle) * radius,
+      rotationY: angle,
+      front: { rotationY: -angle, y: -y }
+    };
+  });
+}
+
+const CARD_LAYOUTS = {
+  ring: { label: 'Ring', getSlots: getRingSlots },
+  grid: { label: 'Grid wall', getSlots: getGridSlots },
+  shelves: { label: 'Shelves', getSlots: getShelfSlots },
+  helix: { label: 'Helix', getSlots: getHelixSlots }
+};
+
+// Slots for a page of count cards in a layout
+function getCardSlots(layout, count) {
+  if (!CARD_LAYOUTS[layout]) {
+    throw new Error(`Unknown card layout: ${layout}`);
+  }
+  return CARD_LAYOUTS[layout].getSlots(count);
+}
+
+// Number of pages for count cards, at least one
+function getPageCount(count, pageSize) {
+  return Math.max(1, Math.ceil(count / pageSize));
+}
+
+export {
+  CARD_LAYOUTS,
+  CARD_WIDTH,
+  CARD_HEIGHT,
+  getCardSlots,
+  getPageCount
+};
@@ -0,0 +1,402 @@
+// Product comparison for the box experience
+// Visitors pick two to four products to compare: Shift-, Ctrl- or Cmd-click
+// their cards inside the box, or use "Add to comparison" in the product
+// details. Picked cards wear a tick, and a tray at the bottom lists them.
+// Compare shows their specs side by side (see ProductComparison.js) with the
+// rows where they differ highlighted, and can send the comparison with a
+// quote request, kept up to date while the picks change.
+import * as THREE from 'three';
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import {
+  MIN_COMPARED,
+  MAX_COMPARED,
+  createComparison,
+  describeComparison
+} from './ProductComparison.js';
+import { ResourceTracker, disposeObject3D } from './utils/ResourceTracker.js';
+import { escapeHtml } from './utils/escapeHtml.js';
+
+// Name of the tick added to picked cards
+const BADGE_NAME = 'compare-badge';
+
+class ComparisonView {
+  constructor(boxExperience) {
+    this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
+    this.resources = new ResourceTracker();
+
+    // Slugs of the picked products, in the order they were picked
+    this.selected = [];
+
+    this.isOpen = false;
+    this.onlyDifferences = false;
+
+    // Whether the comparison is attached to the quote request
+    this.attached = false;
+
+    this.createTray();
+    this.createOverlay();
+    this.setupEventListeners();
+  }
+
+  get showcase() {
+    return this.boxExperience.getComponent('businessShowcase');
+  }
+
+  // Picked products still in the catalog
+  getProducts() {
+    const showcase = this.showcase;
+    if (!showcase) return [];
+    return this.selected.map(slug => showcase.findProduct(slug)).filter(Boolean);
+  }
+
+  isSelected(product) {
+    return this.selected.includes(product.slug);
+  }
+
+  // Pick or unpick a product; returns whether it is picked afterwards
+  toggle(product) {
+    if (this.isSelected(product)) {
+      this.deselect(product);
+      return false;
+    }
+    return this.select(product);
+  }
+
+  // Pick a product; returns false if MAX_COMPARED are already picked
+  select(product) {
+    if (this.isSelected(product)) return true;
+    if (this.selected.length >= MAX_COMPARED) {
+      this.showTrayMessage(`Compare up to ${MAX_COMPARED} products at a time`);
+      return false;
+    }
+
+    this.selected.push(product.slug);
+    this.handleSelectionChange();
+    return true;
+  }
+
+  deselect(product) {
+    if (!this.isSelected(product)) return;
+
+    this.selected = this.selected.filter(slug => slug !== product.slug);
+    this.handleSelectionChange();
+  }
+
+  clear() {
+    if (this.selected.length === 0) return;
+
+    this.selected = [];
+    this.handleSelectionChange();
+  }
+
+  // Comparison of the picked products; throws unless enough are picked
+  getComparison() {
+    return createComparison(this.showcase.catalog, this.getProducts());
+  }
+
+  // Show the comparison table
+  show() {
+    if (this.getProducts().length < MIN_COMPARED) {
+      this.showTrayMessage(`Pick at least ${MIN_COMPARED} products to compare`);
+      return;
+    }
+
+    this.render();
+
+    this.overlay.style.display = 'flex';
+    this.resources.timeout(() => {
+      this.overlay.classList.add('active');
+    }, 10);
+
+    if (!this.isOpen) {
+      this.isOpen = true;
+      this.events.emit(EXPERIENCE_EVENTS.OVERLAY_OPEN, { overlay: 'compare', product: null });
+    }
+  }
+
+  // Hide the comparison table, if showing
+  hide() {
+    if (!this.isOpen) return;
+
+    this.overlay.classList.remove('active');
+    this.resources.timeout(() => {
+      // Unless it was shown again in the meantime
+      if (!this.overlay.classList.contains('active')) {
+        this.overlay.style.display = 'none';
+      }
+    }, 300);
+
+    this.isOpen = false;
+    this.events.emit(EXPERIENCE_EVENTS.OVERLAY_CLOSE, { overlay: 'compare', product: null });
+  }
+
+  // Attach the comparison to the quote request and go on to the contact form
+  continueToInquiry() {
+    if (!this.attach()) return;
+
+    this.hide();
+    this.showcase.showContactForm();
+  }
+
+  // Attach the comparison to the quote request; returns it, or null if too
+  // few products are picked
+  attach() {
+    const showcase = this.showcase;
+    if (!showcase || this.getProducts().length < MIN_COMPARED) return null;
+
+    const comparison = this.getComparison();
+    showcase.setInquiryAttachment('comparison', {
+      label: 'Comparison',
+      description: describeComparison(comparison),
+      details: comparison
+    });
+
+    this.attached = true;
+    return comparison;
+  }
+
+  // Keep an attached comparison in step with the picks, taking it off the
+  // request once fewer than MIN_COMPARED are left
+  refreshAttachment() {
+    if (!this.attached) return;
+
+    if (this.getProducts().length < MIN_COMPARED) {
+      this.attached = false;
+      this.showcase.setInquiryAttachment('comparison', null);
+      return;
+    }
+    this.attach();
+  }
+
+  handleSelectionChange() {
+    this.updateBadges();
+    this.renderTray();
+
+    if (this.isOpen) {
+      if (this.getProducts().length < MIN_COMPARED) {
+        this.hide();
+      } else {
+        this.render();
+      }
+    }
+
+    this.refreshAttachment();
+    this.events.emit(EXPERIENCE_EVENTS.COMPARE_CHANGE, { products: this.getProducts() });
+  }
+
+  createTray() {
+    this.tray = document.createElement('div');
+    this.tray.className = 'compare-tray';
+    this.tray.setAttribute('role', 'region');
+    this.tray.setAttribute('aria-label', 'Products to compare');
+    this.tray.hidden = true;
+    this.boxExperience.overlayRoot.appendChild(this.tray);
+    this.resources.element(this.tray);
+
+    this.resources.listen(this.tray, 'click', (event) => {
+      const remove = event.target.closest('.compare-remove');
+      if (remove) {
+        this.deselect({ slug: remove.dataset.slug });
+      } else if (event.target.closest('.compare-open')) {
+        this.show();
+      } else if (event.target.closest('.compare-clear')) {
+        this.clear();
+      }
+    });
+  }
+
+  // List the picks in the tray, hiding it when there are none
+  renderTray() {
+    const products = this.getProducts();
+    this.tray.hidden = products.length === 0;
+    if (products.length === 0) return;
+
+    const hint = products.length < MIN_COMPARED
+      ? 'Shift-click another card, or add one from its details'
+      : '';
+
+    this.tray.innerHTML = `
+      <span class="compare-tray-title">Compare</span>
+      <ul>
+        ${products.map(product => `
+          <li>
+            ${escapeHtml(product.name)}
+            <button type="button" class="compare-remove" data-slug="${escapeHtml(product.slug)}"
+              aria-label="Remove ${escapeHtml(product.name)} from comparison">&times;</button>
+          </li>
+        `).join('')}
+      </ul>
+      <button type="button" class="compare-open" ${products.length < MIN_COMPARED ? 'disabled' : ''}>
+        Compare ${products.length}
+      </button>
+      <button type="button" class="compare-clear">Clear</button>
+      <p class="compare-tray-message" role="status">${hint}</p>
+    `;
+  }
+
+  showTrayMessage(message) {
+    this.renderTray();
+    const status = this.tray.querySelector('.compare-tray-message');
+    if (status) status.textContent = message;
+  }
+
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'product-comparison';
+    this.overlay.className = 'product-modal product-comparison';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-label', 'Product comparison');
+    this.boxExperience.overlayRoot.appendChild(this.overlay);
+    this.resources.element(this.overlay);
+
+    // The table is rebuilt with the picks, so listen on the overlay
+    this.resources.listen(this.overlay, 'click', (event) => {
+      const remove = event.target.closest('.compare-remove');
+      if (event.target.closest('.close-button')) {
+        this.hide();
+      } else if (remove) {
+        this.deselect({ slug: remove.dataset.slug });
+      } else if (event.target.closest('.inquiry-button')) {
+        this.continueToInquiry();
+      }
+    });
+    this.resources.listen(this.overlay, 'change', (event) => {
+      if (event.target.name === 'onlyDifferences') {
+        this.onlyDifferences = event.target.checked;
+        this.overlay.querySelector('.compare-table').classList.toggle('compare-only-differences', this.onlyDifferences);
+      }
+    });
+  }
+
+  // Build the table for the picked products
+  render() {
+    const comparison = this.getComparison();
+    const cell = value => (Array.isArray(value)
+      ? `<td><ul>${value.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul></td>`
+      : `<td>${escapeHtml(value)}</td>`);
+
+    this.overlay.innerHTML = `
+      <div class="modal-content">
+        <span class="close-button">&times;</span>
+        <h2>Compare products</h2>
+        <label class="compare-differences">
+          <input type="checkbox" name="onlyDifferences" ${this.onlyDifferences ? 'checked' : ''}>
+          Only show differences
+        </label>
+        <div class="compare-table-wrapper">
+          <table class="compare-table${this.onlyDifferences ? ' compare-only-differences' : ''}">
+            <thead>
+              <tr>
+                <td></td>
+                ${comparison.products.map(product => `
+                  <th scope="col">
+                    <div class="compare-image" data-image="${escapeHtml(product.image)}"></div>
+                    ${escapeHtml(product.name)}
+                    <span class="product-sku">SKU ${escapeHtml(product.sku)}</span>
+                    <button type="button" class="compare-remove" data-slug="${escapeHtml(product.slug)}"
+                      aria-label="Remove ${escapeHtml(product.name)} from comparison">Remove</button>
+                  </th>
+                `).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${comparison.rows.map(row => `
+                <tr class="${row.differs ? 'compare-differs' : ''}">
+                  <th scope="row">${escapeHtml(row.label)}</th>
+                  ${row.values.map(cell).join('')}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <p class="compare-note">Highlighted rows are where the products differ.</p>
+        <button type="button" class="inquiry-button">Request Quote for These</button>
+      </div>
+    `;
+
+    // Set here rather than in the markup, so any URL is safe
+    this.overlay.querySelectorAll('.compare-image').forEach(image => {
+      image.style.backgroundImage = `url(${JSON.stringify(image.dataset.image)})`;
+    });
+  }
+
+  // Tick the cards of picked products, and only those
+  updateBadges() {
+    const showcase = this.showcase;
+    if (!showcase) return;
+
+    showcase.productCards.forEach(card => {
+      const badge = card.getObjectByName(BADGE_NAME);
+      const selected = this.isSelected(card.userData.product);
+
+      if (selected && !badge) {
+        card.add(this.createBadge());
+      } else if (!selected && badge) {
+        disposeObject3D(badge);
+      }
+    });
+  }
+
+  // Round tick in the card's top right corner
+  createBadge() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+
+    context.fillStyle = this.boxExperience.config.brand.primary;
+    context.beginPath();
+    context.arc(32, 32, 30, 0, Math.PI * 2);
+    context.fill();
+
+    context.strokeStyle = '#ffffff';
+    context.lineWidth = 7;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.beginPath();
+    context.moveTo(18, 33);
+    context.lineTo(28, 43);
+    context.lineTo(46, 22);
+    context.stroke();
+
+    const badge = new THREE.Mesh(
+      new THREE.PlaneGeometry(0.12, 0.12),
+      new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true })
+    );
+    badge.name = BADGE_NAME;
+    badge.position.set(0.4, 0.25, 0.04);
+    return badge;
+  }
+
+  setupEventListeners() {
+    // Cards are rebuilt for a new catalog; drop picks it no longer has
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.CATALOG_LOAD, ({ catalog }) => {
+      const slugs = catalog.products.map(product => product.slug);
+      const kept = this.selected.filter(slug => slugs.includes(slug));
+      if (kept.length !== this.selected.length) {
+        this.selected = kept;
+        this.handleSelectionChange();
+        return;
+      }
+
+      // Names may have changed, and the new cards need their ticks
+      this.updateBadges();
+      this.renderTray();
+      if (this.isOpen) this.render();
+      this.refreshAttachment();
+    }));
+
+    this.resources.listen(this.boxExperience.keyboardTarget, 'keydown', (event) => {
+      if (event.code === 'Escape' && this.isOpen) {
+        this.hide();
+      }
+    });
+  }
+
+  dispose() {
+    this.resources.dispose();
+  }
+}
+
+export { ComparisonView };
@@ -1,12 +1,17 @@
 // Cross-browser and cross-device testing utilities
 import * as THREE from 'three';
 import { Detector } from './utils/Detector.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+import { isDebugFlagEnabled } from './utils/debugFlags.js';
+import { escapeHtml } from './utils/escapeHtml.js';
 
 class CrossBrowserTester {
   constructor(boxExperience) {
     this.boxExperience = boxExperience;
     this.scene = boxExperience.scene;
     this.renderer = boxExperience.renderer;
+    this.config = boxExperience.config;
+    this.resources = new ResourceTracker();
     
     // Browser and device detection
     this.browserInfo = this.detectBrowser();
@@ -295,6 +300,8 @@ class CrossBrowserTester {
   
   // Show WebGL not supported fallback
   showWebGLFallback() {
+    const { company, assets } = this.config;
+    
     // Create fallback container
     const fallbackContainer = document.createElement('div');
     fallbackContainer.className = 'webgl-fallback';
@@ -312,22 +319,26 @@ class CrossBrowserTester {
           </ul>
         </div>
         <div class="fallback-image">
-          <img src="/assets/images/fallback-image.jpg" alt="JJ Enterprises Packaging" />
+          <img src="${escapeHtml(assets.fallbackImage)}" alt="${escapeHtml(company.name)} Packaging" />
         </div>
         <div class="fallback-contact">
-          <h3>Contact JJ Enterprises</h3>
-          <p>Phone: +91 9819256432</p>
-          <p>Email: info@thejjenterprise.com</p>
-          <p>Address: ITT Bhatti, Dindoshipada, Goregaon</p>
+          <h3>Contact ${escapeHtml(company.name)}</h3>
+          <p>Phone: ${escapeHtml(company.phone)}</p>
+          <p>Email: ${escapeHtml(company.email)}</p>
+          <p>Address: ${escapeHtml(company.address)}</p>
         </div>
       </div>
     `;
-    document.body.appendChild(fallbackContainer);
+    this.boxExperience.overlayRoot.appendChild(fallbackContainer);
+    this.resources.element(fallbackContainer);
     
     // Hide canvas
-    const canvas = document.querySelector('canvas');
+    const canvas = this.boxExperience.canvas;
     if (canvas) {
       canvas.style.display = 'none';
+      this.resources.add(() => {
+        canvas.style.display = '';
+      });
     }
   }
   
@@ -341,7 +352,8 @@ class CrossBrowserTester {
         <button class="warning-close">Continue Anyway</button>
       </div>
     `;
-    document.body.appendChild(warningContainer);
+    this.boxExperience.overlayRoot.appendChild(warningContainer);
+    this.resources.element(warningContainer);
     
     // Add close button functionality
     const closeButton = warningContainer.querySelector('.warning-close');
@@ -406,7 +418,7 @@ class CrossBrowserTester {
   // Setup fallbacks for touch devices
   setupTouchFallbacks() {
     // Add touch-specific UI elements if not already added
-    if (!document.querySelector('.touch-controls')) {
+    if (!this.boxExperience.overlayRoot.querySelector('.touch-controls')) {
       const touchControls = document.createElement('div');
       touchControls.className = 'touch-controls';
       
@@ -423,20 +435,15 @@ class CrossBrowserTester {
         `;
       }
       
-      document.body.appendChild(touchControls);
+      this.boxExperience.overlayRoot.appendChild(touchControls);
+      this.resources.element(touchControls);
       
       // Add event listeners
       const actionButton = touchControls.querySelector('.action-button');
       if (actionButton) {
         actionButton.addEventListener('touchstart', () => {
           // Trigger action based on current state
-          if (!this.boxExperience.isBoxOpen) {
-            this.boxExperience.boxAnimations.open();
-          } else if (!this.boxExperience.isInsideBox) {
-            this.boxExperience.boxAnimations.enterBox();
-          } else {
-            this.boxExperience.boxAnimations.exitBox();
-          }
+          this.boxExperience.performPrimaryAction({ queue: false });
         });
       }
       
@@ -469,7 +476,7 @@ class CrossBrowserTester {
   // Create test UI for development
   createTestUI() {
     // Only create in development mode
-    if (window.location.hash !== '#test') return;
+    if (!isDebugFlagEnabled('test')) return;
     
     // Create test panel
     const testPanel = document.createElement('div');
@@ -497,6 +504,7 @@ class CrossBrowserTester {
           <button id="test-open-box">Test Open Box</button>
           <button id="test-enter-box">Test Enter Box</button>
           <button id="test-exit-box">Test Exit Box</button>
+          <button id="test-close-box">Test Close Box</button>
           <button id="test-resize">Test Resize</button>
           <button id="test-orientation">Test Orientation</button>
         </div>
@@ -508,7 +516,8 @@ class CrossBrowserTester {
         </div>
       </div>
     `;
-    document.body.appendChild(testPanel);
+    this.boxExperience.overlayRoot.appendChild(testPanel);
+    this.resources.element(testPanel);
     
     // Add toggle functionality
     const testToggle = testPanel.querySelector('.test-toggle');
@@ -524,26 +533,20 @@ class CrossBrowserTester {
       }
     });
     
-    // Add test action handlers
-    const testOpenBox = testPanel.querySelector('#test-open-box');
-    testOpenBox.addEventListener('click', () => {
-      if (this.boxExperience.boxAnimations && this.boxExperience.boxAnimations.open) {
-        this.boxExperience.boxAnimations.open();
-      }
-    });
-    
-    const testEnterBox = testPanel.querySelector('#test-enter-box');
-    testEnterBox.addEventListener('click', () => {
-      if (this.boxExperience.boxAnimations && this.boxExperience.boxAnimations.enterBox) {
-        this.boxExperience.boxAnimations.enterBox();
-      }
-    });
+    // Add test action handlers (these queue behind a running transition)
+    const testActions = {
+      '#test-open-box': 'open',
+      '#test-enter-box': 'enter',
+      '#test-exit-box': 'exit',
+      '#test-close-box': 'close'
+    };
     
-    const testExitBox = testPanel.querySelector('#test-exit-box');
-    testExitBox.addEventListener('click', () => {
-      if (this.boxExperience.boxAnimations && this.boxExperience.boxAnimations.exitBox) {
-        this.boxExperience.boxAnimations.exitBox();
-      }
+    Object.entries(testActions).forEach(([selector, action]) => {
+      testPanel.querySelector(selector).addEventListener('click', () => {
+        if (!this.boxExperience.dispatchAction(action)) {
+          console.warn(`Action "${action}" is not allowed in state "${this.boxExperience.state}"`);
+        }
+      });
     });
     
     const testResize = testPanel.querySelector('#test-resize');
@@ -559,12 +562,12 @@ class CrossBrowserTester {
     });
     
     // Update performance metrics
-    setInterval(() => {
+    this.resources.interval(() => {
       if (this.boxExperience.renderer && this.boxExperience.renderer.info) {
         const info = this.boxExperience.renderer.info;
-        document.getElementById('test-fps').textContent = Math.round(this.testResults.performanceMetrics.fps);
-        document.getElementById('test-draw-calls').textContent = info.render.calls;
-        document.getElementById('test-triangles').textContent = info.render.triangles;
+        testPanel.querySelector('#test-fps').textContent = Math.round(this.testResults.performanceMetrics.fps);
+        testPanel.querySelector('#test-draw-calls').textContent = info.render.calls;
+        testPanel.querySelector('#test-triangles').textContent = info.render.triangles;
       }
     }, 1000);
   }
@@ -588,12 +591,13 @@ class CrossBrowserTester {
     const testDuration = 5000;
     
     // Create test function
+    let frameId = null;
     const testFrame = () => {
       frames++;
       
       // Check if test is complete
       if (performance.now() - startTime < testDuration) {
-        requestAnimationFrame(testFrame);
+        frameId = requestAnimationFrame(testFrame);
       } else {
         // Calculate results
         const elapsed = performance.now() - startTime;
@@ -617,8 +621,9 @@ class CrossBrowserTester {
       }
     };
     
-    // Start test
-    requestAnimationFrame(testFrame);
+    // Start test (cancelled if the tester is disposed first)
+    frameId = requestAnimationFrame(testFrame);
+    this.resources.add(() => cancelAnimationFrame(frameId));
   }
   
   // Create compatibility report
@@ -653,6 +658,11 @@ class CrossBrowserTester {
     return report;
   }
   
+  // Remove the test panel, warnings and touch controls
+  dispose() {
+    this.resources.dispose();
+  }
+  
   // Update method called from main animation loop
   update() {
     // Update FPS counter
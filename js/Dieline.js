@@ -0,0 +1,102 @@
+// Flat dielines for the box configurator
+// A dieline is the flat blank a carton is cut from: its panels, the cut
+// lines around them, the crease (score) lines they fold along and the main
+// dimensions. Coordinates are in mm with x to the right and y up, seen from
+// the outside (printed side) of the board. The panels come from the spec's
+// box style, each hinged panel recording the crease it hangs from and how
+// far it folds, as in BoxStyles.js.
+import { getDimensionsMm, getBoardThickness } from './BoxSpec.js';
+import { createBoxLayout, edge } from './BoxStyles.js';
+
+// Offsets of the dimension rows from the blank, in mm
+const DIMENSION_OFFSETS = [12, 27];
+
+// Key for a line regardless of its direction
+function lineKey([[x1, y1], [x2, y2]]) {
+  const a = `${x1.toFixed(3)},${y1.toFixed(3)}`;
+  const b = `${x2.toFixed(3)},${y2.toFixed(3)}`;
+  return a < b ? `${a} ${b}` : `${b} ${a}`;
+}
+
+// Dieline for a spec in its style (see BoxStyles.js). Score-to-score panel
+// sizes are the internal dimensions plus one board thickness.
+function createDieline(spec) {
+  const thickness = getBoardThickness(spec);
+  const { code, name, panels, chains } = createBoxLayout(spec.style, {
+    ...getDimensionsMm(spec),
+    thickness,
+    mm: 1
+  });
+
+  const points = panels.flatMap(panel => panel.points);
+  const bounds = {
+    minX: Math.min(...points.map(([x]) => x)),
+    minY: Math.min(...points.map(([, y]) => y)),
+    maxX: Math.max(...points.map(([x]) => x)),
+    maxY: Math.max(...points.map(([, y]) => y))
+  };
+
+  // Panel widths and the overall width below the blank; panel heights and
+  // the overall height to its left
+  const { minX, minY, maxX, maxY } = bounds;
+  const [near, far] = DIMENSION_OFFSETS;
+  const dimensions = [];
+  chains.x.forEach(chain => {
+    chain.slice(1).forEach((to, index) => {
+      dimensions.push({ from: [chain[index], minY], to: [to, minY], offset: -near });
+    });
+  });
+  dimensions.push({ from: [minX, minY], to: [maxX, minY], offset: -far });
+  chains.y.forEach(chain => {
+    chain.slice(1).forEach((to, index) => {
+      dimensions.push({ from: [minX, chain[index]], to: [minX, to], offset: near });
+    });
+  });
+  dimensions.push({ from: [minX, minY], to: [minX, maxY], offset: far });
+
+  dimensions.forEach(dimension => {
+    const [x1, y1] = dimension.from;
+    const [x2, y2] = dimension.to;
+    dimension.value = Math.hypot(x2 - x1, y2 - y1);
+  });
+
+  return {
+    style: code,
+    name,
+    spec: { ...spec },
+    thickness,
+    bounds,
+    panels,
+    ...getDielineLines(panels),
+    dimensions
+  };
+}
+
+// Creases are the hinges; cuts are every other panel edge, with edges two
+// panels share (the slots between flaps) cut once
+function getDielineLines(panels) {
+  const creases = panels.filter(panel => panel.hinge).map(panel => panel.hinge);
+  const seen = new Set(creases.map(lineKey));
+  const cuts = [];
+
+  panels.forEach(({ points }) => {
+    points.forEach((_, index) => {
+      const line = edge(points, index);
+      const key = lineKey(line);
+      if (seen.has(key)) return;
+
+      seen.add(key);
+      cuts.push(line);
+    });
+  });
+
+  return { cuts, creases };
+}
+
+// Overall size of a dieline's blank in mm: { width, height }
+function getBlankSize(dieline) {
+  const { minX, minY, maxX, maxY } = dieline.bounds;
+  return { width: maxX - minX, height: maxY - minY };
+}
+
+export { createDieline, getBlankSize };
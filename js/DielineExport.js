@@ -0,0 +1,175 @@
+// SVG and DXF export for dielines (see Dieline.js)
+// Both formats are drawn 1:1 in mm: cut lines solid, crease lines dashed,
+// and the dimensions on their own layer so a designer can hide them. The
+// SVG is flipped to y-down; the DXF keeps the dieline's y-up coordinates.
+import { getBlankSize } from './Dieline.js';
+
+// Space around the blank for the dimensions, in mm
+const EXPORT_MARGIN = 40;
+
+const TEXT_HEIGHT = 5;
+const TEXT_GAP = 1.5;
+const EXTENSION_GAP = 1.5;
+const EXTENSION_OVERSHOOT = 2;
+const TICK_SIZE = 2;
+
+// Layers (DXF) and groups (SVG) with their colours
+const LINE_STYLES = {
+  cut: { layer: 'CUT', stroke: '#000000', aci: 7 },
+  crease: { layer: 'CREASE', stroke: '#e4002b', aci: 1, dash: [6, 3] },
+  dimension: { layer: 'DIMENSIONS', stroke: '#0072ce', aci: 5 }
+};
+
+// Lines and label of a dimension: extension lines out from the measured
+// points, the dimension line between them with a tick at each end, and the
+// value written along the line
+function getDimensionGeometry({ from, to, offset, value }) {
+  const [x1, y1] = from;
+  const [x2, y2] = to;
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  const [dx, dy] = [(x2 - x1) / length, (y2 - y1) / length];
+
+  // Offsets are measured along the normal to the left of from -> to
+  const [nx, ny] = [-dy, dx];
+  const at = ([x, y], distance) => [x + nx * distance, y + ny * distance];
+  const side = Math.sign(offset);
+
+  const start = at(from, offset);
+  const end = at(to, offset);
+  const tick = ([x, y]) => [
+    [x - (dx + nx) * TICK_SIZE / 2, y - (dy + ny) * TICK_SIZE / 2],
+    [x + (dx + nx) * TICK_SIZE / 2, y + (dy + ny) * TICK_SIZE / 2]
+  ];
+
+  const lines = [
+    [at(from, side * EXTENSION_GAP), at(from, offset + side * EXTENSION_OVERSHOOT)],
+    [at(to, side * EXTENSION_GAP), at(to, offset + side * EXTENSION_OVERSHOOT)],
+    [start, end],
+    tick(start),
+    tick(end)
+  ];
+
+  return {
+    lines,
+    text: {
+      position: at([(x1 + x2) / 2, (y1 + y2) / 2], offset + TEXT_GAP),
+      angle: Math.atan2(dy, dx) * 180 / Math.PI,
+      label: formatLength(value)
+    }
+  };
+}
+
+// Lengths to the nearest 0.1 mm, without trailing zeros
+function formatLength(value) {
+  return String(Math.round(value * 10) / 10);
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+}
+
+// Describe a dieline in one line, e.g. for file metadata
+function describeDieline(dieline) {
+  const { length, width, height, unit, flute, ply } = dieline.spec;
+  const blank = getBlankSize(dieline);
+  return `${dieline.name} (FEFCO ${dieline.style}), ${length} x ${width} x ${height} ${unit} internal, ` +
+    `${ply}-ply ${flute} flute, blank ${formatLength(blank.width)} x ${formatLength(blank.height)} mm`;
+}
+
+// SVG document for a dieline, sized in mm
+function dielineToSVG(dieline) {
+  const { minX, maxY } = dieline.bounds;
+  const blank = getBlankSize(dieline);
+  const width = blank.width + EXPORT_MARGIN * 2;
+  const height = blank.height + EXPORT_MARGIN * 2;
+
+  // Dieline (y-up) to SVG (y-down) coordinates
+  const point = ([x, y]) => `${formatNumber(x - minX + EXPORT_MARGIN)},${formatNumber(maxY - y + EXPORT_MARGIN)}`;
+  const path = lines => lines.map(([from, to]) => `M${point(from)}L${point(to)}`).join('');
+
+  const dimensions = dieline.dimensions.map(getDimensionGeometry);
+  const labels = dimensions.map(({ text }) => {
+    const [x, y] = point(text.position).split(',');
+    return `<text x="${x}" y="${y}" transform="rotate(${formatNumber(-text.angle)} ${x} ${y})">${text.label}</text>`;
+  });
+
+  const { cut, crease, dimension } = LINE_STYLES;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(width)}mm" height="${formatNumber(height)}mm" viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}">`,
+    `  <title>${escapeXml(dieline.name)}</title>`,
+    `  <desc>${escapeXml(describeDieline(dieline))}</desc>`,
+    `  <g id="cut" fill="none" stroke="${cut.stroke}" stroke-width="0.5">`,
+    `    <path d="${path(dieline.cuts)}"/>`,
+    '  </g>',
+    `  <g id="crease" fill="none" stroke="${crease.stroke}" stroke-width="0.5" stroke-dasharray="${crease.dash.join(' ')}">`,
+    `    <path d="${path(dieline.creases)}"/>`,
+    '  </g>',
+    `  <g id="dimensions" fill="${dimension.stroke}" stroke="none" font-family="sans-serif" font-size="${TEXT_HEIGHT}" text-anchor="middle">`,
+    `    <path d="${path(dimensions.flatMap(({ lines }) => lines))}" fill="none" stroke="${dimension.stroke}" stroke-width="0.25"/>`,
+    ...labels.map(label => `    ${label}`),
+    '  </g>',
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+// ASCII DXF (R12) for a dieline, in mm, with CUT, CREASE and DIMENSIONS layers
+function dielineToDXF(dieline) {
+  const codes = [];
+  const add = (...pairs) => {
+    for (let i = 0; i < pairs.length; i += 2) {
+      codes.push(String(pairs[i]), String(pairs[i + 1]));
+    }
+  };
+
+  const line = (layer, [[x1, y1], [x2, y2]]) => add(
+    0, 'LINE', 8, layer,
+    10, formatNumber(x1), 20, formatNumber(y1), 30, 0,
+    11, formatNumber(x2), 21, formatNumber(y2), 31, 0
+  );
+
+  // R12 has no header variable for the drawing units ($INSUNITS came in
+  // with R2000), so they are given in a comment
+  add(999, 'Units: millimetres');
+  add(0, 'SECTION', 2, 'HEADER', 9, '$ACADVER', 1, 'AC1009', 0, 'ENDSEC');
+
+  // Line types and layers
+  const { cut, crease, dimension } = LINE_STYLES;
+  const [dash, gap] = crease.dash;
+  add(0, 'SECTION', 2, 'TABLES');
+  add(0, 'TABLE', 2, 'LTYPE', 70, 2);
+  add(0, 'LTYPE', 2, 'CONTINUOUS', 70, 0, 3, 'Solid line', 72, 65, 73, 0, 40, 0);
+  add(0, 'LTYPE', 2, 'DASHED', 70, 0, 3, 'Dashed', 72, 65, 73, 2, 40, dash + gap, 49, dash, 49, -gap);
+  add(0, 'ENDTAB');
+  add(0, 'TABLE', 2, 'LAYER', 70, 3);
+  [[cut, 'CONTINUOUS'], [crease, 'DASHED'], [dimension, 'CONTINUOUS']].forEach(([style, lineType]) => {
+    add(0, 'LAYER', 2, style.layer, 70, 0, 62, style.aci, 6, lineType);
+  });
+  add(0, 'ENDTAB', 0, 'ENDSEC');
+
+  add(0, 'SECTION', 2, 'ENTITIES');
+  dieline.cuts.forEach(segment => line(cut.layer, segment));
+  dieline.creases.forEach(segment => line(crease.layer, segment));
+  dieline.dimensions.map(getDimensionGeometry).forEach(({ lines, text }) => {
+    lines.forEach(segment => line(dimension.layer, segment));
+
+    // Centred on its baseline (72 = 1) at the second alignment point
+    const [x, y] = text.position;
+    add(
+      0, 'TEXT', 8, dimension.layer,
+      10, formatNumber(x), 20, formatNumber(y), 30, 0,
+      40, TEXT_HEIGHT, 1, text.label, 50, formatNumber(text.angle), 72, 1,
+      11, formatNumber(x), 21, formatNumber(y), 31, 0
+    );
+  });
+  add(0, 'ENDSEC', 0, 'EOF');
+
+  return codes.join('\n') + '\n';
+}
+
+export { dielineToSVG, dielineToDXF, describeDieline, getDimensionGeometry };
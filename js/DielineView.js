@@ -0,0 +1,511 @@
+// Flat dieline view for the 3D box experience
+// Unfolds the box into the blank it is cut from: the flaps fold out, the
+// walls unroll and the blank turns to face the camera, which then swaps to
+// an orthographic view with the cut and crease lines and the dimensions
+// drawn on. From there the dieline can be downloaded as SVG or DXF for a
+// designer to work on, and folding it back returns to the box.
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { getCurrentBoxSpec, getSceneScale, getSceneBoxOptions } from './BoxSpec.js';
+import { createDieline } from './Dieline.js';
+import { ProceduralBox } from './ProceduralBox.js';
+import { dielineToSVG, dielineToDXF, describeDieline, getDimensionGeometry } from './DielineExport.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+
+const EXPORT_FORMATS = {
+  svg: { type: 'image/svg+xml', write: dielineToSVG },
+  dxf: { type: 'application/dxf', write: dielineToDXF }
+};
+
+// Room kept around the blank in the flat view: mm for the dimensions, then
+// a fraction of the view for the toolbar
+const VIEW_MARGIN = 45;
+const VIEW_PADDING = 0.2;
+
+// Share of the unfold each panel takes to swing flat. Panels furthest from
+// the root panel (the flaps) go first, so the walls unroll from the end.
+const PANEL_SWING = 0.4;
+
+const LINE_COLORS = { cut: '#222222', crease: '#e4002b', dimension: '#0072ce' };
+
+const FLAT_QUATERNION = new THREE.Quaternion();
+
+class DielineView {
+  constructor(boxExperience) {
+    this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
+    this.camera = boxExperience.externalCamera;
+    this.controls = boxExperience.controls;
+    this.resources = new ResourceTracker();
+
+    // Set from show() until the dieline has folded back
+    this.isOpen = false;
+    this.isFlat = false;
+    this.dieline = null;
+    this.net = null;
+
+    // 0 is folded up as the box, 1 laid flat facing the camera
+    this.unfold = { progress: 0 };
+    this.tween = null;
+
+    this.orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.01, 100);
+    this.lookTarget = new THREE.Vector3();
+    this.boxPosition = new THREE.Vector3();
+    this.boxQuaternion = new THREE.Quaternion();
+    this.boxScale = new THREE.Vector3();
+
+    this.createToggleButton();
+    this.setupEventListeners();
+  }
+
+  // Dieline of the box on screen
+  getDieline() {
+    return this.dieline || createDieline(getCurrentBoxSpec(this.boxExperience));
+  }
+
+  // Unfold the box into its dieline. Returns false while inside the box or
+  // mid-transition.
+  show() {
+    if (this.isOpen) return true;
+    if (this.boxExperience.isInsideBox || !this.boxExperience.interactionEnabled) return false;
+
+    // Only one thing can drive the camera
+    const cameraDirector = this.boxExperience.getComponent('cameraDirector');
+    if (cameraDirector) {
+      cameraDirector.stop();
+    }
+
+    this.isOpen = true;
+    this.dieline = createDieline(getCurrentBoxSpec(this.boxExperience));
+    this.startView = {
+      position: this.camera.position.clone(),
+      target: this.controls.target.clone()
+    };
+    this.controls.enabled = false;
+
+    this.buildNet();
+    this.updateFlatFrame();
+    this.applyProgress(0);
+    this.boxExperience.getBoxObject().visible = false;
+    this.boxExperience.uiContainer.classList.add('hidden');
+    this.createViewPanel();
+
+    this.playUnfold(1, () => this.enterFlatView());
+    return true;
+  }
+
+  // Fold the dieline back into the box. Without animate it snaps back;
+  // without restoreView the camera is left for whoever takes it over.
+  hide({ animate = true, restoreView = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.leaveFlatView();
+
+    if (animate) {
+      this.playUnfold(0, () => this.finishHide(restoreView));
+    } else {
+      this.finishHide(restoreView);
+    }
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  // Dieline file contents in a format ('svg' or 'dxf')
+  exportDieline(format) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      throw new Error(`Unknown dieline format: ${format}`);
+    }
+
+    return exporter.write(this.getDieline());
+  }
+
+  // Save the dieline as a file, e.g. dieline-0201-400x300x200mm.svg
+  download(format) {
+    const dieline = this.getDieline();
+    const { length, width, height, unit } = dieline.spec;
+    const blob = new Blob([this.exportDieline(format)], { type: EXPORT_FORMATS[format].type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `dieline-${dieline.style}-${length}x${width}x${height}${unit}.${format}`;
+    link.click();
+    this.resources.timeout(() => URL.revokeObjectURL(url), 0);
+
+    this.events.emit(EXPERIENCE_EVENTS.DIELINE_EXPORT, { dieline, format });
+  }
+
+  // Fold the blank up as a second procedural box, posed like the one on
+  // screen, for the unfold to start from. Every piece of the blank shares
+  // the blank's coordinates, so laid flat they all sit at flatOffset.
+  buildNet() {
+    const { boxExperience } = this;
+    const scale = getSceneScale(this.dieline.spec);
+    const box = new ProceduralBox({
+      material: boxExperience.boxMaterial,
+      ...getSceneBoxOptions(this.dieline.spec),
+      flaps: boxExperience.boxOptions.flaps
+    });
+    box.group.name = 'dielineNet';
+    box.setOpen(boxExperience.isBoxOpen && !boxExperience.boxModel);
+
+    // Customer artwork unfolds with the panels it is printed on
+    const artworkDecals = boxExperience.getComponent('artworkDecals');
+    if (artworkDecals) {
+      artworkDecals.applyTo(box);
+    }
+
+    const swings = this.getPanelSwings();
+    const hinges = Object.values(box.hinges).map(hinge => ({ hinge, folded: hinge.fold, ...swings[hinge.id] }));
+    const pieces = box.pieces.map(({ group }) => ({
+      group,
+      position: group.position.clone(),
+      quaternion: group.quaternion.clone()
+    }));
+
+    const { minX, minY, maxX, maxY } = this.dieline.bounds;
+    const flatOffset = new THREE.Vector3(-(minX + maxX) / 2 * scale, -(minY + maxY) / 2 * scale, 0);
+
+    const lines = this.createLines(scale);
+    lines.position.copy(flatOffset);
+    lines.visible = false;
+    box.group.add(lines);
+
+    boxExperience.scene.add(box.group);
+
+    this.net = { box, lines, hinges, pieces, scale, flatOffset };
+  }
+
+  // Cut, crease and dimension lines over the flat blank, in blank space
+  createLines(scale) {
+    const group = new THREE.Group();
+    const toVector = ([x, y]) => new THREE.Vector3(x * scale, y * scale, 0.002);
+    const addLines = (segments, material) => {
+      const geometry = new THREE.BufferGeometry().setFromPoints(segments.flat().map(toVector));
+      const lines = new THREE.LineSegments(geometry, material);
+      lines.computeLineDistances();
+      group.add(lines);
+    };
+
+    const { cuts, creases, dimensions } = this.dieline;
+    addLines(cuts, new THREE.LineBasicMaterial({ color: LINE_COLORS.cut }));
+    addLines(creases, new THREE.LineDashedMaterial({
+      color: LINE_COLORS.crease,
+      dashSize: 6 * scale,
+      gapSize: 3 * scale
+    }));
+    addLines(
+      dimensions.flatMap(dimension => getDimensionGeometry(dimension).lines),
+      new THREE.LineBasicMaterial({ color: LINE_COLORS.dimension })
+    );
+
+    return group;
+  }
+
+  // Slice of the unfold progress each panel swings in: { start, end }
+  getPanelSwings() {
+    const { panels } = this.dieline;
+    const depths = {};
+    const getDepth = (id) => {
+      if (!(id in depths)) {
+        const children = panels.filter(panel => panel.parent === id);
+        depths[id] = children.length > 0 ? 1 + Math.max(...children.map(child => getDepth(child.id))) : 0;
+      }
+      return depths[id];
+    };
+
+    const hinged = panels.filter(panel => panel.parent);
+    const maxDepth = Math.max(...hinged.map(panel => getDepth(panel.id)));
+    const step = maxDepth > 0 ? (1 - PANEL_SWING) / maxDepth : 0;
+
+    return hinged.reduce((swings, panel) => {
+      const start = getDepth(panel.id) * step;
+      swings[panel.id] = { start, end: start + PANEL_SWING };
+      return swings;
+    }, {});
+  }
+
+  // Pose the net and the camera for an unfold progress
+  applyProgress(progress) {
+    const { box, hinges, pieces, flatOffset } = this.net;
+
+    hinges.forEach(({ hinge, folded, start, end }) => {
+      hinge.fold = folded * (1 - THREE.MathUtils.smoothstep(progress, start, end));
+      box.applyFold(hinge);
+    });
+
+    // From wherever the box is (it keeps turning in the intro) to upright
+    // at the origin
+    const turn = THREE.MathUtils.smoothstep(progress, 0, 1);
+    const boxObject = this.boxExperience.getBoxObject();
+    boxObject.updateWorldMatrix(true, false);
+    boxObject.matrixWorld.decompose(this.boxPosition, this.boxQuaternion, this.boxScale);
+
+    box.group.position.copy(this.boxPosition).multiplyScalar(1 - turn);
+    box.group.quaternion.slerpQuaternions(this.boxQuaternion, FLAT_QUATERNION, turn);
+    pieces.forEach(({ group, position, quaternion }) => {
+      group.position.lerpVectors(position, flatOffset, turn);
+      group.quaternion.slerpQuaternions(quaternion, FLAT_QUATERNION, turn);
+    });
+
+    this.camera.position.lerpVectors(this.startView.position, this.flatView.position, turn);
+    this.lookTarget.lerpVectors(this.startView.target, this.flatView.target, turn);
+    this.camera.lookAt(this.lookTarget);
+  }
+
+  playUnfold(target, onComplete) {
+    if (this.tween) {
+      this.tween.kill();
+    }
+
+    const distance = Math.abs(target - this.unfold.progress);
+    this.tween = gsap.to(this.unfold, {
+      progress: target,
+      duration: this.boxExperience.config.timing.unfold * distance,
+      ease: "none",
+      onUpdate: () => this.applyProgress(this.unfold.progress),
+      onComplete: () => {
+        this.tween = null;
+        onComplete();
+      }
+    });
+  }
+
+  // Camera distance that fits the flat blank and its dimensions on screen
+  updateFlatFrame() {
+    const { bounds } = this.dieline;
+    const { scale } = this.net;
+    const { width, height } = this.boxExperience.sizes;
+
+    const viewWidth = (bounds.maxX - bounds.minX + VIEW_MARGIN * 2) * scale;
+    const viewHeight = (bounds.maxY - bounds.minY + VIEW_MARGIN * 2) * scale;
+    const fitHeight = Math.max(viewHeight, viewWidth * height / width) * (1 + VIEW_PADDING);
+    const distance = fitHeight / 2 / Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+
+    this.flatView = {
+      position: new THREE.Vector3(0, 0, distance),
+      target: new THREE.Vector3(),
+      halfHeight: fitHeight / 2
+    };
+  }
+
+  // Swap to the orthographic camera. Square on to a flat object it frames
+  // exactly what the perspective camera did, so the swap doesn't show.
+  enterFlatView() {
+    this.isFlat = true;
+    this.net.lines.visible = true;
+    this.updateOrthoCamera();
+    this.boxExperience.setActiveCamera(this.orthoCamera);
+
+    this.viewPanel.querySelectorAll('button').forEach(button => {
+      button.disabled = false;
+    });
+
+    this.events.emit(EXPERIENCE_EVENTS.DIELINE_SHOW, { dieline: this.dieline });
+  }
+
+  leaveFlatView() {
+    if (!this.isFlat) return;
+
+    this.isFlat = false;
+    this.net.lines.visible = false;
+    this.labels.replaceChildren();
+    this.boxExperience.setActiveCamera(this.camera);
+  }
+
+  updateOrthoCamera() {
+    const { width, height } = this.boxExperience.sizes;
+    const { halfHeight, position, target } = this.flatView;
+    const halfWidth = halfHeight * width / height;
+
+    this.orthoCamera.left = -halfWidth;
+    this.orthoCamera.right = halfWidth;
+    this.orthoCamera.top = halfHeight;
+    this.orthoCamera.bottom = -halfHeight;
+    this.orthoCamera.position.copy(position);
+    this.orthoCamera.lookAt(target);
+    this.orthoCamera.updateProjectionMatrix();
+    this.orthoCamera.updateMatrixWorld();
+
+    this.placeLabels();
+  }
+
+  // Dimension values as HTML labels over the orthographic view
+  placeLabels() {
+    const { scale, flatOffset } = this.net;
+    const { width, height } = this.boxExperience.sizes;
+    const point = new THREE.Vector3();
+
+    this.labels.replaceChildren(...this.dieline.dimensions.map(dimension => {
+      const { text } = getDimensionGeometry(dimension);
+      const [x, y] = text.position;
+      point.set(x * scale, y * scale, 0).add(flatOffset).project(this.orthoCamera);
+
+      const label = document.createElement('span');
+      label.className = 'dieline-dimension';
+      label.textContent = `${text.label} mm`;
+      label.style.left = `${(point.x + 1) / 2 * width}px`;
+      label.style.top = `${(1 - point.y) / 2 * height}px`;
+      label.style.transform = `translate(-50%, -100%) rotate(${-text.angle}deg)`;
+      return label;
+    }));
+  }
+
+  // Put the box back, hand the camera back and remove the view
+  finishHide(restoreView) {
+    if (this.tween) {
+      this.tween.kill();
+      this.tween = null;
+    }
+    this.unfold.progress = 0;
+
+    const dieline = this.dieline;
+    this.disposeNet();
+    this.dieline = null;
+    this.isOpen = false;
+
+    this.boxExperience.getBoxObject().visible = true;
+    this.boxExperience.uiContainer.classList.remove('hidden');
+
+    if (restoreView) {
+      this.camera.position.copy(this.startView.position);
+      this.controls.target.copy(this.startView.target);
+      this.controls.enabled = true;
+      this.controls.update();
+    }
+
+    this.viewPanel.remove();
+    this.viewPanel = null;
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+
+    this.events.emit(EXPERIENCE_EVENTS.DIELINE_HIDE, { dieline });
+  }
+
+  // Rebuild for a new spec, keeping the current unfold progress
+  refresh() {
+    this.dieline = createDieline(getCurrentBoxSpec(this.boxExperience));
+    this.disposeNet();
+    this.buildNet();
+    this.net.lines.visible = this.isFlat;
+    this.updateFlatFrame();
+    this.applyProgress(this.unfold.progress);
+    this.viewPanel.querySelector('.dieline-caption').textContent = this.getCaption();
+
+    if (this.isFlat) {
+      this.updateOrthoCamera();
+    }
+  }
+
+  // The net's box disposes its geometry (lines included) and leaves the
+  // shared box material; the line materials are the view's own
+  disposeNet() {
+    if (!this.net) return;
+
+    const { box, lines } = this.net;
+    lines.children.forEach(line => line.material.dispose());
+    box.dispose();
+
+    this.net = null;
+  }
+
+  getCaption() {
+    return `${describeDieline(this.dieline)}. Solid lines are cut, dashed lines are creased.`;
+  }
+
+  createToggleButton() {
+    this.toggleButton = document.createElement('button');
+    this.toggleButton.className = 'dieline-toggle';
+    this.toggleButton.textContent = 'Flat dieline';
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+    this.boxExperience.overlayRoot.appendChild(this.toggleButton);
+    this.resources.element(this.toggleButton);
+    this.resources.listen(this.toggleButton, 'click', () => this.toggle());
+  }
+
+  // Layer over the experience while the dieline is out: it keeps clicks off
+  // the hidden box and holds the dimension labels and the toolbar
+  createViewPanel() {
+    this.viewPanel = document.createElement('div');
+    this.viewPanel.className = 'dieline-view';
+    this.viewPanel.setAttribute('role', 'region');
+    this.viewPanel.setAttribute('aria-label', 'Flat dieline');
+    this.viewPanel.innerHTML = `
+      <div class="dieline-labels" aria-hidden="true"></div>
+      <div class="dieline-toolbar">
+        <p class="dieline-caption"></p>
+        <div class="dieline-actions">
+          <button class="dieline-export" data-format="svg" disabled>Download SVG</button>
+          <button class="dieline-export" data-format="dxf" disabled>Download DXF</button>
+          <button class="dieline-close">Fold back</button>
+        </div>
+      </div>
+    `;
+
+    this.labels = this.viewPanel.querySelector('.dieline-labels');
+    this.viewPanel.querySelector('.dieline-caption').textContent = this.getCaption();
+    this.viewPanel.querySelectorAll('.dieline-export').forEach(button => {
+      button.addEventListener('click', () => this.download(button.dataset.format));
+    });
+    this.viewPanel.querySelector('.dieline-close').addEventListener('click', () => this.hide());
+
+    this.boxExperience.overlayRoot.appendChild(this.viewPanel);
+    this.resources.element(this.viewPanel);
+    this.toggleButton.setAttribute('aria-expanded', 'true');
+  }
+
+  setupEventListeners() {
+    this.resources.listen(this.boxExperience.keyboardTarget, 'keydown', (event) => {
+      if (event.code === 'Escape' && this.isOpen) {
+        this.hide();
+      }
+    });
+
+    // Anything that moves the experience on puts the box straight back
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.STATE_CHANGE, () => {
+      this.hide({ animate: false });
+    }));
+
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.TOUR_START, () => {
+      this.hide({ animate: false, restoreView: false });
+    }));
+
+    // A rebuilt box comes back visible; keep it hidden behind the net
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.BOX_REBUILT, () => {
+      if (this.isOpen) {
+        this.boxExperience.getBoxObject().visible = false;
+      }
+    }));
+
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.BOX_SPEC_CHANGE, () => {
+      if (this.isOpen) {
+        this.refresh();
+      }
+    }));
+  }
+
+  resize() {
+    if (!this.isOpen) return;
+
+    this.updateFlatFrame();
+    if (this.isFlat) {
+      this.updateOrthoCamera();
+    } else {
+      this.applyProgress(this.unfold.progress);
+    }
+  }
+
+  dispose() {
+    this.hide({ animate: false });
+    this.resources.dispose();
+  }
+}
+
+export { DielineView };
@@ -0,0 +1,462 @@
+// Declarative configuration for the box experience
+// Company details, where the product catalog comes from, card layouts,
+// asset paths, camera, lights, brand colours, font and timings all live here so the experience
+// can be rebranded, retuned or pointed at other assets without code changes. A config is plain JSON:
+// colours are '#rrggbb' strings and vectors are [x, y, z] arrays.
+import { BOX_STYLES } from './BoxStyles.js';
+import { CARD_LAYOUTS } from './CardLayouts.js';
+
+const DEFAULT_CONFIG = {
+  company: {
+    name: 'JJ Enterprises',
+    tagline: 'Everything Printing & Packaging',
+    phone: '+91 9819256432',
+    email: 'info@thejjenterprise.com',
+    address: 'ITT Bhatti, Dindoshipada, Goregaon'
+  },
+
+  brand: {
+    // Kraft board colour used for the box, cards, outlines and accents
+    primary: '#d2b48c',
+    outline: '#190a05',
+    background: '#f5f5f5',
+    panel: '#ffffff',
+    text: '#333333',
+    mutedText: '#666666',
+    // CSS font stack for the text on the cards and info panel; characters
+    // the first font lacks come from the next
+    font: 'Arial, "Helvetica Neue", "Noto Sans", "Noto Sans CJK SC", sans-serif'
+  },
+
+  // Where the product catalog comes from (see ProductCatalog.js): 'json'
+  // loads the catalog file at url, 'cms' the entries of a headless CMS at
+  // url and 'mock' the built-in catalog from the in-browser CMS stand-in.
+  // The built-in catalog is shown if it cannot be loaded.
+  catalog: {
+    source: 'json',
+    url: '/config/catalog.json'
+  },
+
+  // Product cards inside the open box (see CardLayouts.js): the layout for
+  // each device class ('ring', 'grid', 'shelves' or 'helix') and the most
+  // cards on show at once; the rest are paged through
+  cards: {
+    layout: { desktop: 'ring', tablet: 'shelves', mobile: 'grid' },
+    pageSize: { desktop: 8, tablet: 8, mobile: 4 }
+  },
+
+  // Where contact form inquiries go (see InquiryTransport.js): 'http' posts
+  // them to endpoint, 'mailto' opens the visitor's mail app addressed to
+  // company.email and 'mock' uses the in-browser mock endpoint. Sends that
+  // fail are retried up to retries times, first after retryDelay seconds and
+  // twice as long each time; each try gives up after timeout seconds. With
+  // mailtoFallback visitors can email an inquiry that could not be sent.
+  inquiry: {
+    transport: 'http',
+    endpoint: '/api/inquiries',
+    timeout: 15,
+    retries: 2,
+    retryDelay: 1,
+    mailtoFallback: true
+  },
+
+  assets: {
+    // Equirectangular environment map for reflections: a Radiance .hdr file
+    // or an ordinary image
+    environmentMap: '/assets/environment.jpg',
+    // Optional GLB box model (e.g. '/models/corrugated_box.glb'); without
+    // one the procedural carton described under box is used
+    boxTextures: {
+      color: '/assets/textures/corrugated_color.jpg',
+      normal: '/assets/textures/corrugated_normal.jpg',
+      roughness: '/assets/textures/corrugated_roughness.jpg',
+      ao: '/assets/textures/corrugated_ao.jpg'
+    },
+    particleTexture: '/assets/textures/particle.png',
+    fallbackImage: '/assets/images/fallback-image.jpg',
+    // Prices for the quote estimator (see Quote.js); without one the
+    // built-in rates are used
+    rateTable: '/config/rates.json'
+  },
+
+  // Procedural carton. style is a FEFCO code from BoxStyles.js; dimensions
+  // are the inside width (x), height (y) and depth (z); thickness is the
+  // board thickness and textureSize the length one tile of the corrugated
+  // textures covers. An optional color overrides brand.primary for the board.
+  box: {
+    style: '0201',
+    dimensions: [1, 1, 1],
+    thickness: 0.01,
+    textureSize: 0.25,
+    flaps: {
+      // Order the top flaps of slotted styles (0201, 0203) fold back when
+      // opening (closing reverses it)
+      order: ['front', 'back', 'left', 'right'],
+      // Degrees each flap turns from closed: 90 is upright, 180 flat outside
+      openAngle: 200,
+      // Seconds between one flap (or lid) starting and the next
+      stagger: 0.2,
+      // gsap ease of each fold, and degrees it swings past openAngle
+      // before settling
+      ease: 'power2.out',
+      overshoot: 12
+    }
+  },
+
+  camera: {
+    fov: 35,
+    position: [0, 1, 5],
+    minDistance: 2,
+    maxDistance: 10,
+    // Camera used once the viewer has stepped inside the box
+    insideFov: 75,
+    insidePosition: [0, 0.2, 0]
+  },
+
+  lights: {
+    ambient: { color: '#ffffff', intensity: 0.3 },
+    key: { color: '#ffffff', intensity: 1, position: [5, 5, 5] },
+    rim: { color: '#ffffeb', intensity: 0.7, position: [-5, 3, -5] },
+    interior: { color: '#ffffeb', intensity: 0.8, distance: 3, position: [0, 0.5, 0] }
+  },
+
+  // Durations in seconds unless noted
+  timing: {
+    open: 1.5,
+    close: 1.5,
+    enter: 2,
+    exit: 2,
+    cardAppear: 1,
+    cardStagger: 0.2,
+    focus: 0.5,
+    // Cards moving round to their new places when the products are filtered
+    cardMove: 0.6,
+    // Unfolding the box into its flat dieline (and folding it back)
+    unfold: 2.5,
+    // Milliseconds to wait for preloading before starting anyway
+    loadingTimeout: 10000
+  },
+
+  // Guided camera tours played by the CameraDirector. Each keyframe moves the
+  // camera to position while turning to look at target over duration
+  // seconds, then holds for dwell seconds. The caption is shown from the
+  // start of the move, and action ('open' or 'close') is dispatched on
+  // arrival. The first tour is the default one.
+  tours: [
+    {
+      id: 'overview',
+      title: 'Guided tour',
+      keyframes: [
+        {
+          position: [3, 2, 4],
+          target: [0, 0, 0],
+          duration: 2.5,
+          dwell: 2,
+          caption: 'Welcome! Let us show you around our packaging.'
+        },
+        {
+          position: [-3, 1.2, 2.5],
+          target: [0, 0.2, 0],
+          duration: 3,
+          dwell: 2.5,
+          caption: 'Our corrugated boxes are made from layered kraft board: light, strong and recyclable.'
+        },
+        {
+          position: [0, 2.5, 1.5],
+          target: [0, 0, 0],
+          duration: 2.5,
+          dwell: 1.5,
+          caption: "Let's look inside.",
+          action: 'open'
+        },
+        {
+          position: [0, 0.2, 0.3],
+          target: [0, 0.3, -0.45],
+          fov: 60,
+          duration: 3,
+          dwell: 3,
+          caption: 'Inside you will find our product range and how to reach us.'
+        },
+        {
+          position: [0, 1, 5],
+          target: [0, 0, 0],
+          fov: 35,
+          duration: 2.5,
+          caption: 'Now explore on your own. Click the box to step inside.'
+        }
+      ]
+    }
+  ]
+};
+
+// Expected type of every option. Objects list their allowed keys, a
+// one-element array describes the items of a list, and a trailing '?' marks
+// a field as optional.
+const CONFIG_SCHEMA = {
+  company: {
+    name: 'string',
+    tagline: 'string',
+    phone: 'string',
+    email: 'string',
+    address: 'string'
+  },
+  brand: {
+    primary: 'color',
+    outline: 'color',
+    background: 'color',
+    panel: 'color',
+    text: 'color',
+    mutedText: 'color',
+    font: 'string'
+  },
+  catalog: {
+    source: 'catalogSource',
+    url: 'string?'
+  },
+  cards: {
+    layout: { desktop: 'cardLayout', tablet: 'cardLayout', mobile: 'cardLayout' },
+    pageSize: { desktop: 'pageSize', tablet: 'pageSize', mobile: 'pageSize' }
+  },
+  inquiry: {
+    transport: 'inquiryTransport',
+    endpoint: 'string?',
+    timeout: 'number',
+    retries: 'number',
+    retryDelay: 'number',
+    mailtoFallback: 'boolean'
+  },
+  assets: {
+    environmentMap: 'string',
+    boxModel: 'string?',
+    boxTextures: {
+      color: 'string',
+      normal: 'string',
+      roughness: 'string',
+      ao: 'string'
+    },
+    particleTexture: 'string',
+    fallbackImage: 'string',
+    rateTable: 'string?'
+  },
+  box: {
+    style: 'boxStyle',
+    dimensions: 'vector3',
+    thickness: 'number',
+    textureSize: 'number',
+    color: 'color?',
+    flaps: {
+      order: ['flapSide'],
+      openAngle: 'number',
+      stagger: 'number',
+      ease: 'string',
+      overshoot: 'number'
+    }
+  },
+  camera: {
+    fov: 'number',
+    position: 'vector3',
+    minDistance: 'number',
+    maxDistance: 'number',
+    insideFov: 'number',
+    insidePosition: 'vector3'
+  },
+  lights: {
+    ambient: { color: 'color', intensity: 'number' },
+    key: { color: 'color', intensity: 'number', position: 'vector3' },
+    rim: { color: 'color', intensity: 'number', position: 'vector3' },
+    interior: { color: 'color', intensity: 'number', distance: 'number', position: 'vector3' }
+  },
+  timing: {
+    open: 'number',
+    close: 'number',
+    enter: 'number',
+    exit: 'number',
+    cardAppear: 'number',
+    cardStagger: 'number',
+    focus: 'number',
+    cardMove: 'number',
+    unfold: 'number',
+    loadingTimeout: 'number'
+  },
+  tours: [{
+    id: 'string',
+    title: 'string',
+    keyframes: [{
+      position: 'vector3',
+      target: 'vector3',
+      fov: 'number?',
+      duration: 'number',
+      dwell: 'number?',
+      caption: 'string?',
+      action: 'tourAction?'
+    }]
+  }]
+};
+
+// Checks for the leaf types used in the schema
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string' && value.length > 0,
+  number: value => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+  color: value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value),
+  vector3: value => Array.isArray(value) && value.length === 3 &&
+    value.every(n => typeof n === 'number' && Number.isFinite(n)),
+  tourAction: value => value === 'open' || value === 'close',
+  flapSide: value => ['front', 'back', 'left', 'right'].includes(value),
+  boxStyle: value => Object.keys(BOX_STYLES).includes(value),
+  boolean: value => typeof value === 'boolean',
+  inquiryTransport: value => ['http', 'mailto', 'mock'].includes(value),
+  catalogSource: value => ['json', 'cms', 'mock'].includes(value),
+  cardLayout: value => Object.keys(CARD_LAYOUTS).includes(value),
+  pageSize: value => Number.isInteger(value) && value >= 1
+};
+
+// Thrown when a config does not match the schema; lists every problem found
+class ConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid experience config:\n  ${errors.join('\n  ')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merge overrides into a copy of the base; objects merge key by key while
+// arrays and other values replace the base value
+function mergeConfig(base, overrides) {
+  if (!isPlainObject(base) || !isPlainObject(overrides)) {
+    return overrides === undefined ? base : overrides;
+  }
+
+  const merged = { ...base };
+  Object.keys(overrides).forEach(key => {
+    merged[key] = mergeConfig(base[key], overrides[key]);
+  });
+
+  return merged;
+}
+
+// Validate a value against a schema node, collecting errors
+function validateNode(value, schema, path, errors) {
+  if (typeof schema === 'string') {
+    const optional = schema.endsWith('?');
+    const type = optional ? schema.slice(0, -1) : schema;
+
+    if (value === undefined) {
+      if (!optional) errors.push(`${path} is required`);
+    } else if (!TYPE_CHECKS[type](value)) {
+      errors.push(`${path} must be a ${type}, got ${JSON.stringify(value)}`);
+    }
+    return;
+  }
+
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be a list`);
+      return;
+    }
+    value.forEach((item, index) => validateNode(item, schema[0], `${path}[${index}]`, errors));
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  // Unknown keys are usually typos, so reject them
+  Object.keys(value).forEach(key => {
+    if (!(key in schema)) {
+      errors.push(`${path}.${key} is not a known option`);
+    }
+  });
+
+  Object.keys(schema).forEach(key => {
+    validateNode(value[key], schema[key], `${path}.${key}`, errors);
+  });
+}
+
+// Throw a ConfigValidationError unless the config matches the schema
+function validateConfig(config) {
+  const errors = [];
+  validateNode(config, CONFIG_SCHEMA, 'config', errors);
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
+  return config;
+}
+
+// Build a complete, validated config from partial overrides
+function createConfig(overrides = {}) {
+  if (!isPlainObject(overrides)) {
+    throw new ConfigValidationError(['config must be an object']);
+  }
+
+  // Round-trip through JSON so callers never share objects with the defaults
+  const merged = mergeConfig(DEFAULT_CONFIG, overrides);
+  return validateConfig(JSON.parse(JSON.stringify(merged)));
+}
+
+// Fetch a JSON config (partial configs are merged over the defaults)
+function loadConfig(url) {
+  return fetch(url)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load config ${url}: ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(overrides => createConfig(overrides));
+}
+
+// Whether a URL is a relative path on this site. A config sets the company
+// details shown on the page and where inquiries are sent, so a link must not
+// be able to load one from elsewhere.
+function isSameOriginPath(url) {
+  if (/^([a-z][a-z\d+.-]*:|[\\/]{2})/i.test(url)) return false;
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin;
+  } catch (error) {
+    return false;
+  }
+}
+
+// URL of the experience config: ?config=... (a relative path on this site)
+// overrides the <meta name="experience-config" content="..."> tag; null if
+// neither is set
+function getConfigUrl() {
+  const param = new URLSearchParams(window.location.search).get('config');
+  if (param && isSameOriginPath(param)) return param;
+  if (param) {
+    console.warn(`Ignoring ?config=${param}: only relative paths on this site are allowed`);
+  }
+
+  const meta = document.querySelector('meta[name="experience-config"]');
+  return meta ? meta.getAttribute('content') : null;
+}
+
+// Load the page's config, falling back to the defaults if it is missing or invalid
+function resolveConfig() {
+  const url = getConfigUrl();
+  if (!url) return Promise.resolve(createConfig());
+
+  return loadConfig(url).catch(error => {
+    console.error('Failed to load experience config, using defaults:', error);
+    return createConfig();
+  });
+}
+
+export {
+  DEFAULT_CONFIG,
+  CONFIG_SCHEMA,
+  ConfigValidationError,
+  createConfig,
+  validateConfig,
+  loadConfig,
+  getConfigUrl,
+  resolveConfig
+};
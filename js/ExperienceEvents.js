@@ -0,0 +1,248 @@
+// Event bus for the box experience
+// Components subscribe here instead of wiring themselves to each other.
+// Every event is also re-dispatched as a CustomEvent on the bus target
+// (document by default) so plain DOM listeners keep working.
+
+// Event names and the payload ("detail") each one carries
+const EXPERIENCE_EVENTS = {
+  // Any state machine change: { state, previousState, action }
+  STATE_CHANGE: 'stateChange',
+  // Opening animation finished: { state }
+  BOX_OPENED: 'boxOpened',
+  // Closing animation started: { state }
+  BOX_CLOSING: 'boxClosing',
+  // Closing animation finished: { state }
+  BOX_CLOSED: 'boxClosed',
+  // Camera has settled inside the box: { state, camera }
+  ENTER_BOX: 'enterBox',
+  // Camera starts leaving the box: { state, camera }
+  EXIT_BOX: 'exitBox',
+  // Procedural carton rebuilt with new options: { box }
+  BOX_REBUILT: 'boxRebuilt',
+  // Configurator spec changed (see BoxSpec.js): { spec }
+  BOX_SPEC_CHANGE: 'boxSpecChange',
+  // Box laid out flat as its dieline (see Dieline.js): { dieline }
+  DIELINE_SHOW: 'dielineShow',
+  // Dieline folded back into the box: { dieline }
+  DIELINE_HIDE: 'dielineHide',
+  // Dieline downloaded: { dieline, format } (format is 'svg' or 'dxf')
+  DIELINE_EXPORT: 'dielineExport',
+  // Box downloaded as a model or image (see BoxExport.js):
+  // { format, blob, fileName } (format is 'glb' or 'png')
+  BOX_EXPORT: 'boxExport',
+  // Customer artwork added, moved, reprinted or removed (see
+  // ArtworkDecals.js): { artwork } (null once removed)
+  ARTWORK_CHANGE: 'artworkChange',
+  // Price estimate added to the quote request (see QuoteEstimator.js):
+  // { estimate }
+  QUOTE_ESTIMATE: 'quoteEstimate',
+  // Sending an inquiry failed and will be tried again after delay seconds
+  // (see InquirySubmitter.js): { inquiry, attempt, delay, error }
+  INQUIRY_RETRY: 'inquiryRetry',
+  // Inquiry sent, or handed to the visitor's mail app: { inquiry, receipt }
+  // (receipt.queued when it was sent from the offline queue)
+  INQUIRY_SENT: 'inquirySent',
+  // Sending an inquiry failed for good: { inquiry, error }
+  INQUIRY_FAIL: 'inquiryFail',
+  // Inquiry saved to send once back online (see InquiryQueue.js):
+  // { inquiry, error, duplicate } (error is null when offline; duplicate
+  // when it replaced the same inquiry already queued)
+  INQUIRY_QUEUE: 'inquiryQueue',
+  // Products picked for comparison changed (see ComparisonView.js):
+  // { products }
+  COMPARE_CHANGE: 'compareChange',
+  // Showcased products replaced by a newly loaded catalog (see
+  // ProductCatalog.js): { catalog }
+  CATALOG_LOAD: 'catalogLoad',
+  // Search or filter chips changed which products are on show (see
+  // ProductSearch.js): { filter, products }
+  FILTER_CHANGE: 'filterChange',
+  // Product cards laid out afresh, for a new layout, page or filter (see
+  // CardLayouts.js): { layout, page, pageCount } (page counts from 0)
+  CARDS_ARRANGE: 'cardsArrange',
+  // Active camera swapped: { camera, previousCamera }
+  CAMERA_CHANGE: 'cameraChange',
+  // Object hovered / focused: { object, product, position }
+  PRODUCT_FOCUS: 'productFocus',
+  // Focused object released: { object, product }
+  PRODUCT_UNFOCUS: 'productUnfocus',
+  // Product details, contact form, quote estimator or product comparison
+  // shown: { overlay, product } (overlay is 'product', 'contact', 'quote' or
+  // 'compare'; product is null for the contact form and the comparison, and
+  // for the estimator unless opened from a product)
+  OVERLAY_OPEN: 'overlayOpen',
+  // Product details, contact form, quote estimator or product comparison
+  // hidden: { overlay, product }
+  OVERLAY_CLOSE: 'overlayClose',
+  // Quality tier changed: { tier, previousTier, settings, reason }
+  QUALITY_CHANGE: 'qualityChange',
+  // Guided camera tour started: { tour }
+  TOUR_START: 'tourStart',
+  // Tour moved on to a keyframe (its caption is showing): { tour, index, keyframe }
+  TOUR_KEYFRAME: 'tourKeyframe',
+  // Tour finished or was interrupted: { tour, completed }
+  TOUR_END: 'tourEnd',
+  // Bootstrap finished registering components: { experience }
+  READY: 'experienceReady'
+};
+
+// Keys every payload of a known event must provide (checked in debug mode)
+const EVENT_PAYLOAD_KEYS = {
+  [EXPERIENCE_EVENTS.STATE_CHANGE]: ['state', 'previousState', 'action'],
+  [EXPERIENCE_EVENTS.BOX_OPENED]: ['state'],
+  [EXPERIENCE_EVENTS.BOX_CLOSING]: ['state'],
+  [EXPERIENCE_EVENTS.BOX_CLOSED]: ['state'],
+  [EXPERIENCE_EVENTS.ENTER_BOX]: ['state', 'camera'],
+  [EXPERIENCE_EVENTS.EXIT_BOX]: ['state', 'camera'],
+  [EXPERIENCE_EVENTS.CAMERA_CHANGE]: ['camera', 'previousCamera'],
+  [EXPERIENCE_EVENTS.PRODUCT_FOCUS]: ['object', 'product', 'position'],
+  [EXPERIENCE_EVENTS.PRODUCT_UNFOCUS]: ['object', 'product'],
+  [EXPERIENCE_EVENTS.BOX_REBUILT]: ['box'],
+  [EXPERIENCE_EVENTS.BOX_SPEC_CHANGE]: ['spec'],
+  [EXPERIENCE_EVENTS.DIELINE_SHOW]: ['dieline'],
+  [EXPERIENCE_EVENTS.DIELINE_HIDE]: ['dieline'],
+  [EXPERIENCE_EVENTS.DIELINE_EXPORT]: ['dieline', 'format'],
+  [EXPERIENCE_EVENTS.BOX_EXPORT]: ['format', 'blob', 'fileName'],
+  [EXPERIENCE_EVENTS.ARTWORK_CHANGE]: ['artwork'],
+  [EXPERIENCE_EVENTS.QUOTE_ESTIMATE]: ['estimate'],
+  [EXPERIENCE_EVENTS.INQUIRY_RETRY]: ['inquiry', 'attempt', 'delay', 'error'],
+  [EXPERIENCE_EVENTS.INQUIRY_SENT]: ['inquiry', 'receipt'],
+  [EXPERIENCE_EVENTS.INQUIRY_FAIL]: ['inquiry', 'error'],
+  [EXPERIENCE_EVENTS.INQUIRY_QUEUE]: ['inquiry', 'error', 'duplicate'],
+  [EXPERIENCE_EVENTS.COMPARE_CHANGE]: ['products'],
+  [EXPERIENCE_EVENTS.CATALOG_LOAD]: ['catalog'],
+  [EXPERIENCE_EVENTS.FILTER_CHANGE]: ['filter', 'products'],
+  [EXPERIENCE_EVENTS.CARDS_ARRANGE]: ['layout', 'page', 'pageCount'],
+  [EXPERIENCE_EVENTS.OVERLAY_OPEN]: ['overlay', 'product'],
+  [EXPERIENCE_EVENTS.OVERLAY_CLOSE]: ['overlay', 'product'],
+  [EXPERIENCE_EVENTS.QUALITY_CHANGE]: ['tier', 'previousTier', 'settings', 'reason'],
+  [EXPERIENCE_EVENTS.TOUR_START]: ['tour'],
+  [EXPERIENCE_EVENTS.TOUR_KEYFRAME]: ['tour', 'index', 'keyframe'],
+  [EXPERIENCE_EVENTS.TOUR_END]: ['tour', 'completed'],
+  [EXPERIENCE_EVENTS.READY]: ['experience']
+};
+
+class ExperienceEventBus {
+  constructor({ target = document, debug = false, historySize = 50 } = {}) {
+    this.target = target;
+    this.debug = debug;
+    this.historySize = historySize;
+    this.handlers = new Map();
+
+    // Wrappers added by once(), by type and then by the handler they call
+    this.onceWrappers = new Map();
+
+    // Most recent emitted events, kept for the debug log
+    this.history = [];
+  }
+
+  // Subscribe to an event, returns an unsubscribe function
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+
+    return () => this.off(type, handler);
+  }
+
+  // Remove a handler added with on() or once() (every time it was added)
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+
+    const wrappers = this.onceWrappers.get(type);
+    if (wrappers && wrappers.has(handler)) {
+      wrappers.get(handler).forEach(wrapper => this.removeOnce(type, handler, wrapper));
+    }
+  }
+
+  // Subscribe for a single emission, returns an unsubscribe function
+  once(type, handler) {
+    if (!this.onceWrappers.has(type)) {
+      this.onceWrappers.set(type, new Map());
+    }
+    const wrappers = this.onceWrappers.get(type);
+    if (!wrappers.has(handler)) {
+      wrappers.set(handler, new Set());
+    }
+
+    const wrapper = (detail) => {
+      this.removeOnce(type, handler, wrapper);
+      handler(detail);
+    };
+    wrappers.get(handler).add(wrapper);
+    this.on(type, wrapper);
+
+    return () => this.removeOnce(type, handler, wrapper);
+  }
+
+  // Remove one subscription made with once()
+  removeOnce(type, handler, wrapper) {
+    const handlers = this.handlers.get(type);
+    if (handlers) {
+      handlers.delete(wrapper);
+    }
+
+    const wrappers = this.onceWrappers.get(type);
+    const handlerWrappers = wrappers && wrappers.get(handler);
+    if (!handlerWrappers) return;
+
+    handlerWrappers.delete(wrapper);
+    if (handlerWrappers.size === 0) {
+      wrappers.delete(handler);
+    }
+  }
+
+  // Drop every subscriber and the debug history
+  clear() {
+    this.handlers.clear();
+    this.onceWrappers.clear();
+    this.history = [];
+  }
+
+  // Emit an event to bus subscribers and DOM listeners
+  emit(type, detail = {}) {
+    if (this.debug) {
+      this.logEvent(type, detail);
+    }
+
+    const handlers = this.handlers.get(type);
+    if (handlers) {
+      // Copy so handlers may unsubscribe while being called
+      [...handlers].forEach(handler => {
+        try {
+          handler(detail);
+        } catch (error) {
+          console.error(`Error in "${type}" handler:`, error);
+        }
+      });
+    }
+
+    if (this.target) {
+      this.target.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+  }
+
+  // Record an emitted event and validate its payload (debug mode only)
+  logEvent(type, detail) {
+    const expectedKeys = EVENT_PAYLOAD_KEYS[type];
+    if (expectedKeys) {
+      const missing = expectedKeys.filter(key => !(key in detail));
+      if (missing.length > 0) {
+        console.warn(`Event "${type}" is missing payload keys: ${missing.join(', ')}`);
+      }
+    }
+
+    this.history.push({ type, detail, time: performance.now() });
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    console.debug(`[experience] ${type}`, detail);
+  }
+}
+
+export { ExperienceEventBus, EXPERIENCE_EVENTS };
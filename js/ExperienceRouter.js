@@ -0,0 +1,315 @@
+// Hash router for the box experience
+// Keeps the URL in step with what the visitor is looking at, so every view
+// can be linked to, bookmarked and navigated with Back and Forward:
+//   #/                 closed box (intro)
+//   #/open             open box
+//   #/inside           inside the box
+//   #/products/<slug>  open box with the product's card focused and its details showing
+//   #/contact          contact form, over whatever state the box is in
+// Any of them can end in the product search and filters, e.g.
+// '#/open?q=mailer&category=corrugated-boxes,custom-packaging&material=kraft-paper'
+// (see ProductFilter.js); these change the URL without adding history entries.
+// The route in the URL is restored instantly on load. Later route changes
+// play the transitions needed to reach them, and moving around inside the
+// experience pushes history entries, so Back exits the box or closes the
+// product details. Hashes that are not routes (e.g. '#main-content') are ignored.
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { EXPERIENCE_STATES } from './ExperienceStateMachine.js';
+import { getProductSlug } from './BusinessShowcase.js';
+import { EMPTY_FILTER, parseFilterParams, formatFilterParams } from './ProductFilter.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+
+const STATE_PATHS = {
+  [EXPERIENCE_STATES.INTRO]: '/',
+  [EXPERIENCE_STATES.OPEN]: '/open',
+  [EXPERIENCE_STATES.INSIDE]: '/inside'
+};
+
+// Settled states from outside in, and the action that moves one step
+// further in or out
+const STATE_ORDER = [EXPERIENCE_STATES.INTRO, EXPERIENCE_STATES.OPEN, EXPERIENCE_STATES.INSIDE];
+const STEP_IN = { [EXPERIENCE_STATES.INTRO]: 'open', [EXPERIENCE_STATES.OPEN]: 'enter' };
+const STEP_OUT = { [EXPERIENCE_STATES.INSIDE]: 'exit', [EXPERIENCE_STATES.OPEN]: 'close' };
+
+// Parse a hash or path into { state, product, contact, filter }; null if
+// it is not a route. state is null when the route leaves the box as it is.
+function parseRoute(hash) {
+  const [path, search = ''] = (hash.replace(/^#/, '') || '/').split('?');
+  if (!path.startsWith('/')) return null;
+
+  // A malformed escape (e.g. from a mangled shared link) is not a route
+  let segments;
+  try {
+    segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    return null;
+  }
+  const route = { state: null, product: null, contact: false, filter: parseFilterParams(search) };
+
+  if (segments.length === 0) {
+    route.state = EXPERIENCE_STATES.INTRO;
+  } else if (segments.length === 1 && segments[0] === 'open') {
+    route.state = EXPERIENCE_STATES.OPEN;
+  } else if (segments.length === 1 && segments[0] === 'inside') {
+    route.state = EXPERIENCE_STATES.INSIDE;
+  } else if (segments.length === 2 && segments[0] === 'products') {
+    route.state = EXPERIENCE_STATES.OPEN;
+    route.product = segments[1];
+  } else if (segments.length === 1 && segments[0] === 'contact') {
+    route.contact = true;
+  } else {
+    return null;
+  }
+
+  return route;
+}
+
+// Hash for a route, e.g. '#/products/kraft-paper-bags' or '#/open?q=kraft'
+function formatRoute({ state, product, contact, filter = EMPTY_FILTER }) {
+  const params = formatFilterParams(filter);
+  const search = params ? `?${params}` : '';
+
+  if (contact) return `#/contact${search}`;
+  if (product) return `#/products/${encodeURIComponent(product)}${search}`;
+  return `#${STATE_PATHS[state]}${search}`;
+}
+
+// Next action on the way from one settled state to another
+function getStepTowards(from, to) {
+  const step = STATE_ORDER.indexOf(to) - STATE_ORDER.indexOf(from);
+  if (step > 0) return STEP_IN[from];
+  if (step < 0) return STEP_OUT[from];
+  return null;
+}
+
+class ExperienceRouter {
+  constructor(boxExperience) {
+    this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
+    this.resources = new ResourceTracker();
+
+    // Route being navigated to while transitions play
+    this.pendingRoute = null;
+
+    // Set while the router itself changes the experience, so the events
+    // this causes are not written back to the URL
+    this.applying = false;
+
+    this.restoreInitialRoute();
+    this.setupEventListeners();
+  }
+
+  get showcase() {
+    return this.boxExperience.getComponent('businessShowcase');
+  }
+
+  get productSearch() {
+    return this.boxExperience.getComponent('productSearch');
+  }
+
+  // Go to a route path (e.g. '/inside'), adding a history entry
+  navigate(path) {
+    const route = parseRoute(path);
+    if (!route) {
+      throw new Error(`Unknown route: ${path}`);
+    }
+
+    window.history.pushState(null, '', formatRoute(route));
+    this.goTo(route);
+  }
+
+  // The route describing what the experience currently shows
+  getCurrentRoute() {
+    const showcase = this.showcase;
+    const productSearch = this.productSearch;
+    const route = {
+      state: this.boxExperience.state,
+      product: null,
+      contact: false,
+      filter: productSearch ? productSearch.filter : EMPTY_FILTER
+    };
+
+    if (showcase && showcase.contactFormOpen) {
+      route.state = null;
+      route.contact = true;
+    } else if (showcase && showcase.detailsProduct) {
+      route.product = getProductSlug(showcase.detailsProduct);
+    }
+
+    return route;
+  }
+
+  // Jump straight to the route in the URL, without animating
+  restoreInitialRoute() {
+    const route = parseRoute(window.location.hash);
+    if (!route) return;
+
+    this.withoutSync(() => {
+      if (route.state && route.state !== this.boxExperience.state) {
+        this.boxExperience.restoreState(route.state);
+      }
+
+      if (!this.applyOverlays(route)) {
+        this.syncUrl({ replace: true });
+      }
+    });
+  }
+
+  // Navigate to a route, playing transitions one step at a time
+  goTo(route) {
+    this.pendingRoute = route;
+    this.advance();
+  }
+
+  // Take the next step towards the pending route. Called again each time a
+  // transition settles until the route is reached.
+  advance() {
+    const route = this.pendingRoute;
+    const experience = this.boxExperience;
+    if (!route || !experience.interactionEnabled) return;
+
+    if (route.state && route.state !== experience.state) {
+      const action = getStepTowards(experience.state, route.state);
+
+      // Overlays belong to the view being left
+      const started = this.withoutSync(() => {
+        this.applyOverlays({ product: null, contact: false });
+        return experience.dispatchAction(action, { queue: false });
+      });
+
+      if (!started) {
+        this.pendingRoute = null;
+        this.syncUrl({ replace: true });
+      }
+      return;
+    }
+
+    this.pendingRoute = null;
+    const applied = this.withoutSync(() => this.applyOverlays(route));
+    if (!applied) {
+      this.syncUrl({ replace: true });
+    }
+  }
+
+  // Show or hide the product details and contact form, and set the product
+  // filter, to match a route. Returns false if the route names a product
+  // that is not showcased.
+  applyOverlays(route) {
+    const showcase = this.showcase;
+    const productSearch = this.productSearch;
+    if (productSearch && route.filter) {
+      productSearch.setFilter(route.filter);
+    }
+    if (!showcase) return true;
+
+    if (route.contact && !showcase.contactFormOpen) {
+      showcase.showContactForm();
+    } else if (!route.contact) {
+      showcase.hideContactForm();
+    }
+
+    if (!route.product) {
+      showcase.hideProductDetails();
+      return true;
+    }
+
+    const product = showcase.focusProductBySlug(route.product);
+
+    // Deep links can arrive before the catalog; try again once it loads
+    if (!product && showcase.catalogLoading) {
+      this.pendingRoute = route;
+      return true;
+    }
+
+    if (!product) {
+      console.warn(`No product matches the URL: ${route.product}`);
+      showcase.hideProductDetails();
+      return false;
+    }
+
+    if (showcase.detailsProduct !== product) {
+      showcase.showProductDetails(product);
+    }
+
+    return true;
+  }
+
+  // Run a change made by the router without recording it in the URL
+  withoutSync(callback) {
+    this.applying = true;
+    try {
+      return callback();
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  // Write the current route to the URL if it differs from it
+  syncUrl({ replace = false } = {}) {
+    const current = parseRoute(window.location.hash);
+    const hash = formatRoute(this.getCurrentRoute());
+    if (current && formatRoute(current) === hash) return;
+
+    if (replace) {
+      window.history.replaceState(null, '', hash);
+    } else {
+      window.history.pushState(null, '', hash);
+    }
+  }
+
+  setupEventListeners() {
+    // Back / Forward, or a route typed into the address bar
+    this.resources.listen(window, 'popstate', () => {
+      const route = parseRoute(window.location.hash);
+      if (route) {
+        this.goTo(route);
+      }
+    });
+
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.STATE_CHANGE, ({ state }) => {
+      if (!this.boxExperience.stateMachine.isSettledState(state)) return;
+
+      if (this.pendingRoute) {
+        // Continue once every listener has seen this state
+        this.resources.timeout(() => this.advance(), 0);
+      } else if (!this.applying) {
+        this.syncUrl();
+      }
+    }));
+
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.CATALOG_LOAD, () => {
+      if (this.pendingRoute) {
+        this.advance();
+      }
+    }));
+
+    // Typing a search should not fill the history. A route on its way is
+    // written once reached.
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.FILTER_CHANGE, () => {
+      if (!this.applying && !this.pendingRoute) {
+        this.syncUrl({ replace: true });
+      }
+    }));
+
+    // Opening an overlay is a step the visitor can go Back from; closing one
+    // just updates the entry
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.OVERLAY_OPEN, () => {
+      if (!this.applying) {
+        this.syncUrl();
+      }
+    }));
+
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.OVERLAY_CLOSE, () => {
+      if (!this.applying) {
+        this.syncUrl({ replace: true });
+      }
+    }));
+  }
+
+  dispose() {
+    this.pendingRoute = null;
+    this.resources.dispose();
+  }
+}
+
+export { ExperienceRouter, parseRoute, formatRoute };
@@ -0,0 +1,200 @@
+// State machine driving the box experience flow
+// intro → opening → open → entering → inside → exiting → open → closing → intro
+
+const EXPERIENCE_STATES = {
+  INTRO: 'intro',
+  OPENING: 'opening',
+  OPEN: 'open',
+  ENTERING: 'entering',
+  INSIDE: 'inside',
+  EXITING: 'exiting',
+  CLOSING: 'closing'
+};
+
+// Each action moves from a settled state, through a transitional state
+// (while its animation plays), to another settled state
+const EXPERIENCE_TRANSITIONS = {
+  open: { from: EXPERIENCE_STATES.INTRO, via: EXPERIENCE_STATES.OPENING, to: EXPERIENCE_STATES.OPEN },
+  enter: { from: EXPERIENCE_STATES.OPEN, via: EXPERIENCE_STATES.ENTERING, to: EXPERIENCE_STATES.INSIDE },
+  exit: { from: EXPERIENCE_STATES.INSIDE, via: EXPERIENCE_STATES.EXITING, to: EXPERIENCE_STATES.OPEN },
+  close: { from: EXPERIENCE_STATES.OPEN, via: EXPERIENCE_STATES.CLOSING, to: EXPERIENCE_STATES.INTRO }
+};
+
+// Action a single click / tap / Space press performs in each settled state
+const PRIMARY_ACTIONS = {
+  [EXPERIENCE_STATES.INTRO]: 'open',
+  [EXPERIENCE_STATES.OPEN]: 'enter',
+  [EXPERIENCE_STATES.INSIDE]: 'exit'
+};
+
+class ExperienceStateMachine {
+  constructor(initialState = EXPERIENCE_STATES.INTRO) {
+    this.state = initialState;
+    this.animations = {};
+    this.listeners = [];
+
+    // Transition currently playing and at most one action waiting for it
+    this.activeTransition = null;
+    this.activeAnimation = null;
+    this.pendingAction = null;
+  }
+
+  // Register the animation played for an action; it may return a gsap
+  // timeline, a promise or nothing (instant transition)
+  setAnimation(action, animation) {
+    if (!EXPERIENCE_TRANSITIONS[action]) {
+      throw new Error(`Unknown experience action: ${action}`);
+    }
+    this.animations[action] = animation;
+  }
+
+  // Subscribe to state changes, returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // Whether an animation is currently playing
+  isTransitioning() {
+    return this.activeTransition !== null;
+  }
+
+  // Whether the state is one of the settled (non-animating) states
+  isSettledState(state) {
+    return Object.values(EXPERIENCE_TRANSITIONS).some(transition =>
+      transition.from === state || transition.to === state
+    );
+  }
+
+  // Whether an action can start right now
+  can(action) {
+    const transition = EXPERIENCE_TRANSITIONS[action];
+    return !!transition &&
+      !this.isTransitioning() &&
+      transition.from === this.state &&
+      typeof this.animations[action] === 'function';
+  }
+
+  // Actions that can start from the current state
+  getAllowedActions() {
+    return Object.keys(EXPERIENCE_TRANSITIONS).filter(action => this.can(action));
+  }
+
+  // Action a generic "advance" input should trigger; while animating this is
+  // the primary action of the state being animated towards
+  getPrimaryAction() {
+    const state = this.activeTransition ? this.activeTransition.to : this.state;
+    return PRIMARY_ACTIONS[state] || null;
+  }
+
+  // Request an action. Illegal actions are rejected; actions requested while
+  // a transition plays are queued (latest wins) if they will be legal once it
+  // settles, unless queueing is disabled. Returns true if started or queued.
+  dispatch(action, { queue = true } = {}) {
+    const transition = EXPERIENCE_TRANSITIONS[action];
+    if (!transition || typeof this.animations[action] !== 'function') {
+      return false;
+    }
+
+    if (this.isTransitioning()) {
+      if (queue && transition.from === this.activeTransition.to) {
+        this.pendingAction = action;
+        return true;
+      }
+      return false;
+    }
+
+    if (transition.from !== this.state) {
+      return false;
+    }
+
+    this.runTransition(action, transition);
+    return true;
+  }
+
+  // Play a transition's animation and settle into its target state
+  runTransition(action, transition) {
+    this.activeTransition = transition;
+    this.setState(transition.via, action);
+
+    let result;
+    try {
+      result = this.animations[action]();
+    } catch (error) {
+      this.failTransition(transition, error);
+      return;
+    }
+
+    this.activeAnimation = result;
+
+    Promise.resolve(result).then(
+      () => this.completeTransition(action, transition),
+      error => this.failTransition(transition, error)
+    );
+  }
+
+  // Settle into the target state and run any queued action
+  completeTransition(action, transition) {
+    if (this.activeTransition !== transition) return;
+
+    this.activeTransition = null;
+    this.activeAnimation = null;
+    this.setState(transition.to, action);
+
+    const pending = this.pendingAction;
+    this.pendingAction = null;
+    if (pending) {
+      this.dispatch(pending, { queue: false });
+    }
+  }
+
+  // Roll back to the starting state if an animation throws or rejects
+  failTransition(transition, error) {
+    if (this.activeTransition !== transition) return;
+
+    console.error('Experience transition failed:', error);
+    this.activeTransition = null;
+    this.activeAnimation = null;
+    this.pendingAction = null;
+    this.setState(transition.from, null);
+  }
+
+  // Jump straight to a settled state without animating
+  restore(state) {
+    if (!this.isSettledState(state)) {
+      throw new Error(`Cannot restore transitional or unknown state: ${state}`);
+    }
+
+    this.activeTransition = null;
+    this.activeAnimation = null;
+    this.pendingAction = null;
+    this.setState(state, null);
+  }
+
+  // Stop any running animation and drop listeners; the machine is unusable afterwards
+  dispose() {
+    if (this.activeAnimation && typeof this.activeAnimation.kill === 'function') {
+      this.activeAnimation.kill();
+    }
+
+    this.activeTransition = null;
+    this.activeAnimation = null;
+    this.pendingAction = null;
+    this.animations = {};
+    this.listeners = [];
+  }
+
+  // Update the state and notify subscribers
+  setState(state, action) {
+    const previousState = this.state;
+    this.state = state;
+
+    this.listeners.forEach(listener => {
+      listener({ state, previousState, action });
+    });
+  }
+}
+
+export { ExperienceStateMachine, EXPERIENCE_STATES, EXPERIENCE_TRANSITIONS };
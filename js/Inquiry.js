@@ -0,0 +1,124 @@
+// Inquiries sent from the contact form
+// An inquiry is what the visitor typed plus anything attached to the quote
+// request (artwork, an estimate; see BusinessShowcase.setInquiryAttachment).
+// It is plain data, files included, so it can be posted, written into an
+// email or stored until it can be sent. Each inquiry has an id, so the
+// same inquiry sent twice can be recognised.
+
+const INQUIRY_LIMITS = {
+  name: 100,
+  email: 254,
+  phone: 30,
+  message: 5000,
+  minMessage: 10
+};
+
+// Loose on purpose: servers and mail apps have the final say
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Digits with the usual separators, e.g. '+91 98192 56432' or '(022) 2840-1234'
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const PHONE_DIGITS = { min: 7, max: 15 };
+
+// Problems with the contact fields, by field name (empty when valid)
+function getInquiryErrors({ name = '', email = '', phone = '', message = '' }) {
+  const errors = {};
+
+  if (name.trim().length === 0) {
+    errors.name = 'Please enter your name';
+  } else if (name.trim().length > INQUIRY_LIMITS.name) {
+    errors.name = `Name must be at most ${INQUIRY_LIMITS.name} characters`;
+  }
+
+  if (email.trim().length === 0) {
+    errors.email = 'Please enter your email address';
+  } else if (email.trim().length > INQUIRY_LIMITS.email || !EMAIL_PATTERN.test(email.trim())) {
+    errors.email = 'Please enter a valid email address, e.g. name@example.com';
+  }
+
+  // Phone is optional
+  const digits = phone.replace(/\D/g, '').length;
+  if (phone.trim().length > 0 && (!PHONE_PATTERN.test(phone.trim()) ||
+      digits < PHONE_DIGITS.min || digits > PHONE_DIGITS.max)) {
+    errors.phone = `Please enter a phone number of ${PHONE_DIGITS.min} to ${PHONE_DIGITS.max} digits`;
+  }
+
+  if (message.trim().length < INQUIRY_LIMITS.minMessage) {
+    errors.message = `Please tell us a little more (at least ${INQUIRY_LIMITS.minMessage} characters)`;
+  } else if (message.length > INQUIRY_LIMITS.message) {
+    errors.message = `Message must be at most ${INQUIRY_LIMITS.message} characters`;
+  }
+
+  return errors;
+}
+
+function createInquiryId() {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Inquiry from the contact fields and the quote request's attachments
+// ({ id, label, description, file, details }); throws listing every problem.
+// Sending the same inquiry again after an edit keeps its id.
+function createInquiry(fields, attachments = [], id = createInquiryId()) {
+  const errors = getInquiryErrors(fields);
+  if (Object.keys(errors).length > 0) {
+    throw new Error(`Invalid inquiry:\n  ${Object.values(errors).join('\n  ')}`);
+  }
+
+  return {
+    id,
+    createdAt: new Date().toISOString(),
+    name: fields.name.trim(),
+    email: fields.email.trim(),
+    phone: (fields.phone || '').trim(),
+    message: fields.message.trim(),
+    page: window.location.href,
+    // Previews are for the form only; the file is what gets sent
+    attachments: attachments.map(({ id, label, description, file = null, details = null }) => ({
+      id, label, description, file, details
+    }))
+  };
+}
+
+// The inquiry without its files, as sent in JSON; files are listed by name
+function serializeInquiry(inquiry) {
+  return {
+    ...inquiry,
+    attachments: inquiry.attachments.map(({ file, ...attachment }) => ({
+      ...attachment,
+      file: file ? { name: file.name, type: file.type, size: file.size } : null
+    }))
+  };
+}
+
+// Plain-text version, e.g. for an email
+function formatInquiryText(inquiry) {
+  const lines = [
+    inquiry.message,
+    '',
+    `Name: ${inquiry.name}`,
+    `Email: ${inquiry.email}`
+  ];
+  if (inquiry.phone) lines.push(`Phone: ${inquiry.phone}`);
+
+  if (inquiry.attachments.length > 0) {
+    lines.push('');
+    inquiry.attachments.forEach(({ label, description }) => {
+      lines.push(`${label}: ${description}`);
+    });
+  }
+
+  lines.push('', `Sent from ${inquiry.page}`);
+  return lines.join('\n');
+}
+
+export {
+  INQUIRY_LIMITS,
+  getInquiryErrors,
+  createInquiry,
+  serializeInquiry,
+  formatInquiryText
+};
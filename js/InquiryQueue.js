@@ -0,0 +1,180 @@
+// Offline queue for contact form inquiries
+// Inquiries that cannot be sent yet, because the visitor is offline or the
+// inquiry server keeps failing, are kept in IndexedDB until they can be,
+// surviving reloads and closed tabs. The queue holds one entry per inquiry:
+// sending the same inquiry (id) again replaces its entry, and so does an
+// inquiry retyped with the same name, email and message.
+//
+// The service worker (sw.js) sends queued inquiries in a background sync,
+// so the database names and entry shape here must match it. Entries are
+//   { id, inquiry, fingerprint, request, queuedAt, attempts, lastError, claimedAt }
+// where request ({ endpoint, headers, body }) is set when the service worker
+// can send the inquiry by itself, and claimedAt marks an entry being sent.
+
+const QUEUE_DATABASE = 'jj-inquiry-queue';
+const QUEUE_VERSION = 1;
+const QUEUE_STORE = 'inquiries';
+
+// Background sync tag the service worker listens for
+const QUEUE_SYNC_TAG = 'inquiry-queue';
+
+// After this many ms a claim is considered abandoned (e.g. the tab closed
+// mid-send) and the entry can be sent again
+const CLAIM_TIMEOUT = 60000;
+
+function isQueueSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+// Same person, same words: the same inquiry, whatever its id
+function getInquiryFingerprint({ name, email, message }) {
+  return [name.trim().toLowerCase(), email.trim().toLowerCase(), message.trim()].join('\n');
+}
+
+class InquiryQueue {
+  constructor() {
+    this.database = null;
+  }
+
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DATABASE, QUEUE_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+          store.createIndex('fingerprint', 'fingerprint');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+
+  // Run callback(store) in a transaction; resolves with what the callback
+  // leaves in result.value once the transaction has committed
+  transaction(mode, callback) {
+    return this.open().then(database => new Promise((resolve, reject) => {
+      const transaction = database.transaction(QUEUE_STORE, mode);
+      const result = { value: undefined };
+      transaction.oncomplete = () => resolve(result.value);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+      callback(transaction.objectStore(QUEUE_STORE), result);
+    }));
+  }
+
+  // Queue an inquiry; request is what the service worker needs to send it
+  // (or null). Resolves with { entry, duplicate }, duplicate being true
+  // when it replaced an entry for the same inquiry.
+  add(inquiry, request = null) {
+    const entry = {
+      id: inquiry.id,
+      inquiry,
+      fingerprint: getInquiryFingerprint(inquiry),
+      request,
+      queuedAt: Date.now(),
+      attempts: 0,
+      lastError: null,
+      claimedAt: null
+    };
+
+    return this.transaction('readwrite', (store, result) => {
+      result.value = { entry, duplicate: false };
+
+      const matches = store.index('fingerprint').getAll(entry.fingerprint);
+      matches.onsuccess = () => {
+        const existing = store.get(entry.id);
+        existing.onsuccess = () => {
+          const previous = existing.result || matches.result[0];
+          if (previous) {
+            result.value.duplicate = true;
+            entry.queuedAt = previous.queuedAt;
+            entry.attempts = previous.attempts;
+          }
+
+          matches.result
+            .filter(match => match.id !== entry.id)
+            .forEach(match => store.delete(match.id));
+          store.put(entry);
+        };
+      };
+    });
+  }
+
+  // Queued entries, oldest first
+  getAll() {
+    return this.transaction('readonly', (store, result) => {
+      const request = store.getAll();
+      request.onsuccess = () => {
+        result.value = request.result.sort((a, b) => a.queuedAt - b.queuedAt);
+      };
+    });
+  }
+
+  count() {
+    return this.transaction('readonly', (store, result) => {
+      const request = store.count();
+      request.onsuccess = () => {
+        result.value = request.result;
+      };
+    });
+  }
+
+  // Take an entry for sending; resolves with it, or null if it is gone or
+  // another tab or the service worker is sending it
+  claim(id) {
+    return this.transaction('readwrite', (store, result) => {
+      result.value = null;
+
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const entry = request.result;
+        if (!entry || (entry.claimedAt && Date.now() - entry.claimedAt < CLAIM_TIMEOUT)) return;
+
+        entry.claimedAt = Date.now();
+        entry.attempts += 1;
+        store.put(entry);
+        result.value = entry;
+      };
+    });
+  }
+
+  // Give a claimed entry back after a failed send
+  release(id, error) {
+    return this.transaction('readwrite', (store) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const entry = request.result;
+        if (!entry) return;
+
+        entry.claimedAt = null;
+        entry.lastError = error ? error.message : null;
+        store.put(entry);
+      };
+    });
+  }
+
+  remove(id) {
+    return this.transaction('readwrite', (store) => {
+      store.delete(id);
+    });
+  }
+
+  close() {
+    if (this.database) {
+      this.database.then(database => database.close(), () => {});
+      this.database = null;
+    }
+  }
+}
+
+export {
+  InquiryQueue,
+  QUEUE_DATABASE,
+  QUEUE_VERSION,
+  QUEUE_STORE,
+  QUEUE_SYNC_TAG,
+  isQueueSupported,
+  getInquiryFingerprint
+};
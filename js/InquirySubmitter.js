@@ -0,0 +1,240 @@
+// Sends contact form inquiries for the business showcase
+// Inquiries go through the transport picked in the config (see
+// InquiryTransport.js), or one set from code. Failures that may pass, such
+// as a dropped connection or a busy server, are retried a few times with a
+// growing delay; the rest fail straight away. With ?mock inquiries go to the
+// in-browser mock endpoint whatever the config says.
+//
+// Inquiries submitted offline, or still failing after the retries, are
+// queued in IndexedDB (see InquiryQueue.js) and sent once the browser is
+// back online: by the service worker's background sync where the browser
+// has one, and by this page when it comes back online, loads, or every
+// QUEUE_RETRY_INTERVAL while it stays open.
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import {
+  InquirySubmissionError,
+  createMailtoTransport,
+  createTransport
+} from './InquiryTransport.js';
+import { InquiryQueue, QUEUE_SYNC_TAG, isQueueSupported } from './InquiryQueue.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+import { isDebugFlagEnabled } from './utils/debugFlags.js';
+
+// Milliseconds between attempts to send queued inquiries while online
+const QUEUE_RETRY_INTERVAL = 60000;
+
+function toSubmissionError(error) {
+  return error instanceof InquirySubmissionError
+    ? error
+    : new InquirySubmissionError(error.message, { cause: error });
+}
+
+class InquirySubmitter {
+  constructor(events, config) {
+    this.events = events;
+    this.options = config.inquiry;
+    this.company = config.company;
+    this.resources = new ResourceTracker();
+
+    const options = isDebugFlagEnabled('mock') ? { ...this.options, transport: 'mock' } : this.options;
+    this.transport = createTransport(options, this.company);
+
+    // Sends in progress by inquiry id, so submitting twice sends once
+    this.sending = new Map();
+
+    // Inquiries waiting for a connection; null where IndexedDB is missing
+    this.queue = isQueueSupported() ? new InquiryQueue() : null;
+    this.flushing = null;
+
+    this.setupQueue();
+  }
+
+  // Send inquiries another way, e.g. createCallbackTransport(callback)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // Whether visitors can be offered their mail app when sending fails
+  get canSendByEmail() {
+    return this.options.mailtoFallback && this.transport.name !== 'mailto';
+  }
+
+  // Whether the browser thinks there is no connection
+  get isOffline() {
+    return navigator.onLine === false;
+  }
+
+  // Send an inquiry (see Inquiry.js), retrying failures that may pass.
+  // Resolves with the transport's receipt, or { transport, queued: true }
+  // when it was queued to send later; rejects with an
+  // InquirySubmissionError when it can neither be sent nor queued.
+  submit(inquiry) {
+    if (this.sending.has(inquiry.id)) {
+      return this.sending.get(inquiry.id);
+    }
+
+    // No point trying without a connection
+    if (this.queue && this.isOffline) {
+      return this.enqueue(inquiry, null);
+    }
+
+    const { retries, retryDelay } = this.options;
+    const attempt = (retry) => this.transport.send(inquiry).catch(error => {
+      const submissionError = toSubmissionError(error);
+      if (!submissionError.retryable || retry >= retries) {
+        throw submissionError;
+      }
+
+      const delay = retryDelay * 2 ** retry;
+      this.events.emit(EXPERIENCE_EVENTS.INQUIRY_RETRY, { inquiry, attempt: retry + 1, delay, error: submissionError });
+      return this.wait(delay).then(() => attempt(retry + 1));
+    });
+
+    const sending = attempt(0)
+      .then(receipt => {
+        this.events.emit(EXPERIENCE_EVENTS.INQUIRY_SENT, { inquiry, receipt });
+        return receipt;
+      }, error => {
+        // Failures that may pass are kept for later
+        if (this.queue && error.retryable) {
+          return this.enqueue(inquiry, error);
+        }
+
+        this.events.emit(EXPERIENCE_EVENTS.INQUIRY_FAIL, { inquiry, error });
+        throw error;
+      })
+      .finally(() => this.sending.delete(inquiry.id));
+
+    this.sending.set(inquiry.id, sending);
+    return sending;
+  }
+
+  // Hand an inquiry to the visitor's mail app instead
+  sendByEmail(inquiry) {
+    const transport = createMailtoTransport({ email: this.company.email, subject: `Inquiry for ${this.company.name}` });
+    return transport.send(inquiry).then(receipt => {
+      this.events.emit(EXPERIENCE_EVENTS.INQUIRY_SENT, { inquiry, receipt });
+      return receipt;
+    });
+  }
+
+  // Queue an inquiry to send later; error is why it could not be sent now
+  // (null when offline)
+  enqueue(inquiry, error) {
+    const request = this.transport.getBackgroundRequest
+      ? this.transport.getBackgroundRequest(inquiry)
+      : null;
+
+    return this.queue.add(inquiry, request)
+      .then(({ duplicate }) => {
+        this.events.emit(EXPERIENCE_EVENTS.INQUIRY_QUEUE, { inquiry, error, duplicate });
+        this.requestBackgroundSync();
+        return { transport: this.transport.name, queued: true };
+      }, queueError => {
+        // Private browsing can refuse storage; report why sending failed
+        console.warn('Could not queue the inquiry:', queueError);
+        const failure = error || new InquirySubmissionError('You appear to be offline');
+        this.events.emit(EXPERIENCE_EVENTS.INQUIRY_FAIL, { inquiry, error: failure });
+        throw failure;
+      });
+  }
+
+  // Number of inquiries waiting to be sent
+  getQueuedCount() {
+    return this.queue ? this.queue.count().catch(() => 0) : Promise.resolve(0);
+  }
+
+  // Try to send every queued inquiry, one at a time
+  flushQueue() {
+    if (!this.queue || this.isOffline) return Promise.resolve();
+    if (this.flushing) return this.flushing;
+
+    this.flushing = this.queue.getAll()
+      .then(entries => entries.reduce(
+        (previous, entry) => previous.then(() => this.sendQueued(entry.id)),
+        Promise.resolve()
+      ))
+      .catch(error => console.warn('Could not send queued inquiries:', error))
+      .finally(() => {
+        this.flushing = null;
+      });
+
+    return this.flushing;
+  }
+
+  // Send one queued inquiry, unless another tab or the service worker is
+  // already sending it
+  sendQueued(id) {
+    return this.queue.claim(id).then(entry => {
+      if (!entry) return null;
+
+      const { inquiry } = entry;
+      return this.transport.send(inquiry).then(receipt => this.queue.remove(id).then(() => {
+        this.events.emit(EXPERIENCE_EVENTS.INQUIRY_SENT, { inquiry, receipt: { ...receipt, queued: true } });
+      }), error => {
+        const submissionError = toSubmissionError(error);
+        if (submissionError.retryable) {
+          return this.queue.release(id, submissionError);
+        }
+
+        // Rejected by the server: retrying will not help
+        return this.queue.remove(id).then(() => {
+          this.events.emit(EXPERIENCE_EVENTS.INQUIRY_FAIL, { inquiry, error: submissionError });
+        });
+      });
+    });
+  }
+
+  // Ask the service worker to send the queue once there is a connection.
+  // Without background sync the page sends it when it comes back online.
+  requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.getRegistration()
+      .then(registration => {
+        if (registration && registration.sync) {
+          return registration.sync.register(QUEUE_SYNC_TAG);
+        }
+        return null;
+      })
+      .catch(() => {});
+  }
+
+  setupQueue() {
+    if (!this.queue) return;
+
+    this.resources.listen(window, 'online', () => this.flushQueue());
+    this.resources.interval(() => this.flushQueue(), QUEUE_RETRY_INTERVAL);
+
+    // Left over from an earlier visit
+    this.resources.timeout(() => this.flushQueue(), 0);
+
+    // Inquiries the service worker sent, or gave up on, in the background
+    if ('serviceWorker' in navigator) {
+      this.resources.listen(navigator.serviceWorker, 'message', ({ data }) => {
+        if (!data || !data.inquiry) return;
+
+        if (data.type === 'inquirySent') {
+          this.events.emit(EXPERIENCE_EVENTS.INQUIRY_SENT, { inquiry: data.inquiry, receipt: data.receipt });
+        } else if (data.type === 'inquiryFail') {
+          const error = new InquirySubmissionError(data.error, { retryable: false, status: data.status });
+          this.events.emit(EXPERIENCE_EVENTS.INQUIRY_FAIL, { inquiry: data.inquiry, error });
+        }
+      });
+    }
+  }
+
+  wait(seconds) {
+    return new Promise(resolve => this.resources.timeout(resolve, seconds * 1000));
+  }
+
+  dispose() {
+    this.resources.dispose();
+    this.sending.clear();
+    if (this.queue) {
+      this.queue.close();
+    }
+  }
+}
+
+export { InquirySubmitter };
@@ -0,0 +1,246 @@
+// Transports for contact form inquiries
+// A transport is { name, send(inquiry) } where send returns a Promise of a
+// receipt ({ transport, ... }) or rejects with an InquirySubmissionError
+// saying whether trying again could help. Transports that can be replayed
+// by the service worker also have getBackgroundRequest(inquiry). The
+// contact form does not care how an inquiry leaves the page:
+//   http      POST to an endpoint, as JSON or, with files, multipart form data
+//   mailto    a prefilled email in the visitor's mail app
+//   callback  any function returning a Promise, e.g. a CRM's SDK
+// createMockEndpoint() stands in for an inquiry server during development
+// and tests.
+import { serializeInquiry, formatInquiryText } from './Inquiry.js';
+
+// Statuses worth retrying besides 5xx: request timeout and rate limiting
+const RETRYABLE_STATUSES = [408, 429];
+
+// Longest mailto: URL most mail apps and browsers accept
+const MAILTO_MAX_LENGTH = 1900;
+
+// Thrown when an inquiry could not be sent; retryable is false when sending
+// it again would fail the same way (e.g. the server rejected it)
+class InquirySubmissionError extends Error {
+  constructor(message, { retryable = true, status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'InquirySubmissionError';
+    this.retryable = retryable;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+// JSON body, or multipart with the JSON as the 'inquiry' field and each
+// attachment's file as 'attachment:<id>'
+function createRequestBody(inquiry) {
+  const json = JSON.stringify(serializeInquiry(inquiry));
+  const files = inquiry.attachments.filter(attachment => attachment.file);
+  if (files.length === 0) {
+    return { body: json, contentType: 'application/json' };
+  }
+
+  const body = new FormData();
+  body.append('inquiry', json);
+  files.forEach(({ id, file }) => body.append(`attachment:${id}`, file, file.name));
+  // The browser sets the multipart boundary
+  return { body, contentType: null };
+}
+
+// POST inquiries to endpoint, giving up after timeout seconds. fetch can be
+// swapped, e.g. for createMockEndpoint().fetch. Queued inquiries can be
+// sent by the service worker too (see InquiryQueue.js), unless background
+// is false.
+function createHttpTransport({
+  endpoint,
+  timeout = 15,
+  headers = {},
+  fetch: fetchInquiry = window.fetch.bind(window),
+  background = true
+}) {
+  if (!endpoint) {
+    throw new Error('The http inquiry transport needs an endpoint');
+  }
+
+  return {
+    name: 'http',
+
+    // What the service worker needs to send an inquiry by itself; it adds
+    // the attachments' files as in createRequestBody
+    getBackgroundRequest(inquiry) {
+      if (!background) return null;
+      return { endpoint, headers, timeout, body: JSON.stringify(serializeInquiry(inquiry)) };
+    },
+
+    send(inquiry) {
+      const { body, contentType } = createRequestBody(inquiry);
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout * 1000);
+
+      return fetchInquiry(endpoint, {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json',
+          ...(contentType ? { 'Content-Type': contentType } : {}),
+          ...headers
+        },
+        body,
+        signal: controller.signal
+      })
+        .catch(error => {
+          const message = controller.signal.aborted
+            ? 'The inquiry server did not answer in time'
+            : 'The inquiry server could not be reached';
+          throw new InquirySubmissionError(message, { cause: error });
+        })
+        .then(response => {
+          if (!response.ok) {
+            const { status } = response;
+            throw new InquirySubmissionError(`The inquiry server answered ${status}`, {
+              retryable: status >= 500 || RETRYABLE_STATUSES.includes(status),
+              status
+            });
+          }
+
+          // Servers may answer with a reference number, or nothing at all
+          return response.text().then(text => {
+            let data = null;
+            try {
+              data = text ? JSON.parse(text) : null;
+            } catch (error) {
+              data = text;
+            }
+            return { transport: 'http', status: response.status, data };
+          });
+        })
+        .finally(() => clearTimeout(timer));
+    }
+  };
+}
+
+// mailto: URL for an inquiry, shortened to what mail apps accept
+function getMailtoUrl(inquiry, email, subject) {
+  const note = inquiry.attachments.some(attachment => attachment.file)
+    ? '\n\nPlease attach my files to this email before sending.'
+    : '';
+  const url = message => `mailto:${encodeURIComponent(email)}?subject=${encodeURIComponent(subject)}` +
+    `&body=${encodeURIComponent(formatInquiryText({ ...inquiry, message }) + note)}`;
+
+  // Trim the message, never the contact details after it. Encoding takes up
+  // to three characters per character, so cut at least a third of the excess.
+  let { message } = inquiry;
+  while (url(message).length > MAILTO_MAX_LENGTH && message.length > 1) {
+    const excess = url(message).length - MAILTO_MAX_LENGTH;
+    message = `${message.slice(0, Math.max(0, message.length - Math.ceil(excess / 3) - 2))}…`;
+  }
+
+  return url(message);
+}
+
+// Open the visitor's mail app with the inquiry written out. The receipt
+// says it was handed off: the visitor still has to press send.
+function createMailtoTransport({ email, subject = 'Inquiry from the website' }) {
+  if (!email) {
+    throw new Error('The mailto inquiry transport needs an email address');
+  }
+
+  return {
+    name: 'mailto',
+    send(inquiry) {
+      const link = document.createElement('a');
+      link.href = getMailtoUrl(inquiry, email, subject);
+      link.click();
+      return Promise.resolve({ transport: 'mailto', handedOff: true });
+    }
+  };
+}
+
+// Send through a function returning a Promise (or a value). Its errors are
+// retried unless it throws an InquirySubmissionError saying otherwise.
+function createCallbackTransport(callback, { name = 'callback' } = {}) {
+  return {
+    name,
+    send(inquiry) {
+      return Promise.resolve()
+        .then(() => callback(inquiry))
+        .then(data => ({ transport: name, data: data === undefined ? null : data }))
+        .catch(error => {
+          if (error instanceof InquirySubmissionError) throw error;
+          throw new InquirySubmissionError(error.message, { cause: error });
+        });
+    }
+  };
+}
+
+// Stand-in inquiry server: a fetch that answers after latency ms, failing
+// the first failures requests with status (0 for a network error), and
+// keeps what it received
+function createMockEndpoint({ latency = 800, failures = 0, status = 503, log = true } = {}) {
+  const endpoint = { received: [], requests: 0 };
+
+  endpoint.fetch = (url, { body, signal } = {}) => new Promise((resolve, reject) => {
+    endpoint.requests += 1;
+    const failing = endpoint.requests <= failures;
+
+    const timer = setTimeout(() => {
+      if (failing && status === 0) {
+        reject(new TypeError('Failed to fetch'));
+        return;
+      }
+      if (failing) {
+        resolve(new Response(JSON.stringify({ error: 'Mock failure' }), { status }));
+        return;
+      }
+
+      const inquiry = JSON.parse(body instanceof FormData ? body.get('inquiry') : body);
+      endpoint.received.push(inquiry);
+      if (log) {
+        console.info(`Mock inquiry endpoint received ${inquiry.id} at ${url}:`, inquiry);
+      }
+      resolve(new Response(JSON.stringify({ id: inquiry.id, received: true }), {
+        status: 201,
+        headers: { 'Content-Type': 'application/json' }
+      }));
+    }, latency);
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('The request was aborted', 'AbortError'));
+      });
+    }
+  });
+
+  return endpoint;
+}
+
+// Transport for the experience config's inquiry options (see
+// ExperienceConfig.js) and company details
+function createTransport({ transport, endpoint, timeout }, company) {
+  switch (transport) {
+    case 'http':
+      return createHttpTransport({ endpoint, timeout });
+    case 'mailto':
+      return createMailtoTransport({ email: company.email, subject: `Inquiry for ${company.name}` });
+    case 'mock':
+      return {
+        ...createHttpTransport({
+          endpoint: endpoint || '/mock/inquiries',
+          timeout,
+          fetch: createMockEndpoint().fetch,
+          background: false
+        }),
+        name: 'mock'
+      };
+    default:
+      throw new Error(`Unknown inquiry transport: ${transport}`);
+  }
+}
+
+export {
+  InquirySubmissionError,
+  createHttpTransport,
+  createMailtoTransport,
+  createCallbackTransport,
+  createMockEndpoint,
+  createTransport,
+  getMailtoUrl
+};
@@ -0,0 +1,264 @@
+// <jj-box-experience> custom element
+// Hosts the 3D box experience inside any container instead of the full window:
+//
+//   <jj-box-experience config-url="/config/experience.json" catalog-url="/data/catalog.json"
+//     quality="medium" start-state="open">
+//   </jj-box-experience>
+//
+// The renderer follows the element's size, overlays and styles live in its
+// shadow root, and experience events are dispatched on the element itself.
+import { BoxExperience } from './BoxExperience.js';
+import { Detector } from './CrossBrowserTester.js';
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { registerDefaultComponents } from './registerComponents.js';
+import { createConfig, loadConfig } from './ExperienceConfig.js';
+import { QUALITY_TIERS } from './QualityController.js';
+
+const QUALITY_LEVELS = ['auto', ...QUALITY_TIERS];
+const START_STATES = ['intro', 'open', 'inside'];
+
+// Site stylesheet, loaded into the shadow root for the overlay styles
+const STYLESHEET_URL = new URL('../css/main.css', import.meta.url).href;
+
+// Layout containment makes the overlays' position: fixed relative to the
+// element instead of the viewport
+const HOST_STYLES = `
+  :host {
+    display: block;
+    position: relative;
+    min-height: 320px;
+    overflow: hidden;
+    contain: layout paint;
+  }
+
+  :host([hidden]) {
+    display: none;
+  }
+
+  .webgl {
+    position: absolute;
+  }
+
+  .experience-overlays {
+    display: contents;
+  }
+`;
+
+class JJBoxExperienceElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['config-url', 'catalog-url', 'quality', 'start-state'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.experience = null;
+    this.experienceConfig = null;
+
+    // Incremented on every mount/unmount so a config that finishes loading
+    // after the element was removed is ignored
+    this.mountId = 0;
+  }
+
+  // Experience config overrides (see ExperienceConfig.js); takes precedence
+  // over config-url. Setting it while connected restarts the experience.
+  get config() {
+    return this.experienceConfig;
+  }
+
+  set config(value) {
+    this.experienceConfig = value || null;
+    this.remount();
+  }
+
+  // URL of a JSON experience config (defaults if unset). Changing it while
+  // connected restarts the experience.
+  get configUrl() {
+    return this.getAttribute('config-url');
+  }
+
+  set configUrl(value) {
+    if (value) {
+      this.setAttribute('config-url', value);
+    } else {
+      this.removeAttribute('config-url');
+    }
+  }
+
+  // URL of a JSON product catalog for the showcase (see ProductCatalog.js);
+  // overrides the config's catalog
+  get catalogUrl() {
+    return this.getAttribute('catalog-url');
+  }
+
+  set catalogUrl(value) {
+    if (value) {
+      this.setAttribute('catalog-url', value);
+    } else {
+      this.removeAttribute('catalog-url');
+    }
+  }
+
+  // Rendering quality: 'auto' (default), 'low', 'medium', 'high' or 'ultra'
+  get quality() {
+    const quality = this.getAttribute('quality');
+    return QUALITY_LEVELS.includes(quality) ? quality : 'auto';
+  }
+
+  set quality(value) {
+    this.setAttribute('quality', value);
+  }
+
+  // State the experience starts in: 'intro' (default), 'open' or 'inside'.
+  // Only read when the experience mounts.
+  get startState() {
+    const state = this.getAttribute('start-state');
+    return START_STATES.includes(state) ? state : 'intro';
+  }
+
+  set startState(value) {
+    this.setAttribute('start-state', value);
+  }
+
+  connectedCallback() {
+    // Focusable so keyboard controls only apply to this element
+    if (!this.hasAttribute('tabindex')) {
+      this.tabIndex = 0;
+    }
+
+    this.mount();
+  }
+
+  disconnectedCallback() {
+    this.unmount();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    if (name === 'config-url') {
+      this.remount();
+      return;
+    }
+
+    if (!this.experience) return;
+
+    switch (name) {
+      case 'catalog-url':
+        this.applyCatalog();
+        break;
+
+      case 'quality':
+        this.applyQuality();
+        break;
+    }
+  }
+
+  // Resolve the config, then build the shadow DOM and start the experience
+  mount() {
+    if (this.experience) return;
+
+    if (!Detector.isWebGLAvailable()) {
+      this.shadowRoot.innerHTML = `
+        <style>${HOST_STYLES}</style>
+        <p class="webgl-unsupported">This 3D experience needs a browser with WebGL support.</p>
+      `;
+      return;
+    }
+
+    const mountId = ++this.mountId;
+    this.resolveConfig().then(config => {
+      if (mountId === this.mountId && this.isConnected) {
+        this.startExperience(config);
+      }
+    });
+  }
+
+  // Config from the config property, else config-url, else the defaults.
+  // An invalid or unreachable config is logged and replaced by the defaults.
+  resolveConfig() {
+    const url = this.configUrl;
+    const pending = this.experienceConfig
+      ? Promise.resolve().then(() => createConfig(this.experienceConfig))
+      : url ? loadConfig(url) : Promise.resolve(createConfig());
+
+    return pending.catch(error => {
+      console.error('Failed to load experience config, using defaults:', error);
+      return createConfig();
+    });
+  }
+
+  // Create the experience with a resolved config
+  startExperience(config) {
+    this.shadowRoot.innerHTML = `
+      <link rel="stylesheet" href="${STYLESHEET_URL}">
+      <style>${HOST_STYLES}</style>
+      <canvas class="webgl"></canvas>
+      <div class="experience-overlays"></div>
+    `;
+
+    this.experience = new BoxExperience(this.shadowRoot.querySelector('canvas'), {
+      container: this,
+      overlayRoot: this.shadowRoot.querySelector('.experience-overlays'),
+      keyboardTarget: this,
+      eventTarget: this,
+      config
+    });
+    registerDefaultComponents(this.experience);
+
+    // 'auto' leaves any quality the visitor picked on an earlier visit in place
+    if (this.quality !== 'auto') {
+      this.applyQuality();
+    }
+    this.applyCatalog();
+
+    if (this.startState !== 'intro') {
+      this.experience.restoreState(this.startState);
+    }
+
+    this.experience.events.emit(EXPERIENCE_EVENTS.READY, { experience: this.experience });
+  }
+
+  // Dispose the experience and clear the shadow DOM
+  unmount() {
+    this.mountId++;
+
+    if (this.experience) {
+      this.experience.dispose();
+      this.experience = null;
+    }
+
+    this.shadowRoot.innerHTML = '';
+  }
+
+  // Restart with the current config if connected
+  remount() {
+    if (!this.isConnected) return;
+
+    this.unmount();
+    this.mount();
+  }
+
+  // Push the quality attribute to the experience's quality controller
+  // (not persisted, since it is the page's choice rather than the visitor's)
+  applyQuality() {
+    this.experience.quality.setOverride(this.quality, { persist: false });
+  }
+
+  // Load the catalog named by the catalog-url attribute, if any
+  applyCatalog() {
+    const url = this.catalogUrl;
+    if (!url) return;
+
+    this.experience.getComponent('businessShowcase').loadCatalog(url)
+      .catch(error => {
+        console.error('Failed to load product catalog:', error);
+      });
+  }
+}
+
+if (!customElements.get('jj-box-experience')) {
+  customElements.define('jj-box-experience', JJBoxExperienceElement);
+}
+
+export { JJBoxExperienceElement };
@@ -1,6 +1,8 @@
 // Performance optimization for the 3D box experience
 import * as THREE from 'three';
 import Stats from 'three/examples/jsm/libs/stats.module.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+import { isDebugFlagEnabled } from './utils/debugFlags.js';
 
 class PerformanceOptimizer {
   constructor(boxExperience) {
@@ -8,41 +10,38 @@ class PerformanceOptimizer {
     this.scene = boxExperience.scene;
     this.renderer = boxExperience.renderer;
     this.camera = boxExperience.activeCamera;
+    this.resources = new ResourceTracker();
     
     // Performance monitoring
     this.stats = null;
     this.fpsHistory = [];
     this.memoryHistory = [];
-    this.lastOptimizationTime = 0;
-    this.optimizationInterval = 5000; // Check every 5 seconds
-    
-    // Optimization levels
-    this.currentOptimizationLevel = 'auto'; // 'low', 'medium', 'high', 'ultra', 'auto'
-    this.autoOptimizationEnabled = true;
     
     // Initialize optimizations
     this.setupPerformanceMonitoring();
     this.setupLODSystem();
     this.setupTextureOptimization();
     this.setupGeometryOptimization();
-    this.setupRenderOptimization();
     this.setupCulling();
     this.setupCaching();
     this.setupWorkers();
     
-    // Apply initial optimizations
-    this.applyOptimizationLevel('auto');
+    // Texture filtering follows the quality tier
+    this.resources.subscribe(this.boxExperience.quality.onChange(settings => {
+      this.setMipmapQuality(settings.textureQuality);
+    }));
   }
   
   // Setup performance monitoring tools
   setupPerformanceMonitoring() {
     // Create stats panel if in development mode
-    if (window.location.hash === '#dev') {
+    if (isDebugFlagEnabled('dev')) {
       this.stats = new Stats();
       this.stats.dom.style.position = 'absolute';
       this.stats.dom.style.top = '0px';
       this.stats.dom.style.left = '0px';
-      document.body.appendChild(this.stats.dom);
+      this.boxExperience.overlayRoot.appendChild(this.stats.dom);
+      this.resources.element(this.stats.dom);
     }
     
     // Create performance monitor
@@ -56,19 +55,13 @@ class PerformanceOptimizer {
       programs: 0
     };
     
-    // Setup monitoring loop
-    this.monitorPerformance();
+    // Metrics are sampled every frame from update()
   }
   
   // Monitor performance metrics
   monitorPerformance() {
     const now = performance.now();
     
-    // Update stats if available
-    if (this.stats) {
-      this.stats.update();
-    }
-    
     // Get renderer info
     const info = this.renderer.info;
     this.performanceMonitor.drawCalls = info.render.calls;
@@ -106,15 +99,6 @@ class PerformanceOptimizer {
         this.fpsHistory.shift();
       }
     }
-    
-    // Check if optimization is needed
-    if (this.autoOptimizationEnabled && now - this.lastOptimizationTime > this.optimizationInterval) {
-      this.autoOptimize();
-      this.lastOptimizationTime = now;
-    }
-    
-    // Continue monitoring
-    requestAnimationFrame(this.monitorPerformance.bind(this));
   }
   
   // Setup Level of Detail (LOD) system
@@ -339,75 +323,6 @@ class PerformanceOptimizer {
     });
   }
   
-  // Setup render optimization
-  setupRenderOptimization() {
-    // Store original renderer settings
-    this.rendererSettings = {
-      pixelRatio: this.renderer.getPixelRatio(),
-      shadowMapEnabled: this.renderer.shadowMap.enabled,
-      shadowMapType: this.renderer.shadowMap.type,
-      outputEncoding: this.renderer.outputEncoding,
-      toneMapping: this.renderer.toneMapping,
-      toneMappingExposure: this.renderer.toneMappingExposure
-    };
-    
-    // Store original composer passes if available
-    if (this.boxExperience.composer) {
-      this.composerPasses = this.boxExperience.composer.passes.map(pass => ({
-        pass: pass,
-        enabled: pass.enabled
-      }));
-    }
-    
-    // Create methods to adjust render quality
-    this.setRenderQuality = (quality) => {
-      // Adjust pixel ratio
-      switch (quality) {
-        case 'ultra':
-          this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2.5));
-          break;
-        case 'high':
-          this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-          break;
-        case 'medium':
-          this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
-          break;
-        case 'low':
-          this.renderer.setPixelRatio(1);
-          break;
-        default:
-          this.renderer.setPixelRatio(this.rendererSettings.pixelRatio);
-      }
-      
-      // Adjust shadow quality
-      if (quality === 'low') {
-        this.renderer.shadowMap.type = THREE.BasicShadowMap;
-      } else if (quality === 'medium') {
-        this.renderer.shadowMap.type = THREE.PCFShadowMap;
-      } else {
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-      }
-      
-      // Adjust post-processing if available
-      if (this.boxExperience.composer) {
-        this.boxExperience.composer.passes.forEach(pass => {
-          // Disable expensive passes on lower quality settings
-          if (pass.name === 'UnrealBloomPass') {
-            pass.enabled = quality !== 'low';
-            if (pass.enabled) {
-              pass.strength = quality === 'ultra' ? 0.5 : 
-                              (quality === 'high' ? 0.4 : 0.3);
-            }
-          } else if (pass.name === 'SSAOPass') {
-            pass.enabled = quality === 'ultra' || quality === 'high';
-          } else if (pass.name === 'BokehPass') {
-            pass.enabled = quality === 'ultra';
-          }
-        });
-      }
-    };
-  }
-  
   // Setup culling optimizations
   setupCulling() {
     // Setup frustum culling
@@ -554,101 +469,10 @@ class PerformanceOptimizer {
     }
   }
   
-  // Apply optimization level
-  applyOptimizationLevel(level) {
-    // Store current level
-    this.currentOptimizationLevel = level;
-    
-    // If auto, determine best level based on device
-    if (level === 'auto') {
-      // Check if mobile
-      const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-      
-      // Check if low-end device
-      const isLowEnd = isMobile || (window.navigator.hardwareConcurrency && window.navigator.hardwareConcurrency <= 4);
-      
-      // Check if high-end device
-      const isHighEnd = !isMobile && window.navigator.hardwareConcurrency && window.navigator.hardwareConcurrency >= 8;
-      
-      // Set level based on device
-      if (isLowEnd) {
-        level = 'low';
-      } else if (isHighEnd) {
-        level = 'high';
-      } else {
-        level = 'medium';
-      }
-    }
-    
-    // Apply settings based on level
-    switch (level) {
-      case 'ultra':
-        this.setRenderQuality('ultra');
-        this.setMipmapQuality('high');
-        break;
-        
-      case 'high':
-        this.setRenderQuality('high');
-        this.setMipmapQuality('high');
-        break;
-        
-      case 'medium':
-        this.setRenderQuality('medium');
-        this.setMipmapQuality('medium');
-        break;
-        
-      case 'low':
-        this.setRenderQuality('low');
-        this.setMipmapQuality('low');
-        break;
-    }
-    
-    // Log optimization level
-    console.log(`Applied optimization level: ${level}`);
-  }
-  
-  // Auto-optimize based on performance metrics
-  autoOptimize() {
-    // Skip if not in auto mode
-    if (this.currentOptimizationLevel !== 'auto') return;
-    
-    // Calculate average FPS
-    const avgFps = this.fpsHistory.reduce((sum, fps) => sum + fps, 0) / 
-                  Math.max(1, this.fpsHistory.length);
-    
-    // Determine if we need to change quality
-    let newLevel = null;
-    
-    if (avgFps < 30) {
-      // Performance is poor, reduce quality
-      if (this.currentOptimizationLevel === 'ultra') {
-        newLevel = 'high';
-      } else if (this.currentOptimizationLevel === 'high') {
-        newLevel = 'medium';
-      } else if (this.currentOptimizationLevel === 'medium') {
-        newLevel = 'low';
-      }
-    } else if (avgFps > 55) {
-      // Performance is good, try increasing quality
-      if (this.currentOptimizationLevel === 'low') {
-        newLevel = 'medium';
-      } else if (this.currentOptimizationLevel === 'medium') {
-        newLevel = 'high';
-      } else if (this.currentOptimizationLevel === 'high') {
-        newLevel = 'ultra';
-      }
-    }
-    
-    // Apply new level if needed
-    if (newLevel && newLevel !== this.currentOptimizationLevel) {
-      this.applyOptimizationLevel(newLevel);
-    }
-  }
-  
   // Create performance HUD
   createPerformanceHUD() {
     // Only create in development mode
-    if (window.location.hash !== '#dev') return;
+    if (!isDebugFlagEnabled('dev')) return;
     
     // Create HUD container
     const hud = document.createElement('div');
@@ -673,24 +497,76 @@ class PerformanceOptimizer {
         </div>
         <div class="hud-row">
           <span class="hud-label">Quality:</span>
-          <span class="hud-value" id="hud-quality">auto</span>
+          <span class="hud-value" id="hud-quality">${this.boxExperience.quality.tier}</span>
         </div>
       </div>
     `;
-    document.body.appendChild(hud);
+    this.boxExperience.overlayRoot.appendChild(hud);
+    this.resources.element(hud);
     
     // Update HUD
-    setInterval(() => {
-      document.getElementById('hud-fps').textContent = Math.round(this.performanceMonitor.fps);
-      document.getElementById('hud-draw-calls').textContent = this.performanceMonitor.drawCalls;
-      document.getElementById('hud-triangles').textContent = this.performanceMonitor.triangles;
-      document.getElementById('hud-memory').textContent = `${Math.round(this.performanceMonitor.memory)} MB`;
-      document.getElementById('hud-quality').textContent = this.currentOptimizationLevel;
+    this.resources.interval(() => {
+      hud.querySelector('#hud-fps').textContent = Math.round(this.performanceMonitor.fps);
+      hud.querySelector('#hud-draw-calls').textContent = this.performanceMonitor.drawCalls;
+      hud.querySelector('#hud-triangles').textContent = this.performanceMonitor.triangles;
+      hud.querySelector('#hud-memory').textContent = `${Math.round(this.performanceMonitor.memory)} MB`;
+      hud.querySelector('#hud-quality').textContent = this.boxExperience.quality.tier;
     }, 500);
   }
   
+  // Undo culling / LOD swaps and release the LOD geometries and debug UI
+  dispose() {
+    this.resources.dispose();
+    
+    // Put back original geometry and visibility on culled objects
+    this.cullableObjects.forEach(object => {
+      const { originalGeometry, mediumGeometry, lowGeometry } = object.userData;
+      
+      if (originalGeometry) {
+        object.geometry = originalGeometry;
+      }
+      object.visible = object.userData.originalVisible;
+      
+      [mediumGeometry, lowGeometry].forEach(geometry => {
+        if (geometry) geometry.dispose();
+      });
+      
+      delete object.userData.originalGeometry;
+      delete object.userData.mediumGeometry;
+      delete object.userData.lowGeometry;
+      delete object.userData.originalVisible;
+    });
+    this.cullableObjects = [];
+    
+    // Ground LOD geometries are never attached to the scene
+    const ground = this.boxExperience.ground;
+    if (ground) {
+      ['highGeometry', 'mediumGeometry', 'lowGeometry'].forEach(key => {
+        if (ground.userData[key]) {
+          ground.userData[key].dispose();
+          delete ground.userData[key];
+        }
+      });
+    }
+    
+    // Attribute snapshots only hold memory
+    this.geometries.forEach(geometry => {
+      delete geometry.userData.originalAttributes;
+    });
+    this.geometries = [];
+    this.textures = [];
+    this.objectPools = {};
+    
+    if (this.mockWorker && this.mockWorker.active) {
+      this.mockWorker.stop();
+    }
+  }
+  
   // Update method called from main animation loop
-  update() {
+  update(delta, elapsed) {
+    // Sample performance metrics
+    this.monitorPerformance();
+    
     // Update culling
     this.updateCulling();
     
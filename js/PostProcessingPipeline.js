@@ -0,0 +1,272 @@
+// Post-processing pipeline for the 3D Box Experience
+// Owns the single EffectComposer. Passes are registered under stable IDs with
+// an order, can be enabled/disabled and tuned by ID, and quality profiles
+// declare which passes they include. The composer's pass list is rebuilt
+// whenever that set changes.
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { disposePass } from './utils/ResourceTracker.js';
+
+// Stable pass IDs used by the experience and its components
+const PASS_IDS = {
+  RENDER: 'render',
+  SSAO: 'ssao',
+  OUTLINE: 'outline',
+  BLOOM: 'bloom',
+  BOKEH: 'bokeh',
+  FXAA: 'fxaa',
+  SMAA: 'smaa'
+};
+
+// Passes each quality level includes, plus parameter overrides. Exactly one
+// anti-aliasing pass (or none) per profile.
+const DEFAULT_PROFILES = {
+  low: {
+    passes: [PASS_IDS.RENDER, PASS_IDS.OUTLINE, PASS_IDS.FXAA]
+  },
+  medium: {
+    passes: [PASS_IDS.RENDER, PASS_IDS.OUTLINE, PASS_IDS.BLOOM, PASS_IDS.FXAA],
+    params: { [PASS_IDS.BLOOM]: { strength: 0.3 } }
+  },
+  high: {
+    passes: [PASS_IDS.RENDER, PASS_IDS.SSAO, PASS_IDS.OUTLINE, PASS_IDS.BLOOM, PASS_IDS.SMAA],
+    params: { [PASS_IDS.BLOOM]: { strength: 0.4 } }
+  },
+  ultra: {
+    passes: [PASS_IDS.RENDER, PASS_IDS.SSAO, PASS_IDS.OUTLINE, PASS_IDS.BLOOM, PASS_IDS.BOKEH, PASS_IDS.SMAA],
+    params: { [PASS_IDS.BLOOM]: { strength: 0.5 } }
+  }
+};
+
+class PostProcessingPipeline {
+  constructor({ renderer, scene, camera, width, height, profiles = DEFAULT_PROFILES }) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.width = width;
+    this.height = height;
+
+    this.composer = new EffectComposer(renderer);
+    this.composer.setSize(width, height);
+
+    // Registered passes: { id, definition, order, enabled, params, pass }
+    this.entries = [];
+
+    this.profiles = {};
+    this.activeProfile = null;
+    Object.entries(profiles).forEach(([name, profile]) => this.defineProfile(name, profile));
+  }
+
+  // Register a pass under a stable ID. The definition provides:
+  //   create(context)              builds the pass ({ renderer, scene, camera, width, height })
+  //   order                        position in the chain, lowest first (default 0)
+  //   enabled                      initial runtime state (default true)
+  //   params                       initial parameters, applied after every create()
+  //   resize(pass, width, height)  optional, for passes with resolution uniforms
+  //   setCamera(pass, camera)      optional, points the pass at a new camera
+  //   recreateOnCameraChange       rebuild the pass instead (for passes that bake
+  //                                camera data into uniforms, e.g. SSAO and bokeh)
+  register(id, definition) {
+    if (this.has(id)) {
+      throw new Error(`Pass "${id}" is already registered`);
+    }
+
+    const entry = {
+      id,
+      definition,
+      order: definition.order || 0,
+      enabled: definition.enabled !== false,
+      params: { ...definition.params },
+      pass: null
+    };
+    this.createPass(entry);
+
+    this.entries.push(entry);
+    this.entries.sort((a, b) => a.order - b.order);
+    this.rebuild();
+
+    return entry.pass;
+  }
+
+  // Remove a pass and release its GPU resources
+  unregister(id) {
+    const entry = this.getEntry(id);
+    if (!entry) return false;
+
+    this.entries = this.entries.filter(e => e !== entry);
+    this.rebuild();
+    disposePass(entry.pass);
+
+    return true;
+  }
+
+  has(id) {
+    return Boolean(this.getEntry(id));
+  }
+
+  // The pass instance for an ID (changes when the pass is recreated)
+  getPass(id) {
+    const entry = this.getEntry(id);
+    return entry ? entry.pass : null;
+  }
+
+  getEntry(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  // Turn a pass on or off at runtime. It only renders if the active profile
+  // also includes it.
+  setEnabled(id, enabled) {
+    const entry = this.getEntry(id);
+    if (!entry || entry.enabled === enabled) return;
+
+    entry.enabled = enabled;
+    this.rebuild();
+  }
+
+  // Whether a pass is currently part of the chain
+  isActive(id) {
+    const entry = this.getEntry(id);
+    return Boolean(entry) && this.isIncluded(entry);
+  }
+
+  // Update pass parameters. Keys matching a shader uniform set the uniform,
+  // other keys set the pass property. Parameters survive pass recreation.
+  setParams(id, params) {
+    const entry = this.getEntry(id);
+    if (!entry) return;
+
+    Object.assign(entry.params, params);
+    this.applyParams(entry, params);
+  }
+
+  // Current parameter overrides for a pass
+  getParams(id) {
+    const entry = this.getEntry(id);
+    return entry ? { ...entry.params } : null;
+  }
+
+  // Declare a quality profile: the pass IDs it includes and per-pass params
+  defineProfile(name, { passes, params = {} }) {
+    this.profiles[name] = { passes: [...passes], params };
+  }
+
+  // Switch to a profile; passes listed by other profiles but not this one
+  // are left out of the chain
+  applyProfile(name) {
+    const profile = this.profiles[name];
+    if (!profile) {
+      throw new Error(`Unknown post-processing profile: ${name}`);
+    }
+
+    this.activeProfile = name;
+    Object.entries(profile.params).forEach(([id, params]) => this.setParams(id, params));
+    this.rebuild();
+  }
+
+  // Resize the composer and every pass, including ones not in the chain
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.composer.setSize(width, height);
+
+    this.entries.forEach(entry => this.resizePass(entry));
+  }
+
+  // Render at a different pixel ratio (follows the renderer's)
+  setPixelRatio(pixelRatio) {
+    this.composer.setPixelRatio(pixelRatio);
+  }
+
+  // Point the passes at a new camera, recreating those that bake camera
+  // data into their uniforms
+  setCamera(camera) {
+    if (camera === this.camera) return;
+    this.camera = camera;
+
+    let recreated = false;
+    this.entries.forEach(entry => {
+      if (entry.definition.recreateOnCameraChange) {
+        disposePass(entry.pass);
+        this.createPass(entry);
+        recreated = true;
+      } else if (typeof entry.definition.setCamera === 'function') {
+        entry.definition.setCamera(entry.pass, camera);
+      }
+    });
+
+    if (recreated) {
+      this.rebuild();
+    }
+  }
+
+  render(delta) {
+    this.composer.render(delta);
+  }
+
+  // Release every pass (in the chain or not) and the composer's targets
+  dispose() {
+    this.entries.forEach(entry => disposePass(entry.pass));
+    this.entries = [];
+    this.composer.passes = [];
+
+    this.composer.renderTarget1.dispose();
+    this.composer.renderTarget2.dispose();
+  }
+
+  // Build a pass from its definition and apply the stored params
+  createPass(entry) {
+    entry.pass = entry.definition.create({
+      renderer: this.renderer,
+      scene: this.scene,
+      camera: this.camera,
+      width: this.width,
+      height: this.height
+    });
+    this.resizePass(entry);
+    this.applyParams(entry, entry.params);
+  }
+
+  resizePass(entry) {
+    if (typeof entry.definition.resize === 'function') {
+      entry.definition.resize(entry.pass, this.width, this.height);
+    }
+  }
+
+  applyParams(entry, params) {
+    const { pass } = entry;
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (pass.uniforms && pass.uniforms[key]) {
+        const uniform = pass.uniforms[key];
+        if (uniform.value && typeof uniform.value.set === 'function' && !Array.isArray(value)) {
+          uniform.value.set(value);
+        } else {
+          uniform.value = value;
+        }
+      } else if (pass[key] && pass[key].isColor) {
+        pass[key].set(value);
+      } else {
+        pass[key] = value;
+      }
+    });
+  }
+
+  // Enabled, and either in the active profile or not managed by any profile
+  isIncluded(entry) {
+    if (!entry.enabled) return false;
+    if (!this.activeProfile) return true;
+    if (this.profiles[this.activeProfile].passes.includes(entry.id)) return true;
+
+    return !Object.values(this.profiles).some(profile => profile.passes.includes(entry.id));
+  }
+
+  // Re-add the included passes to the composer in order
+  rebuild() {
+    this.composer.passes = [];
+    this.entries
+      .filter(entry => this.isIncluded(entry))
+      .forEach(entry => this.composer.addPass(entry.pass));
+  }
+}
+
+export { PostProcessingPipeline, PASS_IDS, DEFAULT_PROFILES };
@@ -0,0 +1,289 @@
+// Procedural corrugated carton for the 3D box experience
+// Folds up the blank of a box style (see BoxStyles.js): every panel is a
+// board-thick slab hinged to its parent at the crease, so the regular
+// slotted carton, the mailer, the tray and the telescope box are all built
+// and opened from the same data that draws their dielines. Used whenever no
+// GLB box model is available.
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { DEFAULT_FLAPS, createBoxLayout } from './BoxStyles.js';
+import { DEFAULT_BOX_SPEC, getSceneScale } from './BoxSpec.js';
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+
+// A pose from a layout ({ rotationX, position }) as a position and quaternion
+function toPose({ rotationX, position }) {
+  return {
+    position: new THREE.Vector3().fromArray(position),
+    quaternion: new THREE.Quaternion().setFromAxisAngle(X_AXIS, THREE.MathUtils.degToRad(rotationX))
+  };
+}
+
+class ProceduralBox {
+  // dimensions are the inside [width (x), height (y), depth (z)], style a
+  // FEFCO code from BoxStyles.js, textureSize the length one texture tile
+  // covers, mmScale the scene units per mm (for fixed-size parts like the
+  // glue flap) and flaps tunes the fold (see the box section of
+  // ExperienceConfig.js). The material is shared, not owned.
+  constructor({
+    material,
+    style = '0201',
+    dimensions = [1, 1, 1],
+    thickness = 0.01,
+    textureSize = 0.25,
+    mmScale = getSceneScale(DEFAULT_BOX_SPEC),
+    flaps = {}
+  }) {
+    this.material = material;
+
+    // Everything but the material, to build the same carton again
+    this.options = { style, dimensions, thickness, textureSize, mmScale, flaps };
+
+    this.thickness = thickness;
+    this.textureSize = textureSize;
+    this.flapSettings = { ...DEFAULT_FLAPS, ...flaps };
+    [this.width, this.height, this.depth] = dimensions;
+
+    this.layout = createBoxLayout(style, {
+      length: this.width,
+      width: this.depth,
+      height: this.height,
+      thickness,
+      mm: mmScale
+    }, this.flapSettings);
+
+    this.group = new THREE.Group();
+    this.group.name = 'proceduralBox';
+
+    // Hinged panels by id, with their fold angle in degrees; turning a
+    // hinge's pivot about its axis folds the panel and everything on it
+    this.hinges = {};
+
+    // The separate blanks, each posed between closed (0) and open (1)
+    this.pieces = [];
+
+    this.buildPanels();
+    this.buildPieces();
+    this.setOpen(false);
+  }
+
+  // One pivot per panel at the start of its crease, holding the panel and
+  // the pivots of the panels hanging from it. Roots keep blank coordinates.
+  buildPanels() {
+    const origins = {};
+    this.pivots = {};
+
+    this.layout.panels.forEach(panel => {
+      const [originX, originY] = panel.hinge ? panel.hinge[0] : [0, 0];
+      const origin = new THREE.Vector2(originX, originY);
+      const pivot = new THREE.Group();
+
+      if (panel.parent) {
+        const parentOrigin = origins[panel.parent];
+        pivot.position.set(originX - parentOrigin.x, originY - parentOrigin.y, 0);
+        this.pivots[panel.parent].add(pivot);
+
+        const [[x1, y1], [x2, y2]] = panel.hinge;
+        this.hinges[panel.id] = {
+          id: panel.id,
+          pivot,
+          axis: new THREE.Vector3(x2 - x1, y2 - y1, 0).normalize(),
+          fold: panel.fold,
+          closed: panel.fold,
+          open: panel.open || null
+        };
+      }
+
+      pivot.add(this.createPanelMesh(panel, origin));
+      origins[panel.id] = origin;
+      this.pivots[panel.id] = pivot;
+    });
+  }
+
+  // The panel's outline as a slab with its printed face at z = 0 and the
+  // board behind it
+  createPanelMesh(panel, origin) {
+    const shape = new THREE.Shape(panel.points.map(([x, y]) => new THREE.Vector2(x, y).sub(origin)));
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: this.thickness, bevelEnabled: false });
+    geometry.translate(0, 0, -this.thickness);
+
+    // Texture tiles run across the whole blank rather than each panel
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    for (let i = 0; i < uv.count; i++) {
+      uv.setXY(i, (position.getX(i) + origin.x) / this.textureSize, (position.getY(i) + origin.y) / this.textureSize);
+    }
+
+    const mesh = new THREE.Mesh(geometry, this.material);
+    mesh.name = panel.id;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+
+    return mesh;
+  }
+
+  buildPieces() {
+    this.pieces = this.layout.pieces.map(({ root, closed, open }) => {
+      const group = this.pivots[root];
+      this.group.add(group);
+
+      return {
+        group,
+        closed: toPose(closed),
+        open: open ? { ...toPose(open), step: open.step } : null,
+        progress: 0
+      };
+    });
+  }
+
+  applyFold(hinge) {
+    hinge.pivot.quaternion.setFromAxisAngle(hinge.axis, -THREE.MathUtils.degToRad(hinge.fold));
+  }
+
+  applyPiece(piece) {
+    const { group, closed, open, progress } = piece;
+    if (!open) {
+      group.position.copy(closed.position);
+      group.quaternion.copy(closed.quaternion);
+      return;
+    }
+
+    group.position.lerpVectors(closed.position, open.position, progress);
+    group.quaternion.slerpQuaternions(closed.quaternion, open.quaternion, progress);
+  }
+
+  // Set a panel's fold angle immediately, in degrees inwards from flat
+  setPanelFold(id, fold) {
+    const hinge = this.hinges[id];
+    gsap.killTweensOf(hinge);
+    hinge.fold = fold;
+    this.applyFold(hinge);
+  }
+
+  // Snap every panel and piece open or closed without animating
+  setOpen(open) {
+    Object.values(this.hinges).forEach(hinge => {
+      this.setPanelFold(hinge.id, open && hinge.open ? hinge.open.fold : hinge.closed);
+    });
+
+    this.pieces.forEach(piece => {
+      gsap.killTweensOf(piece);
+      piece.progress = open && piece.open ? 1 : 0;
+      this.applyPiece(piece);
+    });
+  }
+
+  // What moves when the box opens, as [{ hinges, pieces }] in step order
+  getOpeningSteps() {
+    const hinges = Object.values(this.hinges).filter(hinge => hinge.open);
+    const pieces = this.pieces.filter(piece => piece.open);
+    const steps = [...new Set([...hinges, ...pieces].map(mover => mover.open.step))].sort((a, b) => a - b);
+
+    return steps.map(step => ({
+      hinges: hinges.filter(hinge => hinge.open.step === step),
+      pieces: pieces.filter(piece => piece.open.step === step)
+    }));
+  }
+
+  // Open step by step, each panel swinging past its open angle by the
+  // overshoot before settling, and lids lifting off. The whole opening
+  // takes duration seconds, even for a style with nothing to open.
+  createOpenTimeline(duration) {
+    const { stagger, ease, overshoot } = this.flapSettings;
+    const steps = this.getOpeningSteps();
+    const moveDuration = this.getMoveDuration(duration, steps.length);
+    const swingDuration = overshoot > 0 ? moveDuration * 0.75 : moveDuration;
+    const timeline = gsap.timeline();
+    timeline.to({}, { duration }, 0);
+
+    steps.forEach(({ hinges, pieces }, index) => {
+      const start = index * stagger;
+
+      hinges.forEach(hinge => {
+        const { fold } = hinge.open;
+        const direction = Math.sign(fold - hinge.closed);
+
+        timeline.to(hinge, {
+          fold: fold + direction * overshoot,
+          duration: swingDuration,
+          ease,
+          onUpdate: () => this.applyFold(hinge)
+        }, start);
+
+        if (overshoot > 0) {
+          timeline.to(hinge, {
+            fold,
+            duration: moveDuration - swingDuration,
+            ease: "sine.inOut",
+            onUpdate: () => this.applyFold(hinge)
+          }, start + swingDuration);
+        }
+      });
+
+      pieces.forEach(piece => {
+        timeline.to(piece, {
+          progress: 1,
+          duration: moveDuration,
+          ease: "power2.inOut",
+          onUpdate: () => this.applyPiece(piece)
+        }, start);
+      });
+    });
+
+    return timeline;
+  }
+
+  // Close in reverse step order, so the panels that opened last go in first
+  createCloseTimeline(duration) {
+    const { stagger } = this.flapSettings;
+    const steps = this.getOpeningSteps().reverse();
+    const moveDuration = this.getMoveDuration(duration, steps.length);
+    const timeline = gsap.timeline();
+    timeline.to({}, { duration }, 0);
+
+    steps.forEach(({ hinges, pieces }, index) => {
+      hinges.forEach(hinge => {
+        timeline.to(hinge, {
+          fold: hinge.closed,
+          duration: moveDuration,
+          ease: "power2.inOut",
+          onUpdate: () => this.applyFold(hinge)
+        }, index * stagger);
+      });
+
+      pieces.forEach(piece => {
+        timeline.to(piece, {
+          progress: 0,
+          duration: moveDuration,
+          ease: "power2.inOut",
+          onUpdate: () => this.applyPiece(piece)
+        }, index * stagger);
+      });
+    });
+
+    return timeline;
+  }
+
+  // Time each step takes so the staggered sequence fits the total duration
+  getMoveDuration(duration, stepCount) {
+    return Math.max(0.1, duration - this.flapSettings.stagger * Math.max(0, stepCount - 1));
+  }
+
+  // Remove the carton and release its geometry (the material is left to its owner)
+  dispose() {
+    if (this.group.parent) {
+      this.group.parent.remove(this.group);
+    }
+
+    Object.values(this.hinges).forEach(hinge => gsap.killTweensOf(hinge));
+    this.pieces.forEach(piece => gsap.killTweensOf(piece));
+
+    this.group.traverse(child => {
+      if (child.geometry) {
+        child.geometry.dispose();
+      }
+    });
+  }
+}
+
+export { ProceduralBox };
@@ -0,0 +1,615 @@
+// Product catalog for the business showcase
+// The catalog lists product categories, the materials products are made
+// of and the products shown on the 3D cards and in the product details:
+// SKU, images, board specs, features and minimum order quantity. It is plain JSON (see config/catalog.json) read
+// through a catalog source, { name, load() } where load returns a Promise of
+// the raw catalog, so it can come from anywhere:
+//   json  a catalog file
+//   cms   entries from a headless CMS's delivery API (see fromCmsEntries)
+//   mock  the built-in catalog served by createMockCms(), a stand-in CMS
+//         for development and tests
+// Catalogs are checked when loaded; createCatalog lists every problem found.
+import { FLUTE_PROFILES, PLY_OPTIONS } from './BoxSpec.js';
+
+const DEFAULT_CATALOG = {
+  // Price bands are in this currency
+  currency: 'INR',
+  locale: 'en-IN',
+  categories: [
+    {
+      id: 'corrugated-boxes',
+      name: 'Corrugated Boxes',
+      description: 'Shipping and storage cartons in single, double and triple wall board'
+    },
+    {
+      id: 'paper-bags',
+      name: 'Paper Bags',
+      description: 'Kraft and white paper bags for retail, food and gifting'
+    },
+    {
+      id: 'custom-packaging',
+      name: 'Custom Packaging',
+      description: 'Printed boxes and inserts made to your design'
+    }
+  ],
+  materials: [
+    {
+      id: 'corrugated-board',
+      name: 'Corrugated Board',
+      description: 'Fluted medium glued between kraft or test liners'
+    },
+    {
+      id: 'kraft-paper',
+      name: 'Kraft Paper',
+      description: 'Strong unbleached paper from virgin or recycled pulp'
+    }
+  ],
+  products: [
+    {
+      sku: 'JJ-CB-3C',
+      name: 'Premium Corrugated Boxes',
+      category: 'corrugated-boxes',
+      material: 'corrugated-board',
+      description: 'High-quality corrugated boxes for shipping and packaging',
+      images: [
+        { src: '/assets/textures/product_corrugated.jpg', alt: 'Stack of brown corrugated shipping boxes' },
+        { src: '/assets/images/products/corrugated-edge.jpg', alt: 'Edge of 3-ply C flute board' }
+      ],
+      specs: {
+        flute: 'C',
+        ply: 3,
+        gsm: [150, 200],
+        burstStrength: 8,
+        ect: 4.5
+      },
+      features: [
+        'Regular slotted cartons in any size from 100 mm',
+        'Virgin kraft or recycled test liners',
+        'Stacks well for warehouse storage',
+        'Printed in up to four colours'
+      ],
+      useCases: ['E-commerce shipping', 'Moving and storage', 'Industrial parts'],
+      priceBand: [18, 45],
+      moq: 500,
+      unit: 'boxes'
+    },
+    {
+      sku: 'JJ-PB-KR',
+      name: 'Kraft Paper Bags',
+      category: 'paper-bags',
+      material: 'kraft-paper',
+      description: 'Eco-friendly kraft paper bags for retail and gifts',
+      images: [
+        { src: '/assets/textures/product_kraft.jpg', alt: 'Brown kraft paper bags with twisted handles' },
+        { src: '/assets/images/products/kraft-handles.jpg', alt: 'Close-up of a twisted paper handle' }
+      ],
+      specs: {
+        gsm: 120,
+        burstStrength: 2.5
+      },
+      features: [
+        'Twisted or flat paper handles',
+        'Food-grade kraft paper',
+        'Recyclable and biodegradable',
+        'Your logo printed on one or both sides'
+      ],
+      useCases: ['Retail checkout', 'Food takeaway', 'Gifting and events'],
+      priceBand: [6, 15],
+      moq: 1000,
+      unit: 'bags'
+    },
+    {
+      sku: 'JJ-CP-PR',
+      name: 'Custom Packaging Solutions',
+      category: 'custom-packaging',
+      material: 'corrugated-board',
+      description: 'Tailored packaging designs for your specific needs',
+      images: [
+        { src: '/assets/textures/product_custom.jpg', alt: 'Printed retail box with a window' },
+        { src: '/assets/images/products/custom-printed.jpg', alt: 'Full-colour printed mailer boxes' }
+      ],
+      specs: {
+        flute: 'E',
+        ply: 3,
+        gsm: [200, 300],
+        burstStrength: 10,
+        ect: 3.5
+      },
+      features: [
+        'Structural design and samples before production',
+        'Full-colour printing, varnish and lamination',
+        'Windows, hand holes and custom inserts',
+        'Try your own artwork on the box in 3D'
+      ],
+      useCases: ['Product launches', 'Subscription boxes', 'Premium retail display'],
+      priceBand: [35, 120],
+      moq: 250,
+      unit: 'boxes',
+      artwork: true
+    }
+  ]
+};
+
+// Letters, digits and dashes, e.g. 'JJ-CB-3C'
+const SKU_PATTERN = /^[A-Z0-9]+(?:-[A-Z0-9]+)*$/i;
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Board specs a product can list, with how to show them. gsm is one
+// grammage or a [min, max] range, burst strength is in kg/cm² and edge
+// crush (ECT) in kN/m.
+const PRODUCT_SPECS = {
+  flute: { label: 'Flute', format: flute => FLUTE_PROFILES[flute].label },
+  ply: { label: 'Ply', format: ply => `${ply}-ply` },
+  gsm: {
+    label: 'GSM',
+    format: gsm => (Array.isArray(gsm) ? `${gsm[0]}–${gsm[1]} g/m²` : `${gsm} g/m²`)
+  },
+  burstStrength: { label: 'Burst strength', format: value => `${value} kg/cm²` },
+  ect: { label: 'ECT', format: value => `${value} kN/m` }
+};
+
+// Fields a category (or material) and a product can have
+const CATEGORY_FIELDS = ['id', 'name', 'description'];
+const PRODUCT_FIELDS = [
+  'sku', 'slug', 'name', 'category', 'material', 'description', 'images', 'specs', 'features', 'useCases', 'priceBand',
+  'moq', 'unit', 'artwork'
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// URL-safe identifier for a product: its slug, or one derived from its name
+// ('Kraft Paper Bags' -> 'kraft-paper-bags')
+function getProductSlug(product) {
+  if (product.slug) return product.slug;
+
+  return product.name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Problems with a product's specs, as messages
+function getSpecErrors(specs, path) {
+  if (!isPlainObject(specs)) return [`${path} must be an object`];
+
+  const errors = Object.keys(specs)
+    .filter(key => !Object.keys(PRODUCT_SPECS).includes(key))
+    .map(key => `${path}.${key} is not a known spec (use ${Object.keys(PRODUCT_SPECS).join(', ')})`);
+
+  const { flute, ply, gsm, burstStrength, ect } = specs;
+  const knownFlute = Object.keys(FLUTE_PROFILES).includes(flute);
+  if (flute !== undefined && !knownFlute) {
+    errors.push(`${path}.flute must be one of ${Object.keys(FLUTE_PROFILES).join(', ')}`);
+  }
+  if (ply !== undefined && !PLY_OPTIONS.includes(ply)) {
+    errors.push(`${path}.ply must be one of ${PLY_OPTIONS.join(', ')}`);
+  }
+
+  // Each flute needs a liner on either side: one flute is 3-ply, two are 5-ply
+  const minimumPly = knownFlute ? 1 + 2 * FLUTE_PROFILES[flute].flutes.length : 0;
+  if (PLY_OPTIONS.includes(ply) && ply < minimumPly) {
+    errors.push(`${path}: ${FLUTE_PROFILES[flute].label} board needs more than ${ply} plies`);
+  }
+
+  if (gsm !== undefined) {
+    const range = Array.isArray(gsm) ? gsm : [gsm, gsm];
+    if (range.length !== 2 || !range.every(isPositive) || range[0] > range[1]) {
+      errors.push(`${path}.gsm must be a number above 0, or a [min, max] range`);
+    }
+  }
+
+  [['burstStrength', burstStrength], ['ect', ect]].forEach(([key, value]) => {
+    if (value !== undefined && !isPositive(value)) {
+      errors.push(`${path}.${key} must be a number above 0`);
+    }
+  });
+
+  return errors;
+}
+
+// Problems with one product, as messages; categoryIds and materialIds are
+// the catalog's
+function getProductErrors(product, path, categoryIds, materialIds) {
+  if (!isPlainObject(product)) return [`${path} must be an object`];
+
+  const errors = Object.keys(product)
+    .filter(key => !PRODUCT_FIELDS.includes(key))
+    .map(key => `${path}.${key} is not a known field`);
+
+  if (!isText(product.sku) || !SKU_PATTERN.test(product.sku)) {
+    errors.push(`${path}.sku must be letters, digits and dashes, e.g. JJ-CB-3C`);
+  }
+  if (product.slug !== undefined && (typeof product.slug !== 'string' || !SLUG_PATTERN.test(product.slug))) {
+    errors.push(`${path}.slug must be lowercase letters, digits and dashes`);
+  }
+  ['name', 'description'].forEach(key => {
+    if (!isText(product[key])) errors.push(`${path}.${key} is required`);
+  });
+  if (!categoryIds.includes(product.category)) {
+    errors.push(`${path}.category must be the id of a category (${[...new Set(categoryIds)].join(', ')})`);
+  }
+  // Optional, and null for none
+  if (product.material !== undefined && product.material !== null && !materialIds.includes(product.material)) {
+    errors.push(materialIds.length > 0
+      ? `${path}.material must be the id of a material (${[...new Set(materialIds)].join(', ')})`
+      : `${path}.material must be the id of a material, but the catalog lists none`);
+  }
+
+  if (!Array.isArray(product.images) || product.images.length === 0) {
+    errors.push(`${path}.images must list at least one image`);
+  } else {
+    product.images.forEach((image, index) => {
+      const valid = isText(image) ||
+        (isPlainObject(image) && isText(image.src) && (image.alt === undefined || typeof image.alt === 'string'));
+      if (!valid) {
+        errors.push(`${path}.images[${index}] must be a URL or { src, alt }`);
+      }
+    });
+  }
+
+  if (product.specs !== undefined) {
+    errors.push(...getSpecErrors(product.specs, `${path}.specs`));
+  }
+
+  if (!Array.isArray(product.features) || product.features.length === 0 || !product.features.every(isText)) {
+    errors.push(`${path}.features must list at least one feature`);
+  }
+  if (product.useCases !== undefined && (!Array.isArray(product.useCases) || !product.useCases.every(isText))) {
+    errors.push(`${path}.useCases must be a list of text`);
+  }
+
+  // Price per unit, lowest to highest, in the catalog's currency (null for none)
+  const { priceBand } = product;
+  if (priceBand !== undefined && priceBand !== null && (!Array.isArray(priceBand) || priceBand.length !== 2 ||
+      !priceBand.every(price => typeof price === 'number' && Number.isFinite(price) && price >= 0) ||
+      priceBand[0] > priceBand[1])) {
+    errors.push(`${path}.priceBand must be a [min, max] price per unit`);
+  }
+  if (!Number.isInteger(product.moq) || product.moq < 1) {
+    errors.push(`${path}.moq must be a whole number of at least 1`);
+  }
+  if (product.unit !== undefined && !isText(product.unit)) {
+    errors.push(`${path}.unit must be text, e.g. boxes`);
+  }
+  if (product.artwork !== undefined && typeof product.artwork !== 'boolean') {
+    errors.push(`${path}.artwork must be true or false`);
+  }
+
+  return errors;
+}
+
+// Problems with a catalog, as messages (empty when valid)
+function getCatalogErrors(catalog) {
+  if (!isPlainObject(catalog)) return ['Catalog must be an object with categories and products'];
+
+  const errors = [];
+  if (catalog.currency !== undefined && (typeof catalog.currency !== 'string' || !/^[A-Z]{3}$/.test(catalog.currency))) {
+    errors.push('currency must be an ISO 4217 code such as INR');
+  }
+  if (catalog.locale !== undefined && !isText(catalog.locale)) {
+    errors.push('locale must be a language tag such as en-IN');
+  }
+
+  const categories = Array.isArray(catalog.categories) ? catalog.categories : [];
+  if (!Array.isArray(catalog.categories) || categories.length === 0) {
+    errors.push('categories must list at least one category');
+  }
+
+  // Materials are optional
+  const materials = Array.isArray(catalog.materials) ? catalog.materials : [];
+  if (catalog.materials !== undefined && !Array.isArray(catalog.materials)) {
+    errors.push('materials must be a list');
+  }
+
+  // Categories and materials are both { id, name, description }
+  const checkGroup = (group, list) => list.forEach((item, index) => {
+    const path = `${group}[${index}]`;
+    if (!isPlainObject(item)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    Object.keys(item)
+      .filter(key => !CATEGORY_FIELDS.includes(key))
+      .forEach(key => errors.push(`${path}.${key} is not a known field`));
+    if (typeof item.id !== 'string' || !SLUG_PATTERN.test(item.id)) {
+      errors.push(`${path}.id must be lowercase letters, digits and dashes`);
+    }
+    if (!isText(item.name)) errors.push(`${path}.name is required`);
+    if (item.description !== undefined && typeof item.description !== 'string') {
+      errors.push(`${path}.description must be text`);
+    }
+  });
+  checkGroup('categories', categories);
+  checkGroup('materials', materials);
+
+  const categoryIds = categories.filter(isPlainObject).map(category => category.id);
+  const materialIds = materials.filter(isPlainObject).map(material => material.id);
+  if (!Array.isArray(catalog.products) || catalog.products.length === 0) {
+    errors.push('products must list at least one product');
+    return errors;
+  }
+  catalog.products.forEach((product, index) => {
+    errors.push(...getProductErrors(product, `products[${index}]`, categoryIds, materialIds));
+  });
+
+  // Ids, SKUs and slugs identify things, so must not repeat
+  const checkUnique = (values, label) => {
+    values
+      .filter((value, index) => typeof value === 'string' && values.indexOf(value) !== index)
+      .forEach(value => errors.push(`${label} ${value} is used more than once`));
+  };
+  checkUnique(categoryIds, 'Category id');
+  checkUnique(materialIds, 'Material id');
+  const products = catalog.products.filter(product => isPlainObject(product) && isText(product.name));
+  checkUnique(products.map(product => product.sku), 'SKU');
+  checkUnique(products.map(getProductSlug), 'Product slug');
+
+  return errors;
+}
+
+// Check a catalog and fill in what may be left out: the currency, materials,
+// and for every product its slug, material, images as { src, alt } and
+// image, the URL its card shows. Throws listing every problem.
+function createCatalog(catalog) {
+  const errors = getCatalogErrors(catalog);
+  if (errors.length > 0) {
+    throw new Error(`Invalid product catalog:\n  ${errors.join('\n  ')}`);
+  }
+
+  // Copied so the catalog can be changed without touching the source's data
+  const {
+    currency = 'INR',
+    locale = 'en-IN',
+    categories,
+    materials = [],
+    products
+  } = JSON.parse(JSON.stringify(catalog));
+  return {
+    currency,
+    locale,
+    categories,
+    materials,
+    products: products.map(product => {
+      const images = product.images.map(image => (
+        typeof image === 'string' ? { src: image, alt: product.name } : { src: image.src, alt: image.alt || product.name }
+      ));
+      return {
+        ...product,
+        slug: getProductSlug(product),
+        material: product.material || null,
+        images,
+        image: images[0].src,
+        specs: product.specs || {},
+        useCases: product.useCases || [],
+        priceBand: product.priceBand || null,
+        unit: product.unit || 'pieces',
+        artwork: product.artwork === true
+      };
+    })
+  };
+}
+
+// Load and check a catalog from a source
+function loadCatalog(source) {
+  return source.load().then(catalog => createCatalog(catalog));
+}
+
+// The category a product is in
+function getProductCategory(catalog, product) {
+  return catalog.categories.find(category => category.id === product.category) || null;
+}
+
+// The material a product is made of, or null if it names none
+function getProductMaterial(catalog, product) {
+  return catalog.materials.find(material => material.id === product.material) || null;
+}
+
+// A product's specs as { label, value } rows, in a fixed order
+function getProductSpecRows(product) {
+  return Object.keys(PRODUCT_SPECS)
+    .filter(key => product.specs[key] !== undefined)
+    .map(key => ({ label: PRODUCT_SPECS[key].label, value: PRODUCT_SPECS[key].format(product.specs[key]) }));
+}
+
+// A product's price band, e.g. '₹18–₹45 each', or null if it has none
+function formatPriceBand(catalog, product) {
+  if (!product.priceBand) return null;
+
+  // No decimals on whole prices
+  const digits = product.priceBand.every(Number.isInteger) ? 0 : 2;
+  const format = new Intl.NumberFormat(catalog.locale, {
+    style: 'currency',
+    currency: catalog.currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  });
+  const [min, max] = product.priceBand.map(price => format.format(price));
+  return min === max ? `${min} each` : `${min}–${max} each`;
+}
+
+// Every image URL in a catalog, e.g. for preloading
+function getCatalogImages(catalog) {
+  return catalog.products.flatMap(product => product.images.map(image => image.src));
+}
+
+// Catalog from a JSON file. fetch can be swapped, as for inquiry transports.
+function createJsonCatalogSource(url, { fetch: fetchCatalog = window.fetch.bind(window) } = {}) {
+  if (!url) {
+    throw new Error('The json catalog source needs a url');
+  }
+
+  return {
+    name: 'json',
+    load() {
+      return fetchCatalog(url).then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load catalog ${url}: ${response.status}`);
+        }
+        return response.json();
+      });
+    }
+  };
+}
+
+// Catalog from a headless CMS's delivery API response:
+//   { items: [{ sys: { id, contentType }, fields }], includes: { assets } }
+// An optional catalog entry has fields { currency, locale }. Category and
+// material entries have fields { slug, name, description }. Product entries
+// have the catalog's product fields, except that category and material link
+// to a category and material entry, and images link to assets ({ sys: { id }, fields: { title,
+// file: { url } } }), as { sys: { type: 'Link', id } }.
+function fromCmsEntries(response) {
+  const items = (response && response.items) || [];
+  const assets = (response && response.includes && response.includes.assets) || [];
+  const entries = contentType => items.filter(item => item.sys && item.sys.contentType === contentType);
+  const linked = (link, list) => (link && link.sys ? list.find(item => item.sys.id === link.sys.id) : null);
+
+  const [settings] = entries('catalog');
+  const categoryEntries = entries('category');
+  const materialEntries = entries('material');
+  const fromEntry = ({ fields }) => ({
+    id: fields.slug,
+    name: fields.name,
+    ...(fields.description !== undefined ? { description: fields.description } : {})
+  });
+
+  const products = entries('product').map(({ fields }) => {
+    const category = linked(fields.category, categoryEntries);
+    const material = linked(fields.material, materialEntries);
+    return {
+      ...fields,
+      category: category ? category.fields.slug : null,
+      material: material ? material.fields.slug : null,
+      images: (fields.images || []).map(link => {
+        const asset = linked(link, assets);
+        if (!asset) return null;
+        return { src: asset.fields.file.url, alt: asset.fields.title };
+      })
+    };
+  });
+
+  return {
+    ...(settings ? settings.fields : {}),
+    categories: categoryEntries.map(fromEntry),
+    materials: materialEntries.map(fromEntry),
+    products
+  };
+}
+
+// The inverse of fromCmsEntries, for the mock CMS
+function toCmsEntries(catalog) {
+  const link = id => ({ sys: { type: 'Link', id } });
+  const { currency, locale, categories, materials, products } = createCatalog(catalog);
+  const assets = [];
+
+  const items = [
+    { sys: { id: 'catalog', contentType: 'catalog' }, fields: { currency, locale } },
+    ...categories.map(({ id, ...fields }) => ({
+      sys: { id: `category-${id}`, contentType: 'category' },
+      fields: { slug: id, ...fields }
+    })),
+    ...materials.map(({ id, ...fields }) => ({
+      sys: { id: `material-${id}`, contentType: 'material' },
+      fields: { slug: id, ...fields }
+    })),
+    ...products.map(({ image, ...product }) => ({
+      sys: { id: `product-${product.slug}`, contentType: 'product' },
+      fields: {
+        ...product,
+        category: link(`category-${product.category}`),
+        material: product.material ? link(`material-${product.material}`) : null,
+        images: product.images.map(({ src, alt }, index) => {
+          const id = `asset-${product.slug}-${index}`;
+          assets.push({ sys: { id }, fields: { title: alt, file: { url: src } } });
+          return link(id);
+        })
+      }
+    }))
+  ];
+
+  return { items, includes: { assets } };
+}
+
+// Catalog from a headless CMS at url (see fromCmsEntries). headers can
+// carry an access token.
+function createCmsCatalogSource({ url, headers = {}, fetch: fetchEntries = window.fetch.bind(window) }) {
+  if (!url) {
+    throw new Error('The cms catalog source needs a url');
+  }
+
+  return {
+    name: 'cms',
+    load() {
+      return fetchEntries(url, { headers: { Accept: 'application/json', ...headers } })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load catalog entries from ${url}: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(response => fromCmsEntries(response));
+    }
+  };
+}
+
+// Stand-in CMS: a fetch answering with catalog's entries after latency ms
+function createMockCms(catalog = DEFAULT_CATALOG, { latency = 300 } = {}) {
+  return {
+    fetch: () => new Promise(resolve => {
+      setTimeout(() => {
+        resolve(new Response(JSON.stringify(toCmsEntries(catalog)), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }, latency);
+    })
+  };
+}
+
+// Source for the experience config's catalog options (see ExperienceConfig.js)
+function createCatalogSource({ source, url }) {
+  switch (source) {
+    case 'json':
+      return createJsonCatalogSource(url);
+    case 'cms':
+      return createCmsCatalogSource({ url });
+    case 'mock':
+      return {
+        ...createCmsCatalogSource({ url: url || '/mock/catalog', fetch: createMockCms().fetch }),
+        name: 'mock'
+      };
+    default:
+      throw new Error(`Unknown catalog source: ${source}`);
+  }
+}
+
+export {
+  DEFAULT_CATALOG,
+  PRODUCT_SPECS,
+  getProductSlug,
+  getCatalogErrors,
+  createCatalog,
+  loadCatalog,
+  getProductCategory,
+  getProductMaterial,
+  getProductSpecRows,
+  formatPriceBand,
+  getCatalogImages,
+  createJsonCatalogSource,
+  createCmsCatalogSource,
+  createMockCms,
+  createCatalogSource,
+  fromCmsEntries,
+  toCmsEntries
+};
@@ -0,0 +1,92 @@
+// Side-by-side comparison of catalog products
+// A comparison lines up two to four products from the catalog (see
+// ProductCatalog.js): their category, material, price band, minimum order, board
+// specs, use cases and features, one row each, marking the rows where they
+// differ. It is plain data, so it can be shown as a table and sent with a
+// quote request.
+import {
+  PRODUCT_SPECS,
+  getProductCategory,
+  getProductMaterial,
+  formatPriceBand
+} from './ProductCatalog.js';
+
+const MIN_COMPARED = 2;
+const MAX_COMPARED = 4;
+
+// Shown for a value a product does not list
+const MISSING_VALUE = '—';
+
+// Whether every product has the same value; lists compare as sets
+function isSameValue(values) {
+  const key = value => JSON.stringify(Array.isArray(value) ? [...value].sort() : value);
+  return values.every(value => key(value) === key(values[0]));
+}
+
+// Compare products from a catalog; throws unless there are MIN_COMPARED to
+// MAX_COMPARED different ones. Rows are { id, label, values, differs }
+// where values holds one text, or list of texts, per product.
+function createComparison(catalog, products) {
+  const skus = products.map(product => product.sku);
+  if (products.length < MIN_COMPARED || products.length > MAX_COMPARED) {
+    throw new Error(`Compare ${MIN_COMPARED} to ${MAX_COMPARED} products, not ${products.length}`);
+  }
+  if (new Set(skus).size !== skus.length) {
+    throw new Error('Each product can only be compared once');
+  }
+
+  const row = (id, label, getValue) => {
+    const values = products.map(product => {
+      const value = getValue(product);
+      return value === null || value === undefined ? MISSING_VALUE : value;
+    });
+    return { id, label, values, differs: !isSameValue(values) };
+  };
+
+  // Only the specs at least one product lists
+  const specRows = Object.keys(PRODUCT_SPECS)
+    .filter(key => products.some(product => product.specs[key] !== undefined))
+    .map(key => row(key, PRODUCT_SPECS[key].label, product => (
+      product.specs[key] === undefined ? null : PRODUCT_SPECS[key].format(product.specs[key])
+    )));
+
+  const rows = [
+    row('category', 'Category', product => {
+      const category = getProductCategory(catalog, product);
+      return category ? category.name : null;
+    }),
+    row('material', 'Material', product => {
+      const material = getProductMaterial(catalog, product);
+      return material ? material.name : null;
+    }),
+    row('priceBand', 'Price band', product => formatPriceBand(catalog, product)),
+    row('moq', 'Minimum order', product => `${product.moq.toLocaleString(catalog.locale)} ${product.unit}`),
+    ...specRows,
+    row('useCases', 'Use cases', product => (product.useCases.length > 0 ? product.useCases : null)),
+    row('features', 'Features', product => product.features)
+  ];
+
+  return {
+    products: products.map(({ sku, slug, name, image }) => ({ sku, slug, name, image })),
+    rows
+  };
+}
+
+// e.g. 'Premium Corrugated Boxes vs Kraft Paper Bags (differ in flute, GSM,
+// price band)'
+function describeComparison(comparison) {
+  const names = comparison.products.map(product => product.name).join(' vs ');
+  const differences = comparison.rows.filter(row => row.differs).map(row => row.label);
+  if (differences.length === 0) return `${names} (same specs)`;
+
+  const labels = differences.map(label => (label === label.toUpperCase() ? label : label.toLowerCase()));
+  return `${names} (differ in ${labels.join(', ')})`;
+}
+
+export {
+  MIN_COMPARED,
+  MAX_COMPARED,
+  MISSING_VALUE,
+  createComparison,
+  describeComparison
+};
@@ -0,0 +1,140 @@
+// Search and filtering of catalog products
+// A filter is { query, categories, materials }: products must contain every
+// word of the query (in their name, SKU, description, features, use cases,
+// category or material) and be in one of the picked categories and made of
+// one of the picked materials. An empty query or list does not filter. It is
+// plain data, so it can be kept in the URL (see formatFilterParams).
+import { getProductCategory, getProductMaterial } from './ProductCatalog.js';
+
+const EMPTY_FILTER = Object.freeze({ query: '', categories: Object.freeze([]), materials: Object.freeze([]) });
+
+// URL parameter for each part of a filter
+const FILTER_PARAMS = { query: 'q', categories: 'category', materials: 'material' };
+
+// Tidy a filter: missing parts are empty, the query's spaces are collapsed
+// and ids are not repeated
+function normalizeFilter(filter = {}) {
+  const ids = list => (Array.isArray(list) ? [...new Set(list.filter(id => typeof id === 'string' && id))] : []);
+  return {
+    query: typeof filter.query === 'string' ? filter.query.trim().replace(/\s+/g, ' ') : '',
+    categories: ids(filter.categories),
+    materials: ids(filter.materials)
+  };
+}
+
+// Whether a filter leaves any product out
+function isFilterActive(filter) {
+  return filter.query !== '' || filter.categories.length > 0 || filter.materials.length > 0;
+}
+
+function isSameFilter(a, b) {
+  const key = filter => JSON.stringify({
+    query: filter.query,
+    categories: [...filter.categories].sort(),
+    materials: [...filter.materials].sort()
+  });
+  return key(a) === key(b);
+}
+
+// Drop the ids a catalog does not have, e.g. from an old link
+function pruneFilter(catalog, filter) {
+  const has = list => id => list.some(item => item.id === id);
+  return {
+    query: filter.query,
+    categories: filter.categories.filter(has(catalog.categories)),
+    materials: filter.materials.filter(has(catalog.materials))
+  };
+}
+
+// Everything a product can be found by, lowercased
+function getSearchText(catalog, product) {
+  const category = getProductCategory(catalog, product);
+  const material = getProductMaterial(catalog, product);
+  return [
+    product.name,
+    product.sku,
+    product.description,
+    ...product.features,
+    ...product.useCases,
+    category ? category.name : '',
+    material ? material.name : ''
+  ].join('\n').toLocaleLowerCase(catalog.locale);
+}
+
+function matchesFilter(catalog, product, filter) {
+  if (filter.categories.length > 0 && !filter.categories.includes(product.category)) return false;
+  if (filter.materials.length > 0 && !filter.materials.includes(product.material)) return false;
+  if (!filter.query) return true;
+
+  const text = getSearchText(catalog, product);
+  return filter.query
+    .toLocaleLowerCase(catalog.locale)
+    .split(' ')
+    .every(word => text.includes(word));
+}
+
+// The catalog's products matching a filter, in catalog order
+function filterProducts(catalog, filter) {
+  return catalog.products.filter(product => matchesFilter(catalog, product, filter));
+}
+
+// Chips to offer: { categories, materials }, each [{ id, name, count }] where
+// count is how many products would match with only that chip picked in its
+// group. Materials no product is made of are left out.
+function getFilterOptions(catalog, filter) {
+  const options = (group, list) => list.map(({ id, name }) => ({
+    id,
+    name,
+    count: filterProducts(catalog, { ...filter, [group]: [id] }).length
+  }));
+
+  const usedMaterials = catalog.materials.filter(material => (
+    catalog.products.some(product => product.material === material.id)
+  ));
+  return {
+    categories: options('categories', catalog.categories),
+    materials: options('materials', usedMaterials)
+  };
+}
+
+// Filter from URL parameters, e.g. 'q=kraft&category=paper-bags,corrugated-boxes'
+function parseFilterParams(search) {
+  const params = new URLSearchParams(search);
+  const list = name => (params.get(name) || '').split(',').filter(Boolean);
+  return normalizeFilter({
+    query: params.get(FILTER_PARAMS.query) || '',
+    categories: list(FILTER_PARAMS.categories),
+    materials: list(FILTER_PARAMS.materials)
+  });
+}
+
+// URL parameters for a filter, without the '?'; '' when it filters nothing
+function formatFilterParams(filter) {
+  const params = new URLSearchParams();
+  if (filter.query) params.set(FILTER_PARAMS.query, filter.query);
+  if (filter.categories.length > 0) params.set(FILTER_PARAMS.categories, filter.categories.join(','));
+  if (filter.materials.length > 0) params.set(FILTER_PARAMS.materials, filter.materials.join(','));
+
+  // Ids never contain commas, so they can stay readable
+  return params.toString().replace(/%2C/g, ',');
+}
+
+// e.g. '2 of 3 products'
+function describeResults(count, total) {
+  const noun = total === 1 ? 'product' : 'products';
+  return count === total ? `${total} ${noun}` : `${count} of ${total} ${noun}`;
+}
+
+export {
+  EMPTY_FILTER,
+  normalizeFilter,
+  isFilterActive,
+  isSameFilter,
+  pruneFilter,
+  matchesFilter,
+  filterProducts,
+  getFilterOptions,
+  parseFilterParams,
+  formatFilterParams,
+  describeResults
+};
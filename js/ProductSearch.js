@@ -0,0 +1,297 @@
+// Product search and filter panel for the box experience
+// While the box is open a panel beside it searches the catalog and filters
+// it by category and material chips (see ProductFilter.js). Cards that do
+// not match shrink away and the rest move round to close the gaps. The
+// matching products are also listed as buttons, so they can be reached from
+// the keyboard: Down moves from the search box into the list, Up and Down
+// move through it, and each result lifts its card while focused and opens
+// its details when pressed. The router keeps the filter in the URL.
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { EXPERIENCE_STATES } from './ExperienceStateMachine.js';
+import { getProductCategory, getProductMaterial } from './ProductCatalog.js';
+import {
+  EMPTY_FILTER,
+  normalizeFilter,
+  isFilterActive,
+  isSameFilter,
+  pruneFilter,
+  filterProducts,
+  getFilterOptions,
+  describeResults
+} from './ProductFilter.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+import { escapeHtml } from './utils/escapeHtml.js';
+
+// Chip groups, by the filter part they set
+const FILTER_GROUPS = { categories: 'Category', materials: 'Material' };
+
+class ProductSearch {
+  constructor(boxExperience) {
+    this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
+    this.resources = new ResourceTracker();
+
+    this.filter = normalizeFilter(EMPTY_FILTER);
+
+    // Products matching the filter
+    this.products = [];
+
+    this.createPanel();
+    this.setupEventListeners();
+    this.updateVisibility(boxExperience.state);
+  }
+
+  get showcase() {
+    return this.boxExperience.getComponent('businessShowcase');
+  }
+
+  get catalog() {
+    const showcase = this.showcase;
+    return showcase ? showcase.catalog : null;
+  }
+
+  // Change the filter ({ query, categories, materials }; missing parts are
+  // empty) and show the products matching it
+  setFilter(filter) {
+    const catalog = this.catalog;
+    const next = catalog ? pruneFilter(catalog, normalizeFilter(filter)) : normalizeFilter(filter);
+    if (isSameFilter(next, this.filter)) return;
+
+    this.filter = next;
+    this.apply();
+  }
+
+  setQuery(query) {
+    this.setFilter({ ...this.filter, query });
+  }
+
+  // Pick or unpick a category or material chip
+  toggleChip(group, id) {
+    const ids = this.filter[group];
+    this.setFilter({
+      ...this.filter,
+      [group]: ids.includes(id) ? ids.filter(other => other !== id) : [...ids, id]
+    });
+  }
+
+  clear() {
+    this.setFilter(EMPTY_FILTER);
+  }
+
+  // Show the cards and results for the current filter. Before the catalog
+  // has loaded the filter is only kept, to apply once it has.
+  apply() {
+    const catalog = this.catalog;
+    this.products = catalog ? filterProducts(catalog, this.filter) : [];
+
+    if (catalog) {
+      this.showcase.showProducts(isFilterActive(this.filter) ? this.products : null);
+    }
+
+    this.render();
+    this.events.emit(EXPERIENCE_EVENTS.FILTER_CHANGE, { filter: this.filter, products: this.products });
+  }
+
+  // Open a product's details, lifting its card
+  openProduct(slug) {
+    const showcase = this.showcase;
+    const product = showcase.focusProductBySlug(slug);
+    if (product) {
+      showcase.showProductDetails(product);
+    }
+  }
+
+  createPanel() {
+    this.panel = document.createElement('form');
+    this.panel.className = 'product-filter';
+    this.panel.setAttribute('role', 'search');
+    this.panel.setAttribute('aria-label', 'Find products');
+    this.panel.noValidate = true;
+    this.panel.innerHTML = `
+      <label for="product-search" class="sr-only">Search products</label>
+      <input type="search" id="product-search" name="query" placeholder="Search products" autocomplete="off"
+        aria-controls="product-filter-results" aria-describedby="product-filter-status">
+      ${Object.keys(FILTER_GROUPS).map(group => `
+        <div class="filter-group" role="group" aria-labelledby="product-filter-${group}" hidden>
+          <span class="filter-group-label" id="product-filter-${group}">${FILTER_GROUPS[group]}</span>
+          <div class="filter-chips" data-group="${group}"></div>
+        </div>
+      `).join('')}
+      <div class="filter-summary">
+        <p class="filter-status" id="product-filter-status" role="status">Loading products…</p>
+        <button type="button" class="filter-clear" hidden>Clear</button>
+      </div>
+      <ul class="filter-results" id="product-filter-results" aria-label="Matching products"></ul>
+    `;
+    this.boxExperience.overlayRoot.appendChild(this.panel);
+    this.resources.element(this.panel);
+
+    this.input = this.panel.querySelector('input[name="query"]');
+    this.results = this.panel.querySelector('.filter-results');
+
+    this.resources.listen(this.input, 'input', () => {
+      this.setQuery(this.input.value);
+    });
+
+    // Enter opens the first match
+    this.resources.listen(this.panel, 'submit', (event) => {
+      event.preventDefault();
+      if (this.products.length > 0) {
+        this.openProduct(this.products[0].slug);
+      }
+    });
+
+    this.resources.listen(this.panel, 'click', (event) => {
+      const chip = event.target.closest('.filter-chip');
+      const result = event.target.closest('.filter-result');
+      if (chip) {
+        this.toggleChip(chip.closest('.filter-chips').dataset.group, chip.dataset.id);
+      } else if (result) {
+        this.openProduct(result.dataset.slug);
+      } else if (event.target.closest('.filter-clear')) {
+        this.clear();
+        this.input.focus();
+      }
+    });
+
+    this.resources.listen(this.panel, 'keydown', (event) => this.handleKeydown(event));
+
+    // A focused result lifts its card, as hovering it would
+    this.resources.listen(this.results, 'focusin', (event) => {
+      const result = event.target.closest('.filter-result');
+      if (result && this.showcase) {
+        this.showcase.focusProductBySlug(result.dataset.slug);
+      }
+    });
+    this.resources.listen(this.results, 'focusout', (event) => {
+      // Left lifted while its details show
+      const showcase = this.showcase;
+      if (!this.results.contains(event.relatedTarget) && showcase && !showcase.detailsProduct) {
+        showcase.releaseFocusedProduct();
+      }
+    });
+  }
+
+  // Arrow keys move between the search box and the results
+  handleKeydown(event) {
+    const results = [...this.results.querySelectorAll('.filter-result')];
+    const index = results.indexOf(event.target);
+    let target = null;
+
+    if (event.target === this.input) {
+      if (event.key === 'ArrowDown') {
+        target = results[0];
+      } else if (event.key === 'Escape' && this.input.value) {
+        // Clear the search, rather than anything else Escape closes
+        event.stopPropagation();
+        this.input.value = '';
+        this.setQuery('');
+        return;
+      }
+    } else if (index !== -1) {
+      if (event.key === 'ArrowDown') {
+        target = results[Math.min(index + 1, results.length - 1)];
+      } else if (event.key === 'ArrowUp') {
+        target = index === 0 ? this.input : results[index - 1];
+      } else if (event.key === 'Home') {
+        target = results[0];
+      } else if (event.key === 'End') {
+        target = results[results.length - 1];
+      }
+    }
+
+    if (target) {
+      event.preventDefault();
+      target.focus();
+    }
+  }
+
+  // Chips for the catalog's categories and the materials its products are
+  // made of; a group with nothing to pick is hidden
+  renderChips() {
+    const catalog = this.catalog;
+    const options = getFilterOptions(catalog, this.filter);
+
+    Object.keys(FILTER_GROUPS).forEach(group => {
+      const chips = this.panel.querySelector(`.filter-chips[data-group="${group}"]`);
+      chips.closest('.filter-group').hidden = options[group].length < 2;
+      chips.innerHTML = options[group].map(({ id, name }) => `
+        <button type="button" class="filter-chip" data-id="${escapeHtml(id)}" aria-pressed="false">
+          ${escapeHtml(name)} <span class="filter-count"></span>
+        </button>
+      `).join('');
+    });
+  }
+
+  // Bring the panel in step with the filter and its matches
+  render() {
+    const catalog = this.catalog;
+
+    // Only while it says something else, so typing is not disturbed
+    if (normalizeFilter({ query: this.input.value }).query !== this.filter.query) {
+      this.input.value = this.filter.query;
+    }
+
+    this.panel.querySelector('.filter-clear').hidden = !isFilterActive(this.filter);
+    if (!catalog) return;
+
+    // Counts say how many would match with the chip picked
+    const options = getFilterOptions(catalog, this.filter);
+    Object.keys(FILTER_GROUPS).forEach(group => {
+      options[group].forEach(({ id, name, count }) => {
+        const chip = [...this.panel.querySelectorAll(`.filter-chips[data-group="${group}"] .filter-chip`)]
+          .find(button => button.dataset.id === id);
+        if (!chip) return;
+
+        const picked = this.filter[group].includes(id);
+        chip.setAttribute('aria-pressed', String(picked));
+        chip.setAttribute('aria-label', `${name}, ${count} ${count === 1 ? 'product' : 'products'}`);
+        chip.querySelector('.filter-count').textContent = count;
+      });
+    });
+
+    const total = catalog.products.length;
+    this.panel.querySelector('.filter-status').textContent = this.products.length === 0
+      ? 'No products match'
+      : describeResults(this.products.length, total);
+
+    this.results.innerHTML = this.products.map(product => {
+      const category = getProductCategory(catalog, product);
+      const material = getProductMaterial(catalog, product);
+      const details = [category && category.name, material && material.name].filter(Boolean).join(' · ');
+      return `
+        <li>
+          <button type="button" class="filter-result" data-slug="${escapeHtml(product.slug)}">
+            ${escapeHtml(product.name)}
+            <span class="filter-result-details">${escapeHtml(details)}</span>
+          </button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  // The panel shows while the box is open and its cards are on show
+  updateVisibility(state) {
+    this.panel.hidden = state !== EXPERIENCE_STATES.OPEN;
+  }
+
+  setupEventListeners() {
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.STATE_CHANGE, ({ state }) => {
+      this.updateVisibility(state);
+    }));
+
+    // New cards are built for a new catalog; filter them as before, less any
+    // categories or materials it no longer has
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.CATALOG_LOAD, ({ catalog }) => {
+      this.filter = pruneFilter(catalog, this.filter);
+      this.renderChips();
+      this.apply();
+    }));
+  }
+
+  dispose() {
+    this.resources.dispose();
+  }
+}
+
+export { ProductSearch };
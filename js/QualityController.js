@@ -0,0 +1,226 @@
+// Quality controller for the 3D box experience
+// The single authority on rendering quality. It picks a starting tier for the
+// device, watches the frame rate and steps between named tiers with
+// hysteresis and a cooldown, and honours a user override that is remembered
+// across visits. Modules never measure FPS themselves: they subscribe with
+// onChange() and apply the settings of the current tier.
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+
+// Tiers from cheapest to most expensive
+const QUALITY_TIERS = ['low', 'medium', 'high', 'ultra'];
+
+// What each tier asks of the modules that subscribe to it
+const QUALITY_SETTINGS = {
+  low: {
+    pixelRatio: 1,
+    shadowMapType: 'basic',
+    postProcessing: 'low',
+    particleDensity: 0.25,
+    textureQuality: 'low'
+  },
+  medium: {
+    pixelRatio: 1.5,
+    shadowMapType: 'pcf',
+    postProcessing: 'medium',
+    particleDensity: 0.5,
+    textureQuality: 'medium'
+  },
+  high: {
+    pixelRatio: 2,
+    shadowMapType: 'pcfSoft',
+    postProcessing: 'high',
+    particleDensity: 1,
+    textureQuality: 'high'
+  },
+  ultra: {
+    pixelRatio: 2.5,
+    shadowMapType: 'pcfSoft',
+    postProcessing: 'ultra',
+    particleDensity: 1,
+    textureQuality: 'high'
+  }
+};
+
+// Automatic adjustment tuning. Stepping down reacts faster than stepping up
+// so a struggling device recovers quickly without flip-flopping.
+const ADAPTIVE_DEFAULTS = {
+  sampleWindow: 2,     // seconds of frames averaged per check
+  downgradeFps: 30,    // average below this counts towards stepping down
+  upgradeFps: 55,      // average above this counts towards stepping up
+  downgradeAfter: 3,   // consecutive slow windows before stepping down
+  upgradeAfter: 5,     // consecutive fast windows before stepping up
+  cooldown: 10,        // seconds after any change before the next one
+  maxFrameDelta: 0.5   // longer frames (e.g. a hidden tab) are ignored
+};
+
+const OVERRIDE_STORAGE_KEY = 'qualityOverride';
+
+// Starting and highest automatic tier for this device
+function getDeviceQualityLimits() {
+  const userAgent = navigator.userAgent;
+  const isTablet = /iPad|Android(?!.*Mobile)/i.test(userAgent);
+  const isMobile = !isTablet && /Android|webOS|iPhone|iPod|BlackBerry|IEMobile|Opera Mini/i.test(userAgent);
+  const cores = navigator.hardwareConcurrency || 4;
+
+  if (isMobile) return { initialTier: 'low', maxTier: 'medium' };
+  if (isTablet) return { initialTier: 'medium', maxTier: 'high' };
+  if (cores <= 4) return { initialTier: 'medium', maxTier: 'ultra' };
+  return { initialTier: 'high', maxTier: 'ultra' };
+}
+
+// localStorage can throw (disabled storage, sandboxed iframes)
+function readStoredOverride() {
+  try {
+    const value = window.localStorage.getItem(OVERRIDE_STORAGE_KEY);
+    return QUALITY_TIERS.includes(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeStoredOverride(tier) {
+  try {
+    if (tier) {
+      window.localStorage.setItem(OVERRIDE_STORAGE_KEY, tier);
+    } else {
+      window.localStorage.removeItem(OVERRIDE_STORAGE_KEY);
+    }
+  } catch (error) {
+    // Not persisted; the override still applies for this session
+  }
+}
+
+class QualityController {
+  constructor(events, options = {}) {
+    this.events = events;
+
+    const limits = getDeviceQualityLimits();
+    this.autoTier = options.initialTier || limits.initialTier;
+    this.maxTier = options.maxTier || limits.maxTier;
+    this.adaptive = { ...ADAPTIVE_DEFAULTS, ...options.adaptive };
+
+    // User override ('low'...'ultra'), or null for automatic quality
+    this.override = readStoredOverride();
+    this.tier = this.override || this.autoTier;
+
+    // Frame-rate sampling state
+    this.windowTime = 0;
+    this.windowFrames = 0;
+    this.slowWindows = 0;
+    this.fastWindows = 0;
+    this.cooldownRemaining = 0;
+    this.averageFps = 60;
+  }
+
+  // Settings of the current tier
+  get settings() {
+    return QUALITY_SETTINGS[this.tier];
+  }
+
+  // Whether the frame rate is allowed to change the tier
+  get isAutomatic() {
+    return this.override === null;
+  }
+
+  // Call handler with the current settings now and on every tier change.
+  // Returns an unsubscribe function.
+  onChange(handler) {
+    handler(this.settings, this.tier);
+    return this.events.on(EXPERIENCE_EVENTS.QUALITY_CHANGE, ({ settings, tier }) => handler(settings, tier));
+  }
+
+  // Force a tier, or pass 'auto' to return to automatic quality. The choice
+  // is remembered across visits unless persist is false.
+  setOverride(tier, { persist = true } = {}) {
+    if (tier !== 'auto' && !QUALITY_TIERS.includes(tier)) {
+      throw new Error(`Unknown quality tier: ${tier}`);
+    }
+
+    this.override = tier === 'auto' ? null : tier;
+    if (persist) {
+      writeStoredOverride(this.override);
+    }
+
+    this.resetSampling();
+    this.changeTier(this.override || this.autoTier, 'override');
+  }
+
+  // Step through auto, low, medium, high, ultra and back to auto
+  cycleOverride() {
+    const options = ['auto', ...QUALITY_TIERS];
+    const current = options.indexOf(this.override || 'auto');
+    const next = options[(current + 1) % options.length];
+
+    this.setOverride(next);
+    return next;
+  }
+
+  // Feed one frame's duration (seconds); called from the render loop
+  update(delta) {
+    if (!this.isAutomatic || delta <= 0 || delta > this.adaptive.maxFrameDelta) return;
+
+    this.cooldownRemaining = Math.max(0, this.cooldownRemaining - delta);
+    this.windowTime += delta;
+    this.windowFrames++;
+
+    if (this.windowTime < this.adaptive.sampleWindow) return;
+
+    this.averageFps = this.windowFrames / this.windowTime;
+    this.windowTime = 0;
+    this.windowFrames = 0;
+    this.evaluate();
+  }
+
+  // Count slow and fast windows and step the tier once a streak is long enough
+  evaluate() {
+    const { downgradeFps, upgradeFps, downgradeAfter, upgradeAfter } = this.adaptive;
+
+    if (this.averageFps < downgradeFps) {
+      this.slowWindows++;
+      this.fastWindows = 0;
+    } else if (this.averageFps > upgradeFps) {
+      this.fastWindows++;
+      this.slowWindows = 0;
+    } else {
+      this.slowWindows = 0;
+      this.fastWindows = 0;
+    }
+
+    if (this.cooldownRemaining > 0) return;
+
+    const index = QUALITY_TIERS.indexOf(this.tier);
+    if (this.slowWindows >= downgradeAfter && index > 0) {
+      this.autoTier = QUALITY_TIERS[index - 1];
+      this.changeTier(this.autoTier, 'performance');
+    } else if (this.fastWindows >= upgradeAfter && index < QUALITY_TIERS.indexOf(this.maxTier)) {
+      this.autoTier = QUALITY_TIERS[index + 1];
+      this.changeTier(this.autoTier, 'performance');
+    }
+  }
+
+  changeTier(tier, reason) {
+    this.slowWindows = 0;
+    this.fastWindows = 0;
+    this.cooldownRemaining = this.adaptive.cooldown;
+
+    if (tier === this.tier) return;
+
+    const previousTier = this.tier;
+    this.tier = tier;
+    this.events.emit(EXPERIENCE_EVENTS.QUALITY_CHANGE, {
+      tier,
+      previousTier,
+      settings: this.settings,
+      reason
+    });
+  }
+
+  resetSampling() {
+    this.windowTime = 0;
+    this.windowFrames = 0;
+    this.slowWindows = 0;
+    this.fastWindows = 0;
+  }
+}
+
+export { QualityController, QUALITY_TIERS, QUALITY_SETTINGS };
@@ -0,0 +1,375 @@
+// Indicative quotes for the quote estimator
+// A quote prices an order of boxes from a rate table: the board the blanks
+// are cut from (its grade and the waste around them), converting them into
+// boxes, flexo or digital printing and finishing, less a discount at each
+// quantity break. Rate tables are plain JSON (see config/rates.json) so
+// prices can change without code changes; amounts are in the table's
+// currency.
+import { getBoxSpecErrors, getBoardFlutes } from './BoxSpec.js';
+import { createDieline, getBlankSize } from './Dieline.js';
+
+const DEFAULT_RATES = {
+  currency: 'INR',
+  locale: 'en-IN',
+
+  // Board price per m² by ply and flute
+  board: {
+    3: { A: 34, B: 30, C: 32, E: 31 },
+    5: { A: 58, B: 52, C: 55, E: 53, BC: 56 },
+    7: { A: 82, B: 74, C: 78, E: 76, BC: 80 }
+  },
+
+  // Liner grades, each multiplying the board price
+  grades: {
+    test: { label: 'Test liner', factor: 1 },
+    kraft: { label: 'Virgin kraft liner', factor: 1.18 },
+    whiteTop: { label: 'White top liner', factor: 1.32 }
+  },
+
+  // Board lost beyond the offcuts around the blank, as shares of the blank:
+  // trim at the sheet edges and spoilage while setting up and running
+  waste: { trim: 0.04, spoilage: 0.03 },
+
+  // Slotting, die-cutting and gluing: setup per order, then per box by style
+  conversion: {
+    setup: 1500,
+    perBox: { '0201': 3.5, '0203': 4, '0301': 6, '0422': 5, '0427': 7 }
+  },
+
+  // Flexo printing: a plate per spot colour and ink per colour per m² of
+  // blank; full colour is printed digitally
+  print: {
+    plate: 2500,
+    perColorSqm: 2.5,
+    full: { setup: 4000, perSqm: 18 }
+  },
+
+  // Optional finishes, priced per m² of blank, per box and/or per order
+  finishing: {
+    varnish: { label: 'Water-based varnish', perSqm: 4 },
+    lamination: { label: 'Gloss lamination', perSqm: 12 },
+    handHoles: { label: 'Hand holes', perBox: 1.5 },
+    window: { label: 'Window patch', perBox: 6, setup: 1000 }
+  },
+
+  // Discount on everything but setup from each quantity up; the first
+  // break is the smallest order quoted
+  quantityBreaks: [
+    { min: 100, discount: 0 },
+    { min: 500, discount: 0.06 },
+    { min: 1000, discount: 0.12 },
+    { min: 5000, discount: 0.2 },
+    { min: 10000, discount: 0.25 }
+  ],
+
+  tax: { label: 'GST', rate: 0.18 }
+};
+
+// Largest number of spot colours; print is null (unprinted), 1 to this, or
+// 0 for full colour, as in ArtworkDecals.js
+const MAX_SPOT_COLORS = 4;
+
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Problems with a rate table, as messages (empty when valid)
+function getRateTableErrors(rates) {
+  const errors = [];
+  if (!isPlainObject(rates)) return ['Rate table must be an object'];
+
+  if (typeof rates.currency !== 'string' || !/^[A-Z]{3}$/.test(rates.currency)) {
+    errors.push('currency must be an ISO 4217 code such as INR');
+  }
+  if (rates.locale !== undefined && typeof rates.locale !== 'string') {
+    errors.push('locale must be a language tag such as en-IN');
+  }
+
+  const checkAmounts = (object, keys, path) => {
+    keys.forEach(key => {
+      if (!isAmount(object[key])) {
+        errors.push(`${path}.${key} must be a number of at least 0`);
+      }
+    });
+  };
+
+  const checkTable = (table, path, checkEntry) => {
+    if (!isPlainObject(table) || Object.keys(table).length === 0) {
+      errors.push(`${path} must be an object with at least one entry`);
+      return false;
+    }
+    Object.entries(table).forEach(([key, entry]) => checkEntry(entry, `${path}.${key}`));
+    return true;
+  };
+
+  checkTable(rates.board, 'board', (flutes, path) => {
+    checkTable(flutes, path, (price, flutePath) => {
+      if (!isAmount(price)) errors.push(`${flutePath} must be a number of at least 0`);
+    });
+  });
+
+  checkTable(rates.grades, 'grades', (grade, path) => {
+    if (!isPlainObject(grade) || typeof grade.label !== 'string') {
+      errors.push(`${path} must have a label`);
+    } else {
+      checkAmounts(grade, ['factor'], path);
+    }
+  });
+
+  if (checkTable(rates.waste, 'waste', () => {})) {
+    checkAmounts(rates.waste, ['trim', 'spoilage'], 'waste');
+  }
+
+  if (checkTable(rates.conversion, 'conversion', () => {})) {
+    checkAmounts(rates.conversion, ['setup'], 'conversion');
+    checkTable(rates.conversion.perBox, 'conversion.perBox', (price, path) => {
+      if (!isAmount(price)) errors.push(`${path} must be a number of at least 0`);
+    });
+  }
+
+  if (checkTable(rates.print, 'print', () => {})) {
+    checkAmounts(rates.print, ['plate', 'perColorSqm'], 'print');
+    if (checkTable(rates.print.full, 'print.full', () => {})) {
+      checkAmounts(rates.print.full, ['setup', 'perSqm'], 'print.full');
+    }
+  }
+
+  // Finishing is optional; each finish needs a label and at least one price
+  if (rates.finishing !== undefined) {
+    checkTable(rates.finishing, 'finishing', (finish, path) => {
+      const prices = ['perSqm', 'perBox', 'setup'].filter(key => key in (finish || {}));
+      if (!isPlainObject(finish) || typeof finish.label !== 'string' || prices.length === 0) {
+        errors.push(`${path} must have a label and a perSqm, perBox or setup price`);
+      } else {
+        checkAmounts(finish, prices, path);
+      }
+    });
+  }
+
+  const breaks = rates.quantityBreaks;
+  if (!Array.isArray(breaks) || breaks.length === 0) {
+    errors.push('quantityBreaks must be a list of { min, discount }');
+  } else {
+    breaks.forEach((quantityBreak, index) => {
+      const path = `quantityBreaks[${index}]`;
+      if (!isPlainObject(quantityBreak) || !Number.isInteger(quantityBreak.min) || quantityBreak.min < 1) {
+        errors.push(`${path}.min must be a whole number of at least 1`);
+      } else if (index > 0 && quantityBreak.min <= breaks[index - 1].min) {
+        errors.push(`${path}.min must be larger than the break before it`);
+      }
+      if (!isPlainObject(quantityBreak) || !isAmount(quantityBreak.discount) || quantityBreak.discount >= 1) {
+        errors.push(`${path}.discount must be a share between 0 and 1`);
+      }
+    });
+  }
+
+  if (rates.tax !== undefined) {
+    if (!isPlainObject(rates.tax) || typeof rates.tax.label !== 'string') {
+      errors.push('tax must have a label');
+    } else {
+      checkAmounts(rates.tax, ['rate'], 'tax');
+    }
+  }
+
+  return errors;
+}
+
+// Check a rate table; throws listing every problem
+function createRateTable(rates) {
+  const errors = getRateTableErrors(rates);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid rate table:\n  ${errors.join('\n  ')}`);
+  }
+
+  return rates;
+}
+
+// Fetch and check a JSON rate table
+function loadRateTable(url) {
+  return fetch(url)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load rate table ${url}: ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(rates => createRateTable(rates));
+}
+
+// Smallest order the rate table quotes
+function getMinimumQuantity(rates) {
+  return rates.quantityBreaks[0].min;
+}
+
+// The quantity break an order falls in, and the next one up (or null)
+function getQuantityBreak(rates, quantity) {
+  const breaks = rates.quantityBreaks;
+  const index = breaks.reduce((found, quantityBreak, i) => (quantity >= quantityBreak.min ? i : found), 0);
+  return { current: breaks[index], next: breaks[index + 1] || null };
+}
+
+// Board price per m² for a spec's board, or null if the table has none
+function getBoardPrice(rates, spec) {
+  const prices = rates.board[spec.ply];
+  return prices && isAmount(prices[spec.flute]) ? prices[spec.flute] : null;
+}
+
+// Problems with quote inputs against a rate table, as messages (empty when
+// valid). Inputs are { spec, quantity, grade, print, finishing }: a box
+// spec (see BoxSpec.js), the number of boxes, a grade id, the spot colour
+// count (null unprinted, 0 full colour) and a list of finish ids.
+function getQuoteInputErrors(inputs, rates) {
+  const { spec, quantity, grade, print, finishing = [] } = inputs;
+  const errors = getBoxSpecErrors(spec);
+
+  if (errors.length === 0 && getBoardPrice(rates, spec) === null) {
+    errors.push(`${spec.ply}-ply ${spec.flute} flute board is not in the rate table`);
+  }
+  if (errors.length === 0 && !isAmount(rates.conversion.perBox[spec.style])) {
+    errors.push(`Style ${spec.style} is not in the rate table`);
+  }
+
+  const minimum = getMinimumQuantity(rates);
+  if (!Number.isInteger(quantity) || quantity < minimum) {
+    errors.push(`Quantity must be a whole number of at least ${minimum}`);
+  }
+
+  if (!rates.grades[grade]) {
+    errors.push(`Grade must be one of ${Object.keys(rates.grades).join(', ')}`);
+  }
+
+  if (print !== null && !(Number.isInteger(print) && print >= 0 && print <= MAX_SPOT_COLORS)) {
+    errors.push(`Print must be null, 0 (full colour) or 1 to ${MAX_SPOT_COLORS} colours`);
+  }
+
+  finishing.forEach(id => {
+    if (!(rates.finishing || {})[id]) {
+      errors.push(`Unknown finish: ${id}`);
+    }
+  });
+
+  return errors;
+}
+
+// Area of a polygon given as [[x, y], ...]
+function getPolygonArea(points) {
+  const twiceArea = points.reduce((total, [x1, y1], index) => {
+    const [x2, y2] = points[(index + 1) % points.length];
+    return total + x1 * y2 - x2 * y1;
+  }, 0);
+  return Math.abs(twiceArea) / 2;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Price an order. Returns the inputs, the board used ({ sheetArea,
+// netArea, orderArea in m², wastePercent, pricePerSqm }), the lines of the
+// breakdown ({ id, label, amount }), the quantity break reached and the next
+// one, subtotal, tax, total and unit price. Throws if the inputs are invalid.
+function estimateQuote(inputs, rates = DEFAULT_RATES) {
+  const errors = getQuoteInputErrors(inputs, rates);
+  if (errors.length > 0) {
+    throw new Error(`Invalid quote:\n  ${errors.join('\n  ')}`);
+  }
+
+  const { spec, quantity, grade, print, finishing = [] } = inputs;
+
+  // Each box takes its blank's bounding sheet, plus trim and spoilage; all
+  // but the panels themselves is waste
+  const dieline = createDieline(spec);
+  const blank = getBlankSize(dieline);
+  const blankArea = blank.width * blank.height / 1e6;
+  const netArea = dieline.panels.reduce((total, panel) => total + getPolygonArea(panel.points), 0) / 1e6;
+  const sheetArea = blankArea * (1 + rates.waste.trim + rates.waste.spoilage);
+  const pricePerSqm = getBoardPrice(rates, spec) * rates.grades[grade].factor;
+
+  const lines = [];
+  let setup = 0;
+
+  lines.push({ id: 'board', label: `Board (${rates.grades[grade].label})`, amount: sheetArea * pricePerSqm * quantity });
+
+  lines.push({ id: 'conversion', label: 'Conversion', amount: rates.conversion.perBox[spec.style] * quantity });
+  setup += rates.conversion.setup;
+
+  if (print === 0) {
+    lines.push({ id: 'print', label: 'Digital print, full colour', amount: rates.print.full.perSqm * blankArea * quantity });
+    setup += rates.print.full.setup;
+  } else if (print) {
+    lines.push({
+      id: 'print',
+      label: `Flexo print, ${print === 1 ? '1 colour' : `${print} colours`}`,
+      amount: rates.print.perColorSqm * print * blankArea * quantity
+    });
+    setup += rates.print.plate * print;
+  }
+
+  finishing.forEach(id => {
+    const { label, perSqm = 0, perBox = 0, setup: finishSetup = 0 } = rates.finishing[id];
+    lines.push({ id: `finishing.${id}`, label, amount: (perSqm * blankArea + perBox) * quantity });
+    setup += finishSetup;
+  });
+
+  // Quantity breaks discount the run, not the setup
+  const quantityBreak = getQuantityBreak(rates, quantity);
+  const run = lines.reduce((total, line) => total + line.amount, 0);
+  if (quantityBreak.current.discount > 0) {
+    lines.push({
+      id: 'discount',
+      label: `Quantity discount (${Math.round(quantityBreak.current.discount * 100)}%)`,
+      amount: -run * quantityBreak.current.discount
+    });
+  }
+
+  lines.push({ id: 'setup', label: print !== null ? 'Setup and plates' : 'Setup', amount: setup });
+  lines.forEach(line => { line.amount = roundAmount(line.amount); });
+
+  const subtotal = roundAmount(lines.reduce((total, line) => total + line.amount, 0));
+  const tax = rates.tax
+    ? { label: rates.tax.label, rate: rates.tax.rate, amount: roundAmount(subtotal * rates.tax.rate) }
+    : null;
+  const total = roundAmount(subtotal + (tax ? tax.amount : 0));
+
+  return {
+    inputs: { spec: { ...spec }, quantity, grade, print, finishing: [...finishing] },
+    currency: rates.currency,
+    board: {
+      flutes: getBoardFlutes(spec),
+      sheetArea,
+      netArea,
+      orderArea: sheetArea * quantity,
+      wastePercent: (1 - netArea / sheetArea) * 100,
+      pricePerSqm
+    },
+    lines,
+    quantityBreak,
+    subtotal,
+    tax,
+    total,
+    unitPrice: roundAmount(total / quantity)
+  };
+}
+
+// Money in the rate table's currency and locale, e.g. '₹12,345.00'
+function formatAmount(amount, rates = DEFAULT_RATES) {
+  return new Intl.NumberFormat(rates.locale || undefined, { style: 'currency', currency: rates.currency }).format(amount);
+}
+
+export {
+  DEFAULT_RATES,
+  MAX_SPOT_COLORS,
+  getRateTableErrors,
+  createRateTable,
+  loadRateTable,
+  getMinimumQuantity,
+  getQuantityBreak,
+  getQuoteInputErrors,
+  estimateQuote,
+  formatAmount
+};
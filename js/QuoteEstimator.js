@@ -0,0 +1,404 @@
+// Quote estimator for the box experience
+// "Request Quote" opens an indicative price for the configured box before
+// the contact form: visitors pick a quantity, board grade, print and
+// finishing and see the board used, its waste and what each step costs (see
+// Quote.js). Prices come from the rate table at assets.rateTable. The inputs
+// and the estimate are attached to the quote request, and kept up to date
+// while the box or its artwork change.
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { getCurrentBoxSpec } from './BoxSpec.js';
+import { BOX_STYLES } from './BoxStyles.js';
+import {
+  DEFAULT_RATES,
+  MAX_SPOT_COLORS,
+  loadRateTable,
+  getMinimumQuantity,
+  estimateQuote,
+  formatAmount
+} from './Quote.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+
+const DEFAULT_QUANTITY = 1000;
+
+function describePrint(print) {
+  if (print === null) return 'Unprinted';
+  if (print === 0) return 'Full colour';
+  return print === 1 ? '1 colour' : `${print} colours`;
+}
+
+class QuoteEstimator {
+  constructor(boxExperience) {
+    this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
+    this.resources = new ResourceTracker();
+
+    // Built-in rates until the configured table has loaded
+    this.rates = DEFAULT_RATES;
+
+    // Everything but the box, which comes from the configurator
+    this.inputs = {
+      quantity: DEFAULT_QUANTITY,
+      grade: Object.keys(this.rates.grades)[0],
+      print: null,
+      finishing: []
+    };
+
+    this.isOpen = false;
+    this.product = null;
+
+    // Whether an estimate is attached to the quote request
+    this.attached = false;
+
+    this.createOverlay();
+    this.loadRates();
+    this.setupEventListeners();
+  }
+
+  // Load the configured rate table, keeping the built-in rates if it fails
+  loadRates() {
+    const url = this.boxExperience.config.assets.rateTable;
+    if (!url) return;
+
+    loadRateTable(url)
+      .then(rates => {
+        this.rates = rates;
+        if (!rates.grades[this.inputs.grade]) {
+          this.inputs.grade = Object.keys(rates.grades)[0];
+        }
+        this.inputs.finishing = this.inputs.finishing.filter(id => (rates.finishing || {})[id]);
+        this.inputs.quantity = Math.max(this.inputs.quantity, getMinimumQuantity(rates));
+
+        if (this.isOpen) this.renderForm();
+        this.refreshAttachment();
+      })
+      .catch(error => {
+        console.warn('Using the built-in rates for quotes:', error);
+      });
+  }
+
+  // The quote inputs for the box on screen, with any of them overridden
+  getInputs(overrides = {}) {
+    return { spec: getCurrentBoxSpec(this.boxExperience), ...this.inputs, ...overrides };
+  }
+
+  // Estimate for the box on screen (see estimateQuote in Quote.js); throws
+  // if the inputs are invalid
+  estimate(overrides = {}) {
+    return estimateQuote(this.getInputs(overrides), this.rates);
+  }
+
+  // Change the quantity, grade, print or finishing
+  setInputs(inputs) {
+    this.inputs = { ...this.inputs, ...inputs };
+    if (this.isOpen) this.fillForm();
+    this.update();
+  }
+
+  // Show the estimator, optionally for the product it was opened from
+  show(product = null) {
+    // Printed artwork sets the colours to quote for
+    const artworkDecals = this.boxExperience.getComponent('artworkDecals');
+    const artwork = artworkDecals ? artworkDecals.getArtwork() : null;
+    if (artwork) {
+      this.inputs.print = artwork.colors;
+    }
+
+    this.renderForm();
+
+    this.overlay.style.display = 'flex';
+    this.resources.timeout(() => {
+      this.overlay.classList.add('active');
+    }, 10);
+
+    const wasOpen = this.isOpen;
+    this.isOpen = true;
+    this.product = product;
+    if (!wasOpen) {
+      this.events.emit(EXPERIENCE_EVENTS.OVERLAY_OPEN, { overlay: 'quote', product });
+    }
+  }
+
+  // Hide the estimator, if showing
+  hide() {
+    if (!this.isOpen) return;
+
+    this.overlay.classList.remove('active');
+    this.resources.timeout(() => {
+      // Unless it was shown again in the meantime
+      if (!this.overlay.classList.contains('active')) {
+        this.overlay.style.display = 'none';
+      }
+    }, 300);
+
+    const product = this.product;
+    this.isOpen = false;
+    this.product = null;
+    this.events.emit(EXPERIENCE_EVENTS.OVERLAY_CLOSE, { overlay: 'quote', product });
+  }
+
+  // Attach the estimate to the quote request and go on to the contact form
+  continueToInquiry() {
+    const estimate = this.attach();
+    if (!estimate) return;
+
+    this.hide();
+    const showcase = this.boxExperience.getComponent('businessShowcase');
+    if (showcase) {
+      showcase.showContactForm();
+    }
+  }
+
+  // Attach the current estimate to the quote request; returns it, or null
+  // if the inputs are invalid
+  attach() {
+    const showcase = this.boxExperience.getComponent('businessShowcase');
+    let estimate;
+    try {
+      estimate = this.estimate();
+    } catch (error) {
+      this.showError(error);
+      return null;
+    }
+
+    if (showcase) {
+      showcase.setInquiryAttachment('quote', {
+        label: 'Estimate',
+        description: this.describeEstimate(estimate),
+        details: estimate
+      });
+    }
+
+    this.attached = true;
+    this.events.emit(EXPERIENCE_EVENTS.QUOTE_ESTIMATE, { estimate });
+    return estimate;
+  }
+
+  // Re-estimate an attached quote after the box, artwork or rates change,
+  // taking it off the request if it no longer prices
+  refreshAttachment() {
+    if (!this.attached) return;
+
+    const showcase = this.boxExperience.getComponent('businessShowcase');
+    try {
+      this.estimate();
+    } catch (error) {
+      this.attached = false;
+      if (showcase) showcase.setInquiryAttachment('quote', null);
+      return;
+    }
+    this.attach();
+  }
+
+  // e.g. "1,000 × Regular slotted container, 400 × 300 × 200 mm, 3-ply C,
+  // Virgin kraft liner, 2 colours: ₹87,317.50 incl. GST (₹87.32 per box)"
+  describeEstimate(estimate) {
+    const { spec, quantity, grade, print } = estimate.inputs;
+    const { length, width, height, unit, ply } = spec;
+    const tax = estimate.tax ? ` incl. ${estimate.tax.label}` : '';
+
+    return `${quantity.toLocaleString(this.rates.locale)} × ${BOX_STYLES[spec.style].name}, ` +
+      `${length} × ${width} × ${height} ${unit}, ${ply}-ply ${estimate.board.flutes.join('')}, ` +
+      `${this.rates.grades[grade].label}, ${describePrint(print).toLowerCase()}: ` +
+      `${this.format(estimate.total)}${tax} (${this.format(estimate.unitPrice)} per box)`;
+  }
+
+  format(amount) {
+    return formatAmount(amount, this.rates);
+  }
+
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'quote-estimator';
+    this.overlay.className = 'contact-form quote-estimator';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-label', 'Quote estimate');
+    this.boxExperience.overlayRoot.appendChild(this.overlay);
+    this.resources.element(this.overlay);
+
+    // The form is rebuilt on each show, so listen on the overlay
+    this.resources.listen(this.overlay, 'click', (event) => {
+      if (event.target.closest('.close-button')) {
+        this.hide();
+      } else if (event.target.closest('.quote-edit-box')) {
+        this.hide();
+        const configurator = this.boxExperience.getComponent('boxConfigurator');
+        if (configurator) configurator.togglePanel(true);
+      }
+    });
+    this.resources.listen(this.overlay, 'input', () => this.handleInput());
+    this.resources.listen(this.overlay, 'submit', (event) => {
+      event.preventDefault();
+      this.continueToInquiry();
+    });
+  }
+
+  // Build the form for the current rate table
+  renderForm() {
+    const { rates } = this;
+    const gradeOptions = Object.entries(rates.grades)
+      .map(([id, { label }]) => `<option value="${id}">${label}</option>`)
+      .join('');
+    const printOptions = [null, ...Array.from({ length: MAX_SPOT_COLORS }, (_, index) => index + 1), 0]
+      .map(print => `<option value="${print === null ? '' : print}">${describePrint(print)}</option>`)
+      .join('');
+    const finishOptions = Object.entries(rates.finishing || {})
+      .map(([id, { label }]) => `<label><input type="checkbox" name="finishing" value="${id}"> ${label}</label>`)
+      .join('');
+    const configurator = this.boxExperience.getComponent('boxConfigurator');
+
+    this.overlay.innerHTML = `
+      <div class="form-content">
+        <span class="close-button">&times;</span>
+        <h2>Estimate your order</h2>
+        <p class="quote-box">
+          <span class="quote-box-summary"></span>
+          ${configurator ? '<button type="button" class="configurator-reset quote-edit-box">Change box</button>' : ''}
+        </p>
+        <form>
+          <div class="form-group">
+            <label for="quote-quantity">Quantity</label>
+            <input type="number" id="quote-quantity" name="quantity" min="${getMinimumQuantity(rates)}" step="1" required>
+          </div>
+          <div class="form-group">
+            <label for="quote-grade">Board grade</label>
+            <select id="quote-grade" name="grade">${gradeOptions}</select>
+          </div>
+          <div class="form-group">
+            <label for="quote-print">Print</label>
+            <select id="quote-print" name="print">${printOptions}</select>
+          </div>
+          ${finishOptions ? `<fieldset class="form-group quote-finishing"><legend>Finishing</legend>${finishOptions}</fieldset>` : ''}
+          <div class="quote-breakdown" aria-live="polite"></div>
+          <p class="configurator-error" role="alert"></p>
+          <p class="quote-note">Indicative price for planning. We confirm the final price with your quote.</p>
+          <button type="submit" class="submit-button">Continue to inquiry</button>
+        </form>
+      </div>
+    `;
+
+    this.fillForm();
+    this.update();
+  }
+
+  // Show the current inputs in the form
+  fillForm() {
+    const form = this.overlay.querySelector('form');
+    if (!form) return;
+
+    const { quantity, grade, print, finishing } = this.inputs;
+    form.elements.quantity.value = quantity;
+    form.elements.grade.value = grade;
+    form.elements.print.value = print === null ? '' : print;
+    form.querySelectorAll('[name="finishing"]').forEach(input => {
+      input.checked = finishing.includes(input.value);
+    });
+  }
+
+  handleInput() {
+    const form = this.overlay.querySelector('form');
+    const { elements } = form;
+
+    this.inputs = {
+      quantity: Number(elements.quantity.value),
+      grade: elements.grade.value,
+      print: elements.print.value === '' ? null : Number(elements.print.value),
+      finishing: [...form.querySelectorAll('[name="finishing"]:checked')].map(input => input.value)
+    };
+    this.update();
+  }
+
+  // Re-estimate and show the breakdown
+  update() {
+    const summary = this.overlay.querySelector('.quote-box-summary');
+    const breakdown = this.overlay.querySelector('.quote-breakdown');
+    const submit = this.overlay.querySelector('.submit-button');
+    if (!breakdown) return;
+
+    const configurator = this.boxExperience.getComponent('boxConfigurator');
+    summary.textContent = configurator ? configurator.describeSpec() : '';
+
+    let estimate;
+    try {
+      estimate = this.estimate();
+    } catch (error) {
+      breakdown.innerHTML = '';
+      submit.disabled = true;
+      this.showError(error);
+      return;
+    }
+
+    this.showError(null);
+    submit.disabled = false;
+    breakdown.innerHTML = this.renderBreakdown(estimate);
+  }
+
+  // Breakdown table; every label comes from the rate table
+  renderBreakdown(estimate) {
+    const { board, lines, quantityBreak, tax } = estimate;
+    const area = value => `${value.toLocaleString(this.rates.locale, { maximumFractionDigits: 3 })} m²`;
+    const row = (label, amount, className = '') =>
+      `<tr class="${className}"><th scope="row">${label}</th><td>${this.format(amount)}</td></tr>`;
+
+    const next = quantityBreak.next
+      ? `<p class="quote-next-break">From ${quantityBreak.next.min.toLocaleString(this.rates.locale)} boxes: ` +
+        `${Math.round(quantityBreak.next.discount * 100)}% off the run.</p>`
+      : '';
+
+    return `
+      <dl class="quote-board">
+        <dt>Board per box</dt><dd>${area(board.sheetArea)} (${area(board.netArea)} in the box)</dd>
+        <dt>Waste</dt><dd>${board.wastePercent.toFixed(1)}%</dd>
+        <dt>Board for the order</dt><dd>${area(board.orderArea)} at ${this.format(board.pricePerSqm)}/m²</dd>
+      </dl>
+      <table>
+        <tbody>
+          ${lines.map(({ label, amount }) => row(label, amount)).join('')}
+          ${row('Subtotal', estimate.subtotal, 'quote-subtotal')}
+          ${tax ? row(`${tax.label} (${Math.round(tax.rate * 100)}%)`, tax.amount) : ''}
+          ${row('Total', estimate.total, 'quote-total')}
+          ${row('Per box', estimate.unitPrice)}
+        </tbody>
+      </table>
+      ${next}
+    `;
+  }
+
+  showError(error) {
+    const message = this.overlay.querySelector('.configurator-error');
+    if (!message) return;
+
+    // Drop the "Invalid quote:" heading, the fields say the rest
+    message.textContent = error ? error.message.replace(/^Invalid quote:\n\s*/, '').replace(/\n\s*/g, ' ') : '';
+  }
+
+  setupEventListeners() {
+    // Keep the estimate in step with the box and the artwork's colours
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.BOX_SPEC_CHANGE, () => {
+      if (this.isOpen) this.update();
+      this.refreshAttachment();
+    }));
+
+    this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.ARTWORK_CHANGE, ({ artwork }) => {
+      if (!artwork || artwork.colors === this.inputs.print) return;
+
+      this.inputs.print = artwork.colors;
+      if (this.isOpen) {
+        this.fillForm();
+        this.update();
+      }
+      this.refreshAttachment();
+    }));
+
+    this.resources.listen(this.boxExperience.keyboardTarget, 'keydown', (event) => {
+      if (event.code === 'Escape' && this.isOpen) {
+        this.hide();
+      }
+    });
+  }
+
+  dispose() {
+    this.resources.dispose();
+  }
+}
+
+export { QuoteEstimator };
@@ -1,12 +1,17 @@
 // Responsive design implementation for the 3D box experience
 import * as THREE from 'three';
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
 
 class ResponsiveHandler {
   constructor(boxExperience) {
     this.boxExperience = boxExperience;
+    this.events = boxExperience.events;
     this.scene = boxExperience.scene;
     this.camera = boxExperience.activeCamera;
     this.renderer = boxExperience.renderer;
+    this.resources = new ResourceTracker();
+    this.disposed = false;
     
     // Device detection
     this.isMobile = this.detectMobileDevice();
@@ -17,11 +22,11 @@ class ResponsiveHandler {
     this.setupResponsiveRendering();
     this.setupTouchControls();
     this.setupDeviceOrientationControls();
-    this.setupAdaptiveQuality();
     this.setupResponsiveLayout();
     this.setupEventListeners();
     
-    // Apply initial device-specific optimizations
+    // Apply initial device-specific behaviour (rendering quality is left to
+    // the experience's QualityController)
     this.applyDeviceOptimizations();
   }
   
@@ -46,24 +51,14 @@ class ResponsiveHandler {
   
   // Setup responsive rendering parameters
   setupResponsiveRendering() {
-    // Set pixel ratio based on device
-    if (this.isMobile) {
-      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
-    } else if (this.isTablet) {
-      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    } else {
-      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2.5));
-    }
-    
     // Adjust camera parameters for different screen sizes
     this.updateCameraForScreenSize();
   }
   
   // Update camera parameters based on screen size
   updateCameraForScreenSize() {
-    // Get current screen dimensions
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    // Get current viewport dimensions
+    const { width, height } = this.boxExperience.sizes;
     const aspectRatio = width / height;
     
     // Update all cameras
@@ -101,10 +96,12 @@ class ResponsiveHandler {
     this.touchMoveY = 0;
     this.isTouching = false;
     
-    // Add touch event listeners
-    document.addEventListener('touchstart', this.onTouchStart.bind(this), { passive: false });
-    document.addEventListener('touchmove', this.onTouchMove.bind(this), { passive: false });
-    document.addEventListener('touchend', this.onTouchEnd.bind(this), { passive: false });
+    // Add touch event listeners (gestures that start on the canvas; a touch
+    // keeps its original target while it moves)
+    const canvas = this.boxExperience.canvas;
+    this.resources.listen(canvas, 'touchstart', this.onTouchStart.bind(this), { passive: false });
+    this.resources.listen(canvas, 'touchmove', this.onTouchMove.bind(this), { passive: false });
+    this.resources.listen(canvas, 'touchend', this.onTouchEnd.bind(this), { passive: false });
     
     // Create touch UI elements
     this.createTouchUI();
@@ -113,13 +110,9 @@ class ResponsiveHandler {
   // Handle touch start event
   onTouchStart(event) {
     if (event.touches.length === 1) {
-      // Prevent default only if in the canvas area
+      // Keep the page from scrolling while interacting with the canvas
       const touch = event.touches[0];
-      const element = document.elementFromPoint(touch.clientX, touch.clientY);
-      
-      if (element && element.classList.contains('webgl')) {
-        event.preventDefault();
-      }
+      event.preventDefault();
       
       // Store touch start position
       this.touchStartX = touch.clientX;
@@ -133,10 +126,7 @@ class ResponsiveHandler {
         detail: {
           x: touch.clientX,
           y: touch.clientY,
-          normalized: {
-            x: (touch.clientX / window.innerWidth) * 2 - 1,
-            y: -(touch.clientY / window.innerHeight) * 2 + 1
-          }
+          normalized: this.boxExperience.getPointerNDC(touch.clientX, touch.clientY)
         }
       });
       document.dispatchEvent(touchStartEvent);
@@ -148,11 +138,8 @@ class ResponsiveHandler {
     if (event.touches.length === 1 && this.isTouching) {
       const touch = event.touches[0];
       
-      // Check if touch is on canvas
-      const element = document.elementFromPoint(touch.clientX, touch.clientY);
-      if (element && element.classList.contains('webgl')) {
-        event.preventDefault();
-      }
+      // Keep the page from scrolling while dragging
+      event.preventDefault();
       
       // Calculate delta
       const deltaX = touch.clientX - this.touchMoveX;
@@ -178,10 +165,7 @@ class ResponsiveHandler {
           y: touch.clientY,
           deltaX: deltaX,
           deltaY: deltaY,
-          normalized: {
-            x: (touch.clientX / window.innerWidth) * 2 - 1,
-            y: -(touch.clientY / window.innerHeight) * 2 + 1
-          }
+          normalized: this.boxExperience.getPointerNDC(touch.clientX, touch.clientY)
         }
       });
       document.dispatchEvent(touchMoveEvent);
@@ -244,30 +228,24 @@ class ResponsiveHandler {
   handleTap(x, y) {
     // Create raycaster
     const raycaster = new THREE.Raycaster();
-    const mouse = new THREE.Vector2();
     
     // Calculate normalized device coordinates
-    mouse.x = (x / window.innerWidth) * 2 - 1;
-    mouse.y = -(y / window.innerHeight) * 2 + 1;
+    const mouse = this.boxExperience.getPointerNDC(x, y);
     
     // Set raycaster
     raycaster.setFromCamera(mouse, this.boxExperience.activeCamera);
     
     // Check for intersections with the box
-    if (this.boxExperience.boxModel) {
-      const intersects = raycaster.intersectObject(this.boxExperience.boxModel, true);
+    const boxObject = this.boxExperience.getBoxObject();
+    if (boxObject) {
+      const intersects = raycaster.intersectObject(boxObject, true);
       
-      if (intersects.length > 0) {
-        if (!this.boxExperience.isBoxOpen) {
-          // Open the box
-          this.boxExperience.boxAnimations.open();
-        } else if (!this.boxExperience.isInsideBox) {
-          // Enter the box
-          this.boxExperience.boxAnimations.enterBox();
-        }
-      } else if (this.boxExperience.isInsideBox) {
+      if (intersects.length > 0 && !this.boxExperience.isInsideBox) {
+        // Open the box, or enter it once open
+        this.boxExperience.performPrimaryAction({ queue: false });
+      } else if (intersects.length === 0 && this.boxExperience.isInsideBox) {
         // Exit the box when tapping outside (only when inside)
-        this.boxExperience.boxAnimations.exitBox();
+        this.boxExperience.dispatchAction('exit', { queue: false });
       }
     }
     
@@ -287,7 +265,8 @@ class ResponsiveHandler {
     // Create container for touch controls
     this.touchUI = document.createElement('div');
     this.touchUI.className = 'touch-ui';
-    document.body.appendChild(this.touchUI);
+    this.boxExperience.overlayRoot.appendChild(this.touchUI);
+    this.resources.element(this.touchUI);
     
     // Add help button for mobile instructions
     const helpButton = document.createElement('button');
@@ -300,7 +279,7 @@ class ResponsiveHandler {
   // Show touch instructions overlay
   showTouchInstructions() {
     // Create or show instructions overlay
-    let instructionsOverlay = document.getElementById('touch-instructions');
+    let instructionsOverlay = this.boxExperience.overlayRoot.querySelector('#touch-instructions');
     
     if (!instructionsOverlay) {
       instructionsOverlay = document.createElement('div');
@@ -332,13 +311,14 @@ class ResponsiveHandler {
           <button class="close-instructions">Got it!</button>
         </div>
       `;
-      document.body.appendChild(instructionsOverlay);
+      this.boxExperience.overlayRoot.appendChild(instructionsOverlay);
+      this.resources.element(instructionsOverlay);
       
       // Add close button functionality
       const closeButton = instructionsOverlay.querySelector('.close-instructions');
       closeButton.addEventListener('click', () => {
         instructionsOverlay.classList.remove('active');
-        setTimeout(() => {
+        this.resources.timeout(() => {
           instructionsOverlay.style.display = 'none';
         }, 300);
       });
@@ -346,7 +326,7 @@ class ResponsiveHandler {
     
     // Show with animation
     instructionsOverlay.style.display = 'flex';
-    setTimeout(() => {
+    this.resources.timeout(() => {
       instructionsOverlay.classList.add('active');
     }, 10);
   }
@@ -363,26 +343,27 @@ class ResponsiveHandler {
       permissionButton.className = 'orientation-permission-button';
       permissionButton.textContent = 'Enable Gyroscope';
       permissionButton.style.display = 'none';
-      document.body.appendChild(permissionButton);
+      this.boxExperience.overlayRoot.appendChild(permissionButton);
+      this.resources.element(permissionButton);
       
       // Check if permission is needed (iOS 13+)
       if (typeof DeviceOrientationEvent.requestPermission === 'function') {
         // Show permission button when inside box
-        document.addEventListener('enterBox', () => {
+        this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.ENTER_BOX, () => {
           permissionButton.style.display = 'block';
-        });
+        }));
         
         // Hide when exiting box
-        document.addEventListener('exitBox', () => {
+        this.resources.subscribe(this.events.on(EXPERIENCE_EVENTS.EXIT_BOX, () => {
           permissionButton.style.display = 'none';
-        });
+        }));
         
         // Request permission when button is clicked
         permissionButton.addEventListener('click', () => {
           DeviceOrientationEvent.requestPermission()
             .then(response => {
-              if (response === 'granted') {
-                window.addEventListener('deviceorientation', this.handleDeviceOrientation.bind(this));
+              if (response === 'granted' && !this.disposed) {
+                this.resources.listen(window, 'deviceorientation', this.handleDeviceOrientation.bind(this));
                 permissionButton.style.display = 'none';
               }
             })
@@ -390,7 +371,7 @@ class ResponsiveHandler {
         });
       } else {
         // No permission needed, add listener directly
-        window.addEventListener('deviceorientation', this.handleDeviceOrientation.bind(this));
+        this.resources.listen(window, 'deviceorientation', this.handleDeviceOrientation.bind(this));
       }
     }
   }
@@ -435,185 +416,16 @@ class ResponsiveHandler {
     this.boxExperience.internalCamera.quaternion.setFromEuler(this.boxExperience.lookEuler);
   }
   
-  // Setup adaptive quality based on device performance
-  setupAdaptiveQuality() {
-    // Initial quality level based on device
-    this.qualityLevel = this.isMobile ? 'low' : (this.isTablet ? 'medium' : 'high');
-    
-    // FPS monitoring for adaptive quality
-    this.fpsMonitor = {
-      frames: 0,
-      lastTime: performance.now(),
-      avgFps: 60,
-      lowFpsCount: 0,
-      checkInterval: 2000 // Check every 2 seconds
-    };
-    
-    // Apply initial quality settings
-    this.applyQualitySettings();
-    
-    // Start monitoring FPS for adaptive quality
-    this.monitorPerformance();
-  }
-  
-  // Apply quality settings based on current level
-  applyQualitySettings() {
-    // Get references to quality-dependent components
-    const composer = this.boxExperience.composer;
-    const renderer = this.boxExperience.renderer;
-    
-    if (!composer || !renderer) return;
-    
-    // Apply settings based on quality level
-    switch (this.qualityLevel) {
-      case 'low':
-        // Reduce resolution
-        renderer.setPixelRatio(1);
-        
-        // Disable expensive post-processing
-        composer.passes.forEach(pass => {
-          if (pass.name === 'UnrealBloomPass' || 
-              pass.name === 'SSAOPass' || 
-              pass.name === 'BokehPass') {
-            pass.enabled = false;
-          }
-        });
-        
-        // Reduce shadow quality
-        renderer.shadowMap.type = THREE.BasicShadowMap;
-        
-        // Reduce particle count if available
-        if (this.boxExperience.particles) {
-          this.boxExperience.particles.visible = false;
-        }
-        break;
-        
-      case 'medium':
-        // Balanced resolution
-        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
-        
-        // Enable basic post-processing
-        composer.passes.forEach(pass => {
-          if (pass.name === 'UnrealBloomPass') {
-            pass.enabled = true;
-            pass.strength = 0.3;
-          } else if (pass.name === 'SSAOPass' || pass.name === 'BokehPass') {
-            pass.enabled = false;
-          }
-        });
-        
-        // Medium shadow quality
-        renderer.shadowMap.type = THREE.PCFShadowMap;
-        
-        // Reduce particle count if available
-        if (this.boxExperience.particles && 
-            this.boxExperience.particles.geometry.attributes.position) {
-          // Show half of particles
-          const count = this.boxExperience.particles.geometry.attributes.position.count;
-          for (let i = 0; i < count; i++) {
-            if (i % 2 === 0) {
-              this.boxExperience.particles.geometry.attributes.size.array[i] = 0;
-            }
-          }
-          this.boxExperience.particles.geometry.attributes.size.needsUpdate = true;
-          this.boxExperience.particles.visible = true;
-        }
-        break;
-        
-      case 'high':
-      default:
-        // Full resolution
-        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        
-        // Enable all post-processing
-        composer.passes.forEach(pass => {
-          pass.enabled = true;
-        });
-        
-        // High shadow quality
-        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        
-        // Full particle system
-        if (this.boxExperience.particles) {
-          this.boxExperience.particles.visible = true;
-        }
-        break;
-    }
-    
-    // Log quality change
-    console.log(`Quality set to: ${this.qualityLevel}`);
-  }
-  
-  // Monitor performance for adaptive quality
-  monitorPerformance() {
-    // Update FPS counter
-    this.fpsMonitor.frames++;
-    const now = performance.now();
-    const elapsed = now - this.fpsMonitor.lastTime;
-    
-    // Check FPS every interval
-    if (elapsed >= this.fpsMonitor.checkInterval) {
-      // Calculate average FPS
-      const currentFps = (this.fpsMonitor.frames * 1000) / elapsed;
-      this.fpsMonitor.avgFps = 0.7 * this.fpsMonitor.avgFps + 0.3 * currentFps;
-      this.fpsMonitor.frames = 0;
-      this.fpsMonitor.lastTime = now;
-      
-      // Adjust quality if needed
-      this.adjustQualityBasedOnPerformance();
-    }
-    
-    // Continue monitoring
-    requestAnimationFrame(this.monitorPerformance.bind(this));
-  }
-  
-  // Adjust quality based on performance
-  adjustQualityBasedOnPerformance() {
-    // Get current FPS
-    const fps = this.fpsMonitor.avgFps;
-    
-    // Adjust quality based on FPS thresholds
-    if (fps < 30) {
-      this.fpsMonitor.lowFpsCount++;
-      
-      // If consistently low FPS, reduce quality
-      if (this.fpsMonitor.lowFpsCount >= 3) {
-        if (this.qualityLevel === 'high') {
-          this.qualityLevel = 'medium';
-          this.applyQualitySettings();
-        } else if (this.qualityLevel === 'medium') {
-          this.qualityLevel = 'low';
-          this.applyQualitySettings();
-        }
-        this.fpsMonitor.lowFpsCount = 0;
-      }
-    } else if (fps > 55 && this.qualityLevel !== 'high') {
-      // If FPS is good, consider increasing quality
-      this.fpsMonitor.lowFpsCount = 0;
-      
-      // Only increase quality if device is capable
-      if (this.qualityLevel === 'low' && !this.isMobile) {
-        this.qualityLevel = 'medium';
-        this.applyQualitySettings();
-      } else if (this.qualityLevel === 'medium' && !this.isMobile && !this.isTablet) {
-        this.qualityLevel = 'high';
-        this.applyQualitySettings();
-      }
-    } else {
-      // Reset counter if FPS is acceptable
-      this.fpsMonitor.lowFpsCount = 0;
-    }
-  }
-  
   // Setup responsive layout for UI elements
   setupResponsiveLayout() {
-    // Add responsive CSS classes to body
-    document.body.classList.add(`device-${this.deviceType}`);
+    // Add responsive CSS classes to the overlay root (body when full-window)
+    this.boxExperience.overlayRoot.classList.add(`device-${this.deviceType}`);
     
     // Create responsive UI container
     this.responsiveUI = document.createElement('div');
     this.responsiveUI.className = 'responsive-ui';
-    document.body.appendChild(this.responsiveUI);
+    this.boxExperience.overlayRoot.appendChild(this.responsiveUI);
+    this.resources.element(this.responsiveUI);
     
     // Add device-specific UI elements
     if (this.isMobile) {
@@ -639,9 +451,7 @@ class ResponsiveHandler {
     
     // Add event listeners
     mobileNav.querySelector('.home-button').addEventListener('click', () => {
-      if (this.boxExperience.isInsideBox) {
-        this.boxExperience.boxAnimations.exitBox();
-      }
+      this.boxExperience.dispatchAction('exit', { queue: false });
     });
     
     mobileNav.querySelector('.products-button').addEventListener('click', () => {
@@ -675,9 +485,7 @@ class ResponsiveHandler {
     
     // Add event listeners (similar to mobile)
     tabletNav.querySelector('.home-button').addEventListener('click', () => {
-      if (this.boxExperience.isInsideBox) {
-        this.boxExperience.boxAnimations.exitBox();
-      }
+      this.boxExperience.dispatchAction('exit', { queue: false });
     });
     
     tabletNav.querySelector('.products-button').addEventListener('click', () => {
@@ -704,10 +512,13 @@ class ResponsiveHandler {
         <h3>Keyboard Controls</h3>
         <ul>
           <li><strong>Space:</strong> Open box / Enter box / Exit box</li>
+          <li><strong>C:</strong> Close box</li>
           <li><strong>WASD:</strong> Move camera</li>
           <li><strong>Arrow Keys:</strong> Look around</li>
           <li><strong>I:</strong> Toggle info panel</li>
           <li><strong>ESC:</strong> Exit current view</li>
+          <li><strong>Q:</strong> Cycle quality (auto, low, medium, high, ultra)</li>
+          <li><strong>T:</strong> Start guided tour (any key ends it)</li>
         </ul>
       </div>
     `;
@@ -720,7 +531,7 @@ class ResponsiveHandler {
   // Setup keyboard controls for desktop
   setupKeyboardControls() {
     // Add keyboard event listener
-    window.addEventListener('keydown', (event) => {
+    this.resources.listen(this.boxExperience.keyboardTarget, 'keydown', (event) => {
       switch(event.code) {
         case 'Space':
           // Already handled in BoxExperience
@@ -770,9 +581,12 @@ class ResponsiveHandler {
           
         case 'Escape':
           // Exit current view
-          if (this.boxExperience.isInsideBox) {
-            this.boxExperience.boxAnimations.exitBox();
-          }
+          this.boxExperience.dispatchAction('exit', { queue: false });
+          break;
+          
+        case 'KeyQ':
+          // Cycle rendering quality (remembered for the next visit)
+          this.boxExperience.quality.cycleOverride();
           break;
       }
     });
@@ -782,82 +596,63 @@ class ResponsiveHandler {
   applyDeviceOptimizations() {
     // Mobile optimizations
     if (this.isMobile) {
-      // Reduce shadow quality
-      this.renderer.shadowMap.type = THREE.BasicShadowMap;
-      
-      // Disable some post-processing effects if available
-      if (this.boxExperience.composer) {
-        this.boxExperience.composer.passes.forEach(pass => {
-          if (pass.name === 'SSAOPass' || pass.name === 'BokehPass') {
-            pass.enabled = false;
-          }
-        });
-      }
-      
       // Show mobile instructions on first visit
       if (!localStorage.getItem('mobileInstructionsShown')) {
-        setTimeout(() => {
+        this.resources.timeout(() => {
           this.showTouchInstructions();
           localStorage.setItem('mobileInstructionsShown', 'true');
         }, 3000);
       }
     }
-    
-    // Tablet optimizations
-    if (this.isTablet) {
-      // Medium shadow quality
-      this.renderer.shadowMap.type = THREE.PCFShadowMap;
-      
-      // Adjust post-processing
-      if (this.boxExperience.composer) {
-        this.boxExperience.composer.passes.forEach(pass => {
-          if (pass.name === 'SSAOPass') {
-            pass.enabled = false;
-          }
-        });
-      }
-    }
   }
   
   // Setup event listeners for responsive behavior
+  // (window resizes arrive through the resize() component hook)
   setupEventListeners() {
-    // Handle window resize
-    window.addEventListener('resize', this.onWindowResize.bind(this));
-    
     // Handle orientation change
-    window.addEventListener('orientationchange', this.onOrientationChange.bind(this));
+    this.resources.listen(window, 'orientationchange', this.onOrientationChange.bind(this));
     
     // Handle visibility change (tab switching)
-    document.addEventListener('visibilitychange', this.onVisibilityChange.bind(this));
+    this.resources.listen(document, 'visibilitychange', this.onVisibilityChange.bind(this));
+  }
+  
+  // Remove listeners, overlays and body classes added by the handler
+  dispose() {
+    this.disposed = true;
+    this.resources.dispose();
+    
+    this.boxExperience.overlayRoot.classList.remove(`device-${this.deviceType}`);
+  }
+  
+  // Component hook called by BoxExperience when the viewport is resized
+  resize() {
+    this.onWindowResize();
   }
   
   // Handle window resize
   onWindowResize() {
     // Update device detection
+    const previousDeviceType = this.deviceType;
     this.isMobile = this.detectMobileDevice();
     this.isTablet = this.detectTabletDevice();
     this.deviceType = this.getDeviceType();
     
-    // Update body classes
-    document.body.className = '';
-    document.body.classList.add(`device-${this.deviceType}`);
+    // Update device classes
+    this.boxExperience.overlayRoot.classList.remove(`device-${previousDeviceType}`);
+    this.boxExperience.overlayRoot.classList.add(`device-${this.deviceType}`);
     
     // Update camera parameters
     this.updateCameraForScreenSize();
     
-    // Update renderer size
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
-    
-    // Update composer if available
-    if (this.boxExperience.composer) {
-      this.boxExperience.composer.setSize(window.innerWidth, window.innerHeight);
-    }
+    // Update renderer size (the experience resizes the post-processing pipeline)
+    const { width, height } = this.boxExperience.sizes;
+    this.renderer.setSize(width, height);
   }
   
   // Handle orientation change
   onOrientationChange() {
     // Wait for orientation change to complete
-    setTimeout(() => {
+    this.resources.timeout(() => {
       // Force resize event
       this.onWindowResize();
       
@@ -872,7 +667,7 @@ class ResponsiveHandler {
   
   // Show landscape orientation message
   showLandscapeMessage() {
-    let landscapeMsg = document.getElementById('landscape-message');
+    let landscapeMsg = this.boxExperience.overlayRoot.querySelector('#landscape-message');
     
     if (!landscapeMsg) {
       landscapeMsg = document.createElement('div');
@@ -885,7 +680,8 @@ class ResponsiveHandler {
           <button class="continue-landscape">Continue anyway</button>
         </div>
       `;
-      document.body.appendChild(landscapeMsg);
+      this.boxExperience.overlayRoot.appendChild(landscapeMsg);
+      this.resources.element(landscapeMsg);
       
       // Add continue button functionality
       const continueButton = landscapeMsg.querySelector('.continue-landscape');
@@ -900,7 +696,7 @@ class ResponsiveHandler {
   
   // Hide landscape orientation message
   hideLandscapeMessage() {
-    const landscapeMsg = document.getElementById('landscape-message');
+    const landscapeMsg = this.boxExperience.overlayRoot.querySelector('#landscape-message');
     if (landscapeMsg) {
       landscapeMsg.style.display = 'none';
     }
@@ -920,11 +716,6 @@ class ResponsiveHandler {
       }
     }
   }
-  
-  // Update method called from main animation loop
-  update() {
-    // Add any continuous updates here
-  }
 }
 
 export { ResponsiveHandler };
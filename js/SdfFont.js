@@ -0,0 +1,288 @@
+// Signed distance field fonts for text drawn in the scene
+// Each glyph is drawn once with the canvas 2D API in a CSS font stack, so the
+// browser takes characters the first font lacks from the next one, and is
+// then turned into a distance field: every texel stores how far it lies from
+// the glyph's outline. Filtering between texels keeps the outline smooth, so
+// the text stays sharp however large or close it is drawn (see SdfText.js).
+// Glyphs are packed into one atlas texture as text needs them; the atlas
+// grows taller when it fills up.
+import * as THREE from 'three';
+import { getGraphemes } from './TextLayout.js';
+
+// Size glyphs are drawn at, in pixels
+const GLYPH_SIZE = 48;
+
+// Pixels around each glyph for the field to fade out in, and the distance
+// over which it does
+const BUFFER = 6;
+const RADIUS = 8;
+
+// Share of the field outside the outline; the outline is where the field
+// crosses SDF_EDGE
+const CUTOFF = 0.25;
+const SDF_EDGE = 1 - CUTOFF;
+
+const ATLAS_WIDTH = 1024;
+const ATLAS_HEIGHT = 256;
+const MAX_ATLAS_HEIGHT = 4096;
+
+const INF = 1e20;
+
+// Squared distance transform of one row or column of a grid, in place
+// (Felzenszwalb and Huttenlocher's lower envelope of parabolas)
+function transformLine(grid, offset, stride, length, f, v, z) {
+  v[0] = 0;
+  z[0] = -INF;
+  z[1] = INF;
+  f[0] = grid[offset];
+
+  for (let q = 1, k = 0, s = 0; q < length; q++) {
+    f[q] = grid[offset + q * stride];
+    do {
+      const r = v[k];
+      s = (f[q] - f[r] + q * q - r * r) / (q - r) / 2;
+    } while (s <= z[k] && --k > -1);
+
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = INF;
+  }
+
+  for (let q = 0, k = 0; q < length; q++) {
+    while (z[k + 1] < q) k++;
+    const r = v[k];
+    grid[offset + q * stride] = f[r] + (q - r) * (q - r);
+  }
+}
+
+// Squared distance transform of a width x height grid, in place
+function transformGrid(grid, width, height) {
+  const size = Math.max(width, height);
+  const f = new Float64Array(size);
+  const v = new Uint16Array(size);
+  const z = new Float64Array(size + 1);
+
+  for (let x = 0; x < width; x++) {
+    transformLine(grid, x, width, height, f, v, z);
+  }
+  for (let y = 0; y < height; y++) {
+    transformLine(grid, y * width, 1, width, f, v, z);
+  }
+}
+
+// Distance field of a glyph drawn in RGBA pixels, one byte per pixel
+function createDistanceField(pixels, width, height) {
+  const outside = new Float64Array(width * height);
+  const inside = new Float64Array(width * height);
+
+  // Partly covered pixels put the outline part of the way across them
+  for (let i = 0; i < width * height; i++) {
+    const coverage = pixels[i * 4 + 3] / 255;
+    if (coverage === 1) {
+      outside[i] = 0;
+      inside[i] = INF;
+    } else if (coverage === 0) {
+      outside[i] = INF;
+      inside[i] = 0;
+    } else {
+      const d = 0.5 - coverage;
+      outside[i] = d > 0 ? d * d : 0;
+      inside[i] = d < 0 ? d * d : 0;
+    }
+  }
+
+  transformGrid(outside, width, height);
+  transformGrid(inside, width, height);
+
+  const field = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const distance = Math.sqrt(outside[i]) - Math.sqrt(inside[i]);
+    field[i] = Math.round(255 - 255 * (distance / RADIUS + CUTOFF));
+  }
+  return field;
+}
+
+class SdfFont {
+  // family is a CSS font stack, e.g. 'Arial, "Noto Sans", sans-serif'
+  constructor({ family = 'sans-serif', weight = 'normal', style = 'normal' } = {}) {
+    this.size = GLYPH_SIZE;
+    this.font = `${style} ${weight} ${GLYPH_SIZE}px ${family}`;
+
+    // Glyphs are drawn here before going into the atlas; wide enough for
+    // two ems, which only the widest glyphs exceed (they are clipped)
+    this.glyphCanvas = document.createElement('canvas');
+    this.glyphCanvas.width = GLYPH_SIZE * 2 + BUFFER * 2;
+    this.glyphCanvas.height = GLYPH_SIZE * 2 + BUFFER * 2;
+    this.glyphContext = this.glyphCanvas.getContext('2d', { willReadFrequently: true });
+
+    this.atlas = document.createElement('canvas');
+    this.atlas.width = ATLAS_WIDTH;
+    this.atlas.height = ATLAS_HEIGHT;
+    this.atlasContext = this.atlas.getContext('2d');
+
+    this.texture = new THREE.CanvasTexture(this.atlas);
+    this.texture.flipY = false;
+    this.texture.generateMipmaps = false;
+    this.texture.minFilter = THREE.LinearFilter;
+    this.texture.magFilter = THREE.LinearFilter;
+    // Owned by the font rather than the materials sampling it
+    this.texture.userData.shared = true;
+
+    // Shared by every material drawing with this font, so they all see the
+    // atlas when it grows
+    this.uniforms = {
+      atlas: { value: this.texture },
+      atlasSize: { value: new THREE.Vector2(ATLAS_WIDTH, ATLAS_HEIGHT) }
+    };
+
+    this.glyphs = new Map();
+    this.advances = new Map();
+
+    // Next free place in the atlas, filled row by row
+    this.packing = { x: 0, y: 0, rowHeight: 0 };
+    this.warnedFull = false;
+
+    this.setupContext();
+
+    // Glyphs drawn before a web font has loaded would come from a fallback
+    // font, so text waits for this
+    const loading = document.fonts ? document.fonts.load(this.font).catch(() => {}) : Promise.resolve();
+    this.ready = loading.then(() => {
+      this.setupContext();
+      this.advances.clear();
+      return this;
+    });
+  }
+
+  // Set the font and measure its lines, in pixels at GLYPH_SIZE
+  setupContext() {
+    const context = this.glyphContext;
+    context.font = this.font;
+    context.textAlign = 'left';
+    context.textBaseline = 'alphabetic';
+    context.fillStyle = '#000000';
+
+    const metrics = context.measureText('Hg');
+    this.ascent = metrics.fontBoundingBoxAscent || GLYPH_SIZE * 0.8;
+    this.descent = metrics.fontBoundingBoxDescent || GLYPH_SIZE * 0.2;
+  }
+
+  // How far the pen moves after a character, in pixels at GLYPH_SIZE
+  getAdvance(character) {
+    if (!this.advances.has(character)) {
+      this.advances.set(character, this.glyphContext.measureText(character).width);
+    }
+    return this.advances.get(character);
+  }
+
+  // Width of a line of text, in pixels at GLYPH_SIZE
+  measure(text, locale) {
+    return getGraphemes(text, locale).reduce((width, character) => width + this.getAdvance(character), 0);
+  }
+
+  // A character's place in the atlas { x, y, width, height } and where its
+  // top left corner is from the pen on the baseline { left, top }, all in
+  // pixels. Spaces have no width.
+  getGlyph(character) {
+    if (!this.glyphs.has(character)) {
+      this.glyphs.set(character, this.addGlyph(character));
+    }
+    return this.glyphs.get(character);
+  }
+
+  // Draw a character, turn it into a distance field and put it in the atlas
+  addGlyph(character) {
+    const context = this.glyphContext;
+    const empty = { x: 0, y: 0, width: 0, height: 0, left: 0, top: 0 };
+    if (/^\s*$/.test(character)) return empty;
+
+    // Tight bounds of the ink, from the pen on the baseline
+    const metrics = context.measureText(character);
+    const room = this.glyphCanvas.width - BUFFER * 2;
+    const left = Math.ceil(metrics.actualBoundingBoxLeft || 0);
+    const top = Math.ceil(metrics.actualBoundingBoxAscent !== undefined ? metrics.actualBoundingBoxAscent : this.ascent);
+    const inkWidth = Math.min(room, left + Math.ceil(
+      metrics.actualBoundingBoxRight !== undefined ? metrics.actualBoundingBoxRight : metrics.width
+    ));
+    const inkHeight = Math.min(room, top + Math.ceil(
+      metrics.actualBoundingBoxDescent !== undefined ? metrics.actualBoundingBoxDescent : this.descent
+    ));
+    if (inkWidth <= 0 || inkHeight <= 0) return empty;
+
+    const width = inkWidth + BUFFER * 2;
+    const height = inkHeight + BUFFER * 2;
+    context.clearRect(0, 0, width, height);
+    context.fillText(character, BUFFER + left, BUFFER + top);
+    const field = createDistanceField(context.getImageData(0, 0, width, height).data, width, height);
+
+    const slot = this.allocate(width, height);
+    if (!slot) {
+      if (!this.warnedFull) {
+        console.warn('Text atlas is full; some characters will not be drawn');
+        this.warnedFull = true;
+      }
+      return empty;
+    }
+
+    // The field goes in every colour channel, fully opaque, so the browser
+    // does not alter it when premultiplying alpha
+    const image = this.atlasContext.createImageData(width, height);
+    field.forEach((value, i) => {
+      image.data[i * 4] = value;
+      image.data[i * 4 + 1] = value;
+      image.data[i * 4 + 2] = value;
+      image.data[i * 4 + 3] = 255;
+    });
+    this.atlasContext.putImageData(image, slot.x, slot.y);
+    this.texture.needsUpdate = true;
+
+    return { x: slot.x, y: slot.y, width, height, left: left + BUFFER, top: top + BUFFER };
+  }
+
+  // Find room in the atlas for a glyph; null once it cannot grow any more
+  allocate(width, height) {
+    const packing = this.packing;
+    if (packing.x + width > ATLAS_WIDTH) {
+      packing.x = 0;
+      packing.y += packing.rowHeight;
+      packing.rowHeight = 0;
+    }
+
+    while (packing.y + height > this.atlas.height) {
+      if (!this.growAtlas()) return null;
+    }
+
+    const slot = { x: packing.x, y: packing.y };
+    packing.x += width;
+    packing.rowHeight = Math.max(packing.rowHeight, height);
+    return slot;
+  }
+
+  // Double the atlas height, keeping the glyphs already in it
+  growAtlas() {
+    if (this.atlas.height >= MAX_ATLAS_HEIGHT) return false;
+
+    const atlas = document.createElement('canvas');
+    atlas.width = ATLAS_WIDTH;
+    atlas.height = this.atlas.height * 2;
+    const atlasContext = atlas.getContext('2d');
+    atlasContext.drawImage(this.atlas, 0, 0);
+
+    this.atlas = atlas;
+    this.atlasContext = atlasContext;
+
+    // A texture cannot change size in place, so it is uploaded afresh
+    this.texture.dispose();
+    this.texture.image = atlas;
+    this.texture.needsUpdate = true;
+    this.uniforms.atlasSize.value.set(atlas.width, atlas.height);
+    return true;
+  }
+
+  dispose() {
+    this.texture.dispose();
+  }
+}
+
+export { SdfFont, SDF_EDGE };
@@ -0,0 +1,165 @@
+// Text drawn in the scene with a signed distance field font
+// A mesh with a quad per character, cut from the font's atlas (see
+// SdfFont.js). The shader finds each glyph's outline in the distance field
+// and smooths it over about a screen pixel, so the text is crisp at any size
+// and distance. Text is broken into lines (see TextLayout.js) in a box width
+// wide centred on the mesh, and aligned within it; anchorY says whether the
+// top, middle or bottom of the lines sits on the mesh. fontSize and width
+// are in scene units and lineHeight is in ems.
+import * as THREE from 'three';
+import { SDF_EDGE } from './SdfFont.js';
+import { layoutText, getGraphemes } from './TextLayout.js';
+
+const DEFAULT_OPTIONS = {
+  text: '',
+  fontSize: 0.05,
+  width: 1,
+  lineHeight: 1.25,
+  align: 'center',
+  anchorY: 'middle',
+  maxLines: Infinity,
+  color: '#000000',
+  locale: undefined
+};
+
+const vertexShader = `
+  uniform vec2 atlasSize;
+  varying vec2 vUv;
+
+  void main() {
+    // Glyph corners are given in atlas pixels
+    vUv = uv / atlasSize;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const fragmentShader = `
+  uniform sampler2D atlas;
+  uniform vec3 color;
+  varying vec2 vUv;
+
+  void main() {
+    float field = texture2D(atlas, vUv).r;
+
+    // However far the field changes across a pixel on screen
+    float smoothing = max(fwidth(field), 0.0001) * 0.7;
+    float alpha = smoothstep(EDGE - smoothing, EDGE + smoothing, field);
+    if (alpha < 0.01) discard;
+
+    gl_FragColor = vec4(color, alpha);
+
+    #include <tonemapping_fragment>
+    #include <encodings_fragment>
+  }
+`;
+
+class SdfText extends THREE.Mesh {
+  constructor(font, options = {}) {
+    super(new THREE.BufferGeometry(), new THREE.ShaderMaterial({
+      uniforms: {
+        atlas: font.uniforms.atlas,
+        atlasSize: font.uniforms.atlasSize,
+        color: { value: new THREE.Color() }
+      },
+      defines: { EDGE: SDF_EDGE.toFixed(2) },
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      extensions: { derivatives: true }
+    }));
+
+    this.font = font;
+    this.options = { ...DEFAULT_OPTIONS };
+
+    // Whether the text was cut short to fit maxLines
+    this.truncated = false;
+
+    this.set(options);
+  }
+
+  get text() {
+    return this.options.text;
+  }
+
+  // Change the text, its colour or how it is laid out; the text is laid out
+  // again once the font is ready
+  set(options) {
+    this.options = { ...this.options, ...options };
+    this.material.uniforms.color.value.set(this.options.color);
+
+    this.font.ready.then(() => this.layout());
+  }
+
+  setText(text) {
+    if (text !== this.options.text) {
+      this.set({ text });
+    }
+  }
+
+  // Build a quad for every character on every line
+  layout() {
+    const { text, fontSize, width, lineHeight, align, anchorY, maxLines, locale } = this.options;
+    const font = this.font;
+    const scale = fontSize / font.size;
+
+    const { lines, truncated } = layoutText(text, {
+      measure: line => font.measure(line, locale) * scale,
+      maxWidth: width,
+      maxLines,
+      align,
+      locale
+    });
+    this.truncated = truncated;
+
+    // Each baseline has the font's ascent and descent centred on its line
+    const lineStep = fontSize * lineHeight;
+    const baselineDrop = (lineStep - (font.ascent + font.descent) * scale) / 2 + font.ascent * scale;
+    let top = lines.length * lineStep / 2;
+    if (anchorY === 'top') {
+      top = 0;
+    } else if (anchorY === 'bottom') {
+      top = lines.length * lineStep;
+    }
+
+    const positions = [];
+    const uvs = [];
+    const indices = [];
+
+    lines.forEach((line, row) => {
+      const baseline = top - row * lineStep - baselineDrop;
+      let pen = line.x - width / 2;
+
+      getGraphemes(line.text, locale).forEach(character => {
+        const glyph = font.getGlyph(character);
+        if (glyph.width > 0) {
+          const left = pen - glyph.left * scale;
+          const right = left + glyph.width * scale;
+          const upper = baseline + glyph.top * scale;
+          const lower = upper - glyph.height * scale;
+          const first = positions.length / 3;
+
+          positions.push(left, upper, 0, right, upper, 0, left, lower, 0, right, lower, 0);
+          uvs.push(
+            glyph.x, glyph.y,
+            glyph.x + glyph.width, glyph.y,
+            glyph.x, glyph.y + glyph.height,
+            glyph.x + glyph.width, glyph.y + glyph.height
+          );
+          indices.push(first, first + 2, first + 1, first + 1, first + 2, first + 3);
+        }
+        pen += font.getAdvance(character) * scale;
+      });
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    geometry.computeBoundingSphere();
+
+    this.geometry.dispose();
+    this.geometry = geometry;
+  }
+}
+
+export { SdfText };
@@ -0,0 +1,96 @@
+// Service worker registration and the update-available prompt
+// The service worker (sw.js) keeps the site working offline, so a new
+// version does not take over by itself: open pages would mix old and new
+// files. When one has installed and is waiting, the visitor is asked to
+// reload; Reload tells it to take over and reloads once it has. Later leaves
+// the current version running until every tab is closed.
+
+// Milliseconds between checks for a new version while the page stays open
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+let prompt = null;
+
+function hideUpdatePrompt() {
+  if (prompt) {
+    prompt.remove();
+    prompt = null;
+  }
+}
+
+// Ask the visitor to switch to the waiting worker
+function showUpdatePrompt(worker) {
+  hideUpdatePrompt();
+
+  prompt = document.createElement('div');
+  prompt.className = 'update-prompt';
+  prompt.setAttribute('role', 'status');
+  prompt.innerHTML = `
+    <p>A new version is available.</p>
+    <button type="button" class="update-reload">Reload</button>
+    <button type="button" class="update-later">Later</button>
+  `;
+
+  prompt.querySelector('.update-reload').addEventListener('click', () => {
+    prompt.querySelector('.update-reload').disabled = true;
+    worker.postMessage({ type: 'skipWaiting' });
+  });
+  prompt.querySelector('.update-later').addEventListener('click', hideUpdatePrompt);
+
+  document.body.appendChild(prompt);
+}
+
+// Prompt once a new worker has installed. Without a controller this is the
+// first install, and there is nothing to update.
+function watchForUpdates(registration) {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdatePrompt(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdatePrompt(worker);
+      }
+    });
+  });
+
+  setInterval(() => {
+    registration.update().catch(() => {});
+  }, UPDATE_CHECK_INTERVAL);
+}
+
+// Register the service worker and prompt when an update is ready. Resolves
+// with the registration, or null where service workers are unsupported or
+// registration failed.
+function registerServiceWorker(url = 'sw.js') {
+  if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+
+  // Reload once a new version has taken over, whichever tab asked it to.
+  // The first install claiming the page is not an update.
+  let controlled = Boolean(navigator.serviceWorker.controller);
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!controlled) {
+      controlled = true;
+      return;
+    }
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  return navigator.serviceWorker.register(url)
+    .then(registration => {
+      watchForUpdates(registration);
+      return registration;
+    })
+    .catch(error => {
+      console.warn('Service worker registration failed:', error);
+      return null;
+    });
+}
+
+export { registerServiceWorker, showUpdatePrompt };
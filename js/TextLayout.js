@@ -0,0 +1,146 @@
+// Line breaking for text drawn in the scene
+// Text is broken into lines no wider than maxWidth, measured with a
+// measure(text) function in whatever units the caller uses. Lines break
+// between words, which Intl.Segmenter finds for scripts written without
+// spaces too (Chinese, Japanese, Thai...), but never before closing
+// punctuation or after opening punctuation. A word too long for a line is
+// split between characters. Newlines always start a new line. Text running
+// past maxLines ends in an ellipsis.
+const ELLIPSIS = '…';
+
+// Characters a line may not start with, and what it may not end with:
+// opening punctuation, or a word of only punctuation (e.g. '"' or '#')
+const NO_BREAK_BEFORE = /^[\p{Pe}\p{Pf}\p{Po}\p{Pd}]/u;
+const NO_BREAK_AFTER = /(^[\p{P}\p{S}]+|[\p{Ps}\p{Pi}])$/u;
+
+// Without Intl.Segmenter: runs of spaces, single CJK characters and the
+// runs of anything else between them
+const FALLBACK_SEGMENTS = /\s+|[\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]|[^\s\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]+/g;
+
+const segmenters = new Map();
+
+function getSegmenter(locale, granularity) {
+  const key = `${locale}|${granularity}`;
+  if (!segmenters.has(key)) {
+    segmenters.set(key, new Intl.Segmenter(locale, { granularity }));
+  }
+  return segmenters.get(key);
+}
+
+function hasSegmenter() {
+  return typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function';
+}
+
+// User-perceived characters, so accents and emoji are never split
+function getGraphemes(text, locale) {
+  if (!hasSegmenter()) return Array.from(text);
+  return Array.from(getSegmenter(locale, 'grapheme').segment(text), ({ segment }) => segment);
+}
+
+// Pieces of one paragraph that a line may break between, each a word (or
+// CJK character) with the spaces after it
+function getBreakUnits(text, locale) {
+  const segments = hasSegmenter()
+    ? Array.from(getSegmenter(locale, 'word').segment(text), ({ segment }) => segment)
+    : text.match(FALLBACK_SEGMENTS) || [];
+
+  const units = [];
+  segments.forEach(segment => {
+    const previous = units[units.length - 1];
+    const joins = previous !== undefined && (
+      /^\s/.test(segment) ||
+      (!/\s$/.test(previous) && (NO_BREAK_BEFORE.test(segment) || NO_BREAK_AFTER.test(previous)))
+    );
+
+    if (joins) {
+      units[units.length - 1] = previous + segment;
+    } else {
+      units.push(segment);
+    }
+  });
+  return units;
+}
+
+// The longest start of text (at least one character) no wider than maxWidth;
+// returns [start, rest]
+function splitToFit(text, maxWidth, measure, locale) {
+  const graphemes = getGraphemes(text, locale);
+  let count = 1;
+  while (count < graphemes.length && measure(graphemes.slice(0, count + 1).join('')) <= maxWidth) {
+    count++;
+  }
+  return [graphemes.slice(0, count).join(''), graphemes.slice(count).join('')];
+}
+
+// Lines of one paragraph
+function breakParagraph(text, maxWidth, measure, locale) {
+  const lines = [];
+  let line = '';
+
+  getBreakUnits(text, locale).forEach(unit => {
+    const candidate = line + unit;
+    if (line === '' || measure(candidate.trimEnd()) <= maxWidth) {
+      line = candidate;
+    } else {
+      lines.push(line.trimEnd());
+      line = unit;
+    }
+
+    // A word wider than the whole line
+    while (measure(line.trimEnd()) > maxWidth && getGraphemes(line.trimEnd(), locale).length > 1) {
+      const [start, rest] = splitToFit(line, maxWidth, measure, locale);
+      lines.push(start);
+      line = rest;
+    }
+  });
+
+  lines.push(line.trimEnd());
+  return lines;
+}
+
+// Shorten a line until it fits with an ellipsis on the end
+function addEllipsis(line, maxWidth, measure, locale) {
+  const graphemes = getGraphemes(line, locale);
+  while (graphemes.length > 0 && measure(graphemes.join('').trimEnd() + ELLIPSIS) > maxWidth) {
+    graphemes.pop();
+  }
+  return graphemes.join('').trimEnd() + ELLIPSIS;
+}
+
+// Lay out text as { lines, truncated }. Lines are [{ text, width, x }], where
+// x is where the line starts for the alignment ('left', 'center' or 'right')
+// within maxWidth; truncated says whether text was cut short for maxLines.
+function layoutText(text, { measure, maxWidth, maxLines = Infinity, align = 'left', locale } = {}) {
+  let lines = [];
+  String(text).replace(/\r\n?/g, '\n').split('\n').forEach(paragraph => {
+    lines.push(...breakParagraph(paragraph, maxWidth, measure, locale));
+  });
+
+  const truncated = lines.length > maxLines;
+  if (truncated) {
+    lines = lines.slice(0, Math.max(1, maxLines));
+    lines[lines.length - 1] = addEllipsis(lines[lines.length - 1], maxWidth, measure, locale);
+  }
+
+  return {
+    truncated,
+    lines: lines.map(line => {
+      const width = measure(line);
+      const space = maxWidth - width;
+      let x = 0;
+      if (align === 'center') {
+        x = space / 2;
+      } else if (align === 'right') {
+        x = space;
+      }
+      return { text: line, width, x };
+    })
+  };
+}
+
+export {
+  ELLIPSIS,
+  getGraphemes,
+  getBreakUnits,
+  layoutText
+};
@@ -1,22 +1,121 @@
 // Main application entry point for JJ Enterprises Immersive 3D Box Experience
 import * as THREE from 'three';
 import { BoxExperience } from './BoxExperience.js';
-import { BusinessShowcase } from './BusinessShowcase.js';
-import { AdvancedRenderer } from './AdvancedRenderer.js';
-import { ResponsiveHandler } from './ResponsiveHandler.js';
-import { PerformanceOptimizer } from './PerformanceOptimizer.js';
-import { CrossBrowserTester, Detector } from './CrossBrowserTester.js';
+import { Detector } from './CrossBrowserTester.js';
+import { registerDefaultComponents } from './registerComponents.js';
+import { EXPERIENCE_EVENTS } from './ExperienceEvents.js';
+import { ResourceTracker } from './utils/ResourceTracker.js';
+import { createConfig, resolveConfig } from './ExperienceConfig.js';
+import { ExperienceRouter } from './ExperienceRouter.js';
+import { isDebugFlagEnabled } from './utils/debugFlags.js';
+import { registerServiceWorker } from './ServiceWorkerUpdates.js';
+import { escapeHtml } from './utils/escapeHtml.js';
 
-// Check for WebGL support first
-if (!Detector.isWebGLAvailable()) {
-  showWebGLFallback();
-} else {
-  // Initialize the application
-  initializeApplication();
+// Currently mounted experience (one per page), and the one still starting
+// up, if any
+let currentMount = null;
+let pendingMount = null;
+
+// Mount the experience on the page. Returns a handle whose dispose() tears
+// everything down again; mounting while already mounted (or mounting)
+// returns the same handle. Pass { config } to skip loading the config from
+// the page's config URL.
+function mountExperience(options = {}) {
+  if (currentMount) return currentMount;
+  if (pendingMount) return pendingMount;
+  
+  // Clear the message left by a mount that failed
+  const failure = document.querySelector('.experience-error');
+  if (failure) failure.remove();
+  
+  const resources = new ResourceTracker();
+  const mount = {
+    experience: null,
+    config: null,
+    disposed: false,
+    resources,
+    
+    // Release the experience, its components and every node added by the app
+    dispose() {
+      if (mount.disposed) return;
+      mount.disposed = true;
+      
+      if (mount.experience) {
+        mount.experience.dispose();
+        mount.experience = null;
+      }
+      resources.dispose();
+      
+      if (currentMount === mount) {
+        currentMount = null;
+      }
+      if (pendingMount === mount) {
+        pendingMount = null;
+      }
+    }
+  };
+  pendingMount = mount;
+  
+  // Config overrides that do not validate reject here rather than throw
+  const configReady = Promise.resolve().then(() => (
+    options.config ? createConfig(options.config) : resolveConfig()
+  ));
+  
+  configReady.then(config => {
+    if (mount.disposed) return;
+    mount.config = config;
+    
+    // Check for WebGL support first
+    if (!Detector.isWebGLAvailable()) {
+      showWebGLFallback(mount);
+    } else {
+      // Initialize the application
+      initializeApplication(mount);
+    }
+    
+    pendingMount = null;
+    currentMount = mount;
+  }).catch(error => {
+    console.error('Failed to mount the experience:', error);
+    mount.dispose();
+    showMountError();
+  });
+  
+  return mount;
+}
+
+// Tell the visitor the experience could not start
+function showMountError() {
+  const loadingScreen = document.querySelector('.loading-screen');
+  if (loadingScreen) {
+    loadingScreen.style.display = 'none';
+  }
+  
+  const errorContainer = document.createElement('div');
+  errorContainer.className = 'webgl-fallback experience-error';
+  errorContainer.setAttribute('role', 'alert');
+  errorContainer.innerHTML = `
+    <div class="fallback-content">
+      <h2>Something went wrong</h2>
+      <p>The 3D experience could not be started. Please reload the page to try again.</p>
+    </div>
+  `;
+  document.body.appendChild(errorContainer);
+}
+
+// Tear down the mounted experience, or the one starting up (no-op if
+// nothing is mounted)
+function unmountExperience() {
+  const mount = currentMount || pendingMount;
+  if (mount) {
+    mount.dispose();
+  }
 }
 
 // Show fallback content when WebGL is not supported
-function showWebGLFallback() {
+function showWebGLFallback(mount) {
+  const { company, assets } = mount.config;
+  
   // Hide loading screen
   const loadingScreen = document.querySelector('.loading-screen');
   if (loadingScreen) {
@@ -40,31 +139,34 @@ function showWebGLFallback() {
         </ul>
       </div>
       <div class="fallback-image">
-        <img src="assets/fallback-image.jpg" alt="JJ Enterprises Packaging" />
+        <img src="${escapeHtml(assets.fallbackImage)}" alt="${escapeHtml(company.name)} Packaging" />
       </div>
       <div class="fallback-contact">
-        <h3>Contact JJ Enterprises</h3>
-        <p>Phone: +91 9819256432</p>
-        <p>Email: info@thejjenterprise.com</p>
-        <p>Address: ITT Bhatti, Dindoshipada, Goregaon</p>
+        <h3>Contact ${escapeHtml(company.name)}</h3>
+        <p>Phone: ${escapeHtml(company.phone)}</p>
+        <p>Email: ${escapeHtml(company.email)}</p>
+        <p>Address: ${escapeHtml(company.address)}</p>
       </div>
     </div>
   `;
   document.body.appendChild(fallbackContainer);
+  mount.resources.element(fallbackContainer);
 }
 
 // Initialize the 3D application
-function initializeApplication() {
+function initializeApplication(mount) {
   // Create loading screen animation
-  animateLoadingScreen();
+  animateLoadingScreen(mount);
   
   // Create canvas for Three.js
   const canvas = document.createElement('canvas');
   canvas.className = 'webgl';
   document.body.appendChild(canvas);
+  mount.resources.element(canvas);
   
   // Track loaded assets
-  const assetsToLoad = 10; // Approximate number of assets to load
+  const texturesToLoad = getPreloadTextures(mount.config);
+  const assetsToLoad = texturesToLoad.length + 2; // plus environment map and fonts
   let assetsLoaded = 0;
   
   // Asset loading progress handler
@@ -74,24 +176,24 @@ function initializeApplication() {
     
     // When all assets are loaded, initialize the experience
     if (assetsLoaded >= assetsToLoad) {
-      initializeExperience(canvas);
+      initializeExperience(mount, canvas);
     }
   };
   
   // Preload critical assets
-  preloadAssets(onAssetLoaded);
+  preloadAssets(mount.config, texturesToLoad, onAssetLoaded);
   
   // Fallback for loading screen removal if assets take too long
-  setTimeout(() => {
+  mount.resources.timeout(() => {
     if (assetsLoaded < assetsToLoad) {
       console.warn('Some assets are taking too long to load, proceeding anyway');
-      initializeExperience(canvas);
+      initializeExperience(mount, canvas);
     }
-  }, 10000); // 10 second timeout
+  }, mount.config.timing.loadingTimeout);
 }
 
 // Animate the loading screen
-function animateLoadingScreen() {
+function animateLoadingScreen(mount) {
   const loadingBar = document.querySelector('.loading-bar');
   if (!loadingBar) return;
   
@@ -100,7 +202,7 @@ function animateLoadingScreen() {
   
   // Simulate initial loading progress
   let progress = 5;
-  const interval = setInterval(() => {
+  const interval = mount.resources.interval(() => {
     progress += Math.random() * 3;
     if (progress > 70) {
       clearInterval(interval);
@@ -119,105 +221,71 @@ function updateLoadingProgress(progress) {
   loadingBar.style.width = `${displayProgress}%`;
 }
 
+// Textures named in the config that are worth preloading
+function getPreloadTextures(config) {
+  return [
+    ...Object.values(config.assets.boxTextures),
+    config.assets.particleTexture
+  ];
+}
+
 // Preload assets
-function preloadAssets(onAssetLoaded) {
+function preloadAssets(config, texturesToLoad, onAssetLoaded) {
+  // A missing asset still counts, so the loading screen does not wait it out
+  const onAssetFailed = url => () => {
+    console.warn(`Failed to preload ${url}`);
+    onAssetLoaded();
+  };
+  
   // Preload textures
   const textureLoader = new THREE.TextureLoader();
-  const texturesToLoad = [
-    'assets/textures/corrugated_color.jpg',
-    'assets/textures/corrugated_normal.jpg',
-    'assets/textures/corrugated_roughness.jpg',
-    'assets/textures/corrugated_ao.jpg',
-    'assets/textures/particle.png',
-    'assets/textures/product_corrugated.jpg',
-    'assets/textures/product_kraft.jpg',
-    'assets/textures/product_custom.jpg'
-  ];
-  
   texturesToLoad.forEach(url => {
-    textureLoader.load(url, () => onAssetLoaded());
+    textureLoader.load(url, () => onAssetLoaded(), undefined, onAssetFailed(url));
   });
   
-  // Preload environment map
-  new THREE.TextureLoader().load('assets/environment.jpg', () => onAssetLoaded());
+  // Warm the cache for the environment map (parsed later by BoxExperience)
+  const { environmentMap } = config.assets;
+  const fileLoader = new THREE.FileLoader();
+  fileLoader.setResponseType('arraybuffer');
+  fileLoader.load(environmentMap, () => onAssetLoaded(), undefined, onAssetFailed(environmentMap));
   
   // Preload fonts
   document.fonts.ready.then(() => onAssetLoaded());
 }
 
 // Initialize the 3D experience
-function initializeExperience(canvas) {
-  // Create core experience
-  const boxExperience = new BoxExperience(canvas);
+function initializeExperience(mount, canvas) {
+  // Already running, or unmounted while assets were loading
+  if (mount.experience || mount.disposed) return;
   
-  // Add business showcase components
-  const businessShowcase = new BusinessShowcase(boxExperience);
+  // Create core experience (starts its own animation loop)
+  const boxExperience = new BoxExperience(canvas, { config: mount.config });
+  mount.experience = boxExperience;
   
-  // Add advanced rendering features
-  const advancedRenderer = new AdvancedRenderer(boxExperience);
+  // Register the standard components (plus test utilities with ?test)
+  registerDefaultComponents(boxExperience, { testMode: isDebugFlagEnabled('test') });
   
-  // Add responsive handling
-  const responsiveHandler = new ResponsiveHandler(boxExperience);
-  
-  // Add performance optimization
-  const performanceOptimizer = new PerformanceOptimizer(boxExperience);
-  
-  // Add cross-browser testing utilities (only in test mode)
-  let crossBrowserTester;
-  if (window.location.hash === '#test') {
-    crossBrowserTester = new CrossBrowserTester(boxExperience);
-    crossBrowserTester.runPerformanceTest();
-  }
+  // Restore the view named in the URL and keep the URL in step from now on
+  // (full page only; embeds leave the host page's URL alone)
+  boxExperience.registerComponent('router', new ExperienceRouter(boxExperience));
   
   // Create business information overlay
-  createBusinessInfoOverlay();
+  createBusinessInfoOverlay(mount);
   
-  // Override the animation loop to include our components
-  const originalAnimate = boxExperience.animate;
-  boxExperience.animate = function() {
-    const elapsedTime = this.clock.getElapsedTime();
-    
-    // Update business showcase
-    if (businessShowcase.update) {
-      businessShowcase.update(elapsedTime);
-    }
-    
-    // Update advanced renderer
-    if (advancedRenderer.update) {
-      advancedRenderer.update(elapsedTime);
-    }
-    
-    // Update responsive handler
-    if (responsiveHandler.update) {
-      responsiveHandler.update(elapsedTime);
-    }
-    
-    // Update performance optimizer
-    if (performanceOptimizer.update) {
-      performanceOptimizer.update(elapsedTime);
-    }
-    
-    // Update cross-browser tester
-    if (crossBrowserTester && crossBrowserTester.update) {
-      crossBrowserTester.update(elapsedTime);
-    }
-    
-    // Call the original animation method
-    originalAnimate.call(this);
-  };
-  
-  // Start the animation loop
-  boxExperience.animate();
+  // Let add-ons register their own components without editing this file:
+  // document.addEventListener('experienceReady', ({ detail }) =>
+  //   detail.experience.registerComponent('myAddon', new MyAddon()));
+  boxExperience.events.emit(EXPERIENCE_EVENTS.READY, { experience: boxExperience });
   
   // Remove loading screen
-  removeLoadingScreen();
+  removeLoadingScreen(mount);
   
   // Log initialization complete
-  console.log('JJ Enterprises Immersive 3D Box Experience initialized successfully');
+  console.log(`${mount.config.company.name} Immersive 3D Box Experience initialized successfully`);
 }
 
 // Remove loading screen
-function removeLoadingScreen() {
+function removeLoadingScreen(mount) {
   const loadingScreen = document.querySelector('.loading-screen');
   if (loadingScreen) {
     // Update progress to 100%
@@ -227,9 +295,9 @@ function removeLoadingScreen() {
     }
     
     // Fade out loading screen
-    setTimeout(() => {
+    mount.resources.timeout(() => {
       loadingScreen.classList.add('fade-out');
-      setTimeout(() => {
+      mount.resources.timeout(() => {
         if (loadingScreen.parentNode) {
           document.body.removeChild(loadingScreen);
         }
@@ -239,24 +307,26 @@ function removeLoadingScreen() {
 }
 
 // Create business information overlay
-function createBusinessInfoOverlay() {
+function createBusinessInfoOverlay(mount) {
+  const { company } = mount.config;
   const infoOverlay = document.createElement('div');
   infoOverlay.className = 'info-overlay';
   infoOverlay.innerHTML = `
     <div class="company-logo">
-      <h1>JJ Enterprises</h1>
-      <p>Everything Printing & Packaging</p>
+      <h1>${escapeHtml(company.name)}</h1>
+      <p>${escapeHtml(company.tagline)}</p>
     </div>
     <div class="contact-info">
-      <p><i class="phone-icon"></i> +91 9819256432</p>
-      <p><i class="email-icon"></i> info@thejjenterprise.com</p>
-      <p><i class="location-icon"></i> ITT Bhatti, Dindoshipada, Goregaon</p>
+      <p><i class="phone-icon"></i> ${escapeHtml(company.phone)}</p>
+      <p><i class="email-icon"></i> ${escapeHtml(company.email)}</p>
+      <p><i class="location-icon"></i> ${escapeHtml(company.address)}</p>
     </div>
     <div class="experience-instructions">
       <p>Click on the box to begin your immersive journey</p>
     </div>
   `;
   document.body.appendChild(infoOverlay);
+  mount.resources.element(infoOverlay);
   
   // Add event listener to minimize/expand info overlay
   const toggleButton = document.createElement('button');
@@ -272,9 +342,10 @@ function createBusinessInfoOverlay() {
     toggleButton.setAttribute('aria-expanded', isExpanded.toString());
   });
   document.body.appendChild(toggleButton);
+  mount.resources.element(toggleButton);
   
   // Add keyboard shortcut for info panel (i key)
-  window.addEventListener('keydown', (event) => {
+  mount.resources.listen(window, 'keydown', (event) => {
     if (event.key === 'i') {
       infoOverlay.classList.toggle('minimized');
       toggleButton.classList.toggle('expanded');
@@ -316,3 +387,17 @@ if (document.readyState === 'loading') {
 } else {
   setupAccessibility();
 }
+
+// Mount automatically on load; hosts can unmount and re-mount later
+mountExperience();
+
+// Offline support and queued inquiries (see sw.js; full page only, embeds
+// leave the host site alone). Register once the page has loaded, so it does
+// not compete with the assets.
+if (document.readyState === 'complete') {
+  registerServiceWorker();
+} else {
+  window.addEventListener('load', () => registerServiceWorker());
+}
+
+export { mountExperience, unmountExperience };
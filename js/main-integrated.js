@@ -1,27 +1,34 @@
 // Integration of WebGL and Three.js features with main application
 import { BoxExperience } from './BoxExperience.js';
+import { resolveConfig } from './ExperienceConfig.js';
+import { isDebugFlagEnabled } from './utils/debugFlags.js';
 import { BusinessShowcase } from './BusinessShowcase.js';
 import { AdvancedRenderer } from './AdvancedRenderer.js';
+import { escapeHtml } from './utils/escapeHtml.js';
 import './styles.css';
 import './business-showcase.css';
 
-// Wait for DOM to be fully loaded
+// Wait for DOM to be fully loaded, then for the experience config (company
+// details, assets, tuning): ?config=..., else the experience-config meta
+// tag, else the defaults
 document.addEventListener('DOMContentLoaded', () => {
-  // Create loading screen
-  createLoadingScreen();
-  
-  // Initialize the 3D experience
-  initializeExperience();
+  resolveConfig().then(config => {
+    // Create loading screen
+    createLoadingScreen(config);
+    
+    // Initialize the 3D experience
+    initializeExperience(config);
+  });
 });
 
 // Create loading screen with animated box
-function createLoadingScreen() {
+function createLoadingScreen(config) {
   const loadingScreen = document.createElement('div');
   loadingScreen.className = 'loading-screen';
   loadingScreen.innerHTML = `
     <div class="loading-content">
-      <h1>JJ Enterprises</h1>
-      <h2>Everything Printing & Packaging</h2>
+      <h1>${escapeHtml(config.company.name)}</h1>
+      <h2>${escapeHtml(config.company.tagline)}</h2>
       <div class="loading-box">
         <div class="loading-box-inner"></div>
       </div>
@@ -48,50 +55,30 @@ function createLoadingScreen() {
 }
 
 // Initialize the 3D experience
-function initializeExperience() {
+function initializeExperience(config) {
   // Create canvas for Three.js
   const canvas = document.createElement('canvas');
   canvas.className = 'webgl';
   document.body.appendChild(canvas);
   
   // Initialize the core box experience
-  const boxExperience = new BoxExperience(canvas);
-  
-  // Add business showcase components
-  const businessShowcase = new BusinessShowcase(boxExperience);
+  const boxExperience = new BoxExperience(canvas, { config });
   
-  // Add advanced rendering features
-  const advancedRenderer = new AdvancedRenderer(boxExperience);
+  // Register business showcase and advanced rendering components
+  boxExperience.registerComponent('businessShowcase', new BusinessShowcase(boxExperience), { priority: 20 });
+  boxExperience.registerComponent('advancedRenderer', new AdvancedRenderer(boxExperience), { priority: 10 });
   
   // Create business information overlay
-  createBusinessInfoOverlay();
+  createBusinessInfoOverlay(config);
   
   // Create performance monitor (in development mode)
-  if (window.location.hash === '#dev') {
+  if (isDebugFlagEnabled('dev')) {
     createPerformanceMonitor();
   }
   
-  // Override the animation loop to include our components
-  const originalAnimate = boxExperience.animate;
-  boxExperience.animate = function() {
-    const elapsedTime = this.clock.getElapsedTime();
-    
-    // Update business showcase
-    if (businessShowcase.update) {
-      businessShowcase.update(elapsedTime);
-    }
-    
-    // Update advanced renderer
-    if (advancedRenderer.update) {
-      advancedRenderer.update(elapsedTime);
-    }
-    
-    // Call the original animation method
-    originalAnimate.call(this);
-  };
-  
-  // Remove loading screen after assets are loaded
-  window.addEventListener('load', () => {
+  // Remove loading screen after assets are loaded (the page may have
+  // finished loading while the config was fetched)
+  const onPageLoad = () => {
     setTimeout(() => {
       const loadingScreen = document.querySelector('.loading-screen');
       if (loadingScreen) {
@@ -101,7 +88,12 @@ function initializeExperience() {
         }, 1000);
       }
     }, 1000);
-  });
+  };
+  if (document.readyState === 'complete') {
+    onPageLoad();
+  } else {
+    window.addEventListener('load', onPageLoad);
+  }
   
   // Fallback for loading screen removal if load event doesn't fire
   setTimeout(() => {
@@ -118,18 +110,18 @@ function initializeExperience() {
 }
 
 // Create business information overlay
-function createBusinessInfoOverlay() {
+function createBusinessInfoOverlay(config) {
   const infoOverlay = document.createElement('div');
   infoOverlay.className = 'info-overlay';
   infoOverlay.innerHTML = `
     <div class="company-logo">
-      <h1>JJ Enterprises</h1>
-      <p>Everything Printing & Packaging</p>
+      <h1>${escapeHtml(config.company.name)}</h1>
+      <p>${escapeHtml(config.company.tagline)}</p>
     </div>
     <div class="contact-info">
-      <p><i class="phone-icon"></i> +91 9819256432</p>
-      <p><i class="email-icon"></i> info@thejjenterprise.com</p>
-      <p><i class="location-icon"></i> ITT Bhatti, Dindoshipada, Goregaon</p>
+      <p><i class="phone-icon"></i> ${escapeHtml(config.company.phone)}</p>
+      <p><i class="email-icon"></i> ${escapeHtml(config.company.email)}</p>
+      <p><i class="location-icon"></i> ${escapeHtml(config.company.address)}</p>
     </div>
     <div class="experience-instructions">
       <p>Click on the box to begin your immersive journey</p>
@@ -1,16 +1,25 @@
 // Main entry point for the 3D Box Experience website
 import { BoxExperience } from './BoxExperience.js';
+import { resolveConfig } from './ExperienceConfig.js';
+import { escapeHtml } from './utils/escapeHtml.js';
 import './styles.css';
 
-// Wait for DOM to be fully loaded
+// Wait for DOM to be fully loaded, then for the experience config (company
+// details, assets, tuning): ?config=..., else the experience-config meta
+// tag, else the defaults
 document.addEventListener('DOMContentLoaded', () => {
+  resolveConfig().then(startExperience);
+});
+
+// Build the page around the resolved config
+function startExperience(config) {
   // Create loading screen
   const loadingScreen = document.createElement('div');
   loadingScreen.className = 'loading-screen';
   loadingScreen.innerHTML = `
     <div class="loading-content">
-      <h1>JJ Enterprises</h1>
-      <h2>Everything Printing & Packaging</h2>
+      <h1>${escapeHtml(config.company.name)}</h1>
+      <h2>${escapeHtml(config.company.tagline)}</h2>
       <div class="loading-box">
         <div class="loading-box-inner"></div>
       </div>
@@ -25,7 +34,7 @@ document.addEventListener('DOMContentLoaded', () => {
   document.body.appendChild(canvas);
   
   // Initialize the 3D experience
-  const boxExperience = new BoxExperience(canvas);
+  const boxExperience = new BoxExperience(canvas, { config });
   
   // Remove loading screen after assets are loaded
   setTimeout(() => {
@@ -36,22 +45,22 @@ document.addEventListener('DOMContentLoaded', () => {
   }, 3000); // Simulated loading time - would be replaced with actual asset loading events
   
   // Add business information overlay
-  createBusinessInfoOverlay();
-});
+  createBusinessInfoOverlay(config);
+}
 
 // Create business information overlay
-function createBusinessInfoOverlay() {
+function createBusinessInfoOverlay(config) {
   const infoOverlay = document.createElement('div');
   infoOverlay.className = 'info-overlay';
   infoOverlay.innerHTML = `
     <div class="company-logo">
-      <h1>JJ Enterprises</h1>
-      <p>Everything Printing & Packaging</p>
+      <h1>${escapeHtml(config.company.name)}</h1>
+      <p>${escapeHtml(config.company.tagline)}</p>
     </div>
     <div class="contact-info">
-      <p><i class="phone-icon"></i> +91 9819256432</p>
-      <p><i class="email-icon"></i> info@thejjenterprise.com</p>
-      <p><i class="location-icon"></i> ITT Bhatti, Dindoshipada, Goregaon</p>
+      <p><i class="phone-icon"></i> ${escapeHtml(config.company.phone)}</p>
+      <p><i class="email-icon"></i> ${escapeHtml(config.company.email)}</p>
+      <p><i class="location-icon"></i> ${escapeHtml(config.company.address)}</p>
     </div>
     <div class="experience-instructions">
       <p>Click on the box to begin your immersive journey</p>
@@ -0,0 +1,50 @@
+// Registers the standard set of components on a BoxExperience
+// Shared by the full-page app and the <jj-box-experience> element.
+import { BusinessShowcase } from './BusinessShowcase.js';
+import { AdvancedRenderer } from './AdvancedRenderer.js';
+import { ResponsiveHandler } from './ResponsiveHandler.js';
+import { PerformanceOptimizer } from './PerformanceOptimizer.js';
+import { CrossBrowserTester } from './CrossBrowserTester.js';
+import { CameraDirector } from './CameraDirector.js';
+import { BoxConfigurator } from './BoxConfigurator.js';
+import { DielineView } from './DielineView.js';
+import { ArtworkDecals } from './ArtworkDecals.js';
+import { BoxExport } from './BoxExport.js';
+import { QuoteEstimator } from './QuoteEstimator.js';
+import { ComparisonView } from './ComparisonView.js';
+import { ProductSearch } from './ProductSearch.js';
+import { CardLayoutControls } from './CardLayoutControls.js';
+
+// Register the default components; each one is updated, resized and disposed
+// by the experience, higher priorities updating first
+function registerDefaultComponents(boxExperience, { testMode = false } = {}) {
+  boxExperience.registerComponent('businessShowcase', new BusinessShowcase(boxExperience), { priority: 20 });
+  boxExperience.registerComponent('advancedRenderer', new AdvancedRenderer(boxExperience), { priority: 10 });
+  boxExperience.registerComponent('cameraDirector', new CameraDirector(boxExperience), { priority: 5 });
+  boxExperience.registerComponent('boxConfigurator', new BoxConfigurator(boxExperience), { priority: 0 });
+  boxExperience.registerComponent('dielineView', new DielineView(boxExperience), { priority: 0 });
+  boxExperience.registerComponent('artworkDecals', new ArtworkDecals(boxExperience), { priority: 0 });
+  boxExperience.registerComponent('boxExport', new BoxExport(boxExperience), { priority: 0 });
+  boxExperience.registerComponent('quoteEstimator', new QuoteEstimator(boxExperience), { priority: 0 });
+  boxExperience.registerComponent('comparisonView', new ComparisonView(boxExperience), { priority: 0 });
+  boxExperience.registerComponent('productSearch', new ProductSearch(boxExperience), { priority: 0 });
+  boxExperience.registerComponent('responsiveHandler', new ResponsiveHandler(boxExperience), { priority: 0 });
+
+  // Resized after the responsive handler has checked the device class
+  boxExperience.registerComponent('cardLayoutControls', new CardLayoutControls(boxExperience), { priority: 0 });
+
+  // Culling runs last so it sees this frame's final object positions
+  boxExperience.registerComponent('performanceOptimizer', new PerformanceOptimizer(boxExperience), { priority: -10 });
+
+  // Add cross-browser testing utilities (only in test mode)
+  if (testMode) {
+    const crossBrowserTester = boxExperience.registerComponent(
+      'crossBrowserTester',
+      new CrossBrowserTester(boxExperience),
+      { priority: -20 }
+    );
+    crossBrowserTester.runPerformanceTest();
+  }
+}
+
+export { registerDefaultComponents };
@@ -0,0 +1,191 @@
+// Tracks listeners, timers, tweens, GPU resources and DOM nodes owned by a
+// module so they can all be released with a single dispose() call
+import gsap from 'gsap';
+
+class ResourceTracker {
+  constructor() {
+    this.disposers = [];
+
+    // Cleanup callbacks of pending timeout()s, by timer id
+    this.timeouts = new Map();
+  }
+
+  // Register a cleanup callback
+  add(disposer) {
+    this.disposers.push(disposer);
+    return disposer;
+  }
+
+  // Forget a cleanup callback that is no longer needed, so modules that
+  // track something on every event don't grow the list for ever
+  remove(disposer) {
+    const index = this.disposers.indexOf(disposer);
+    if (index !== -1) {
+      this.disposers.splice(index, 1);
+    }
+  }
+
+  // Add an event listener that is removed on dispose
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.add(() => target.removeEventListener(type, handler, options));
+    return handler;
+  }
+
+  // Keep an unsubscribe function (e.g. from the experience event bus).
+  // Unsubscribe early with the function returned, which also forgets it.
+  subscribe(unsubscribe) {
+    this.add(unsubscribe);
+    return () => {
+      this.remove(unsubscribe);
+      unsubscribe();
+    };
+  }
+
+  // setInterval that is cleared on dispose
+  interval(callback, delay) {
+    const id = setInterval(callback, delay);
+    this.add(() => clearInterval(id));
+    return id;
+  }
+
+  // setTimeout that is cleared on dispose; forgotten once it fires
+  timeout(callback, delay) {
+    const id = setTimeout(() => {
+      this.clearTimeout(id);
+      callback();
+    }, delay);
+    this.timeouts.set(id, this.add(() => clearTimeout(id)));
+    return id;
+  }
+
+  // Cancel a timeout() before it fires
+  clearTimeout(id) {
+    clearTimeout(id);
+    if (this.timeouts.has(id)) {
+      this.remove(this.timeouts.get(id));
+      this.timeouts.delete(id);
+    }
+  }
+
+  // gsap tween or timeline that is killed on dispose
+  tween(animation) {
+    this.add(() => animation.kill());
+    return animation;
+  }
+
+  // Kill every tween targeting these objects on dispose
+  tweensOf(...targets) {
+    this.add(() => gsap.killTweensOf(targets));
+  }
+
+  // Anything with a dispose() method (geometry, material, texture, render target, pass...)
+  track(resource) {
+    if (resource && typeof resource.dispose === 'function') {
+      this.add(() => resource.dispose());
+    }
+    return resource;
+  }
+
+  // Object3D removed from its parent with all its GPU resources on dispose
+  trackObject(object) {
+    this.add(() => disposeObject3D(object));
+    return object;
+  }
+
+  // DOM node removed from the document on dispose
+  element(node) {
+    this.add(() => node.remove());
+    return node;
+  }
+
+  // Release everything, most recently added first
+  dispose() {
+    const disposers = this.disposers.reverse();
+    this.disposers = [];
+    this.timeouts.clear();
+
+    disposers.forEach(disposer => {
+      try {
+        disposer();
+      } catch (error) {
+        console.error('Error while disposing resource:', error);
+      }
+    });
+  }
+}
+
+// Texture slots checked when disposing materials
+const TEXTURE_PROPERTIES = [
+  'map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap',
+  'emissiveMap', 'displacementMap', 'alphaMap', 'envMap', 'lightMap', 'bumpMap'
+];
+
+// Dispose a material and the textures it references
+function disposeMaterial(material) {
+  TEXTURE_PROPERTIES.forEach(prop => {
+    if (material[prop] && material[prop].isTexture) {
+      material[prop].dispose();
+    }
+  });
+
+  // Shader materials keep textures in uniforms; shared ones (such as a
+  // font's atlas) are left to their owner
+  if (material.uniforms) {
+    Object.values(material.uniforms).forEach(uniform => {
+      if (uniform && uniform.value && uniform.value.isTexture && !uniform.value.userData.shared) {
+        uniform.value.dispose();
+      }
+    });
+  }
+
+  material.dispose();
+}
+
+// Detach an object and dispose the geometries, materials and textures below it
+function disposeObject3D(object) {
+  if (object.parent) {
+    object.parent.remove(object);
+  }
+
+  object.traverse(child => {
+    gsap.killTweensOf([child.position, child.scale, child.rotation]);
+
+    if (child.geometry) {
+      child.geometry.dispose();
+    }
+
+    if (child.material) {
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach(disposeMaterial);
+    }
+  });
+}
+
+// Dispose a post-processing pass. Most passes don't implement dispose(),
+// so release the render targets, materials and textures they hold directly.
+function disposePass(pass) {
+  if (typeof pass.dispose === 'function') {
+    pass.dispose();
+  }
+
+  Object.values(pass).forEach(value => {
+    if (value && (value.isWebGLRenderTarget || value.isMaterial || value.isTexture)) {
+      value.dispose();
+    }
+  });
+
+  if (pass.fsQuad) {
+    pass.fsQuad.dispose();
+  }
+}
+
+// Dispose an EffectComposer, its passes and its render targets
+function disposeComposer(composer) {
+  composer.passes.forEach(disposePass);
+
+  composer.renderTarget1.dispose();
+  composer.renderTarget2.dispose();
+}
+
+export { ResourceTracker, disposeObject3D, disposeMaterial, disposePass, disposeComposer };
@@ -0,0 +1,29 @@
+// Developer flags read from the page URL
+// ?dev shows the stats panel and performance HUD and logs experience events;
+// ?test adds the cross-browser test panel; ?mock sends contact form
+// inquiries to the in-browser mock endpoint. Flags combine (?dev&test) and are
+// read once per call, so they can be toggled by reloading. The URL hash now
+// belongs to the router, but the old #dev and #test hashes are still honoured.
+
+const DEBUG_FLAGS = ['dev', 'test', 'mock'];
+
+// Flags enabled for a location, e.g. { dev: true, test: false }
+function getDebugFlags(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  const legacyHash = location.hash.replace(/^#/, '');
+
+  return DEBUG_FLAGS.reduce((flags, name) => {
+    flags[name] = params.has(name) || legacyHash === name;
+    return flags;
+  }, {});
+}
+
+function isDebugFlagEnabled(name, location = window.location) {
+  if (!DEBUG_FLAGS.includes(name)) {
+    throw new Error(`Unknown debug flag: ${name}`);
+  }
+
+  return getDebugFlags(location)[name];
+}
+
+export { DEBUG_FLAGS, getDebugFlags, isDebugFlagEnabled };
@@ -0,0 +1,14 @@
+// Escaping for text written into HTML templates
+// Catalog data can come from a CMS, so text from it goes through here before
+// it is set as innerHTML.
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export { escapeHtml };
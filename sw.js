@@ -0,0 +1,360 @@
+// Service worker for the JJ Enterprises 3D box experience
+// Makes the site installable and usable offline, and sends contact form
+// inquiries queued while the visitor was offline.
+//
+// Caching: on install the app shell, every asset the experience config
+// names (textures, environment map, box model) and the product catalog with
+// its images are precached under CACHE_VERSION. Pages and configs are fetched from the
+// network first, falling back to the cache offline. Everything else from
+// the site (scripts, styles, textures, models) is served from the cache
+// first, and cached the first time it is fetched if it was not precached;
+// web fonts are cached too. A new
+// version waits until the page asks it to take over (the update prompt in
+// js/ServiceWorkerUpdates.js), then deletes the caches of older versions.
+//
+// Inquiries: those queued with a request (the http transport; see
+// js/InquiryQueue.js) are sent in a background sync, so they go out once
+// there is a connection even if the page has been closed. The page sends
+// the rest. The database names and entry shape must match js/InquiryQueue.js.
+
+// Bump on every deploy so visitors get the new shell and assets
+const CACHE_VERSION = 'v1';
+const PRECACHE = `jj-precache-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `jj-runtime-${CACHE_VERSION}`;
+
+// Most entries kept in the runtime cache before the oldest are dropped
+const RUNTIME_CACHE_LIMIT = 100;
+
+const CONFIG_URL = 'config/experience.json';
+
+// Everything needed to start the experience, relative to the worker
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'css/main.css',
+  'js/polyfills.js',
+  'js/app.bundle.js',
+  CONFIG_URL,
+  'config/rates.json',
+  'config/catalog.json',
+  'assets/favicon.png',
+  'assets/icons/icon-192.png',
+  'assets/icons/icon-512.png',
+  'assets/icons/icon-maskable-512.png'
+];
+
+// Web fonts, cached as they are fetched and refreshed in the background
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+const QUEUE_DATABASE = 'jj-inquiry-queue';
+const QUEUE_VERSION = 1;
+const QUEUE_STORE = 'inquiries';
+const QUEUE_SYNC_TAG = 'inquiry-queue';
+const CLAIM_TIMEOUT = 60000;
+
+// Statuses worth retrying besides 5xx, as in js/InquiryTransport.js
+const RETRYABLE_STATUSES = [408, 429];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache());
+});
+
+// Drop the caches of older versions and take over open pages
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('jj-') && key !== PRECACHE && key !== RUNTIME_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The update prompt asks a waiting version to take over
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skipWaiting') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (FONT_ORIGINS.includes(url.origin)) {
+    event.respondWith(staleWhileRevalidate(request));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, 'index.html'));
+  } else if (url.pathname.endsWith('.json')) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === QUEUE_SYNC_TAG) {
+    event.waitUntil(sendQueuedInquiries());
+  }
+});
+
+// Asset URLs named in an experience config
+function getConfigAssets(config) {
+  const assets = config.assets || {};
+  return [
+    assets.environmentMap,
+    assets.boxModel,
+    ...Object.values(assets.boxTextures || {}),
+    assets.particleTexture,
+    assets.fallbackImage,
+    assets.rateTable
+  ].filter(Boolean);
+}
+
+// The catalog file and its product images, when the catalog is a file
+// (see js/ProductCatalog.js); images may be URLs or { src, alt }
+function precacheCatalog(cache, config) {
+  const catalog = config.catalog || {};
+  if (catalog.source !== 'json' || !catalog.url) return Promise.resolve();
+
+  return cache.add(catalog.url)
+    .then(() => cache.match(catalog.url))
+    .then(response => response.json())
+    .then(({ products = [] }) => Promise.all(products
+      .flatMap(product => product.images || [])
+      .map(image => (typeof image === 'string' ? image : image.src))
+      .map(url => cache.add(url).catch(error => console.warn(`Could not precache ${url}:`, error)))));
+}
+
+// The shell must all be cached for the install to succeed; assets are
+// cached where they can be, the rest when first fetched
+function precache() {
+  return caches.open(PRECACHE).then(cache => cache.addAll(SHELL_FILES)
+    .then(() => cache.match(CONFIG_URL))
+    .then(response => response.json())
+    .then(config => Promise.all([
+      ...getConfigAssets(config).map(url => cache.add(url).catch(error => {
+        console.warn(`Could not precache ${url}:`, error);
+      })),
+      precacheCatalog(cache, config).catch(error => {
+        console.warn('Could not precache the product catalog:', error);
+      })
+    ])));
+}
+
+// Keep the runtime cache to its limit, dropping the oldest entries
+function trimRuntimeCache(cache) {
+  return cache.keys().then(keys => Promise.all(
+    keys.slice(0, Math.max(0, keys.length - RUNTIME_CACHE_LIMIT)).map(key => cache.delete(key))
+  ));
+}
+
+// Caching is best effort: a full quota must not fail the response
+function putInRuntimeCache(request, response) {
+  return caches.open(RUNTIME_CACHE)
+    .then(cache => cache.put(request, response).then(() => trimRuntimeCache(cache)))
+    .catch(error => console.warn(`Could not cache ${request.url}:`, error));
+}
+
+// From the network, refreshing the cache; the cached copy (or fallback)
+// when offline
+function networkFirst(request, fallback = null) {
+  return fetch(request)
+    .then(response => {
+      if (response.status === 200) {
+        putInRuntimeCache(request, response.clone());
+      }
+      return response;
+    })
+    .catch(error => caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+      .then(cached => cached || (fallback && caches.match(fallback)))
+      .then(cached => {
+        if (!cached) throw error;
+        return cached;
+      }));
+}
+
+// From the cache, or the network, caching the response
+function cacheFirst(request) {
+  return caches.match(request).then(cached => cached || fetch(request).then(response => {
+    if (response.status === 200) {
+      putInRuntimeCache(request, response.clone());
+    }
+    return response;
+  }));
+}
+
+// From the cache at once while refreshing it; the network when not cached
+function staleWhileRevalidate(request) {
+  return caches.match(request).then(cached => {
+    const refreshed = fetch(request).then(response => {
+      // Cross-origin font files come back opaque
+      if (response.status === 200 || response.type === 'opaque') {
+        putInRuntimeCache(request, response.clone());
+      }
+      return response;
+    });
+
+    if (cached) {
+      refreshed.catch(() => {});
+      return cached;
+    }
+    return refreshed;
+  });
+}
+
+function openQueue() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(QUEUE_DATABASE, QUEUE_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+      store.createIndex('fingerprint', 'fingerprint');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run callback(store, result) in a transaction, resolving with result.value
+function inTransaction(database, mode, callback) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(QUEUE_STORE, mode);
+    const result = { value: undefined };
+    transaction.oncomplete = () => resolve(result.value);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+    callback(transaction.objectStore(QUEUE_STORE), result);
+  });
+}
+
+// Take an entry for sending unless a page is sending it
+function claimEntry(database, id) {
+  return inTransaction(database, 'readwrite', (store, result) => {
+    result.value = null;
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const entry = request.result;
+      if (!entry || !entry.request || (entry.claimedAt && Date.now() - entry.claimedAt < CLAIM_TIMEOUT)) return;
+
+      entry.claimedAt = Date.now();
+      entry.attempts += 1;
+      store.put(entry);
+      result.value = entry;
+    };
+  });
+}
+
+function releaseEntry(database, id, message) {
+  return inTransaction(database, 'readwrite', (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const entry = request.result;
+      if (!entry) return;
+
+      entry.claimedAt = null;
+      entry.lastError = message;
+      store.put(entry);
+    };
+  });
+}
+
+function removeEntry(database, id) {
+  return inTransaction(database, 'readwrite', (store) => {
+    store.delete(id);
+  });
+}
+
+// Tell open pages what happened to an inquiry
+function notifyClients(message) {
+  return self.clients.matchAll({ includeUncontrolled: true }).then(clients => {
+    clients.forEach(client => client.postMessage(message));
+  });
+}
+
+// POST a queued inquiry as the page would: JSON, or multipart with its files
+function postInquiry({ inquiry, request }) {
+  const files = inquiry.attachments.filter(attachment => attachment.file);
+  const headers = { Accept: 'application/json', ...request.headers };
+  let body = request.body;
+
+  if (files.length > 0) {
+    body = new FormData();
+    body.append('inquiry', request.body);
+    files.forEach(({ id, file }) => body.append(`attachment:${id}`, file, file.name));
+  } else {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), request.timeout * 1000);
+  return fetch(request.endpoint, { method: 'POST', headers, body, signal: controller.signal })
+    .finally(() => clearTimeout(timer));
+}
+
+// Send every queued inquiry the worker can. Rejects if any should be tried
+// again, so the browser schedules another sync.
+function sendQueuedInquiries() {
+  return openQueue().then(database => {
+    const entries = inTransaction(database, 'readonly', (store, result) => {
+      const request = store.getAll();
+      request.onsuccess = () => {
+        result.value = request.result.sort((a, b) => a.queuedAt - b.queuedAt);
+      };
+    });
+
+    let retry = false;
+    const sendEntry = (id) => claimEntry(database, id).then(entry => {
+      if (!entry) return null;
+
+      const { inquiry } = entry;
+      return postInquiry(entry).then(response => {
+        if (response.ok) {
+          return response.text().then(text => {
+            let data = null;
+            try {
+              data = text ? JSON.parse(text) : null;
+            } catch (error) {
+              data = text;
+            }
+            return removeEntry(database, id).then(() => notifyClients({
+              type: 'inquirySent',
+              inquiry,
+              receipt: { transport: 'http', status: response.status, data, queued: true, background: true }
+            }));
+          });
+        }
+
+        if (response.status >= 500 || RETRYABLE_STATUSES.includes(response.status)) {
+          retry = true;
+          return releaseEntry(database, id, `The inquiry server answered ${response.status}`);
+        }
+
+        // Rejected: sending it again will not help
+        return removeEntry(database, id).then(() => notifyClients({
+          type: 'inquiryFail',
+          inquiry,
+          status: response.status,
+          error: `The inquiry server answered ${response.status}`
+        }));
+      }, () => {
+        retry = true;
+        return releaseEntry(database, id, 'The inquiry server could not be reached');
+      });
+    });
+
+    return entries
+      .then(list => list.reduce((previous, entry) => previous.then(() => sendEntry(entry.id)), Promise.resolve()))
+      .finally(() => database.close())
+      .then(() => {
+        if (retry) {
+          throw new Error('Some inquiries could not be sent yet');
+        }
+      });
+  });
+}